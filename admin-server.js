@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const Logger = require('./common/logger');
+const {
+    ADMIN_API_TOKEN,
+    ADMIN_HOST,
+    ADMIN_PORT,
+    LOG_DIR,
+    LOG_MAX_SIZE_MB,
+    RUN_HISTORY_PATH,
+} = require('./common/config');
+const runLock = require('./common/runLock');
+const runState = require('./common/runState');
+const metrics = require('./common/metrics');
+const { readRecentRuns } = require('./common/runHistory');
+const { runSync, saveActiveCheckpoint } = require('./main-sync');
+const { readBody, sendJson } = require('./common/http');
+
+// API HTTP de administración: permite lanzar y consultar sincronizaciones sin acceso por SSH.
+// Las ejecuciones corren dentro de este proceso con las mismas funciones que `node main-sync.js`
+// (mismo bloqueo, checkpoint, diario e historial) y cada una escribe su propio log en LOG_DIR.
+// Uso: node admin-server.js  (todas las rutas salvo /health exigen `Authorization: Bearer <ADMIN_API_TOKEN>`)
+//   POST /runs            -> inicia una sincronización: { "type": "price" | "inventory" | "full", "incremental": false, "resume": false }
+//   GET  /runs/current    -> ejecución en curso con sus contadores en vivo
+//   GET  /runs?limit=N    -> resumen de las últimas N ejecuciones (por defecto 20)
+//   GET  /metrics         -> métricas de Prometheus de todas las ejecuciones (common/metrics.js)
+//   GET  /health          -> estado del servidor
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_HISTORY_LIMIT = 200;
+// Tipo de ejecución de la API -> SYNC_TYPE de main-sync.js
+const RUN_TYPES = { price: 'price', inventory: 'inventory', full: 'both' };
+const ADMIN_LOG_DIR = path.join(process.env.LOG_DIR || path.join(__dirname, 'logs'), 'admin');
+
+// Promesa de la ejecución lanzada desde la API, mientras está en curso
+let activeRun = null;
+
+/**
+ * Compara el token Bearer de la petición con ADMIN_API_TOKEN en tiempo constante.
+ * @param {string|undefined} header Valor del encabezado Authorization.
+ * @returns {boolean}
+ */
+function isAuthorized(header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match) return false;
+    // Se comparan los hashes para que la longitud del token no influya en el tiempo de respuesta
+    const expected = crypto.createHash('sha256').update(ADMIN_API_TOKEN).digest();
+    const received = crypto.createHash('sha256').update(match[1].trim()).digest();
+    return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Lanza una sincronización en segundo plano. Resuelve con el runId cuando la ejecución comenzó
+ * (bloqueo tomado) y rechaza si no pudo comenzar, p. ej. porque otra ejecución tiene el bloqueo.
+ * Cada ejecución escribe su propio log; al terminar, el servidor vuelve a su log en logs/admin.
+ * @param {{syncType: string, incremental: boolean, resume: boolean}} options Opciones de runSync.
+ * @returns {Promise<string>} runId de la ejecución.
+ */
+function startRun({ syncType, incremental, resume }) {
+    return new Promise((resolve, reject) => {
+        const runStart = new Date();
+        Logger.init(runStart, LOG_DIR, LOG_MAX_SIZE_MB);
+        Logger.log(`🚀 INICIANDO SINCRONIZACIÓN GENERAL desde la API de administración (Tipo: ${syncType.toUpperCase()}${incremental ? ', incremental' : ''}${resume ? ', reanudada' : ''}) - ${runStart.toLocaleString()}`);
+
+        activeRun = runSync({ syncType, incremental, resume, onStarted: resolve })
+            .then(summary => {
+                Logger.log(`🏁 SINCRONIZACIÓN GENERAL FINALIZADA (${summary.status}). Duración total: ${summary.durationSeconds} segundos`);
+            })
+            .catch(error => {
+                Logger.error('💥 ERROR FATAL en la sincronización lanzada desde la API', error);
+                reject(error); // Sin efecto si la ejecución ya había comenzado
+            })
+            .finally(async () => {
+                activeRun = null;
+                await Logger.flush();
+                Logger.init(new Date(), ADMIN_LOG_DIR);
+            });
+    });
+}
+
+/**
+ * POST /runs: valida el cuerpo y lanza la sincronización.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleStartRun(req, res) {
+    const rawBody = await readBody(req, MAX_BODY_BYTES);
+    let body;
+    try {
+        body = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+    } catch (error) {
+        sendJson(res, 400, { error: 'JSON inválido' });
+        return;
+    }
+    const syncType = RUN_TYPES[body.type];
+    if (!syncType) {
+        sendJson(res, 400, { error: `'type' debe ser uno de: ${Object.keys(RUN_TYPES).join(', ')}` });
+        return;
+    }
+    if (activeRun || runState.isRunning()) {
+        sendJson(res, 409, { error: 'Ya hay una sincronización en curso', run: runState.snapshot() });
+        return;
+    }
+
+    try {
+        const runId = await startRun({ syncType, incremental: body.incremental === true, resume: body.resume === true });
+        Logger.log(`▶️ Sincronización ${runId} iniciada desde la API (origen ${req.socket.remoteAddress}).`);
+        sendJson(res, 202, { runId, syncType, status: 'running' });
+    } catch (error) {
+        sendJson(res, error.code === 'RUN_LOCKED' ? 409 : 500, { error: error.message });
+    }
+}
+
+/**
+ * GET /runs/current: ejecución en curso en este proceso y, si no hay, quién tiene el bloqueo compartido
+ * (p. ej. un `node main-sync.js` lanzado por el scheduler).
+ * @param {http.ServerResponse} res
+ */
+function handleCurrentRun(res) {
+    const run = runState.snapshot();
+    const holder = run ? null : runLock.readHolder();
+    sendJson(res, 200, {
+        running: !!run || !!holder,
+        run,
+        lockHolder: holder ? { ...holder, description: runLock.describe(holder) } : null,
+    });
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        sendJson(res, 200, { status: 'ok', running: runState.isRunning() });
+        return;
+    }
+
+    if (!isAuthorized(req.headers.authorization)) {
+        Logger.warn(`Petición rechazada a ${req.method} ${url.pathname}: token inválido (origen ${req.socket.remoteAddress}).`);
+        sendJson(res, 401, { error: 'No autorizado' });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/runs') {
+        await handleStartRun(req, res);
+        return;
+    }
+    if (req.method === 'GET' && url.pathname === '/runs/current') {
+        handleCurrentRun(res);
+        return;
+    }
+    if (req.method === 'GET' && url.pathname === '/runs') {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 1), MAX_HISTORY_LIMIT);
+        sendJson(res, 200, { runs: readRecentRuns(RUN_HISTORY_PATH, limit) });
+        return;
+    }
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(metrics.render());
+        return;
+    }
+    sendJson(res, 404, { error: 'No encontrado' });
+}
+
+function main() {
+    Logger.init(new Date(), ADMIN_LOG_DIR);
+    if (!ADMIN_API_TOKEN) {
+        Logger.error('Falta ADMIN_API_TOKEN: la API de administración no se inicia sin autenticación.');
+        Logger.flush().then(() => process.exit(1));
+        return;
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            Logger.error('Error procesando petición de administración', error);
+            if (!res.headersSent) sendJson(res, error.statusCode || 500, { error: error.message });
+        });
+    });
+    server.listen(ADMIN_PORT, ADMIN_HOST, () => {
+        Logger.log(`🛠️ API de administración escuchando en http://${ADMIN_HOST}:${ADMIN_PORT} (historial en ${RUN_HISTORY_PATH})`);
+    });
+
+    // Si hay una sincronización en curso se guarda su checkpoint (se continúa con "resume": true)
+    const shutdown = async signal => {
+        Logger.warn(`Recibido ${signal}. Cerrando la API de administración...`);
+        server.close();
+        saveActiveCheckpoint();
+        await Logger.flush();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main();
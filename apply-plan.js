@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+const Logger = require('./common/logger');
+const journal = require('./common/journal');
+const { toMoneyString } = require('./common/utils');
+const { readPlan } = require('./common/plan');
+const { useShopifyStore } = require('./common/shopifyStore');
+
+const { applyPriceChanges, applyCostChanges, getVariantsByIds } = require('./price-update');
+const { applyInventoryChanges, getInventoryQuantitiesByItemIds } = require('./inventory-update');
+
+/**
+ * Clasifica un cambio de precio del plan comparando el valor "antes" del plan con el valor actual en Shopify.
+ * @param {Object} change Cambio de tipo 'price'.
+ * @param {Object|undefined} currentVariant Variante actual en Shopify (undefined si ya no existe).
+ * @returns {{status: string, current: Object|null}} status: 'ok' | 'drift' | 'already_applied' | 'missing'.
+ */
+function classifyPriceChange(change, currentVariant) {
+    if (!currentVariant) return { status: 'missing', current: null };
+    const current = {
+        price: toMoneyString(currentVariant.price),
+        compareAtPrice: toMoneyString(currentVariant.compareAtPrice),
+    };
+    if (current.price === change.after.price && current.compareAtPrice === change.after.compareAtPrice) {
+        return { status: 'already_applied', current };
+    }
+    if (current.price !== change.before.price || current.compareAtPrice !== change.before.compareAtPrice) {
+        return { status: 'drift', current };
+    }
+    return { status: 'ok', current };
+}
+
+/**
+ * Clasifica un cambio de costo unitario del plan comparando el costo "antes" con el costo actual en Shopify.
+ * @param {Object} change Cambio de tipo 'cost'.
+ * @param {Object|undefined} currentVariant Variante actual en Shopify (undefined si ya no existe).
+ * @returns {{status: string, current: Object|null}}
+ */
+function classifyCostChange(change, currentVariant) {
+    if (!currentVariant?.inventoryItem) return { status: 'missing', current: null };
+    const current = { unitCost: toMoneyString(currentVariant.inventoryItem.unitCost?.amount) };
+    if (current.unitCost === change.after.unitCost) {
+        return { status: 'already_applied', current };
+    }
+    if (current.unitCost !== change.before.unitCost) {
+        return { status: 'drift', current };
+    }
+    return { status: 'ok', current };
+}
+
+/**
+ * Clasifica un cambio de inventario del plan comparando la cantidad "antes" con la cantidad actual en Shopify.
+ * Si el plan no registró la cantidad anterior (QUANTITY_UNKNOWN) no se puede detectar desviación.
+ * @param {Object} change Cambio de tipo 'inventory'.
+ * @param {Map<string, number|null>} currentQuantities Cantidades actuales por inventory item.
+ * @returns {{status: string, current: Object|null}}
+ */
+function classifyInventoryChange(change, currentQuantities) {
+    if (!currentQuantities.has(change.inventoryItemId)) return { status: 'missing', current: null };
+    const current = { quantity: currentQuantities.get(change.inventoryItemId) };
+    if (current.quantity === change.after.quantity) {
+        return { status: 'already_applied', current };
+    }
+    if (change.before.quantity !== null && current.quantity !== change.before.quantity) {
+        return { status: 'drift', current };
+    }
+    return { status: 'ok', current };
+}
+
+/**
+ * Lee el estado actual en Shopify de todas las variantes/inventarios afectados por el plan
+ * y clasifica cada cambio.
+ * @param {Array<Object>} changes Cambios del plan.
+ * @returns {Promise<Array<{change: Object, status: string, current: Object|null}>>}
+ */
+async function checkPlanDrift(changes) {
+    // Los cambios de precio y de costo se verifican con la misma consulta de variantes
+    const variantChanges = changes.filter(c => c.type === 'price' || c.type === 'cost');
+    const inventoryChanges = changes.filter(c => c.type === 'inventory');
+    const checked = [];
+
+    if (variantChanges.length > 0) {
+        const currentVariants = await getVariantsByIds([...new Set(variantChanges.map(c => c.variantId))]);
+        variantChanges.forEach(change => {
+            const currentVariant = currentVariants.get(change.variantId);
+            if (change.type === 'cost') {
+                checked.push({ change, ...classifyCostChange(change, currentVariant) });
+                return;
+            }
+            // Los planes antiguos no registran productId; se completa para poder usar la actualización en lote
+            const completedChange = change.productId || !currentVariant?.product?.id ? change : { ...change, productId: currentVariant.product.id };
+            checked.push({ change: completedChange, ...classifyPriceChange(change, currentVariant) });
+        });
+    }
+
+    // Agrupar por ubicación, ya que el nivel de inventario se consulta por ubicación
+    const byLocation = new Map();
+    inventoryChanges.forEach(change => {
+        if (!byLocation.has(change.locationId)) byLocation.set(change.locationId, []);
+        byLocation.get(change.locationId).push(change);
+    });
+    for (const [locationId, locationChanges] of byLocation) {
+        const currentQuantities = await getInventoryQuantitiesByItemIds([...new Set(locationChanges.map(c => c.inventoryItemId))], locationId);
+        locationChanges.forEach(change => checked.push({ change, ...classifyInventoryChange(change, currentQuantities) }));
+    }
+
+    return checked;
+}
+
+/**
+ * Formatea los valores relevantes de un cambio para los logs.
+ * @param {Object} values Objeto `before`, `after` o el estado actual.
+ * @returns {string}
+ */
+function describeValues(values) {
+    if (!values) return 'N/A';
+    if ('quantity' in values) return `cantidad=${values.quantity}`;
+    if ('unitCost' in values) return `costo=${values.unitCost || 'ninguno'}`;
+    return `precio=${values.price}, comparación=${values.compareAtPrice || 'ninguno'}`;
+}
+
+/**
+ * Ejecuta exactamente los cambios de un plan generado con `node main-sync.js plan`.
+ * Antes de mutar, vuelve a leer cada variante de Shopify y rechaza (o marca, con allowDrift)
+ * las filas cuyo valor actual ya no coincide con el valor "antes" registrado en el plan.
+ * Los cambios se aplican en la tienda registrada en el plan (`shopName`; los planes antiguos, en SHOPIFY_SHOP_NAME).
+ * El resultado por fila se guarda junto al plan como `<planId>.applied.json`.
+ * @param {string} planPath Ruta al archivo JSON del plan.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDrift=false] Aplicar también las filas con desviación (quedan marcadas).
+ * @returns {Promise<Object>} Estadísticas de la aplicación.
+ * @throws {Error} Si no hay credenciales para la tienda del plan.
+ */
+async function runPlanApply(planPath, { allowDrift = false } = {}) {
+    const plan = readPlan(planPath);
+    const store = useShopifyStore(plan.shopName || null);
+    journal.setShopName(store.shopName);
+    try {
+        return await applyPlan(plan, planPath, { allowDrift });
+    } finally {
+        useShopifyStore(null);
+    }
+}
+
+/**
+ * Verifica y aplica los cambios de un plan ya leído, en la tienda activa.
+ * @param {Object} plan Plan leído con readPlan.
+ * @param {string} planPath Ruta al archivo JSON del plan (el resultado se guarda junto a él).
+ * @param {Object} options
+ * @param {boolean} options.allowDrift Aplicar también las filas con desviación.
+ * @returns {Promise<Object>} Estadísticas de la aplicación.
+ */
+async function applyPlan(plan, planPath, { allowDrift }) {
+    Logger.log(`📥 Aplicando plan ${plan.planId} en ${plan.shopName || 'la tienda por defecto'} (${plan.changes.length} cambios, creado ${plan.createdAt})${allowDrift ? ' [permitiendo desviaciones]' : ''}`);
+    const stats = { total: plan.changes.length, applied: 0, alreadyApplied: 0, drift: 0, driftApplied: 0, missing: 0, errors: 0 };
+
+    const checked = await checkPlanDrift(plan.changes);
+    const toApply = [];
+    checked.forEach(row => {
+        const { change, status, current } = row;
+        if (status === 'missing') {
+            Logger.warn(`❓ SKU ${change.sku} (${change.type}): la variante ya no existe en Shopify. Omitido.`);
+            stats.missing++;
+        } else if (status === 'already_applied') {
+            Logger.log(`ℹ️ SKU ${change.sku} (${change.type}): Shopify ya tiene el valor objetivo (${describeValues(current)}). Omitido.`);
+            stats.alreadyApplied++;
+        } else if (status === 'drift') {
+            stats.drift++;
+            Logger.warn(`⚠️ DESVIACIÓN SKU ${change.sku} (${change.type}): plan esperaba ${describeValues(change.before)}, Shopify tiene ${describeValues(current)}.${allowDrift ? ' Se aplicará igualmente.' : ' Omitido.'}`);
+            if (allowDrift) toApply.push(row);
+        } else {
+            toApply.push(row);
+        }
+    });
+
+    const priceResults = await applyPriceChanges(toApply.filter(r => r.change.type === 'price').map(r => r.change));
+    const inventoryResults = await applyInventoryChanges(toApply.filter(r => r.change.type === 'inventory').map(r => r.change));
+    const costResults = await applyCostChanges(toApply.filter(r => r.change.type === 'cost').map(r => r.change));
+    const resultByChange = new Map([...priceResults, ...inventoryResults, ...costResults].map(r => [r.change, r]));
+
+    const rows = checked.map(({ change, status, current }) => {
+        const result = resultByChange.get(change);
+        if (result) {
+            if (!result.success) stats.errors++;
+            else if (status === 'drift') stats.driftApplied++;
+            else stats.applied++;
+        }
+        return {
+            ...change,
+            current,
+            status: result ? (result.success ? (status === 'drift' ? 'applied_with_drift' : 'applied') : 'error') : `skipped_${status}`,
+            errors: result?.errors || undefined,
+        };
+    });
+
+    const resultPath = path.join(path.dirname(path.resolve(planPath)), `${plan.planId}.applied.json`);
+    fs.writeFileSync(resultPath, JSON.stringify({ planId: plan.planId, appliedAt: new Date().toISOString(), allowDrift, stats, rows }, null, 2), 'utf8');
+
+    Logger.log("\n📋 ===== RESUMEN APLICACIÓN DE PLAN =====");
+    Logger.log(`Cambios en el plan: ${stats.total}`);
+    Logger.log(`Aplicados: ${stats.applied}`);
+    Logger.log(`Con desviación detectada: ${stats.drift} (aplicados igualmente: ${stats.driftApplied})`);
+    Logger.log(`Ya aplicados previamente: ${stats.alreadyApplied}`);
+    Logger.log(`Variantes inexistentes: ${stats.missing}`);
+    Logger.log(`Errores: ${stats.errors}`);
+    Logger.log(`Detalle por fila: ${resultPath}`);
+    Logger.log("========================================\n");
+    return stats;
+}
+
+module.exports = { runPlanApply, checkPlanDrift };
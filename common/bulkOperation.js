@@ -0,0 +1,146 @@
+const axios = require('axios');
+const readline = require('readline');
+const Logger = require('./logger');
+const { fetchWithRetry } = require('./utils');
+const {
+    BULK_POLL_INTERVAL_MS,
+    BULK_TIMEOUT_MS,
+} = require('./config');
+
+/**
+ * @fileoverview Ejecución de consultas masivas con la API de Bulk Operations de Shopify.
+ * Flujo: bulkOperationRunQuery -> sondeo del estado hasta COMPLETED -> descarga del JSONL -> parseo línea a línea.
+ * Evita el paginado por cursor (y su límite de páginas) para catálogos grandes.
+ */
+
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+/**
+ * Envía una consulta GraphQL a Shopify usando fetchWithRetry con el limitador de tasa.
+ * @param {string} graphqlUrl URL del endpoint GraphQL de la tienda.
+ * @param {string} accessToken Token de acceso de Shopify.
+ * @param {string} query Consulta o mutación.
+ * @param {object} [variables] Variables de la consulta.
+ * @returns {Promise<object>} La data de la respuesta.
+ */
+async function shopifyGraphql(graphqlUrl, accessToken, query, variables = {}) {
+    const responseData = await fetchWithRetry({
+        method: 'POST',
+        url: graphqlUrl,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken,
+        },
+        data: JSON.stringify({ query, variables }),
+    }, true);
+    if (responseData.errors) {
+        throw new Error(`Error GraphQL en operación masiva: ${JSON.stringify(responseData.errors)}`);
+    }
+    return responseData.data;
+}
+
+/**
+ * Inicia una operación masiva de consulta.
+ * @returns {Promise<string>} El GID de la BulkOperation.
+ */
+async function startBulkQuery(graphqlUrl, accessToken, bulkQuery) {
+    const mutation = `
+      mutation RunBulkQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }`;
+    const data = await shopifyGraphql(graphqlUrl, accessToken, mutation, { query: bulkQuery });
+    const userErrors = data?.bulkOperationRunQuery?.userErrors || [];
+    if (userErrors.length > 0) {
+        // El caso típico es que ya haya otra operación masiva en curso en la tienda.
+        throw new Error(`No se pudo iniciar la operación masiva: ${JSON.stringify(userErrors)}`);
+    }
+    const operation = data?.bulkOperationRunQuery?.bulkOperation;
+    if (!operation?.id) {
+        throw new Error(`Respuesta inesperada al iniciar la operación masiva: ${JSON.stringify(data)}`);
+    }
+    return operation.id;
+}
+
+/**
+ * Sondea una operación masiva hasta que llegue a un estado terminal.
+ * @returns {Promise<{status: string, url: string|null, objectCount: string, errorCode: string|null}>}
+ * @throws {Error} Si la operación falla o se excede BULK_TIMEOUT_MS.
+ */
+async function waitForBulkOperation(graphqlUrl, accessToken, operationId) {
+    const query = `
+      query BulkOperationStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation { id status errorCode objectCount url }
+        }
+      }`;
+    const startTime = Date.now();
+
+    while (true) {
+        const data = await shopifyGraphql(graphqlUrl, accessToken, query, { id: operationId });
+        const operation = data?.node;
+        if (!operation) {
+            throw new Error(`Operación masiva ${operationId} no encontrada.`);
+        }
+        Logger.debug(`Operación masiva ${operationId}: ${operation.status} (${operation.objectCount} objetos)`);
+
+        if (TERMINAL_STATUSES.includes(operation.status)) {
+            if (operation.status !== 'COMPLETED') {
+                throw new Error(`La operación masiva ${operationId} terminó con estado ${operation.status} (errorCode: ${operation.errorCode || 'N/A'})`);
+            }
+            return operation;
+        }
+        if (Date.now() - startTime > BULK_TIMEOUT_MS) {
+            throw new Error(`Tiempo de espera agotado (${BULK_TIMEOUT_MS} ms) esperando la operación masiva ${operationId} (estado: ${operation.status}).`);
+        }
+        await new Promise(resolve => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * Descarga el resultado JSONL de una operación masiva y lo procesa línea a línea (sin cargarlo entero en memoria).
+ * @param {string} url URL de descarga del resultado.
+ * @param {function(object): void} onRecord Callback invocado por cada objeto del JSONL.
+ * @returns {Promise<number>} Número de líneas procesadas.
+ */
+async function streamBulkResult(url, onRecord) {
+    const response = await axios.get(url, { responseType: 'stream' });
+    const rl = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+    let lineCount = 0;
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        onRecord(JSON.parse(line));
+        lineCount++;
+    }
+    return lineCount;
+}
+
+/**
+ * Ejecuta una consulta masiva completa y entrega cada objeto del resultado al callback.
+ * Los objetos de conexiones anidadas llegan como líneas separadas con `__parentId`.
+ * @param {string} graphqlUrl URL del endpoint GraphQL de la tienda.
+ * @param {string} accessToken Token de acceso de Shopify.
+ * @param {string} bulkQuery Consulta sin argumentos de paginación (first/after).
+ * @param {function(object): void} onRecord Callback por cada objeto.
+ * @returns {Promise<number>} Número de objetos procesados.
+ */
+async function runBulkQuery(graphqlUrl, accessToken, bulkQuery, onRecord) {
+    const operationId = await startBulkQuery(graphqlUrl, accessToken, bulkQuery);
+    Logger.log(`📦 Operación masiva iniciada: ${operationId}. Esperando a que termine...`);
+
+    const operation = await waitForBulkOperation(graphqlUrl, accessToken, operationId);
+    if (!operation.url) {
+        // Shopify no genera archivo cuando la consulta no devuelve objetos
+        Logger.log(`📦 Operación masiva ${operationId} completada sin resultados.`);
+        return 0;
+    }
+
+    Logger.log(`📦 Operación masiva ${operationId} completada (${operation.objectCount} objetos). Descargando resultado...`);
+    return streamBulkResult(operation.url, onRecord);
+}
+
+module.exports = {
+    runBulkQuery,
+};
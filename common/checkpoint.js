@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @fileoverview Checkpoint en disco para reanudar una sincronización interrumpida (`--resume`).
+ *
+ * Se guardan dos archivos en el directorio de checkpoints:
+ * - `<name>.json`: metadatos, Location ID y SKUs ya procesados por fase.
+ *   Se reescribe con frecuencia, por eso se mantiene pequeño.
+ * - `<name>.variants.json`: instantánea de variantes de Shopify. Se escribe una sola vez por ejecución.
+ * Las escrituras son atómicas (archivo temporal + rename) para no dejar un checkpoint corrupto si el proceso muere.
+ */
+
+/**
+ * Escribe un archivo JSON de forma atómica.
+ * @param {string} filePath Ruta destino.
+ * @param {*} data Datos a serializar.
+ */
+function writeJsonAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+}
+
+class Checkpoint {
+    /**
+     * @param {string} checkpointDir Directorio donde se guardan los checkpoints.
+     * @param {string} [name='main-sync'] Nombre base de los archivos.
+     */
+    constructor(checkpointDir, name = 'main-sync') {
+        this.dir = path.resolve(checkpointDir);
+        this.statePath = path.join(this.dir, `${name}.json`);
+        this.variantsPath = path.join(this.dir, `${name}.variants.json`);
+        this.state = null;
+        this.processed = {}; // fase -> Set de SKUs
+        this.pendingWrites = 0;
+    }
+
+    /**
+     * Indica si existe un checkpoint guardado.
+     * @returns {boolean}
+     */
+    exists() {
+        return fs.existsSync(this.statePath) && fs.existsSync(this.variantsPath);
+    }
+
+    /**
+     * Crea un checkpoint nuevo para una ejecución, reemplazando cualquier checkpoint anterior.
+     * @param {object} data
+     * @param {string} data.runId Identificador de la ejecución.
+     * @param {string} data.syncType Tipo de sincronización (price, inventory, both).
+     * @param {string|null} data.locationId Location ID activo.
+     * @param {Array<Object>} data.shopifyVariants Variantes de Shopify obtenidas.
+     * @param {Object<string, Set<string>>|null} [data.skuFilters] SKUs a procesar por fase (modo incremental).
+     */
+    start({ runId, syncType, locationId, shopifyVariants, skuFilters = null }) {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+        this.state = {
+            version: 1,
+            runId,
+            syncType,
+            locationId,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            skuFilters: skuFilters
+                ? Object.fromEntries(Object.entries(skuFilters).map(([phase, skus]) => [phase, [...skus]]))
+                : null,
+            completedPhases: [],
+            processed: {},
+        };
+        this.processed = {};
+        writeJsonAtomic(this.variantsPath, shopifyVariants);
+        this.save();
+    }
+
+    /**
+     * Carga el checkpoint guardado.
+     * @returns {{runId: string, syncType: string, locationId: string|null, shopifyVariants: Array<Object>, skuFilters: Object<string, Set<string>>|null, completedPhases: Array<string>}}
+     * @throws {Error} Si no existe o no se puede leer.
+     */
+    load() {
+        if (!this.exists()) {
+            throw new Error(`No existe un checkpoint para reanudar en ${this.statePath}`);
+        }
+        this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.processed = {};
+        Object.entries(this.state.processed || {}).forEach(([phase, skus]) => {
+            this.processed[phase] = new Set(skus);
+        });
+        const shopifyVariants = JSON.parse(fs.readFileSync(this.variantsPath, 'utf8'));
+        return {
+            runId: this.state.runId,
+            syncType: this.state.syncType,
+            locationId: this.state.locationId,
+            shopifyVariants,
+            skuFilters: this.state.skuFilters
+                ? Object.fromEntries(Object.entries(this.state.skuFilters).map(([phase, skus]) => [phase, new Set(skus)]))
+                : null,
+            completedPhases: this.state.completedPhases,
+        };
+    }
+
+    /**
+     * Resumen legible del checkpoint cargado (para logs).
+     * @returns {string}
+     */
+    describe() {
+        if (!this.state) return 'sin checkpoint';
+        const counts = Object.entries(this.processed).map(([phase, skus]) => `${phase}: ${skus.size}`).join(', ') || 'ninguno';
+        return `ejecución ${this.state.runId} (${this.state.syncType}), actualizado ${this.state.updatedAt}, SKUs procesados: ${counts}, fases completas: ${this.state.completedPhases.join(', ') || 'ninguna'}`;
+    }
+
+    /**
+     * @param {string} phase Fase ('price' o 'inventory').
+     * @returns {boolean}
+     */
+    isPhaseCompleted(phase) {
+        return !!this.state && this.state.completedPhases.includes(phase);
+    }
+
+    /**
+     * @param {string} phase Fase ('price' o 'inventory').
+     * @param {string} sku SKU limpio.
+     * @returns {boolean}
+     */
+    isProcessed(phase, sku) {
+        return !!this.processed[phase] && this.processed[phase].has(sku);
+    }
+
+    /**
+     * Marca SKUs como procesados y guarda el checkpoint cada `saveEvery` marcas.
+     * @param {string} phase Fase ('price' o 'inventory').
+     * @param {Array<string>} skus SKUs procesados.
+     * @param {number} [saveEvery=50] Frecuencia de guardado.
+     */
+    markProcessed(phase, skus, saveEvery = 50) {
+        if (!this.state) return;
+        if (!this.processed[phase]) this.processed[phase] = new Set();
+        skus.forEach(sku => this.processed[phase].add(sku));
+        this.pendingWrites += skus.length;
+        if (this.pendingWrites >= saveEvery) {
+            this.save();
+        }
+    }
+
+    /**
+     * Marca una fase como completada y guarda el checkpoint.
+     * @param {string} phase Fase ('price' o 'inventory').
+     */
+    completePhase(phase) {
+        if (!this.state) return;
+        if (!this.state.completedPhases.includes(phase)) {
+            this.state.completedPhases.push(phase);
+        }
+        this.save();
+    }
+
+    /**
+     * Guarda el estado actual en disco.
+     */
+    save() {
+        if (!this.state) return;
+        this.state.updatedAt = new Date().toISOString();
+        this.state.processed = Object.fromEntries(Object.entries(this.processed).map(([phase, skus]) => [phase, [...skus]]));
+        writeJsonAtomic(this.statePath, this.state);
+        this.pendingWrites = 0;
+    }
+
+    /**
+     * Elimina el checkpoint (tras una ejecución completada).
+     */
+    clear() {
+        [this.statePath, this.variantsPath].forEach(filePath => {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+        this.state = null;
+        this.processed = {};
+    }
+}
+
+module.exports = Checkpoint;
@@ -13,10 +13,15 @@ module.exports = {
     SHOPIFY_SHOP_NAME: process.env.SHOPIFY_SHOP_NAME,
     SHOPIFY_ACCESS_TOKEN: process.env.SHOPIFY_ACCESS_TOKEN,
     SHOPIFY_API_VERSION: process.env.SHOPIFY_API_VERSION || '2024-10', // Versión de API estable
+    // Archivo JSON con varias tiendas (shopify-price-updater-direct.js); apply y rollback toman de aquí las credenciales
+    // de las tiendas distintas de SHOPIFY_SHOP_NAME
+    STORES_CONFIG: process.env.STORES_CONFIG || null,
 
     // URLs de APIs locales o de terceros para datos de productos e inventario
     DATA_API_URL: process.env.DATA_API_URL, // Para productos locales (precios)
     INVENTORY_API_URL: process.env.INVENTORY_API_URL, // Para inventario local
+    // Campo de los productos de Delfin con el costo unitario; si se define, se sincroniza con `inventoryItem.unitCost` en Shopify
+    DELFIN_COST_FIELD: process.env.DELFIN_COST_FIELD || null,
 
     /**
      * Ruta al archivo CSV de descuentos.
@@ -25,6 +30,9 @@ module.exports = {
      * Ejemplo en .env: DISCOUNT_CSV_PATH="https://docs.google.com/spreadsheets/d/e/YOUR_SHEET_ID/pub?gid=YOUR_GID&single=true&output=csv"
      */
     DISCOUNT_CSV_PATH: process.env.DISCOUNT_CSV_PATH,
+    // Zona horaria IANA de las fechas `start`/`end` del CSV de descuentos (common/discountSchedule.js la valida);
+    // sin definir se usa la del servidor
+    DISCOUNT_TIMEZONE: (process.env.DISCOUNT_TIMEZONE || '').trim() || null,
 
     // Configuración de Logging
     LOG_FILE_PATH: process.env.LOG_FILE_PATH || path.join(__dirname, '..', 'logs', 'shopify-sync.log'), // Ajusta la ruta si 'common' está en un subdirectorio
@@ -32,9 +40,80 @@ module.exports = {
 
     // Configuración de API y Red
     API_TIMEOUT: parseInt(process.env.API_TIMEOUT || '60000', 10), // Timeout para las solicitudes API en milisegundos
-    SHOPIFY_RATE_LIMIT: parseInt(process.env.SHOPIFY_RATE_LIMIT || '2', 10), // Tokens por segundo para el limitador de tasa de Shopify
     MAX_RETRIES: parseInt(process.env.MAX_RETRIES || '3', 10), // Número máximo de reintentos para fetchWithRetry
+    PRICE_BULK_BATCH_SIZE: parseInt(process.env.PRICE_BULK_BATCH_SIZE || '100', 10), // Variantes por mutación productVariantsBulkUpdate
+    INVENTORY_BATCH_SIZE: parseInt(process.env.INVENTORY_BATCH_SIZE || '100', 10), // Entradas setQuantities por mutación inventorySetOnHandQuantities
 
-    // SYNC_MODE y SYNC_TYPE (si se usan, deben ser manejados en el script principal o pasados como argumentos)
-    // Ejemplo: SYNC_TYPE: process.env.SYNC_TYPE || 'both'
+    // Modo de obtención del catálogo de Shopify: 'paged' (paginado por cursor) o 'bulk' (Bulk Operations API)
+    SHOPIFY_FETCH_MODE: (process.env.SHOPIFY_FETCH_MODE || 'paged').toLowerCase(),
+    BULK_POLL_INTERVAL_MS: parseInt(process.env.BULK_POLL_INTERVAL_MS || '2000', 10), // Intervalo de sondeo de la operación masiva
+    BULK_TIMEOUT_MS: parseInt(process.env.BULK_TIMEOUT_MS || '1800000', 10), // Espera máxima de la operación masiva (30 min)
+
+    // Controles de seguridad de los cambios de precio (common/priceGuardrails.js, que valida los valores): variación
+    // máxima en % (0 o sin definir: sin límite), precio mínimo y máximo, margen mínimo sobre el costo y directorio
+    // de los cambios en cuarentena
+    PRICE_MAX_CHANGE_PCT: process.env.PRICE_MAX_CHANGE_PCT,
+    PRICE_MIN: process.env.PRICE_MIN,
+    PRICE_MAX: process.env.PRICE_MAX,
+    PRICE_MIN_MARGIN_PCT: process.env.PRICE_MIN_MARGIN_PCT,
+    QUARANTINE_DIR: process.env.QUARANTINE_DIR || path.join(__dirname, '..', 'quarantine'),
+
+    // Directorio donde se guardan los planes generados con `node main-sync.js plan`
+    PLAN_DIR: process.env.PLAN_DIR || path.join(__dirname, '..', 'plans'),
+    // Diario de mutaciones aplicadas por ejecución, para revertirlas con `node main-sync.js rollback <runId>`
+    JOURNAL_DIR: process.env.JOURNAL_DIR || path.join(__dirname, '..', 'journal'),
+    // Instantáneas de Shopify y Delfin por ejecución (`node main-sync.js history <sku>`)
+    SNAPSHOT_DIR: process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'snapshots'),
+    // Directorio del checkpoint que permite reanudar una sincronización interrumpida (`node main-sync.js --resume`)
+    CHECKPOINT_DIR: process.env.CHECKPOINT_DIR || path.join(__dirname, '..', 'checkpoints'),
+    // Bloqueo que comparten los scripts que modifican Shopify (common/runLock.js) y minutos tras los que se
+    // reemplaza un bloqueo tomado desde otro host
+    RUN_LOCK_PATH: process.env.RUN_LOCK_PATH || path.join(__dirname, '..', 'state', 'shopify-run.lock'),
+    RUN_LOCK_STALE_MINUTES: parseFloat(process.env.RUN_LOCK_STALE_MINUTES || '360'),
+    // Estado del modo incremental (`node main-sync.js --incremental`): última ejecución correcta y hashes de Delfin por SKU
+    INCREMENTAL_STATE_PATH: process.env.INCREMENTAL_STATE_PATH || path.join(__dirname, '..', 'state', 'incremental.json'),
+    // Máximo de SKUs cambiados en Delfin que se buscan uno a uno en Shopify; si hay más, se obtiene el catálogo completo
+    INCREMENTAL_MAX_SKU_LOOKUPS: parseInt(process.env.INCREMENTAL_MAX_SKU_LOOKUPS || '1000', 10),
+
+    // Archivo JSON con los trabajos de scheduler.js (nombre, expresión cron, script y argumentos); sin él se usan los trabajos por defecto
+    SCHEDULER_CONFIG_PATH: process.env.SCHEDULER_CONFIG_PATH || null,
+
+    // Receptor de webhooks de pedidos (webhook-server.js) y ventas online aún no facturadas en Delfin
+    SHOPIFY_WEBHOOK_SECRET: process.env.SHOPIFY_WEBHOOK_SECRET, // Secreto con el que Shopify firma los webhooks (HMAC)
+    WEBHOOK_HOST: process.env.WEBHOOK_HOST || '127.0.0.1',
+    WEBHOOK_PORT: parseInt(process.env.WEBHOOK_PORT || '3001', 10),
+    ONLINE_COMMITMENTS_PATH: process.env.ONLINE_COMMITMENTS_PATH || path.join(__dirname, '..', 'state', 'online-commitments.json'),
+    // Máximo de horas que un pedido online se resta del inventario de Delfin si no se detecta antes su factura en Delfin
+    ONLINE_COMMITMENT_TTL_HOURS: parseFloat(process.env.ONLINE_COMMITMENT_TTL_HOURS || '24'),
+
+    // Historial de sincronizaciones de main-sync.js (una línea JSON por ejecución, lo consulta admin-server.js)
+    RUN_HISTORY_PATH: process.env.RUN_HISTORY_PATH || path.join(__dirname, '..', 'state', 'run-history.jsonl'),
+    // Métricas de Prometheus (common/metrics.js): contadores acumulados, archivo opcional para el textfile collector
+    // de node_exporter y etiqueta `job` de la ejecución (scheduler.js la fija con el nombre de cada trabajo)
+    METRICS_STATE_PATH: process.env.METRICS_STATE_PATH || path.join(__dirname, '..', 'state', 'metrics.json'),
+    METRICS_TEXTFILE_PATH: process.env.METRICS_TEXTFILE_PATH || null,
+    METRICS_JOB: process.env.METRICS_JOB || null,
+    // Notificaciones al terminar una ejecución (common/notifier.js): webhook JSON (cabeceras extra en JSON) y/o correo SMTP
+    NOTIFY_WEBHOOK_URL: process.env.NOTIFY_WEBHOOK_URL || null,
+    NOTIFY_WEBHOOK_HEADERS: process.env.NOTIFY_WEBHOOK_HEADERS || null,
+    NOTIFY_EMAIL_TO: process.env.NOTIFY_EMAIL_TO || '', // Direcciones separadas por comas
+    NOTIFY_EMAIL_FROM: process.env.NOTIFY_EMAIL_FROM || process.env.SMTP_USER || null,
+    NOTIFY_ONLY_ON_ERRORS: process.env.NOTIFY_ONLY_ON_ERRORS === 'true', // Solo notificar ejecuciones fallidas o con errores
+    NOTIFY_MAX_FAILED_SKUS: parseInt(process.env.NOTIFY_MAX_FAILED_SKUS || '50', 10), // SKUs fallidos listados por sección
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: parseInt(process.env.SMTP_PORT || '587', 10),
+    SMTP_SECURE: process.env.SMTP_SECURE === 'true', // true para el puerto 465
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASS: process.env.SMTP_PASS,
+    // API HTTP de administración (admin-server.js): token Bearer obligatorio, host y puerto
+    ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN,
+    ADMIN_HOST: process.env.ADMIN_HOST || '127.0.0.1',
+    ADMIN_PORT: parseInt(process.env.ADMIN_PORT || '3002', 10),
+    // Visor web de logs (log-viewer.js), sin autenticación: por defecto solo escucha en el equipo local
+    LOG_VIEWER_HOST: process.env.LOG_VIEWER_HOST || '127.0.0.1',
+    LOG_VIEWER_PORT: parseInt(process.env.LOG_VIEWER_PORT || '3003', 10),
+
+    // Qué sincroniza main-sync.js: 'price', 'inventory' o 'both' (scheduler.js lo fija por trabajo)
+    SYNC_TYPE: (process.env.SYNC_TYPE || 'both').toLowerCase(),
+    // SYNC_MODE (si se usa, debe ser manejado en el script principal o pasado como argumento)
 };
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana) para scheduler.js.
+ * Soporta `*`, valores, rangos (`1-5`), listas (`0,30`), pasos (`*\/10`, `8-18/2`) y los alias
+ * @hourly, @daily, @weekly y @monthly. El día de la semana va de 0 (domingo) a 7 (también domingo).
+ * Como en cron, si se restringen día del mes y día de la semana, basta con que coincida uno de los dos.
+ */
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'día del mes', min: 1, max: 31 },
+    { name: 'mes', min: 1, max: 12 },
+    { name: 'día de la semana', min: 0, max: 7 },
+];
+
+/**
+ * Convierte un campo de la expresión en el conjunto de valores que acepta.
+ * @param {string} value Texto del campo.
+ * @param {{name: string, min: number, max: number}} field Límites del campo.
+ * @param {string} expression Expresión completa, para los mensajes de error.
+ * @returns {Set<number>}
+ */
+function parseField(value, field, expression) {
+    const values = new Set();
+    for (const part of value.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Expresión cron inválida '${expression}': ${field.name} '${part}' no reconocido`);
+        }
+        const step = match[4] ? parseInt(match[4], 10) : 1;
+        let start = field.min;
+        let end = field.max;
+        if (match[1] !== '*') {
+            start = parseInt(match[2], 10);
+            end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : start);
+        }
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new Error(`Expresión cron inválida '${expression}': ${field.name} '${part}' fuera de rango (${field.min}-${field.max})`);
+        }
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+    return values;
+}
+
+/**
+ * Interpreta una expresión cron.
+ * @param {string} expression Expresión de 5 campos o alias (@hourly, @daily, @weekly, @monthly).
+ * @returns {{expression: string, minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean}}
+ */
+function parseCron(expression) {
+    const source = String(expression || '').trim();
+    const normalized = ALIASES[source.toLowerCase()] || source;
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Expresión cron inválida '${source}': se esperaban ${FIELDS.length} campos y hay ${parts.length}`);
+    }
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], source));
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+    return {
+        expression: source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*',
+    };
+}
+
+/**
+ * Indica si la programación se cumple en el minuto de `date` (hora local).
+ * @param {Object} schedule Resultado de parseCron.
+ * @param {Date} date Fecha a evaluar.
+ * @returns {boolean}
+ */
+function matchesCron(schedule, date) {
+    if (!schedule.minutes.has(date.getMinutes()) || !schedule.hours.has(date.getHours()) || !schedule.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+    const dayOfMonthMatch = schedule.daysOfMonth.has(date.getDate());
+    const dayOfWeekMatch = schedule.daysOfWeek.has(date.getDay());
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return dayOfMonthMatch || dayOfWeekMatch;
+    }
+    return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+/**
+ * Calcula el próximo minuto (posterior a `from`) en que se cumple la programación.
+ * @param {Object} schedule Resultado de parseCron.
+ * @param {Date} [from=new Date()] Fecha de referencia.
+ * @returns {Date|null} null si no hay coincidencias en el próximo año (p. ej. 31 de febrero).
+ */
+function nextCronRun(schedule, from = new Date()) {
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+    do {
+        candidate.setMinutes(candidate.getMinutes() + 1);
+        if (matchesCron(schedule, candidate)) {
+            return candidate;
+        }
+    } while (candidate.getTime() <= limit);
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    matchesCron,
+    nextCronRun,
+};
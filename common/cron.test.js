@@ -0,0 +1,71 @@
+const { parseCron, matchesCron, nextCronRun } = require('./cron');
+
+describe('parseCron', () => {
+    test('interpreta rangos, listas y pasos', () => {
+        const schedule = parseCron('*/15 8-18/2 1,15 * 1-5');
+
+        expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+        expect([...schedule.hours]).toEqual([8, 10, 12, 14, 16, 18]);
+        expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+        expect(schedule.months.size).toBe(12);
+        expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+        expect(schedule.dayOfMonthRestricted).toBe(true);
+        expect(schedule.dayOfWeekRestricted).toBe(true);
+    });
+
+    test('un valor con paso va hasta el máximo del campo', () => {
+        expect([...parseCron('50/5 * * * *').minutes]).toEqual([50, 55]);
+    });
+
+    test('acepta los alias y el 7 como domingo', () => {
+        expect([...parseCron('@daily').hours]).toEqual([0]);
+        expect(parseCron('@HOURLY').expression).toBe('@HOURLY');
+        expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+    });
+
+    test('rechaza expresiones inválidas', () => {
+        expect(() => parseCron('* * * *')).toThrow('se esperaban 5 campos y hay 4');
+        expect(() => parseCron('60 * * * *')).toThrow('fuera de rango');
+        expect(() => parseCron('10-5 * * * *')).toThrow('fuera de rango');
+        expect(() => parseCron('*/0 * * * *')).toThrow('fuera de rango');
+        expect(() => parseCron('a * * * *')).toThrow("minuto 'a' no reconocido");
+        expect(() => parseCron('')).toThrow('Expresión cron inválida');
+    });
+});
+
+describe('matchesCron', () => {
+    // Lunes 19 de octubre de 2026, 02:35 (hora local)
+    const monday = new Date(2026, 9, 19, 2, 35);
+
+    test('compara minuto, hora y mes en hora local', () => {
+        expect(matchesCron(parseCron('35 2 * * *'), monday)).toBe(true);
+        expect(matchesCron(parseCron('30 2 * * *'), monday)).toBe(false);
+        expect(matchesCron(parseCron('35 2 * 11 *'), monday)).toBe(false);
+    });
+
+    test('con día del mes y día de la semana restringidos basta con que coincida uno', () => {
+        expect(matchesCron(parseCron('35 2 1 * 1'), monday)).toBe(true);
+        expect(matchesCron(parseCron('35 2 19 * 0'), monday)).toBe(true);
+        expect(matchesCron(parseCron('35 2 1 * 0'), monday)).toBe(false);
+    });
+
+    test('con un solo campo de día restringido, ese debe coincidir', () => {
+        expect(matchesCron(parseCron('35 2 1 * *'), monday)).toBe(false);
+        expect(matchesCron(parseCron('35 2 * * 0'), monday)).toBe(false);
+        expect(matchesCron(parseCron('35 2 * * 1'), monday)).toBe(true);
+    });
+});
+
+describe('nextCronRun', () => {
+    test('devuelve el próximo minuto posterior a la referencia, sin segundos', () => {
+        const from = new Date(2026, 9, 19, 2, 5, 30);
+
+        expect(nextCronRun(parseCron('5 * * * *'), from)).toEqual(new Date(2026, 9, 19, 3, 5));
+        expect(nextCronRun(parseCron('*/10 * * * *'), from)).toEqual(new Date(2026, 9, 19, 2, 10));
+        expect(nextCronRun(parseCron('0 0 1 * *'), from)).toEqual(new Date(2026, 10, 1, 0, 0));
+    });
+
+    test('devuelve null si la programación nunca se cumple', () => {
+        expect(nextCronRun(parseCron('0 0 31 2 *'), new Date(2026, 9, 19))).toBeNull();
+    });
+});
@@ -0,0 +1,152 @@
+const { DISCOUNT_TIMEZONE } = require('./config');
+
+/**
+ * @fileoverview Vigencia de los descuentos del CSV (columnas opcionales `start` y `end`).
+ * Un descuento solo se aplica dentro de su ventana; antes de `start` o desde `end` el SKU se trata como sin
+ * descuento, así que la sincronización vuelve al precio regular y quita el precio de comparación.
+ *
+ * Fechas aceptadas: `AAAA-MM-DD`, `DD/MM/AAAA` o `DD-MM-AAAA`, con hora opcional (`HH:mm` o `HH:mm:ss`), en la zona
+ * horaria `DISCOUNT_TIMEZONE` (IANA, p. ej. `America/Santiago`; por defecto, la del servidor), o ISO 8601 con zona
+ * explícita (`2026-11-01T00:00:00-03:00`). Un `end` sin hora incluye todo ese día.
+ */
+
+const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+const YEAR_FIRST = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const DAY_FIRST = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Zona horaria de las fechas sin zona explícita.
+ * @returns {string|null} Zona IANA, o null para usar la del servidor.
+ * @throws {Error} Si DISCOUNT_TIMEZONE no es una zona válida.
+ */
+function getDiscountTimeZone() {
+    const timeZone = DISCOUNT_TIMEZONE;
+    if (!timeZone) return null;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+        throw new Error(`DISCOUNT_TIMEZONE no es una zona horaria válida: '${timeZone}'`);
+    }
+    return timeZone;
+}
+
+/**
+ * Diferencia en milisegundos entre la hora local de una zona y UTC en un instante dado.
+ * @param {number} timestamp Instante (epoch en ms).
+ * @param {string} timeZone Zona IANA.
+ * @returns {number}
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    const wallTime = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return wallTime - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convierte una hora local (año, mes, día, hora...) al instante correspondiente.
+ * @param {Array<number>} fields [año, mes (1-12), día, hora, minuto, segundo].
+ * @param {string|null} timeZone Zona IANA, o null para la del servidor.
+ * @returns {Date}
+ */
+function wallTimeToDate([year, month, day, hour, minute, second], timeZone) {
+    if (!timeZone) return new Date(year, month - 1, day, hour, minute, second);
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Se corrige con el desfase del instante resultante para que los cambios de horario caigan bien
+    const firstOffset = getTimeZoneOffset(wallTime, timeZone);
+    const secondOffset = getTimeZoneOffset(wallTime - firstOffset, timeZone);
+    return new Date(wallTime - secondOffset);
+}
+
+/**
+ * Interpreta una fecha de las columnas `start`/`end`.
+ * @param {string|undefined|null} value Valor de la celda.
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay=false] Si la fecha no trae hora, devolver el fin de ese día (para `end`).
+ * @param {string|null} [options.timeZone=null] Zona de las fechas sin zona explícita.
+ * @returns {Date|null} null si la celda está vacía.
+ * @throws {Error} Si la fecha no es válida.
+ */
+function parseScheduleDate(value, { endOfDay = false, timeZone = null } = {}) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (!text) return null;
+
+    if (ISO_WITH_ZONE.test(text)) {
+        const date = new Date(text);
+        if (isNaN(date.getTime())) throw new Error(`fecha inválida '${text}'`);
+        return date;
+    }
+
+    let match = YEAR_FIRST.exec(text);
+    let fields;
+    if (match) {
+        fields = [match[1], match[2], match[3], match[4], match[5], match[6]];
+    } else if ((match = DAY_FIRST.exec(text))) {
+        fields = [match[3], match[2], match[1], match[4], match[5], match[6]];
+    } else {
+        throw new Error(`fecha inválida '${text}' (use AAAA-MM-DD o DD/MM/AAAA, con hora HH:mm opcional)`);
+    }
+    const hasTime = fields[3] !== undefined;
+    const [year, month, day, hour, minute, second] = fields.map(field => parseInt(field || '0', 10));
+
+    // Validar el día (p. ej. 31/02) comparando con la fecha normalizada
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        throw new Error(`fecha inválida '${text}'`);
+    }
+
+    if (endOfDay && !hasTime) {
+        // Fin exclusivo: las 00:00 del día siguiente
+        const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+        return wallTimeToDate([nextDay.getUTCFullYear(), nextDay.getUTCMonth() + 1, nextDay.getUTCDate(), 0, 0, 0], timeZone);
+    }
+    return wallTimeToDate([year, month, day, hour, minute, second], timeZone);
+}
+
+/**
+ * Ventana de vigencia de una fila del CSV de descuentos.
+ * @param {string|undefined} startValue Celda `start`.
+ * @param {string|undefined} endValue Celda `end`.
+ * @param {string|null} timeZone Zona de las fechas sin zona explícita.
+ * @returns {{start: Date|null, end: Date|null}} `end` es exclusivo.
+ * @throws {Error} Si una fecha no es válida o `end` no es posterior a `start`.
+ */
+function parseDiscountWindow(startValue, endValue, timeZone) {
+    const start = parseScheduleDate(startValue, { timeZone });
+    const end = parseScheduleDate(endValue, { endOfDay: true, timeZone });
+    if (start && end && end <= start) {
+        throw new Error(`el fin (${end.toISOString()}) no es posterior al inicio (${start.toISOString()})`);
+    }
+    return { start, end };
+}
+
+/**
+ * Estado de una ventana en un instante.
+ * @param {{start: Date|null, end: Date|null}} window Ventana de parseDiscountWindow.
+ * @param {Date} [now=new Date()]
+ * @returns {'active'|'scheduled'|'expired'}
+ */
+function getWindowStatus({ start, end }, now = new Date()) {
+    if (start && now < start) return 'scheduled';
+    if (end && now >= end) return 'expired';
+    return 'active';
+}
+
+/**
+ * Texto de una ventana para los logs.
+ * @param {{start: Date|null, end: Date|null}} window
+ * @returns {string}
+ */
+function describeWindow({ start, end }) {
+    return `${start ? start.toISOString() : 'sin inicio'} -> ${end ? end.toISOString() : 'sin fin'}`;
+}
+
+module.exports = {
+    getDiscountTimeZone,
+    parseScheduleDate,
+    parseDiscountWindow,
+    getWindowStatus,
+    describeWindow,
+};
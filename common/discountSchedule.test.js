@@ -0,0 +1,75 @@
+const { parseScheduleDate, parseDiscountWindow, getWindowStatus } = require('./discountSchedule');
+
+const SANTIAGO = 'America/Santiago';
+
+describe('parseScheduleDate', () => {
+    test('una celda vacía no tiene fecha', () => {
+        expect(parseScheduleDate('')).toBeNull();
+        expect(parseScheduleDate('   ')).toBeNull();
+        expect(parseScheduleDate(undefined)).toBeNull();
+    });
+
+    test('acepta AAAA-MM-DD y DD/MM/AAAA con hora opcional en la zona indicada', () => {
+        expect(parseScheduleDate('2026-11-27', { timeZone: 'UTC' }).toISOString()).toBe('2026-11-27T00:00:00.000Z');
+        expect(parseScheduleDate('27/11/2026 08:30', { timeZone: 'UTC' }).toISOString()).toBe('2026-11-27T08:30:00.000Z');
+        expect(parseScheduleDate('27-11-2026', { timeZone: SANTIAGO }).toISOString()).toBe('2026-11-27T03:00:00.000Z');
+    });
+
+    test('una fecha ISO con zona explícita no usa la zona configurada', () => {
+        expect(parseScheduleDate('2026-11-27T00:00:00-03:00', { timeZone: 'Asia/Tokyo' }).toISOString()).toBe('2026-11-27T03:00:00.000Z');
+    });
+
+    test('un fin sin hora es exclusivo: las 00:00 del día siguiente', () => {
+        expect(parseScheduleDate('2026-11-30', { endOfDay: true, timeZone: 'UTC' }).toISOString()).toBe('2026-12-01T00:00:00.000Z');
+        expect(parseScheduleDate('31/12/2026', { endOfDay: true, timeZone: 'UTC' }).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+        expect(parseScheduleDate('2026-11-30 18:00', { endOfDay: true, timeZone: 'UTC' }).toISOString()).toBe('2026-11-30T18:00:00.000Z');
+    });
+
+    test('respeta los cambios de horario de la zona', () => {
+        // Santiago pasa de UTC-4 a UTC-3 el 6 de septiembre de 2026 y vuelve a UTC-4 el 5 de abril de 2026
+        expect(parseScheduleDate('2026-09-05 12:00', { timeZone: SANTIAGO }).toISOString()).toBe('2026-09-05T16:00:00.000Z');
+        expect(parseScheduleDate('2026-09-07 12:00', { timeZone: SANTIAGO }).toISOString()).toBe('2026-09-07T15:00:00.000Z');
+        // El fin del día del cambio es la medianoche del día siguiente en el horario nuevo
+        expect(parseScheduleDate('2026-09-05', { endOfDay: true, timeZone: SANTIAGO }).toISOString()).toBe('2026-09-06T03:00:00.000Z');
+        expect(parseScheduleDate('2026-04-04', { endOfDay: true, timeZone: SANTIAGO }).toISOString()).toBe('2026-04-05T04:00:00.000Z');
+    });
+
+    test('rechaza fechas inválidas', () => {
+        expect(() => parseScheduleDate('31/02/2026')).toThrow("fecha inválida '31/02/2026'");
+        expect(() => parseScheduleDate('2026-13-01')).toThrow('fecha inválida');
+        expect(() => parseScheduleDate('2026-11-27 24:00')).toThrow('fecha inválida');
+        expect(() => parseScheduleDate('mañana')).toThrow('use AAAA-MM-DD o DD/MM/AAAA');
+    });
+});
+
+describe('parseDiscountWindow', () => {
+    test('el fin debe ser posterior al inicio', () => {
+        expect(() => parseDiscountWindow('2026-11-27 10:00', '2026-11-27 10:00', 'UTC')).toThrow('no es posterior al inicio');
+        expect(parseDiscountWindow('2026-11-27', '2026-11-27', 'UTC')).toEqual({
+            start: new Date('2026-11-27T00:00:00.000Z'),
+            end: new Date('2026-11-28T00:00:00.000Z'),
+        });
+    });
+
+    test('inicio y fin son opcionales', () => {
+        expect(parseDiscountWindow('', undefined, 'UTC')).toEqual({ start: null, end: null });
+    });
+});
+
+describe('getWindowStatus', () => {
+    const window = parseDiscountWindow('2026-11-27', '2026-11-30', 'UTC');
+
+    test('antes del inicio está programado y desde el inicio, activo', () => {
+        expect(getWindowStatus(window, new Date('2026-11-26T23:59:59.999Z'))).toBe('scheduled');
+        expect(getWindowStatus(window, new Date('2026-11-27T00:00:00.000Z'))).toBe('active');
+    });
+
+    test('el fin es exclusivo: todo el último día sigue activo', () => {
+        expect(getWindowStatus(window, new Date('2026-11-30T23:59:59.999Z'))).toBe('active');
+        expect(getWindowStatus(window, new Date('2026-12-01T00:00:00.000Z'))).toBe('expired');
+    });
+
+    test('una ventana sin límites siempre está activa', () => {
+        expect(getWindowStatus({ start: null, end: null }, new Date('2000-01-01T00:00:00Z'))).toBe('active');
+    });
+});
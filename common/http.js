@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Funciones HTTP compartidas por los servidores admin-server.js y webhook-server.js.
+ */
+
+/**
+ * Lee el cuerpo completo de la petición, rechazando cuerpos demasiado grandes.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes Tamaño máximo del cuerpo; si se supera, la promesa se rechaza con `statusCode` 413.
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error(`Cuerpo mayor a ${maxBytes} bytes`), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Responde con un cuerpo JSON.
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode Código HTTP.
+ * @param {Object} body Objeto a serializar.
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = {
+    readBody,
+    sendJson,
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { cleanSku } = require('./utils');
+
+/**
+ * @fileoverview Estado del modo incremental de main-sync (`--incremental`).
+ * Por cada fase (price, inventory) se guarda la hora de inicio de la última ejecución completada con éxito
+ * y un hash de los datos de Delfin de cada SKU. En la siguiente ejecución solo pasan al cálculo de cambios
+ * los SKUs cuyo hash cambió y los de variantes modificadas en Shopify desde esa hora.
+ *
+ * Forma del archivo:
+ * { version: 1, updatedAt, phases: { price: { lastSuccessfulRunAt, hashes: { sku: hash } }, inventory: { ... } } }
+ */
+
+const STATE_VERSION = 1;
+
+/**
+ * Hash estable de un valor serializable.
+ * @param {*} value Valor a resumir.
+ * @returns {string}
+ */
+function hashRecord(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Calcula el hash por SKU de los datos que determinan el precio: registros de Delfin y descuento aplicado.
+ * @param {Array<Object>} localProducts Productos de Delfin (DATA_API_URL).
+ * @param {Map<string, number>} discountMap Mapa de descuentos por SKU limpio.
+ * @returns {Object<string, string>} SKU limpio -> hash.
+ */
+function hashPriceSources(localProducts, discountMap) {
+    const recordsBySku = new Map();
+    localProducts.forEach(product => {
+        const sku = cleanSku(product.CodigoProducto);
+        if (!sku) return;
+        if (!recordsBySku.has(sku)) recordsBySku.set(sku, []);
+        recordsBySku.get(sku).push(product);
+    });
+    const hashes = {};
+    for (const [sku, records] of recordsBySku) {
+        hashes[sku] = hashRecord({ records, discount: discountMap.has(sku) ? discountMap.get(sku) : null });
+    }
+    return hashes;
+}
+
+/**
+ * Calcula el hash por SKU del inventario de Delfin.
+ * @param {Object<string, number>} localInventory SKU limpio -> cantidad.
+ * @returns {Object<string, string>} SKU limpio -> hash.
+ */
+function hashInventorySources(localInventory) {
+    return Object.fromEntries(Object.entries(localInventory).map(([sku, quantity]) => [sku, hashRecord(quantity)]));
+}
+
+/**
+ * SKUs nuevos o con un hash distinto al de la ejecución anterior.
+ * @param {Object<string, string>} previous Hashes de la ejecución anterior.
+ * @param {Object<string, string>} current Hashes actuales.
+ * @returns {Set<string>}
+ */
+function diffHashes(previous, current) {
+    const changed = new Set();
+    Object.entries(current).forEach(([sku, hash]) => {
+        if (previous[sku] !== hash) changed.add(sku);
+    });
+    return changed;
+}
+
+/**
+ * Construye los filtros de búsqueda de Shopify (`sku:A OR sku:B ...`) para consultar variantes por SKU.
+ * @param {Iterable<string>} skus SKUs a buscar (limpios y/o tal como vienen de Delfin).
+ * @param {number} [batchSize=50] SKUs por consulta, para no exceder el largo máximo del filtro.
+ * @returns {Array<string>}
+ */
+function buildSkuSearchQueries(skus, batchSize = 50) {
+    const terms = [...new Set([...skus].map(sku => String(sku).trim()).filter(Boolean))];
+    const queries = [];
+    for (let i = 0; i < terms.length; i += batchSize) {
+        queries.push(terms.slice(i, i + batchSize).map(sku => `sku:"${sku.replace(/(["\\])/g, '\\$1')}"`).join(' OR '));
+    }
+    return queries;
+}
+
+/**
+ * Lee el estado incremental. Si no existe, devuelve un estado vacío (la ejecución será completa).
+ * @param {string} statePath Ruta del archivo de estado.
+ * @returns {{version: number, updatedAt: string|null, phases: Object}}
+ */
+function loadIncrementalState(statePath) {
+    if (!fs.existsSync(statePath)) {
+        return { version: STATE_VERSION, updatedAt: null, phases: {} };
+    }
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (state.version !== STATE_VERSION) {
+        throw new Error(`Versión de estado incremental no soportada (${state.version}) en ${statePath}`);
+    }
+    return state;
+}
+
+/**
+ * Guarda el estado incremental de forma atómica (archivo temporal + rename).
+ * @param {string} statePath Ruta del archivo de estado.
+ * @param {Object} state Estado a guardar.
+ */
+function saveIncrementalState(statePath, state) {
+    const dir = path.dirname(path.resolve(statePath));
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ ...state, version: STATE_VERSION, updatedAt: new Date().toISOString() }), 'utf8');
+    fs.renameSync(tmpPath, statePath);
+}
+
+module.exports = {
+    hashRecord,
+    hashPriceSources,
+    hashInventorySources,
+    diffHashes,
+    buildSkuSearchQueries,
+    loadIncrementalState,
+    saveIncrementalState,
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { JOURNAL_DIR } = require('./config');
+
+/**
+ * @fileoverview Diario de mutaciones por ejecución.
+ * Cada cambio de precio, inventario o costo unitario aplicado con éxito en Shopify se agrega como una línea JSON
+ * a `<JOURNAL_DIR>/<runId>.jsonl`, con los valores antes y después y la tienda (`shopName`). Sirve para revertir una
+ * ejecución completa con `node main-sync.js rollback <runId>`, que usa las credenciales de esa tienda.
+ *
+ * Las escrituras son síncronas para que el diario quede completo aunque el proceso se interrumpa.
+ */
+
+class MutationJournal {
+    constructor() {
+        this.journalDir = path.resolve(JOURNAL_DIR);
+        this.runId = null;
+        this.source = null;
+        this.shopName = null;
+        this.journalPath = null;
+    }
+
+    /**
+     * Activa el diario para una ejecución. Si el archivo ya existe (ejecución reanudada) se sigue agregando al final.
+     * @param {string} runId Identificador de la ejecución.
+     * @param {string} source Script que realiza las mutaciones (se guarda en cada entrada).
+     * @param {string|null} [shopName=null] Tienda de Shopify que se modifica (se guarda en cada entrada).
+     */
+    init(runId, source, shopName = null) {
+        this.runId = runId;
+        this.source = source;
+        this.shopName = shopName;
+        this.journalPath = this.getJournalPath(runId);
+        if (!fs.existsSync(this.journalDir)) {
+            fs.mkdirSync(this.journalDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Cambia la tienda registrada en las entradas siguientes (apply y rollback operan sobre la tienda del plan).
+     * @param {string|null} shopName Tienda de Shopify.
+     */
+    setShopName(shopName) {
+        this.shopName = shopName;
+    }
+
+    /**
+     * @returns {boolean} Si hay una ejecución activa registrando mutaciones.
+     */
+    isActive() {
+        return !!this.journalPath;
+    }
+
+    /**
+     * @param {string} runId Identificador de la ejecución.
+     * @returns {string} Ruta del archivo de diario de la ejecución.
+     */
+    getJournalPath(runId) {
+        return path.join(this.journalDir, `${runId}.jsonl`);
+    }
+
+    /**
+     * Registra una mutación aplicada. No hace nada si el diario no se inicializó.
+     * @param {Object} change Cambio en el formato del plan (`type`, `sku`, `before`, `after` e identificadores).
+     */
+    record(change) {
+        if (!this.journalPath) return;
+        const entry = {
+            ts: new Date().toISOString(),
+            runId: this.runId,
+            source: this.source,
+            shopName: this.shopName,
+            type: change.type,
+            sku: change.sku,
+            displayName: change.displayName || null,
+            variantId: change.variantId || null,
+            productId: change.productId || null,
+            inventoryItemId: change.inventoryItemId || null,
+            locationId: change.locationId || null,
+            before: change.before,
+            after: change.after,
+        };
+        fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n', 'utf8');
+    }
+
+    /**
+     * Lee todas las entradas de una ejecución, en orden de registro.
+     * @param {string} runId Identificador de la ejecución.
+     * @returns {Array<Object>}
+     * @throws {Error} Si no existe el diario de esa ejecución.
+     */
+    readRun(runId) {
+        const journalPath = this.getJournalPath(runId);
+        if (!fs.existsSync(journalPath)) {
+            throw new Error(`No existe el diario de la ejecución ${runId} (${journalPath})`);
+        }
+        return fs.readFileSync(journalPath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Lista los identificadores de ejecución con diario, del más reciente al más antiguo.
+     * @returns {Array<string>}
+     */
+    listRuns() {
+        if (!fs.existsSync(this.journalDir)) return [];
+        return fs.readdirSync(this.journalDir)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => ({ runId: file.slice(0, -'.jsonl'.length), mtime: fs.statSync(path.join(this.journalDir, file)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime)
+            .map(run => run.runId);
+    }
+}
+
+module.exports = new MutationJournal();
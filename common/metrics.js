@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { METRICS_STATE_PATH, METRICS_TEXTFILE_PATH, METRICS_JOB } = require('./config');
+
+/**
+ * @fileoverview Métricas de Prometheus de las sincronizaciones.
+ * Al terminar, cada ejecución (main-sync.js, price-update.js, inventory-update.js y shopify-price-updater-direct.js)
+ * suma sus estadísticas a los contadores acumulados de su trabajo en `METRICS_STATE_PATH` y, si está configurado,
+ * reescribe `METRICS_TEXTFILE_PATH` en el formato de texto de Prometheus para el textfile collector de node_exporter.
+ * admin-server.js expone las mismas métricas en GET /metrics.
+ *
+ * El trabajo (etiqueta `job`) es `METRICS_JOB` si está definido (scheduler.js lo fija con el nombre de cada trabajo)
+ * o el nombre por defecto que indique cada script.
+ */
+
+const STATE_VERSION = 1;
+const PREFIX = 'shopify_sync';
+const RESULTS = ['updated', 'unchanged', 'skipped', 'errors'];
+
+// Descripción y tipo de cada métrica, en el orden en que se escriben
+const METRICS = [
+    ['runs_total', 'counter', 'Ejecuciones terminadas, por estado (success, incomplete, failed)'],
+    ['variants_total', 'counter', 'Variantes procesadas por tipo de cambio (price, inventory, variant) y resultado'],
+    ['skus_not_found_total', 'counter', 'SKUs de Delfin o del CSV de descuentos que no existen en Shopify'],
+    ['request_retries_total', 'counter', 'Reintentos de solicitudes a las APIs, por motivo (error, throttled)'],
+    ['throttle_waits_total', 'counter', 'Esperas del limitador de costo de Shopify'],
+    ['throttle_wait_seconds_total', 'counter', 'Segundos esperados por el limitador de costo de Shopify'],
+    ['throttled_requests_total', 'counter', 'Respuestas THROTTLED de Shopify'],
+    ['last_run_duration_seconds', 'gauge', 'Duración de la última ejecución'],
+    ['last_run_success', 'gauge', '1 si la última ejecución terminó correctamente, 0 si no'],
+    ['last_run_timestamp_seconds', 'gauge', 'Fin de la última ejecución (epoch en segundos)'],
+    ['last_success_timestamp_seconds', 'gauge', 'Fin de la última ejecución correcta (epoch en segundos)'],
+];
+
+/**
+ * Escapa el valor de una etiqueta según el formato de texto de Prometheus.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Línea de una muestra: nombre{etiquetas} valor.
+ * @param {string} name Nombre sin prefijo.
+ * @param {Object<string, string>} labels Etiquetas.
+ * @param {number} value Valor.
+ * @returns {string}
+ */
+function sample(name, labels, value) {
+    const labelText = Object.entries(labels).map(([key, val]) => `${key}="${escapeLabel(val)}"`).join(',');
+    return `${PREFIX}_${name}{${labelText}} ${Number.isFinite(value) ? value : 0}`;
+}
+
+class SyncMetrics {
+    constructor() {
+        this.statePath = path.resolve(METRICS_STATE_PATH);
+        this.textfilePath = METRICS_TEXTFILE_PATH ? path.resolve(METRICS_TEXTFILE_PATH) : null;
+        this.jobOverride = METRICS_JOB;
+        // Reintentos de fetchWithRetry en este proceso y cuántos ya se sumaron a una ejecución registrada
+        // (admin-server.js registra varias ejecuciones en el mismo proceso)
+        this.retries = { error: 0, throttled: 0 };
+        this.reportedRetries = { error: 0, throttled: 0 };
+        this.reportedThrottle = new WeakMap();
+    }
+
+    /**
+     * Registra un reintento de solicitud.
+     * @param {'error'|'throttled'} reason Motivo del reintento.
+     */
+    countRetry(reason) {
+        this.retries[reason] = (this.retries[reason] || 0) + 1;
+    }
+
+    /**
+     * Convierte las estadísticas de runPriceUpdate o runInventoryUpdate en los resultados de recordRun.
+     * Sin cambios: ya coincidían con Delfin. Omitidas: no se compararon (sin cambios en modo incremental, ya procesadas
+     * según el checkpoint, precio inválido en Delfin, precio en cuarentena o inventario no rastreado).
+     * @param {'price'|'inventory'} type Fase.
+     * @param {Object} stats Estadísticas de la fase.
+     * @returns {{updated: number, unchanged: number, skipped: number, errors: number, notFound: number}}
+     */
+    phaseResults(type, stats) {
+        const skipped = (stats.unchangedSource || 0) + (stats.alreadyProcessed || 0)
+            + (type === 'price' ? (stats.localInvalidPrice || 0) + (stats.quarantined || 0) : stats.notTracked || 0);
+        return {
+            updated: stats.updated || 0,
+            unchanged: stats.noChange || 0,
+            skipped,
+            errors: stats.errors || 0,
+            notFound: (type === 'price' ? stats.notFound : stats.notFoundInShopify) || 0,
+        };
+    }
+
+    /**
+     * Nombre del trabajo para las etiquetas.
+     * @param {string} defaultJob Nombre por defecto del script.
+     * @returns {string}
+     */
+    resolveJob(defaultJob) {
+        return this.jobOverride || defaultJob;
+    }
+
+    /**
+     * Lee el estado acumulado. Si no existe o no se puede leer, empieza de cero.
+     * @returns {{version: number, jobs: Object}}
+     */
+    load() {
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            if (state.version === STATE_VERSION && state.jobs) return state;
+        } catch (error) {
+            // Sin estado previo: los contadores empiezan en cero
+        }
+        return { version: STATE_VERSION, jobs: {} };
+    }
+
+    /**
+     * Escribe un archivo de forma atómica (archivo temporal + rename), como exige el textfile collector.
+     * @param {string} filePath Ruta del archivo.
+     * @param {string} content Contenido.
+     */
+    writeAtomic(filePath, content) {
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, content, 'utf8');
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    /**
+     * Suma una ejecución terminada a las métricas de su trabajo y actualiza el archivo de texto.
+     * @param {string} defaultJob Trabajo si no se definió METRICS_JOB (p. ej. 'main-sync-both', 'price-update').
+     * @param {Object} run
+     * @param {'success'|'incomplete'|'failed'} run.status Estado final.
+     * @param {number} run.durationSeconds Duración.
+     * @param {Object<string, {updated?: number, unchanged?: number, skipped?: number, errors?: number, notFound?: number}>} [run.phases]
+     * Resultados por tipo de cambio (price, inventory, variant).
+     * @param {{waits: number, totalWaitMs: number, throttled: number}} [run.throttleStats] Estadísticas acumuladas del
+     * limitador de Shopify del proceso; se suma solo lo ocurrido desde la ejecución anterior registrada.
+     * @param {Date} [run.finishedAt=new Date()] Fin de la ejecución.
+     * @returns {string} Trabajo con el que se registró.
+     */
+    recordRun(defaultJob, { status, durationSeconds, phases = {}, throttleStats = null, finishedAt = new Date() }) {
+        const job = this.resolveJob(defaultJob);
+        const state = this.load();
+        const entry = state.jobs[job] || {
+            runs: {},
+            variants: {},
+            notFound: {},
+            retries: {},
+            throttle: { waits: 0, waitSeconds: 0, throttled: 0 },
+            lastRun: null,
+            lastSuccessAt: null,
+        };
+        const add = (obj, key, value) => { obj[key] = (obj[key] || 0) + (Number(value) || 0); };
+
+        add(entry.runs, status, 1);
+        Object.entries(phases).forEach(([type, results]) => {
+            entry.variants[type] = entry.variants[type] || {};
+            RESULTS.forEach(result => add(entry.variants[type], result, results[result]));
+            if (results.notFound !== undefined) add(entry.notFound, type, results.notFound);
+        });
+
+        Object.keys(this.retries).forEach(reason => {
+            add(entry.retries, reason, this.retries[reason] - (this.reportedRetries[reason] || 0));
+            this.reportedRetries[reason] = this.retries[reason];
+        });
+        if (throttleStats) {
+            const previous = this.reportedThrottle.get(throttleStats) || { waits: 0, totalWaitMs: 0, throttled: 0 };
+            add(entry.throttle, 'waits', throttleStats.waits - previous.waits);
+            add(entry.throttle, 'waitSeconds', (throttleStats.totalWaitMs - previous.totalWaitMs) / 1000);
+            add(entry.throttle, 'throttled', throttleStats.throttled - previous.throttled);
+            this.reportedThrottle.set(throttleStats, { ...throttleStats });
+        }
+
+        const finishedAtSeconds = Math.floor(finishedAt.getTime() / 1000);
+        entry.lastRun = { status, durationSeconds, finishedAt: finishedAtSeconds };
+        if (status === 'success') entry.lastSuccessAt = finishedAtSeconds;
+        state.jobs[job] = entry;
+
+        this.writeAtomic(this.statePath, JSON.stringify(state, null, 2));
+        if (this.textfilePath) {
+            this.writeAtomic(this.textfilePath, this.render(state));
+        }
+        return job;
+    }
+
+    /**
+     * Métricas de todos los trabajos en el formato de texto de Prometheus.
+     * @param {Object} [state] Estado acumulado (por defecto, el guardado en disco).
+     * @returns {string}
+     */
+    render(state = this.load()) {
+        const samples = Object.fromEntries(METRICS.map(([name]) => [name, []]));
+        Object.entries(state.jobs).sort(([a], [b]) => a.localeCompare(b)).forEach(([job, entry]) => {
+            Object.entries(entry.runs).forEach(([status, count]) => samples.runs_total.push(sample('runs_total', { job, status }, count)));
+            Object.entries(entry.variants).forEach(([type, results]) => {
+                RESULTS.forEach(result => samples.variants_total.push(sample('variants_total', { job, type, result }, results[result] || 0)));
+            });
+            Object.entries(entry.notFound).forEach(([type, count]) => samples.skus_not_found_total.push(sample('skus_not_found_total', { job, type }, count)));
+            Object.entries(entry.retries).forEach(([reason, count]) => samples.request_retries_total.push(sample('request_retries_total', { job, reason }, count)));
+            samples.throttle_waits_total.push(sample('throttle_waits_total', { job }, entry.throttle.waits));
+            samples.throttle_wait_seconds_total.push(sample('throttle_wait_seconds_total', { job }, Math.round(entry.throttle.waitSeconds * 1000) / 1000));
+            samples.throttled_requests_total.push(sample('throttled_requests_total', { job }, entry.throttle.throttled));
+            if (entry.lastRun) {
+                samples.last_run_duration_seconds.push(sample('last_run_duration_seconds', { job }, entry.lastRun.durationSeconds));
+                samples.last_run_success.push(sample('last_run_success', { job }, entry.lastRun.status === 'success' ? 1 : 0));
+                samples.last_run_timestamp_seconds.push(sample('last_run_timestamp_seconds', { job }, entry.lastRun.finishedAt));
+            }
+            if (entry.lastSuccessAt) {
+                samples.last_success_timestamp_seconds.push(sample('last_success_timestamp_seconds', { job }, entry.lastSuccessAt));
+            }
+        });
+
+        return METRICS
+            .filter(([name]) => samples[name].length > 0)
+            .map(([name, type, help]) => [`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`, ...samples[name]].join('\n'))
+            .join('\n') + '\n';
+    }
+}
+
+module.exports = new SyncMetrics();
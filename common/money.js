@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Formato de los montos en diarios, planes, archivos de cuarentena y reportes.
+ * Sin dependencias, para que el script independiente shopify-price-updater-direct.js use el mismo formato
+ * que common/utils.js.
+ */
+
+/**
+ * Normaliza un valor monetario de Shopify a string con 2 decimales (o null).
+ * @param {string|number|null|undefined} value El valor a normalizar.
+ * @returns {string|null}
+ */
+function toMoneyString(value) {
+    return value !== null && value !== undefined ? parseFloat(value).toFixed(2) : null;
+}
+
+module.exports = { toMoneyString };
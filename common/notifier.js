@@ -0,0 +1,195 @@
+const axios = require('axios');
+const {
+    NOTIFY_WEBHOOK_URL,
+    NOTIFY_WEBHOOK_HEADERS,
+    NOTIFY_EMAIL_TO,
+    NOTIFY_EMAIL_FROM,
+    NOTIFY_ONLY_ON_ERRORS,
+    NOTIFY_MAX_FAILED_SKUS,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_SECURE,
+    SMTP_USER,
+    SMTP_PASS,
+} = require('./config');
+
+/**
+ * @fileoverview Notificaciones al terminar una ejecución (main-sync.js, price-update.js, inventory-update.js y
+ * shopify-price-updater-direct.js): envía el mismo resumen que se imprime en el log, con los SKUs que fallaron,
+ * a un webhook JSON genérico (`NOTIFY_WEBHOOK_URL`) y/o por correo SMTP (`NOTIFY_EMAIL_TO`).
+ * Con `NOTIFY_ONLY_ON_ERRORS=true` solo se notifica si la ejecución no terminó correctamente o tuvo errores.
+ *
+ * Nunca lanza errores: devuelve qué canales fallaron para que cada script lo registre en su log.
+ */
+
+const STATUS_LABELS = { success: '✅ correcta', incomplete: '⚠️ incompleta', failed: '❌ fallida' };
+
+/**
+ * Arma la configuración de notificaciones a partir de common/config.js.
+ * @returns {Object}
+ */
+function getNotifierConfig() {
+    let webhookHeaders = {};
+    if (NOTIFY_WEBHOOK_HEADERS) {
+        try {
+            webhookHeaders = JSON.parse(NOTIFY_WEBHOOK_HEADERS);
+        } catch (error) {
+            throw new Error(`NOTIFY_WEBHOOK_HEADERS no es un JSON válido: ${error.message}`);
+        }
+    }
+    return {
+        webhookUrl: NOTIFY_WEBHOOK_URL,
+        webhookHeaders,
+        emailTo: NOTIFY_EMAIL_TO.split(',').map(address => address.trim()).filter(Boolean),
+        emailFrom: NOTIFY_EMAIL_FROM,
+        smtp: {
+            host: SMTP_HOST,
+            port: SMTP_PORT,
+            secure: SMTP_SECURE,
+            auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+        },
+        onlyOnErrors: NOTIFY_ONLY_ON_ERRORS,
+        maxFailedSkus: NOTIFY_MAX_FAILED_SKUS,
+    };
+}
+
+/**
+ * Indica si la ejecución terminó mal o tuvo errores o SKUs pendientes (fallidos o en cuarentena) en alguna sección.
+ * @param {Object} report Reporte de notifyRunFinished.
+ * @returns {boolean}
+ */
+function hasErrors(report) {
+    return report.status !== 'success'
+        || (report.sections || []).some(section => section.errors > 0 || (section.failures || []).length > 0);
+}
+
+/**
+ * Estado para el encabezado y el asunto; una ejecución correcta con SKUs fallidos se marca como tal.
+ * @param {Object} report Reporte de notifyRunFinished.
+ * @returns {string}
+ */
+function statusLabel(report) {
+    const label = STATUS_LABELS[report.status] || report.status;
+    return report.status === 'success' && hasErrors(report) ? '⚠️ correcta con errores' : label;
+}
+
+/**
+ * Texto plano del reporte: encabezado, resumen de cada sección y SKUs fallidos (hasta maxFailedSkus por sección).
+ * @param {Object} report Reporte de notifyRunFinished.
+ * @param {number} maxFailedSkus Máximo de SKUs fallidos listados por sección.
+ * @returns {string}
+ */
+function formatReportText(report, maxFailedSkus) {
+    const lines = [
+        `${report.source}: ejecución ${statusLabel(report)} (${report.runId})`,
+        `Duración: ${report.durationSeconds} s${report.startedAt ? ` - iniciada ${new Date(report.startedAt).toLocaleString()}` : ''}`,
+    ];
+    if (report.error) {
+        lines.push(`Error: ${report.error}`);
+    }
+    (report.sections || []).forEach(section => {
+        lines.push('', `== ${section.title} ==`, ...section.lines);
+        const failures = section.failures || [];
+        if (failures.length > 0) {
+            lines.push(`SKUs con error (${failures.length}):`);
+            failures.slice(0, maxFailedSkus).forEach(f => lines.push(`  ❌ SKU ${f.sku}: ${f.message}`));
+            if (failures.length > maxFailedSkus) {
+                lines.push(`  ... y ${failures.length - maxFailedSkus} más (ver el log)`);
+            }
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Envía el reporte por correo con nodemailer.
+ * @param {Object} config Configuración de getNotifierConfig.
+ * @param {string} subject Asunto.
+ * @param {string} text Cuerpo.
+ */
+async function sendEmail(config, subject, text) {
+    if (!config.smtp.host) {
+        throw new Error('NOTIFY_EMAIL_TO está definido pero falta SMTP_HOST');
+    }
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport(config.smtp);
+    await transporter.sendMail({ from: config.emailFrom, to: config.emailTo.join(', '), subject, text });
+}
+
+/**
+ * Notifica el fin de una ejecución por los canales configurados.
+ * @param {Object} report
+ * @param {string} report.source Script que se ejecutó (p. ej. 'main-sync', 'price-update').
+ * @param {string} report.runId Identificador de la ejecución.
+ * @param {'success'|'incomplete'|'failed'} report.status Estado final.
+ * @param {number} report.durationSeconds Duración.
+ * @param {string} [report.startedAt] Inicio (ISO).
+ * @param {string|null} [report.error] Mensaje del error fatal, si lo hubo.
+ * @param {Array<{title: string, errors: number, lines: Array<string>, failures: Array<{sku: string, message: string}>}>} report.sections
+ * Resumen de cada fase o tienda, con los SKUs que fallaron.
+ * @returns {Promise<{sent: Array<string>, failed: Array<{channel: string, error: string}>, skipped: string|null}>}
+ */
+async function notifyRunFinished(report) {
+    const result = { sent: [], failed: [], skipped: null };
+    let config;
+    try {
+        config = getNotifierConfig();
+    } catch (error) {
+        result.failed.push({ channel: 'config', error: error.message });
+        return result;
+    }
+    if (!config.webhookUrl && config.emailTo.length === 0) {
+        result.skipped = 'sin canales configurados';
+        return result;
+    }
+    const withErrors = hasErrors(report);
+    if (config.onlyOnErrors && !withErrors) {
+        result.skipped = 'ejecución sin errores (NOTIFY_ONLY_ON_ERRORS)';
+        return result;
+    }
+
+    const text = formatReportText(report, config.maxFailedSkus);
+    const channels = [];
+    if (config.webhookUrl) {
+        // `text` permite usar directamente webhooks entrantes de chats (Slack, Google Chat, Mattermost...)
+        const payload = {
+            text,
+            source: report.source,
+            runId: report.runId,
+            status: report.status,
+            hasErrors: withErrors,
+            durationSeconds: report.durationSeconds,
+            startedAt: report.startedAt || null,
+            error: report.error || null,
+            sections: (report.sections || []).map(section => ({
+                ...section,
+                failures: (section.failures || []).slice(0, config.maxFailedSkus),
+                failedCount: (section.failures || []).length,
+            })),
+        };
+        channels.push(['webhook', () => axios.post(config.webhookUrl, payload, {
+            headers: { 'Content-Type': 'application/json', ...config.webhookHeaders },
+            timeout: 15000,
+        })]);
+    }
+    if (config.emailTo.length > 0) {
+        const subject = `[Shopify sync] ${report.source}: ${statusLabel(report)} (${report.runId})`;
+        channels.push(['email', () => sendEmail(config, subject, text)]);
+    }
+
+    const outcomes = await Promise.allSettled(channels.map(([, send]) => send()));
+    outcomes.forEach((outcome, i) => {
+        const channel = channels[i][0];
+        if (outcome.status === 'fulfilled') {
+            result.sent.push(channel);
+        } else {
+            result.failed.push({ channel, error: outcome.reason?.message || String(outcome.reason) });
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    notifyRunFinished,
+    formatReportText,
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { cleanSku } = require('./utils');
+
+/**
+ * @fileoverview Ventas online aún no facturadas en Delfin, registradas por webhook-server.js.
+ * Entre sincronizaciones, un pedido online descuenta stock en Shopify pero Delfin sigue mostrando la cantidad
+ * anterior hasta que se factura. inventory-update.js resta estas cantidades comprometidas al inventario de Delfin
+ * para no volver a publicar las unidades vendidas.
+ *
+ * Cada pedido se guarda por su ID (los webhooks repetidos no suman dos veces) y deja de contar cuando se cancela
+ * o cuando Delfin ya refleja la venta. La API de inventario de Delfin solo da el stock por SKU (sin documentos),
+ * así que la primera sincronización que ve una línea guarda el stock de Delfin de ese momento (`delfinBefore`) y
+ * la línea se da por facturada cuando el stock baja al menos su cantidad (los pedidos más antiguos primero).
+ * `ttlHours` es solo un límite: una reposición que compensa la baja, o una factura anterior a la primera
+ * sincronización, hace que la línea se siga restando hasta que venza (sobre-reserva conocida). A la inversa, una
+ * venta en tienda del mismo SKU puede confundirse con la factura del pedido y liberarlo antes.
+ *
+ * Forma del archivo:
+ * { version: 1, updatedAt, orders: { orderId: { name, createdAt, recordedAt, lines: [{ sku, quantity, delfinBefore?, reflectedAt? }] } } }
+ */
+
+const STORE_VERSION = 1;
+
+/**
+ * Lee el archivo de compromisos. Si no existe, devuelve un almacén vacío.
+ * @param {string} storePath Ruta del archivo.
+ * @returns {{version: number, updatedAt: string|null, orders: Object}}
+ */
+function loadCommitments(storePath) {
+    if (!fs.existsSync(storePath)) {
+        return { version: STORE_VERSION, updatedAt: null, orders: {} };
+    }
+    const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    if (store.version !== STORE_VERSION) {
+        throw new Error(`Versión de compromisos online no soportada (${store.version}) en ${storePath}`);
+    }
+    return store;
+}
+
+/**
+ * Guarda el archivo de compromisos de forma atómica (archivo temporal + rename).
+ * @param {string} storePath Ruta del archivo.
+ * @param {Object} store Almacén a guardar.
+ */
+function saveCommitments(storePath, store) {
+    const dir = path.dirname(path.resolve(storePath));
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ ...store, version: STORE_VERSION, updatedAt: new Date().toISOString() }), 'utf8');
+    fs.renameSync(tmpPath, storePath);
+}
+
+/**
+ * Indica si un pedido ya no debe restarse (superó el TTL).
+ * @param {Object} order Pedido guardado.
+ * @param {number} ttlHours Horas que cuenta un pedido desde su creación.
+ * @param {Date} now Fecha de referencia.
+ * @returns {boolean}
+ */
+function isExpired(order, ttlHours, now) {
+    return now.getTime() - new Date(order.createdAt).getTime() > ttlHours * 60 * 60 * 1000;
+}
+
+/**
+ * Registra un pedido recibido por el webhook `orders/create`. Las líneas sin SKU se ignoran
+ * y se descartan los pedidos vencidos.
+ * @param {string} storePath Ruta del archivo.
+ * @param {Object} order Payload del webhook (pedido REST de Shopify: id, name, created_at, line_items).
+ * @param {number} ttlHours Horas que cuenta un pedido desde su creación.
+ * @returns {{recorded: boolean, lines: number}} recorded=false si el pedido ya estaba registrado o no tiene líneas con SKU.
+ */
+function recordOrder(storePath, order, ttlHours) {
+    const store = loadCommitments(storePath);
+    const orderId = String(order.id);
+    if (store.orders[orderId]) {
+        return { recorded: false, lines: store.orders[orderId].lines.length };
+    }
+
+    const quantities = new Map();
+    (order.line_items || []).forEach(item => {
+        const sku = cleanSku(item.sku);
+        const quantity = Number(item.quantity) || 0;
+        if (sku && quantity > 0) {
+            quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+        }
+    });
+    if (quantities.size === 0) {
+        return { recorded: false, lines: 0 };
+    }
+
+    const now = new Date();
+    store.orders[orderId] = {
+        name: order.name || null,
+        createdAt: order.created_at || now.toISOString(),
+        recordedAt: now.toISOString(),
+        lines: [...quantities].map(([sku, quantity]) => ({ sku, quantity })),
+    };
+    pruneExpired(store, ttlHours, now);
+    saveCommitments(storePath, store);
+    return { recorded: true, lines: quantities.size };
+}
+
+/**
+ * Quita un pedido cancelado (webhook `orders/cancelled`): sus unidades vuelven a estar disponibles.
+ * @param {string} storePath Ruta del archivo.
+ * @param {Object} order Payload del webhook.
+ * @returns {boolean} true si el pedido estaba registrado.
+ */
+function cancelOrder(storePath, order) {
+    const store = loadCommitments(storePath);
+    const orderId = String(order.id);
+    if (!store.orders[orderId]) {
+        return false;
+    }
+    delete store.orders[orderId];
+    saveCommitments(storePath, store);
+    return true;
+}
+
+/**
+ * Elimina del almacén los pedidos vencidos.
+ * @param {Object} store Almacén cargado.
+ * @param {number} ttlHours Horas que cuenta un pedido desde su creación.
+ * @param {Date} [now=new Date()] Fecha de referencia.
+ * @returns {number} Pedidos eliminados.
+ */
+function pruneExpired(store, ttlHours, now = new Date()) {
+    let removed = 0;
+    Object.entries(store.orders).forEach(([orderId, order]) => {
+        if (isExpired(order, ttlHours, now)) {
+            delete store.orders[orderId];
+            removed++;
+        }
+    });
+    return removed;
+}
+
+/**
+ * Suma por SKU las cantidades de las líneas vigentes de un almacén ya cargado.
+ * @param {Object} store Almacén cargado.
+ * @param {number} ttlHours Horas que cuenta un pedido desde su creación.
+ * @param {Date} now Fecha de referencia.
+ * @returns {Map<string, number>}
+ */
+function sumCommitted(store, ttlHours, now) {
+    const committed = new Map();
+    Object.values(store.orders).forEach(order => {
+        if (isExpired(order, ttlHours, now)) return;
+        order.lines.forEach(({ sku, quantity, reflectedAt }) => {
+            if (reflectedAt) return;
+            committed.set(sku, (committed.get(sku) || 0) + quantity);
+        });
+    });
+    return committed;
+}
+
+/**
+ * Suma por SKU las cantidades de los pedidos vigentes (no cancelados, vencidos ni ya reflejados en Delfin).
+ * @param {string} storePath Ruta del archivo.
+ * @param {number} ttlHours Horas que cuenta un pedido desde su creación.
+ * @param {Date} [now=new Date()] Fecha de referencia.
+ * @returns {Map<string, number>} SKU limpio -> unidades comprometidas.
+ */
+function getCommittedQuantities(storePath, ttlHours, now = new Date()) {
+    return sumCommitted(loadCommitments(storePath), ttlHours, now);
+}
+
+/**
+ * Compara los pedidos registrados con el stock actual de Delfin: marca como reflejadas las líneas cuya venta ya
+ * descontó Delfin, elimina los pedidos con todas sus líneas reflejadas y guarda el stock de referencia de las
+ * líneas nuevas. Lee y guarda el archivo sin esperas intermedias para no pisar un pedido que registre
+ * webhook-server.js mientras tanto.
+ * @param {string} storePath Ruta del archivo.
+ * @param {Object<string, number>} delfinQuantities Inventario de Delfin por SKU limpio.
+ * @param {number} ttlHours Horas que cuenta un pedido desde su creación.
+ * @param {Date} [now=new Date()] Fecha de referencia.
+ * @returns {{committed: Map<string, number>, reflected: Array<{orderId: string, name: string|null, sku: string, quantity: number}>}}
+ * Unidades que siguen comprometidas por SKU y líneas que se dieron por facturadas en esta pasada.
+ */
+function reconcileWithDelfin(storePath, delfinQuantities, ttlHours, now = new Date()) {
+    if (!fs.existsSync(storePath)) {
+        return { committed: new Map(), reflected: [] };
+    }
+    const store = loadCommitments(storePath);
+    let changed = pruneExpired(store, ttlHours, now) > 0;
+
+    // Líneas pendientes por SKU, de la más antigua a la más nueva
+    const pendingBySku = new Map();
+    Object.entries(store.orders)
+        .sort(([, a], [, b]) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach(([orderId, order]) => order.lines.forEach(line => {
+            if (line.reflectedAt || !Object.prototype.hasOwnProperty.call(delfinQuantities, line.sku)) return;
+            if (!pendingBySku.has(line.sku)) pendingBySku.set(line.sku, []);
+            pendingBySku.get(line.sku).push({ orderId, order, line });
+        }));
+
+    const reflected = [];
+    pendingBySku.forEach((entries, sku) => {
+        const current = Number(delfinQuantities[sku]) || 0;
+        const observed = entries.filter(({ line }) => line.delfinBefore !== undefined && line.delfinBefore !== null);
+        // La baja desde la referencia se asigna a los pedidos más antiguos; lo ya asignado no cuenta para los siguientes
+        let explained = 0;
+        observed.forEach(({ orderId, order, line }) => {
+            if (line.delfinBefore - explained - current >= line.quantity) {
+                line.reflectedAt = now.toISOString();
+                explained += line.quantity;
+                reflected.push({ orderId, name: order.name, sku, quantity: line.quantity });
+                changed = true;
+            }
+        });
+        // Las líneas que siguen pendientes descuentan de su referencia la baja ya asignada; si hubo una reposición,
+        // parten del stock actual
+        observed.filter(({ line }) => !line.reflectedAt).forEach(({ line }) => {
+            const delfinBefore = Math.max(line.delfinBefore - explained, current);
+            if (delfinBefore !== line.delfinBefore) {
+                line.delfinBefore = delfinBefore;
+                changed = true;
+            }
+        });
+        entries.filter(({ line }) => line.delfinBefore === undefined || line.delfinBefore === null).forEach(({ line }) => {
+            line.delfinBefore = current;
+            changed = true;
+        });
+    });
+
+    Object.entries(store.orders).forEach(([orderId, order]) => {
+        if (order.lines.every(line => line.reflectedAt)) {
+            delete store.orders[orderId];
+            changed = true;
+        }
+    });
+    if (changed) {
+        saveCommitments(storePath, store);
+    }
+    return { committed: sumCommitted(store, ttlHours, now), reflected };
+}
+
+module.exports = {
+    loadCommitments,
+    saveCommitments,
+    recordOrder,
+    cancelOrder,
+    pruneExpired,
+    getCommittedQuantities,
+    reconcileWithDelfin,
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordOrder, loadCommitments, reconcileWithDelfin } = require('./onlineCommitments');
+
+const TTL_HOURS = 24;
+
+const order = (id, createdAt, lines) => ({
+    id,
+    name: `#${id}`,
+    created_at: createdAt,
+    line_items: lines.map(([sku, quantity]) => ({ sku, quantity })),
+});
+
+describe('reconcileWithDelfin', () => {
+    let dir;
+    let storePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commitments-'));
+        storePath = path.join(dir, 'online-commitments.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('sin archivo no resta nada ni lo crea', () => {
+        expect(reconcileWithDelfin(storePath, { '101': 10 }, TTL_HOURS)).toEqual({ committed: new Map(), reflected: [] });
+        expect(fs.existsSync(storePath)).toBe(false);
+    });
+
+    test('la primera pasada guarda la referencia y la línea se libera cuando Delfin baja', () => {
+        const now = new Date();
+        recordOrder(storePath, order(1, now.toISOString(), [['101', 2]]), TTL_HOURS);
+
+        expect(reconcileWithDelfin(storePath, { '101': 10 }, TTL_HOURS, now).committed).toEqual(new Map([['101', 2]]));
+        expect(loadCommitments(storePath).orders['1'].lines[0].delfinBefore).toBe(10);
+
+        // Baja menor que la cantidad del pedido: todavía no se facturó
+        expect(reconcileWithDelfin(storePath, { '101': 9 }, TTL_HOURS, now).committed).toEqual(new Map([['101', 2]]));
+
+        const { committed, reflected } = reconcileWithDelfin(storePath, { '101': 8 }, TTL_HOURS, now);
+        expect(committed).toEqual(new Map());
+        expect(reflected).toEqual([{ orderId: '1', name: '#1', sku: '101', quantity: 2 }]);
+        expect(loadCommitments(storePath).orders).toEqual({});
+    });
+
+    test('la baja se asigna primero al pedido más antiguo y no se cuenta dos veces', () => {
+        const now = new Date();
+        recordOrder(storePath, order(1, new Date(now.getTime() - 60000).toISOString(), [['101', 1]]), TTL_HOURS);
+        recordOrder(storePath, order(2, now.toISOString(), [['101', 1]]), TTL_HOURS);
+        reconcileWithDelfin(storePath, { '101': 10 }, TTL_HOURS, now);
+
+        const first = reconcileWithDelfin(storePath, { '101': 9 }, TTL_HOURS, now);
+        expect(first.reflected.map(line => line.orderId)).toEqual(['1']);
+        expect(first.committed).toEqual(new Map([['101', 1]]));
+
+        // En la pasada siguiente, sin nueva baja, el pedido 2 sigue pendiente
+        expect(reconcileWithDelfin(storePath, { '101': 9 }, TTL_HOURS, now).reflected).toEqual([]);
+        expect(reconcileWithDelfin(storePath, { '101': 8 }, TTL_HOURS, now).reflected.map(line => line.orderId)).toEqual(['2']);
+    });
+
+    test('una reposición mueve la referencia al stock actual', () => {
+        const now = new Date();
+        recordOrder(storePath, order(1, now.toISOString(), [['101', 1]]), TTL_HOURS);
+        reconcileWithDelfin(storePath, { '101': 10 }, TTL_HOURS, now);
+
+        reconcileWithDelfin(storePath, { '101': 15 }, TTL_HOURS, now);
+        expect(loadCommitments(storePath).orders['1'].lines[0].delfinBefore).toBe(15);
+        expect(reconcileWithDelfin(storePath, { '101': 14 }, TTL_HOURS, now).reflected).toHaveLength(1);
+    });
+
+    test('un pedido con varias líneas se elimina cuando todas están reflejadas', () => {
+        const now = new Date();
+        recordOrder(storePath, order(1, now.toISOString(), [['101', 1], ['102', 1]]), TTL_HOURS);
+        reconcileWithDelfin(storePath, { '101': 10, '102': 5 }, TTL_HOURS, now);
+
+        expect(reconcileWithDelfin(storePath, { '101': 9, '102': 5 }, TTL_HOURS, now).committed).toEqual(new Map([['102', 1]]));
+        expect(loadCommitments(storePath).orders['1'].lines[0].reflectedAt).toBe(now.toISOString());
+
+        reconcileWithDelfin(storePath, { '101': 9, '102': 4 }, TTL_HOURS, now);
+        expect(loadCommitments(storePath).orders).toEqual({});
+    });
+
+    test('los SKUs que no están en Delfin no se tocan y el TTL sigue siendo el límite', () => {
+        const now = new Date();
+        recordOrder(storePath, order(1, now.toISOString(), [['101', 1]]), TTL_HOURS);
+
+        expect(reconcileWithDelfin(storePath, {}, TTL_HOURS, now).committed).toEqual(new Map([['101', 1]]));
+        expect(loadCommitments(storePath).orders['1'].lines[0].delfinBefore).toBeUndefined();
+
+        const later = new Date(now.getTime() + (TTL_HOURS + 1) * 60 * 60 * 1000);
+        expect(reconcileWithDelfin(storePath, { '101': 10 }, TTL_HOURS, later).committed).toEqual(new Map());
+        expect(loadCommitments(storePath).orders).toEqual({});
+    });
+});
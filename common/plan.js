@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @fileoverview Utilidades para escribir y leer planes de cambios (modo "plan").
+ * Un plan es la lista de mutaciones que una sincronización haría en Shopify,
+ * guardada como JSON (legible por máquina) y CSV (para revisión en hojas de cálculo).
+ */
+
+// Columnas del CSV del plan, en orden.
+const PLAN_CSV_COLUMNS = [
+    'type', 'sku', 'variant_id', 'inventory_item_id', 'location_id', 'display_name',
+    'current_price', 'target_price', 'current_compare_at', 'target_compare_at',
+    'current_quantity', 'target_quantity', 'current_cost', 'target_cost', 'discount_pct', 'reason', 'violations',
+];
+
+/**
+ * Escapa un valor para una celda CSV (RFC 4180).
+ * @param {*} value Valor a escapar.
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Convierte un cambio del plan a una fila del CSV.
+ * @param {Object} change Cambio de tipo 'price', 'inventory' o 'cost'.
+ * @returns {string}
+ */
+function changeToCsvRow(change) {
+    const before = change.before || {};
+    const after = change.after || {};
+    const values = [
+        change.type, change.sku, change.variantId, change.inventoryItemId, change.locationId, change.displayName,
+        before.price, after.price, before.compareAtPrice, after.compareAtPrice,
+        before.quantity, after.quantity, before.unitCost, after.unitCost, change.discountPct, change.reason,
+        // Límites de precio incumplidos, solo en los archivos de cuarentena (common/priceGuardrails.js)
+        (change.violations || []).map(v => v.message).join('; '),
+    ];
+    return values.map(escapeCsvValue).join(',');
+}
+
+/**
+ * Escribe un plan en disco como `<planId>.json` y `<planId>.csv`.
+ * @param {Object} plan Plan con al menos `planId` y `changes`.
+ * @param {string} planDir Directorio destino (se crea si no existe).
+ * @returns {{jsonPath: string, csvPath: string}} Rutas de los archivos escritos.
+ */
+function writePlan(plan, planDir) {
+    const dir = path.resolve(planDir);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const jsonPath = path.join(dir, `${plan.planId}.json`);
+    const csvPath = path.join(dir, `${plan.planId}.csv`);
+
+    fs.writeFileSync(jsonPath, JSON.stringify(plan, null, 2), 'utf8');
+    const csvLines = [PLAN_CSV_COLUMNS.join(','), ...plan.changes.map(changeToCsvRow)];
+    fs.writeFileSync(csvPath, csvLines.join('\n') + '\n', 'utf8');
+
+    return { jsonPath, csvPath };
+}
+
+/**
+ * Lee y valida un plan previamente generado con writePlan.
+ * @param {string} planPath Ruta al archivo JSON del plan.
+ * @returns {Object} El plan.
+ * @throws {Error} Si el archivo no existe o no tiene el formato esperado.
+ */
+function readPlan(planPath) {
+    const absolutePath = path.resolve(planPath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Archivo de plan no encontrado: ${absolutePath}`);
+    }
+    const plan = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    if (!plan || !plan.planId || !Array.isArray(plan.changes)) {
+        throw new Error(`El archivo ${absolutePath} no es un plan válido (faltan 'planId' o 'changes').`);
+    }
+    const invalid = plan.changes.find(c => !['price', 'inventory', 'cost'].includes(c.type) || !c.before || !c.after);
+    if (invalid) {
+        throw new Error(`El plan ${plan.planId} contiene un cambio inválido: ${JSON.stringify(invalid)}`);
+    }
+    return plan;
+}
+
+module.exports = {
+    PLAN_CSV_COLUMNS,
+    escapeCsvValue,
+    writePlan,
+    readPlan,
+};
@@ -0,0 +1,155 @@
+const path = require('path');
+const { writePlan } = require('./plan');
+const {
+    PRICE_MAX_CHANGE_PCT,
+    PRICE_MIN,
+    PRICE_MAX,
+    PRICE_MIN_MARGIN_PCT,
+    QUARANTINE_DIR,
+} = require('./config');
+
+/**
+ * @fileoverview Controles de seguridad de los cambios de precio (price-update.js y shopify-price-updater-direct.js).
+ * Un precio regular que cambia más de `PRICE_MAX_CHANGE_PCT` respecto al precio regular actual de Shopify, un precio que queda fuera
+ * de `PRICE_MIN`/`PRICE_MAX`, que con precio de comparación no es menor que este o que no cubre el costo unitario más
+ * `PRICE_MIN_MARGIN_PCT` no se aplica: el cambio queda en cuarentena en `QUARANTINE_DIR`, en el formato de los planes, y se aprueba manualmente con
+ * `node main-sync.js apply <archivo de cuarentena>`.
+ *
+ * El precio regular es el de comparación cuando hay descuento y, si no, el precio: así el inicio o el fin de un
+ * descuento del CSV, que no cambia el precio regular, no cuenta como variación (la profundidad del descuento la
+ * limitan `PRICE_MIN` y `PRICE_MIN_MARGIN_PCT`).
+ */
+
+/**
+ * Interpreta un límite numérico opcional de common/config.js.
+ * @param {string} name Nombre de la variable, para el mensaje de error.
+ * @param {string|undefined} raw Valor tal como viene del entorno.
+ * @param {number|null} defaultValue Valor si no está definida.
+ * @returns {number|null}
+ */
+function readNumber(name, raw, defaultValue) {
+    if (raw === undefined || raw === null || raw.trim() === '') return defaultValue;
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${name} debe ser un número mayor o igual a 0 (valor: '${raw}')`);
+    }
+    return value;
+}
+
+/**
+ * Límites configurados. `maxChangePct` 0 desactiva el límite de variación; `minMarginPct` es el margen mínimo sobre
+ * el costo (0 = no vender bajo el costo).
+ * @returns {{maxChangePct: number, minPrice: number|null, maxPrice: number|null, minMarginPct: number, quarantineDir: string}}
+ */
+function getPriceGuardrails() {
+    return {
+        maxChangePct: readNumber('PRICE_MAX_CHANGE_PCT', PRICE_MAX_CHANGE_PCT, 0),
+        minPrice: readNumber('PRICE_MIN', PRICE_MIN, null),
+        maxPrice: readNumber('PRICE_MAX', PRICE_MAX, null),
+        minMarginPct: readNumber('PRICE_MIN_MARGIN_PCT', PRICE_MIN_MARGIN_PCT, 0),
+        quarantineDir: path.resolve(QUARANTINE_DIR),
+    };
+}
+
+/**
+ * Precio regular (sin descuento) de una variante: el de comparación si es mayor que el precio, si no el precio.
+ * @param {number} price
+ * @param {number} compareAt NaN si no hay precio de comparación.
+ * @returns {number}
+ */
+function regularPrice(price, compareAt) {
+    return Number.isFinite(compareAt) && compareAt > price ? compareAt : price;
+}
+
+/**
+ * Verifica un cambio de precio contra los límites.
+ * @param {Object} change
+ * @param {number|string|null} change.currentPrice Precio actual en Shopify.
+ * @param {number|string|null} [change.currentCompareAtPrice] Precio de comparación actual en Shopify.
+ * @param {number|string} change.newPrice Precio que se quiere aplicar.
+ * @param {number|string|null} change.compareAtPrice Precio de comparación que se quiere aplicar.
+ * @param {number|string|null} [change.unitCost] Costo unitario del producto (sin costo no se verifica el margen).
+ * @param {Object} [guardrails] Límites (por defecto, los de getPriceGuardrails).
+ * @returns {Array<{code: string, message: string}>} Límites incumplidos (vacío si el cambio es seguro).
+ */
+function checkPriceChange({ currentPrice, currentCompareAtPrice = null, newPrice, compareAtPrice, unitCost = null }, guardrails = getPriceGuardrails()) {
+    const violations = [];
+    const toNumber = value => value === null || value === undefined ? NaN : parseFloat(value);
+    const current = toNumber(currentPrice);
+    const next = parseFloat(newPrice);
+    const compareAt = toNumber(compareAtPrice);
+    const cost = toNumber(unitCost);
+
+    const currentRegular = regularPrice(current, toNumber(currentCompareAtPrice));
+    const nextRegular = regularPrice(next, compareAt);
+    if (guardrails.maxChangePct > 0 && currentRegular > 0 && nextRegular !== currentRegular) {
+        const changePct = Math.abs(nextRegular - currentRegular) / currentRegular * 100;
+        if (changePct > guardrails.maxChangePct) {
+            violations.push({
+                code: 'MAX_CHANGE_PCT',
+                message: `cambio del precio regular de ${changePct.toFixed(1)}% (${currentRegular.toFixed(2)} -> ${nextRegular.toFixed(2)}), máximo ${guardrails.maxChangePct}%`,
+            });
+        }
+    }
+    if (guardrails.minPrice !== null && next < guardrails.minPrice) {
+        violations.push({ code: 'BELOW_MIN_PRICE', message: `precio ${next.toFixed(2)} menor que el mínimo ${guardrails.minPrice}` });
+    }
+    if (guardrails.maxPrice !== null && next > guardrails.maxPrice) {
+        violations.push({ code: 'ABOVE_MAX_PRICE', message: `precio ${next.toFixed(2)} mayor que el máximo ${guardrails.maxPrice}` });
+    }
+    if (Number.isFinite(compareAt) && next >= compareAt) {
+        violations.push({
+            code: 'DISCOUNT_NOT_BELOW_COMPARE_AT',
+            message: `precio con descuento ${next.toFixed(2)} no es menor que el precio de comparación ${compareAt.toFixed(2)}`,
+        });
+    }
+    if (cost > 0) {
+        const floor = Math.round(cost * (1 + (guardrails.minMarginPct || 0) / 100) * 100) / 100;
+        if (next < floor) {
+            violations.push({
+                code: 'BELOW_COST_MARGIN',
+                message: `precio ${next.toFixed(2)} menor que el costo ${cost.toFixed(2)} más el margen mínimo de ${guardrails.minMarginPct || 0}% (${floor.toFixed(2)})`,
+            });
+        }
+    }
+    return violations;
+}
+
+/**
+ * Resume los límites incumplidos para logs, reportes y notificaciones.
+ * @param {Array<{code: string, message: string}>} violations
+ * @returns {string}
+ */
+function describeViolations(violations) {
+    return violations.map(v => v.message).join('; ');
+}
+
+/**
+ * Guarda los cambios de precio en cuarentena como `quarantine_<runId>.json` y `.csv` en QUARANTINE_DIR.
+ * El archivo es un plan válido: `node main-sync.js apply <json>` aplica los cambios aprobados
+ * (se pueden quitar del JSON los que no se aprueben).
+ * @param {string} runId Ejecución que los generó.
+ * @param {string} source Script que los generó.
+ * @param {Array<Object>} changes Cambios de tipo 'price' en el formato del plan, con `violations`.
+ * @param {string|null} shopName Tienda de Shopify de los cambios (apply usa sus credenciales).
+ * @returns {{jsonPath: string, csvPath: string}}
+ */
+function writeQuarantine(runId, source, changes, shopName) {
+    return writePlan({
+        planId: `quarantine_${runId}`,
+        createdAt: new Date().toISOString(),
+        source,
+        shopName: shopName || null,
+        quarantine: true,
+        syncType: 'price',
+        stats: { quarantined: changes.length },
+        changes,
+    }, getPriceGuardrails().quarantineDir);
+}
+
+module.exports = {
+    getPriceGuardrails,
+    checkPriceChange,
+    describeViolations,
+    writeQuarantine,
+};
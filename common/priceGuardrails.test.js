@@ -0,0 +1,97 @@
+const { checkPriceChange } = require('./priceGuardrails');
+
+const GUARDRAILS = { maxChangePct: 50, minPrice: null, maxPrice: null, minMarginPct: 0 };
+const codes = violations => violations.map(v => v.code);
+
+/**
+ * Carga priceGuardrails con otras variables de entorno (common/config.js las lee al cargarse).
+ * @param {Object<string, string>} env
+ */
+function loadWithEnv(env) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+        let guardrails;
+        jest.isolateModules(() => {
+            guardrails = require('./priceGuardrails').getPriceGuardrails();
+        });
+        return guardrails;
+    } finally {
+        process.env = saved;
+    }
+}
+
+describe('getPriceGuardrails', () => {
+    test('sin PRICE_MAX_CHANGE_PCT no hay límite de variación', () => {
+        const guardrails = loadWithEnv({ PRICE_MAX_CHANGE_PCT: '', PRICE_MIN: '', PRICE_MAX: '', PRICE_MIN_MARGIN_PCT: '' });
+
+        expect(guardrails).toMatchObject({ maxChangePct: 0, minPrice: null, maxPrice: null, minMarginPct: 0 });
+        expect(checkPriceChange({ currentPrice: '100', newPrice: '10', compareAtPrice: null }, guardrails)).toEqual([]);
+    });
+
+    test('lee los límites definidos', () => {
+        expect(loadWithEnv({ PRICE_MAX_CHANGE_PCT: '30', PRICE_MIN: '1', PRICE_MAX: '5000', PRICE_MIN_MARGIN_PCT: '10' }))
+            .toMatchObject({ maxChangePct: 30, minPrice: 1, maxPrice: 5000, minMarginPct: 10 });
+    });
+
+    test('rechaza valores negativos o que no son números', () => {
+        expect(() => loadWithEnv({ PRICE_MAX_CHANGE_PCT: '-5' })).toThrow("PRICE_MAX_CHANGE_PCT debe ser un número mayor o igual a 0 (valor: '-5')");
+        expect(() => loadWithEnv({ PRICE_MIN: 'abc' })).toThrow('PRICE_MIN debe ser un número');
+    });
+});
+
+describe('checkPriceChange', () => {
+    test('un cambio dentro de los límites no tiene violaciones', () => {
+        expect(checkPriceChange({ currentPrice: '100', newPrice: '120', compareAtPrice: null, unitCost: '50' }, GUARDRAILS)).toEqual([]);
+    });
+
+    test('la variación máxima se mide respecto al precio regular actual', () => {
+        const violations = checkPriceChange({ currentPrice: '100', newPrice: '151', compareAtPrice: null }, GUARDRAILS);
+
+        expect(codes(violations)).toEqual(['MAX_CHANGE_PCT']);
+        expect(violations[0].message).toBe('cambio del precio regular de 51.0% (100.00 -> 151.00), máximo 50%');
+        expect(checkPriceChange({ currentPrice: '100', newPrice: '50', compareAtPrice: null }, GUARDRAILS)).toEqual([]);
+    });
+
+    test('el fin de un descuento no cuenta como variación: el precio regular no cambia', () => {
+        // Descuento de 60% que vence: 40 con comparación 100 -> 100 sin comparación
+        expect(checkPriceChange({ currentPrice: '40', currentCompareAtPrice: '100', newPrice: '100', compareAtPrice: null }, GUARDRAILS)).toEqual([]);
+    });
+
+    test('el inicio de un descuento profundo no cuenta como variación', () => {
+        expect(checkPriceChange({ currentPrice: '100', currentCompareAtPrice: null, newPrice: '40', compareAtPrice: '100' }, GUARDRAILS)).toEqual([]);
+    });
+
+    test('un cambio del precio regular junto con el fin de un descuento sí se mide', () => {
+        const violations = checkPriceChange({ currentPrice: '40', currentCompareAtPrice: '100', newPrice: '160', compareAtPrice: null }, GUARDRAILS);
+
+        expect(codes(violations)).toEqual(['MAX_CHANGE_PCT']);
+        expect(violations[0].message).toBe('cambio del precio regular de 60.0% (100.00 -> 160.00), máximo 50%');
+    });
+
+    test('sin precio actual no se mide la variación', () => {
+        expect(checkPriceChange({ currentPrice: null, newPrice: '500', compareAtPrice: null }, GUARDRAILS)).toEqual([]);
+    });
+
+    test('precio mínimo y máximo', () => {
+        const guardrails = { ...GUARDRAILS, maxChangePct: 0, minPrice: 10, maxPrice: 1000 };
+
+        expect(codes(checkPriceChange({ currentPrice: '20', newPrice: '9.99', compareAtPrice: null }, guardrails))).toEqual(['BELOW_MIN_PRICE']);
+        expect(codes(checkPriceChange({ currentPrice: '20', newPrice: '1000.01', compareAtPrice: null }, guardrails))).toEqual(['ABOVE_MAX_PRICE']);
+        expect(checkPriceChange({ currentPrice: '20', newPrice: '1000', compareAtPrice: null }, guardrails)).toEqual([]);
+    });
+
+    test('el precio con descuento debe ser menor que el precio de comparación', () => {
+        expect(codes(checkPriceChange({ currentPrice: '100', newPrice: '100', compareAtPrice: '100' }, GUARDRAILS)))
+            .toEqual(['DISCOUNT_NOT_BELOW_COMPARE_AT']);
+    });
+
+    test('el precio debe cubrir el costo más el margen mínimo', () => {
+        const guardrails = { ...GUARDRAILS, minMarginPct: 20 };
+
+        expect(codes(checkPriceChange({ currentPrice: '100', newPrice: '59.99', compareAtPrice: null, unitCost: '50' }, guardrails)))
+            .toEqual(['BELOW_COST_MARGIN']);
+        expect(checkPriceChange({ currentPrice: '100', newPrice: '60', compareAtPrice: null, unitCost: '50' }, guardrails)).toEqual([]);
+        expect(checkPriceChange({ currentPrice: '100', newPrice: '1', compareAtPrice: null, unitCost: null }, { ...guardrails, maxChangePct: 0 })).toEqual([]);
+    });
+});
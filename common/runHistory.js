@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @fileoverview Historial de sincronizaciones de main-sync.js (CLI y admin-server.js).
+ * Cada ejecución agrega al terminar una línea JSON a `RUN_HISTORY_PATH` con su resumen:
+ * { runId, syncType, incremental, resumed, status, startedAt, finishedAt, durationSeconds, stats, incompletePhases, error }
+ * `status` es 'success', 'incomplete' (alguna fase no terminó; se puede reanudar) o 'failed'.
+ */
+
+/**
+ * Agrega el resumen de una ejecución al historial.
+ * @param {string} historyPath Ruta del archivo JSONL.
+ * @param {Object} summary Resumen de la ejecución.
+ */
+function appendRun(historyPath, summary) {
+    const dir = path.dirname(path.resolve(historyPath));
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(historyPath, JSON.stringify(summary) + '\n', 'utf8');
+}
+
+/**
+ * Devuelve los resúmenes de las últimas ejecuciones, de la más reciente a la más antigua.
+ * Las líneas que no se pueden interpretar (p. ej. una escritura cortada) se ignoran.
+ * @param {string} historyPath Ruta del archivo JSONL.
+ * @param {number} [limit=20] Cantidad máxima de ejecuciones.
+ * @returns {Array<Object>}
+ */
+function readRecentRuns(historyPath, limit = 20) {
+    if (!fs.existsSync(historyPath)) {
+        return [];
+    }
+    const runs = [];
+    const lines = fs.readFileSync(historyPath, 'utf8').split('\n');
+    for (let i = lines.length - 1; i >= 0 && runs.length < limit; i--) {
+        if (!lines[i].trim()) continue;
+        try {
+            runs.push(JSON.parse(lines[i]));
+        } catch (e) {
+            // Línea incompleta: se ignora
+        }
+    }
+    return runs;
+}
+
+module.exports = {
+    appendRun,
+    readRecentRuns,
+};
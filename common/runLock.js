@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RUN_LOCK_PATH, RUN_LOCK_STALE_MINUTES } = require('./config');
+
+/**
+ * @fileoverview Bloqueo entre procesos para los scripts que modifican Shopify.
+ * main-sync.js, price-update.js, inventory-update.js, src/index.js, shopify-price-updater-direct.js,
+ * shopify-price-updater-single.js y los scripts anteriores (shopify-actualizador.js, shopify-actualizador-descuentos.js,
+ * shopify-updater-consolidated.js) toman el mismo archivo de bloqueo (`RUN_LOCK_PATH`) antes de mutar Shopify,
+ * para que dos ejecuciones no escriban sobre las mismas variantes a la vez.
+ *
+ * El archivo guarda { pid, host, runId, source, startedAt }. Un bloqueo se considera abandonado si su proceso
+ * ya no existe en este host o, si lo tomó otro host, si tiene más de `RUN_LOCK_STALE_MINUTES` minutos.
+ * Un script que no puede tomar el bloqueo termina con LOCKED_EXIT_CODE, que scheduler.js registra como
+ * ejecución omitida y no como error.
+ */
+
+// Código de salida cuando otra ejecución tiene el bloqueo (EX_TEMPFAIL de sysexits.h)
+const LOCKED_EXIT_CODE = 75;
+
+class RunLock {
+    constructor() {
+        this.LOCKED_EXIT_CODE = LOCKED_EXIT_CODE;
+        this.lockPath = path.resolve(RUN_LOCK_PATH);
+        this.staleMs = RUN_LOCK_STALE_MINUTES * 60 * 1000;
+        this.holder = null; // Contenido del bloqueo mientras lo tiene este proceso
+        this.releaseOnExit = () => this.release();
+    }
+
+    /**
+     * Lee el bloqueo actual.
+     * @returns {Object|null} Contenido del archivo, null si no existe o `{ unreadable: true }` si no se puede interpretar.
+     */
+    readHolder() {
+        try {
+            return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+        } catch (error) {
+            return error.code === 'ENOENT' ? null : { unreadable: true };
+        }
+    }
+
+    /**
+     * Indica si un bloqueo quedó abandonado (proceso terminado o demasiado antiguo).
+     * @param {Object} holder Contenido del bloqueo.
+     * @returns {string|null} Motivo si está abandonado, null si sigue vigente.
+     */
+    getStaleReason(holder) {
+        if (holder.unreadable) {
+            return 'archivo de bloqueo ilegible';
+        }
+        if (holder.host === os.hostname()) {
+            try {
+                process.kill(holder.pid, 0);
+                return null;
+            } catch (error) {
+                return error.code === 'ESRCH' ? `el proceso ${holder.pid} ya no existe` : null;
+            }
+        }
+        const ageMs = Date.now() - new Date(holder.startedAt).getTime();
+        return ageMs > this.staleMs ? `tomado hace más de ${Math.round(this.staleMs / 60000)} minutos en ${holder.host}` : null;
+    }
+
+    /**
+     * Ejecución que tiene el bloqueo ahora, si sigue vigente (scheduler.js lo consulta antes de lanzar un trabajo).
+     * @returns {Object|null} Contenido del bloqueo, o null si está libre o abandonado.
+     */
+    getActiveHolder() {
+        const holder = this.readHolder();
+        return holder && !this.getStaleReason(holder) ? holder : null;
+    }
+
+    /**
+     * Describe quién tiene el bloqueo, para los mensajes de error.
+     * @param {Object} holder Contenido del bloqueo.
+     * @returns {string}
+     */
+    describe(holder) {
+        if (holder.unreadable) {
+            return `bloqueo ilegible en ${this.lockPath}`;
+        }
+        return `${holder.source} (runId ${holder.runId}, pid ${holder.pid} en ${holder.host}, iniciada ${new Date(holder.startedAt).toLocaleString()})`;
+    }
+
+    /**
+     * Toma el bloqueo para esta ejecución. Si lo tiene otra ejecución vigente, lanza un error que la identifica;
+     * si el bloqueo anterior quedó abandonado, lo reemplaza.
+     * El bloqueo se libera con release() o automáticamente al terminar el proceso.
+     * @param {string} runId Identificador de la ejecución.
+     * @param {string} source Script que toma el bloqueo.
+     * @returns {{staleHolder: Object|null, staleReason: string|null}} Bloqueo abandonado que se reemplazó, si lo hubo.
+     */
+    acquire(runId, source) {
+        if (this.holder) {
+            return { staleHolder: null, staleReason: null };
+        }
+        const dir = path.dirname(this.lockPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const holder = { pid: process.pid, host: os.hostname(), runId, source, startedAt: new Date().toISOString() };
+        let staleHolder = null;
+        let staleReason = null;
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            try {
+                // 'wx' falla si el archivo ya existe: solo un proceso puede crearlo
+                fs.writeFileSync(this.lockPath, JSON.stringify(holder, null, 2), { encoding: 'utf8', flag: 'wx' });
+                this.holder = holder;
+                process.once('exit', this.releaseOnExit);
+                return { staleHolder, staleReason };
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const current = this.readHolder();
+            if (!current) continue; // Se liberó entre el intento y la lectura
+            staleReason = this.getStaleReason(current);
+            if (!staleReason || attempt === 2) {
+                const error = new Error(`Shopify está siendo modificado por otra ejecución: ${this.describe(current)}. Espera a que termine o, si ya no está corriendo, elimina ${this.lockPath}.`);
+                error.code = 'RUN_LOCKED';
+                error.holder = current;
+                throw error;
+            }
+            staleHolder = current;
+            fs.rmSync(this.lockPath, { force: true });
+        }
+        throw new Error(`No se pudo tomar el bloqueo ${this.lockPath}`);
+    }
+
+    /**
+     * Libera el bloqueo si lo tiene este proceso (no toca bloqueos de otras ejecuciones).
+     */
+    release() {
+        if (!this.holder) return;
+        const current = this.readHolder();
+        if (current && current.pid === this.holder.pid && current.runId === this.holder.runId) {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+        this.holder = null;
+        process.removeListener('exit', this.releaseOnExit);
+    }
+}
+
+module.exports = new RunLock();
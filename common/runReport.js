@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeCsvValue } = require('./plan');
+
+/**
+ * @fileoverview Reporte de cambios por ejecución.
+ * Durante la ejecución se registran los cambios aplicados con éxito en Shopify, los SKUs que no existen en Shopify,
+ * los cambios de precio en cuarentena (common/priceGuardrails.js) y los errores; al terminar se escriben junto al log
+ * de la ejecución un reporte HTML legible (`<log>.report.html`) y un CSV (`<log>.report.csv`) con una fila por SKU
+ * cambiado, en cuarentena, no encontrado o con error.
+ * Los cambios de precio, costo unitario e inventario de una misma variante se combinan en una sola fila.
+ */
+
+// Columnas del CSV del reporte, en orden. `status`: changed, quarantined, not_found o error.
+const REPORT_CSV_COLUMNS = [
+    'status', 'sku', 'product', 'location',
+    'old_price', 'new_price', 'old_compare_at', 'new_compare_at', 'old_cost', 'new_cost',
+    'old_stock', 'new_stock', 'discount_pct', 'safety_stock_reserved', 'detail',
+];
+
+const STATUS_LABELS = { success: 'correcta', incomplete: 'incompleta', failed: 'fallida' };
+
+const STYLES = `
+    body { font-family: sans-serif; margin: 1.5em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { text-align: left; padding: 0.3em 0.8em; border-bottom: 1px solid #ddd; }
+    td.num { text-align: right; white-space: nowrap; }
+    .changed { font-weight: bold; }
+    .status-failed, .errors td { color: #8b0000; }
+    .status-incomplete, .quarantined td { color: #8a5a00; }
+    .quarantined tr:nth-child(n+2) { background: #fff4d6; }
+    .muted { color: #777; }
+`;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normaliza un precio para el reporte ('' si no hay valor).
+ * @param {number|string|null|undefined} value
+ * @returns {string}
+ */
+function formatMoney(value) {
+    if (value === null || value === undefined || value === '') return '';
+    const num = Number(value);
+    return Number.isFinite(num) ? num.toFixed(2) : String(value);
+}
+
+class RunReport {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.runId = null;
+        this.source = null;
+        this.startedAt = null;
+        this.rows = new Map(); // `${sku}|${variantId}` -> fila combinada
+        this.notFound = new Map(); // sku -> orígenes en los que aparece
+        this.quarantined = [];
+        this.errors = [];
+    }
+
+    /**
+     * Empieza a registrar una ejecución, descartando lo registrado antes.
+     * @param {string} runId Identificador de la ejecución.
+     * @param {string} source Script que la ejecuta.
+     */
+    start(runId, source) {
+        this.reset();
+        this.runId = runId;
+        this.source = source;
+        this.startedAt = new Date();
+    }
+
+    /**
+     * @returns {boolean} Si hay una ejecución registrándose.
+     */
+    isActive() {
+        return !!this.runId;
+    }
+
+    /**
+     * Registra un cambio aplicado con éxito. No hace nada si no hay una ejecución activa.
+     * @param {Object} change Cambio en el formato del plan (`type`, `sku`, `variantId`, `displayName`, `before`, `after`
+     * y, en precios, `discountPct`). Los cambios de inventario pueden traer `locationName` y `reserved`
+     * (unidades que quedan para la tienda física por el stock de seguridad).
+     */
+    recordChange(change) {
+        if (!this.isActive()) return;
+        const key = `${change.sku}|${change.variantId || ''}`;
+        const row = this.rows.get(key) || { sku: change.sku, product: change.displayName || '', price: null, cost: null, stock: [] };
+        if (!row.product && change.displayName) row.product = change.displayName;
+
+        if (change.type === 'price') {
+            row.price = {
+                before: change.before,
+                after: change.after,
+                discountPct: change.discountPct ?? null,
+            };
+        } else if (change.type === 'cost') {
+            row.cost = { before: change.before.unitCost, after: change.after.unitCost };
+        } else if (change.type === 'inventory') {
+            row.stock.push({
+                location: change.locationName || change.locationId || '',
+                before: change.before.quantity,
+                after: change.after.quantity,
+                reserved: change.reserved ?? null,
+            });
+        }
+        this.rows.set(key, row);
+    }
+
+    /**
+     * Registra un cambio de precio que no se aplicó por incumplir los límites de common/priceGuardrails.js.
+     * @param {Object} change Cambio de tipo 'price' en el formato del plan.
+     * @param {string} message Límites incumplidos.
+     */
+    recordQuarantined(change, message) {
+        if (!this.isActive()) return;
+        this.quarantined.push({
+            sku: change.sku,
+            product: change.displayName || '',
+            before: change.before,
+            after: change.after,
+            message,
+        });
+    }
+
+    /**
+     * Registra un SKU que no existe en Shopify.
+     * @param {string} sku SKU.
+     * @param {string} origin Dónde aparece (p. ej. 'precios de Delfin', 'CSV de descuentos').
+     */
+    recordNotFound(sku, origin) {
+        if (!this.isActive()) return;
+        const origins = this.notFound.get(sku) || new Set();
+        origins.add(origin);
+        this.notFound.set(sku, origins);
+    }
+
+    /**
+     * Registra un error de un SKU o, sin SKU, un error general de la ejecución.
+     * @param {string|null} sku SKU.
+     * @param {string} message Mensaje de error.
+     * @param {string} [product] Nombre del producto.
+     */
+    recordError(sku, message, product = '') {
+        if (!this.isActive()) return;
+        this.errors.push({ sku: sku || '', product: product || '', message });
+    }
+
+    /**
+     * Filas del CSV: cambios, no encontrados y errores.
+     * @returns {Array<Array<*>>}
+     */
+    buildCsvRows() {
+        const rows = [];
+        for (const row of this.rows.values()) {
+            const single = row.stock.length <= 1 ? row.stock[0] : null;
+            const perLocation = field => row.stock.map(s => `${s.location}: ${s[field] ?? ''}`).join('; ');
+            rows.push([
+                'changed', row.sku, row.product, row.stock.map(s => s.location).join('; '),
+                formatMoney(row.price?.before.price), formatMoney(row.price?.after.price),
+                formatMoney(row.price?.before.compareAtPrice), formatMoney(row.price?.after.compareAtPrice),
+                formatMoney(row.cost?.before), formatMoney(row.cost?.after),
+                single ? single.before : perLocation('before'), single ? single.after : perLocation('after'),
+                row.price?.discountPct ?? '', single ? single.reserved : perLocation('reserved'), '',
+            ]);
+        }
+        this.quarantined.forEach(q => rows.push([
+            'quarantined', q.sku, q.product, '',
+            formatMoney(q.before.price), formatMoney(q.after.price), formatMoney(q.before.compareAtPrice), formatMoney(q.after.compareAtPrice),
+            '', '', '', '', '', '', q.message,
+        ]));
+        for (const [sku, origins] of this.notFound) {
+            rows.push(['not_found', sku, '', '', '', '', '', '', '', '', '', '', '', '', `No existe en Shopify (${[...origins].join(', ')})`]);
+        }
+        this.errors.forEach(e => rows.push(['error', e.sku, e.product, '', '', '', '', '', '', '', '', '', '', '', e.message]));
+        return rows;
+    }
+
+    /**
+     * Celda "antes → después", resaltada si cambió.
+     * @param {*} before Valor anterior.
+     * @param {*} after Valor nuevo.
+     * @returns {string}
+     */
+    renderChange(before, after) {
+        if (before === after) return `<td class="num">${escapeHtml(after)}</td>`;
+        return `<td class="num changed">${escapeHtml(before === '' || before === null || before === undefined ? '—' : before)} → ${escapeHtml(after === '' || after === null || after === undefined ? '—' : after)}</td>`;
+    }
+
+    /**
+     * Reporte HTML.
+     * @param {Object} run Datos de la ejecución (ver write).
+     * @returns {string}
+     */
+    renderHtml({ status, durationSeconds, error, sections }) {
+        const changeRows = [...this.rows.values()].map(row => {
+            const stockRows = row.stock.length > 0 ? row.stock : [null];
+            return stockRows.map((stock, i) => `<tr>
+                <td>${i === 0 ? escapeHtml(row.sku) : ''}</td>
+                <td>${i === 0 ? escapeHtml(row.product) : ''}</td>
+                ${i === 0 && row.price
+                    ? this.renderChange(formatMoney(row.price.before.price), formatMoney(row.price.after.price))
+                        + this.renderChange(formatMoney(row.price.before.compareAtPrice), formatMoney(row.price.after.compareAtPrice))
+                        + `<td class="num">${row.price.discountPct ? `${escapeHtml(row.price.discountPct)}%` : ''}</td>`
+                    : '<td></td><td></td><td></td>'}
+                ${i === 0 && row.cost ? this.renderChange(formatMoney(row.cost.before), formatMoney(row.cost.after)) : '<td></td>'}
+                <td>${stock ? escapeHtml(stock.location) : ''}</td>
+                ${stock ? this.renderChange(stock.before ?? '', stock.after) : '<td></td>'}
+                <td class="num">${stock && stock.reserved ? escapeHtml(stock.reserved) : ''}</td>
+            </tr>`).join('');
+        }).join('');
+        const quarantinedRows = this.quarantined.map(q => `<tr>
+                <td>${escapeHtml(q.sku)}</td>
+                <td>${escapeHtml(q.product)}</td>
+                ${this.renderChange(formatMoney(q.before.price), formatMoney(q.after.price))}
+                ${this.renderChange(formatMoney(q.before.compareAtPrice), formatMoney(q.after.compareAtPrice))}
+                <td>${escapeHtml(q.message)}</td>
+            </tr>`).join('');
+        const notFoundRows = [...this.notFound].map(([sku, origins]) =>
+            `<tr><td>${escapeHtml(sku)}</td><td>${escapeHtml([...origins].join(', '))}</td></tr>`).join('');
+        const errorRows = this.errors.map(e =>
+            `<tr><td>${escapeHtml(e.sku)}</td><td>${escapeHtml(e.product)}</td><td>${escapeHtml(e.message)}</td></tr>`).join('');
+        const summary = (sections || []).map(section =>
+            `<h3>${escapeHtml(section.title)}</h3><ul>${section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`).join('');
+
+        return `<!DOCTYPE html><html lang="es"><head><meta charset="utf-8"><title>Reporte ${escapeHtml(this.runId)}</title><style>${STYLES}</style></head><body>
+            <h1>Reporte de cambios ${escapeHtml(this.runId)}</h1>
+            <p>${escapeHtml(this.source)} · inicio ${escapeHtml(this.startedAt.toLocaleString())} · duración ${escapeHtml(durationSeconds)} s ·
+                estado <span class="status-${escapeHtml(status)}">${escapeHtml(STATUS_LABELS[status] || status)}</span></p>
+            ${error ? `<p class="status-failed">Error: ${escapeHtml(error)}</p>` : ''}
+            ${summary ? `<h2>Resumen</h2>${summary}` : ''}
+            <h2>SKUs cambiados (${this.rows.size})</h2>
+            ${changeRows
+                ? `<table><tr><th>SKU</th><th>Producto</th><th>Precio</th><th>Comparación</th><th>Descuento</th><th>Costo</th><th>Ubicación</th><th>Stock</th><th>Reserva tienda</th></tr>${changeRows}</table>`
+                : '<p class="muted">No se cambió ningún SKU.</p>'}
+            ${quarantinedRows ? `<h2>⛔ Cambios de precio en cuarentena (${this.quarantined.length})</h2>
+            <p>No se aplicaron: requieren aprobación manual (ver el archivo de cuarentena en el log).</p>
+            <table class="quarantined"><tr><th>SKU</th><th>Producto</th><th>Precio</th><th>Comparación</th><th>Motivo</th></tr>${quarantinedRows}</table>` : ''}
+            <h2>SKUs no encontrados en Shopify (${this.notFound.size})</h2>
+            ${notFoundRows ? `<table><tr><th>SKU</th><th>Origen</th></tr>${notFoundRows}</table>` : '<p class="muted">Ninguno.</p>'}
+            <h2>Errores (${this.errors.length})</h2>
+            ${errorRows ? `<table class="errors"><tr><th>SKU</th><th>Producto</th><th>Error</th></tr>${errorRows}</table>` : '<p class="muted">Ninguno.</p>'}
+        </body></html>`;
+    }
+
+    /**
+     * Escribe el reporte HTML y el CSV junto al log de la ejecución y deja de registrar.
+     * @param {string} logPath Ruta del log de la ejecución (los reportes se llaman `<log sin .log>.report.html|csv`).
+     * @param {Object} run
+     * @param {'success'|'incomplete'|'failed'} run.status Estado final.
+     * @param {number} run.durationSeconds Duración.
+     * @param {string|null} [run.error] Error fatal, si lo hubo.
+     * @param {Array<{title: string, lines: Array<string>}>} [run.sections] Resumen de cada fase o tienda
+     * (las mismas secciones que las notificaciones).
+     * @returns {{htmlPath: string, csvPath: string}|null} Rutas escritas, o null si no había una ejecución activa.
+     */
+    write(logPath, { status, durationSeconds, error = null, sections = [] }) {
+        if (!this.isActive()) return null;
+        const basePath = path.join(path.dirname(logPath), path.basename(logPath, '.log'));
+        const htmlPath = `${basePath}.report.html`;
+        const csvPath = `${basePath}.report.csv`;
+        if (!fs.existsSync(path.dirname(basePath))) {
+            fs.mkdirSync(path.dirname(basePath), { recursive: true });
+        }
+
+        if (error) this.recordError(null, error);
+        fs.writeFileSync(htmlPath, this.renderHtml({ status, durationSeconds, error, sections }), 'utf8');
+        const csvLines = [REPORT_CSV_COLUMNS.join(','), ...this.buildCsvRows().map(values => values.map(escapeCsvValue).join(','))];
+        fs.writeFileSync(csvPath, csvLines.join('\n') + '\n', 'utf8');
+        this.reset();
+        return { htmlPath, csvPath };
+    }
+}
+
+module.exports = new RunReport();
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Estado en memoria de la sincronización en curso dentro del proceso (main-sync.js o admin-server.js).
+ * runPriceUpdate y runInventoryUpdate registran aquí su objeto de estadísticas; como se actualiza en el mismo
+ * objeto después de cada lote, los contadores se pueden consultar en vivo mientras la ejecución avanza.
+ */
+
+class RunState {
+    constructor() {
+        this.current = null;
+    }
+
+    /**
+     * Marca el inicio de una ejecución.
+     * @param {Object} run
+     * @param {string} run.runId Identificador de la ejecución.
+     * @param {string} run.syncType Tipo de sincronización (price, inventory, both).
+     * @param {boolean} [run.incremental=false] Si es una ejecución incremental.
+     * @param {boolean} [run.resumed=false] Si se reanudó desde un checkpoint.
+     */
+    start({ runId, syncType, incremental = false, resumed = false }) {
+        this.current = { runId, syncType, incremental, resumed, startedAt: new Date(), step: 'inicio', stats: {} };
+    }
+
+    /**
+     * @returns {boolean} Si hay una ejecución en curso.
+     */
+    isRunning() {
+        return !!this.current;
+    }
+
+    /**
+     * Registra el paso actual (p. ej. 'datos', 'price', 'inventory').
+     * @param {string} step Nombre del paso.
+     */
+    setStep(step) {
+        if (this.current) this.current.step = step;
+    }
+
+    /**
+     * Registra el objeto de estadísticas de una fase. Se guarda la referencia, no una copia.
+     * @param {string} phase Fase (price, inventory).
+     * @param {Object} stats Estadísticas de la fase.
+     */
+    trackStats(phase, stats) {
+        if (this.current) this.current.stats[phase] = stats;
+    }
+
+    /**
+     * Marca el fin de la ejecución en curso.
+     */
+    finish() {
+        this.current = null;
+    }
+
+    /**
+     * Copia serializable de la ejecución en curso, con los contadores actuales de cada fase.
+     * Las listas de SKUs fallidos se resumen en su cantidad.
+     * @returns {Object|null}
+     */
+    snapshot() {
+        if (!this.current) return null;
+        const { startedAt, stats, ...rest } = this.current;
+        return {
+            ...rest,
+            startedAt: startedAt.toISOString(),
+            elapsedSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+            stats: Object.fromEntries(Object.entries(stats).map(([phase, phaseStats]) => {
+                const { failedSkus, ...counters } = phaseStats;
+                return [phase, { ...counters, failedSkus: (failedSkus || []).length }];
+            })),
+        };
+    }
+}
+
+module.exports = new RunState();
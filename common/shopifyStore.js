@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    SHOPIFY_SHOP_NAME,
+    SHOPIFY_ACCESS_TOKEN,
+    SHOPIFY_API_VERSION,
+    STORES_CONFIG,
+} = require('./config');
+
+/**
+ * @fileoverview Tienda de Shopify sobre la que operan price-update.js, inventory-update.js y apply-plan.js.
+ * Por defecto es la de SHOPIFY_SHOP_NAME. Los planes, archivos de cuarentena y diarios registran la tienda
+ * (`shopName`); `node main-sync.js apply` y `rollback` cambian a esa tienda, buscando sus credenciales en el
+ * archivo STORES_CONFIG de shopify-price-updater-direct.js cuando no es la tienda por defecto.
+ */
+
+const DEFAULT_STORE = {
+    name: SHOPIFY_SHOP_NAME,
+    shopName: SHOPIFY_SHOP_NAME,
+    accessToken: SHOPIFY_ACCESS_TOKEN,
+    apiVersion: SHOPIFY_API_VERSION,
+};
+
+let currentStore = DEFAULT_STORE;
+
+/**
+ * @returns {{name: string, shopName: string, accessToken: string, apiVersion: string}} Tienda activa.
+ */
+function getShopifyStore() {
+    return currentStore;
+}
+
+/**
+ * @returns {string} URL de la API GraphQL Admin de la tienda activa.
+ */
+function getShopifyGraphqlUrl() {
+    return `https://${currentStore.shopName}.myshopify.com/admin/api/${currentStore.apiVersion}/graphql.json`;
+}
+
+/**
+ * Busca las credenciales de una tienda: la de SHOPIFY_SHOP_NAME o una entrada de STORES_CONFIG con ese `shopName`.
+ * @param {string|null} shopName Tienda registrada en el plan o el diario (null: planes antiguos, tienda por defecto).
+ * @returns {{name: string, shopName: string, accessToken: string, apiVersion: string}}
+ * @throws {Error} Si la tienda no es la por defecto y no está en STORES_CONFIG o le falta el token.
+ */
+function resolveShopifyStore(shopName) {
+    if (!shopName || shopName === SHOPIFY_SHOP_NAME) {
+        return DEFAULT_STORE;
+    }
+    if (!STORES_CONFIG) {
+        throw new Error(`La tienda ${shopName} no es SHOPIFY_SHOP_NAME (${SHOPIFY_SHOP_NAME || 'no definido'}) y STORES_CONFIG no está definido: no hay credenciales para ella.`);
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(path.resolve(STORES_CONFIG), 'utf8'));
+    } catch (error) {
+        throw new Error(`No se pudo leer STORES_CONFIG (${STORES_CONFIG}): ${error.message}`);
+    }
+    const entry = (Array.isArray(entries) ? entries : []).find(store => store.shopName === shopName);
+    if (!entry) {
+        throw new Error(`La tienda ${shopName} no está en STORES_CONFIG (${STORES_CONFIG}).`);
+    }
+    const accessToken = entry.accessToken || (entry.accessTokenEnv ? process.env[entry.accessTokenEnv] : undefined);
+    if (!accessToken) {
+        throw new Error(`La tienda ${shopName} de STORES_CONFIG no tiene accessToken ni la variable de accessTokenEnv definida.`);
+    }
+    return {
+        name: String(entry.name || shopName),
+        shopName,
+        accessToken,
+        apiVersion: entry.apiVersion || SHOPIFY_API_VERSION,
+    };
+}
+
+/**
+ * Cambia la tienda activa. `useShopifyStore(null)` vuelve a la tienda por defecto.
+ * @param {string|null} shopName Tienda a usar.
+ * @returns {{name: string, shopName: string, accessToken: string, apiVersion: string}} Tienda activa.
+ */
+function useShopifyStore(shopName) {
+    currentStore = resolveShopifyStore(shopName);
+    return currentStore;
+}
+
+module.exports = {
+    getShopifyStore,
+    getShopifyGraphqlUrl,
+    resolveShopifyStore,
+    useShopifyStore,
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Limitador de tasa para la API GraphQL de Shopify basado en el costo de las consultas.
+ *
+ * Shopify asigna a cada tienda un "balde" de puntos (maximumAvailable) que se recupera a
+ * restoreRate puntos por segundo; cada consulta consume su costo. Cada respuesta trae el estado
+ * real del balde en `extensions.cost.throttleStatus`, así que en lugar de un número fijo de
+ * solicitudes por segundo se espera solo lo necesario para que haya puntos suficientes.
+ *
+ * No depende del logger para poder usarse tanto desde `common/` como desde `src/`.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class ShopifyCostThrottle {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.defaultQueryCost=10] Costo supuesto para consultas que aún no se han visto.
+     * @param {number} [options.maximumAvailable=1000] Capacidad inicial supuesta del balde (se corrige con la primera respuesta).
+     * @param {number} [options.restoreRate=50] Puntos recuperados por segundo supuestos (se corrige con la primera respuesta).
+     */
+    constructor({ defaultQueryCost = 10, maximumAvailable = 1000, restoreRate = 50 } = {}) {
+        this.defaultQueryCost = defaultQueryCost;
+        this.maximumAvailable = maximumAvailable;
+        this.currentlyAvailable = maximumAvailable;
+        this.restoreRate = restoreRate;
+        this.lastUpdate = Date.now();
+        this.expectedCosts = new Map(); // consulta -> último requestedQueryCost observado
+        this.queue = Promise.resolve(); // Serializa las reservas para que las esperas no se solapen
+        this.stats = { waits: 0, totalWaitMs: 0, throttled: 0 };
+    }
+
+    /**
+     * Estima los puntos disponibles ahora, sumando lo recuperado desde la última actualización.
+     * @returns {number}
+     */
+    estimateAvailable() {
+        const elapsedSeconds = (Date.now() - this.lastUpdate) / 1000;
+        return Math.min(this.maximumAvailable, this.currentlyAvailable + elapsedSeconds * this.restoreRate);
+    }
+
+    /**
+     * Costo esperado de una consulta según la última vez que se ejecutó.
+     * @param {string} [queryKey] Texto (o identificador) de la consulta.
+     * @returns {number}
+     */
+    getExpectedCost(queryKey) {
+        const cost = queryKey ? this.expectedCosts.get(queryKey) : undefined;
+        return Math.min(cost !== undefined ? cost : this.defaultQueryCost, this.maximumAvailable);
+    }
+
+    /**
+     * Milisegundos a esperar hasta que haya `cost` puntos disponibles.
+     * @param {number} cost
+     * @returns {number}
+     */
+    getDelayFor(cost) {
+        const missing = cost - this.estimateAvailable();
+        return missing > 0 ? Math.ceil((missing / this.restoreRate) * 1000) : 0;
+    }
+
+    /**
+     * Espera hasta que haya puntos suficientes para la consulta y los reserva.
+     * @param {string} [queryKey] Texto (o identificador) de la consulta.
+     * @returns {Promise<void>}
+     */
+    acquire(queryKey) {
+        const cost = this.getExpectedCost(queryKey);
+        const reservation = this.queue.then(async () => {
+            const waitMs = this.getDelayFor(cost);
+            if (waitMs > 0) {
+                this.stats.waits++;
+                this.stats.totalWaitMs += waitMs;
+                await sleep(waitMs);
+            }
+            this.currentlyAvailable = this.estimateAvailable() - cost;
+            this.lastUpdate = Date.now();
+        });
+        this.queue = reservation.catch(() => {});
+        return reservation;
+    }
+
+    /**
+     * Actualiza el estado del balde con `extensions.cost` de una respuesta GraphQL.
+     * @param {string} [queryKey] Consulta a la que corresponde la respuesta.
+     * @param {object} [cost] Objeto `extensions.cost` ({ requestedQueryCost, throttleStatus }).
+     */
+    update(queryKey, cost) {
+        if (!cost) return;
+        if (queryKey && typeof cost.requestedQueryCost === 'number') {
+            this.expectedCosts.set(queryKey, cost.requestedQueryCost);
+        }
+        const status = cost.throttleStatus;
+        if (status) {
+            this.maximumAvailable = status.maximumAvailable || this.maximumAvailable;
+            this.restoreRate = status.restoreRate || this.restoreRate;
+            this.currentlyAvailable = status.currentlyAvailable;
+            this.lastUpdate = Date.now();
+        }
+    }
+
+    /**
+     * Registra una respuesta THROTTLED y devuelve cuánto esperar antes de reintentar.
+     * @param {string} [queryKey] Consulta rechazada.
+     * @param {object} [cost] Objeto `extensions.cost` de la respuesta, si vino.
+     * @returns {number} Milisegundos a esperar.
+     */
+    onThrottled(queryKey, cost) {
+        this.stats.throttled++;
+        this.update(queryKey, cost);
+        const waitMs = Math.max(this.getDelayFor(this.getExpectedCost(queryKey)), 1000);
+        this.stats.waits++;
+        this.stats.totalWaitMs += waitMs;
+        return waitMs;
+    }
+}
+
+/**
+ * Indica si una respuesta GraphQL fue rechazada por exceder el límite de costo.
+ * @param {object} responseData Cuerpo de la respuesta.
+ * @returns {boolean}
+ */
+function isThrottledResponse(responseData) {
+    return Array.isArray(responseData?.errors) && responseData.errors.some(e => e?.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * Extrae el texto de la consulta del cuerpo de una solicitud (string JSON u objeto), para usarlo como clave de costo.
+ * @param {string|object} data Cuerpo de la solicitud.
+ * @returns {string|undefined}
+ */
+function getQueryKey(data) {
+    try {
+        const body = typeof data === 'string' ? JSON.parse(data) : data;
+        return body?.query;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+module.exports = {
+    ShopifyCostThrottle,
+    isThrottledResponse,
+    getQueryKey,
+};
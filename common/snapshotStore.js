@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { SNAPSHOT_DIR } = require('./config');
+
+/**
+ * @fileoverview Almacén local de instantáneas por ejecución.
+ * Cada ejecución guarda en `<SNAPSHOT_DIR>/<runId>/` un `meta.json` y un archivo JSONL por conjunto de datos:
+ * - `shopify-variants.jsonl`: estado de las variantes de Shopify tal como se obtuvieron.
+ * - `delfin-prices.jsonl` / `delfin-inventory.jsonl`: filas de Delfin ya normalizadas.
+ * Cada línea lleva un campo `sku` normalizado (sin ceros a la izquierda) para poder buscar un SKU entre ejecuciones
+ * con `node main-sync.js history <sku>`.
+ */
+
+const DATASETS = ['shopify-variants', 'delfin-prices', 'delfin-inventory'];
+
+class SnapshotStore {
+    constructor() {
+        this.snapshotDir = path.resolve(SNAPSHOT_DIR);
+        this.runId = null;
+        this.runDir = null;
+    }
+
+    /**
+     * Activa el almacén para una ejecución. Si la ejecución ya tiene instantánea (reanudada), se conserva su `meta.json`.
+     * @param {string} runId Identificador de la ejecución.
+     * @param {string} source Script que genera la instantánea.
+     */
+    init(runId, source) {
+        this.runId = runId;
+        this.runDir = path.join(this.snapshotDir, runId);
+        if (!fs.existsSync(this.runDir)) {
+            fs.mkdirSync(this.runDir, { recursive: true });
+        }
+        const metaPath = path.join(this.runDir, 'meta.json');
+        if (!fs.existsSync(metaPath)) {
+            fs.writeFileSync(metaPath, JSON.stringify({ runId, source, createdAt: new Date().toISOString() }, null, 2), 'utf8');
+        }
+    }
+
+    /**
+     * @returns {boolean} Si hay una ejecución activa guardando instantáneas.
+     */
+    isActive() {
+        return !!this.runDir;
+    }
+
+    /**
+     * Guarda (reemplaza) un conjunto de datos de la ejecución activa. No hace nada si el almacén no se inicializó.
+     * @param {string} dataset Uno de DATASETS.
+     * @param {Array<Object>} rows Filas con un campo `sku` normalizado.
+     * @returns {string|null} Ruta del archivo escrito.
+     */
+    save(dataset, rows) {
+        if (!this.runDir) return null;
+        if (!DATASETS.includes(dataset)) {
+            throw new Error(`Conjunto de datos de instantánea desconocido: ${dataset}`);
+        }
+        const filePath = path.join(this.runDir, `${dataset}.jsonl`);
+        const fd = fs.openSync(filePath, 'w');
+        try {
+            rows.forEach(row => fs.writeSync(fd, JSON.stringify(row) + '\n'));
+        } finally {
+            fs.closeSync(fd);
+        }
+        return filePath;
+    }
+
+    /**
+     * Convierte una variante de Shopify (de cualquiera de las consultas de los scripts) a una fila de instantánea.
+     * @param {Object} variant Variante de Shopify.
+     * @param {string} sku SKU normalizado.
+     * @returns {Object}
+     */
+    variantToRow(variant, sku) {
+        const level = variant.inventoryItem?.inventoryLevels?.edges?.[0]?.node;
+        const available = level?.quantities?.find(q => q.name === 'available')?.quantity;
+        return {
+            sku,
+            shopifySku: variant.sku,
+            variantId: variant.id,
+            productId: variant.product?.id ?? null,
+            displayName: variant.displayName || variant.product?.title || null,
+            price: variant.price ?? null,
+            compareAtPrice: variant.compareAtPrice ?? null,
+            inventoryItemId: variant.inventoryItem?.id ?? null,
+            tracked: variant.inventoryItem?.tracked ?? null,
+            quantity: variant.currentInventory ?? available ?? null,
+            locationId: level?.location?.id ?? null,
+        };
+    }
+
+    /**
+     * Lista las ejecuciones con instantánea, de la más antigua a la más reciente.
+     * @returns {Array<{runId: string, source: string, createdAt: string, dir: string}>}
+     */
+    listRuns() {
+        if (!fs.existsSync(this.snapshotDir)) return [];
+        return fs.readdirSync(this.snapshotDir)
+            .map(name => path.join(this.snapshotDir, name))
+            .filter(dir => fs.existsSync(path.join(dir, 'meta.json')))
+            .map(dir => ({ ...JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8')), dir }))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Busca un SKU en todas las instantáneas guardadas.
+     * @param {string} sku SKU normalizado.
+     * @returns {Array<{runId: string, source: string, createdAt: string, shopify: Array<Object>, delfinPrice: Object|null, delfinInventory: Object|null}>}
+     * Una entrada por ejecución en la que aparece el SKU, en orden cronológico.
+     */
+    findSku(sku) {
+        const needle = `"sku":${JSON.stringify(sku)}`;
+        const history = [];
+        for (const run of this.listRuns()) {
+            const rowsByDataset = {};
+            DATASETS.forEach(dataset => {
+                const filePath = path.join(run.dir, `${dataset}.jsonl`);
+                if (!fs.existsSync(filePath)) return;
+                rowsByDataset[dataset] = fs.readFileSync(filePath, 'utf8')
+                    .split('\n')
+                    .filter(line => line.includes(needle)) // Filtro rápido antes de parsear
+                    .map(line => JSON.parse(line))
+                    .filter(row => row.sku === sku);
+            });
+            const shopify = rowsByDataset['shopify-variants'] || [];
+            const delfinPrice = (rowsByDataset['delfin-prices'] || [])[0] || null;
+            const delfinInventory = (rowsByDataset['delfin-inventory'] || [])[0] || null;
+            if (shopify.length > 0 || delfinPrice || delfinInventory) {
+                history.push({ runId: run.runId, source: run.source, createdAt: run.createdAt, shopify, delfinPrice, delfinInventory });
+            }
+        }
+        return history;
+    }
+}
+
+module.exports = new SnapshotStore();
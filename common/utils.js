@@ -2,19 +2,21 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse'); // Usar 'parse' de csv-parse
-const { RateLimiter } = require('limiter');
 const Logger = require('./logger'); // Asumiendo que logger.js está en el mismo directorio 'common'
+const { ShopifyCostThrottle, isThrottledResponse, getQueryKey } = require('./shopifyThrottle');
+const metrics = require('./metrics');
+const { toMoneyString } = require('./money');
+const { getDiscountTimeZone, parseDiscountWindow, getWindowStatus, describeWindow } = require('./discountSchedule');
 
 // Cargar configuración. Asegúrate que la ruta a config.js sea correcta
 // Si utils.js está en 'common', y config.js también, sería './config'
 const {
-    SHOPIFY_RATE_LIMIT,
     API_TIMEOUT,
     MAX_RETRIES, // Asegúrate que MAX_RETRIES esté definido en config.js
 } = require('./config');
 
-// Inicializar el limitador de tasa para las APIs de Shopify
-const shopifyLimiter = new RateLimiter({ tokensPerInterval: SHOPIFY_RATE_LIMIT, interval: 'second' });
+// Limitador de la API GraphQL de Shopify basado en el costo de cada consulta (extensions.cost.throttleStatus)
+const shopifyThrottle = new ShopifyCostThrottle();
 
 /**
  * Limpia un SKU eliminando caracteres no numéricos y ceros a la izquierda.
@@ -30,29 +32,40 @@ function cleanSku(input) {
 
 /**
  * Realiza una solicitud HTTP con reintentos en caso de ciertos errores.
+ * Con el limitador de Shopify activo, cada solicitud espera a que el balde de costo tenga puntos
+ * suficientes para la consulta, y las respuestas THROTTLED se reintentan tras esperar lo necesario.
  * @param {object} config Configuración de Axios para la solicitud.
- * @param {boolean} [useShopifyLimiter=false] Si se debe aplicar el limitador de tasa de Shopify.
+ * @param {boolean} [useShopifyLimiter=false] Si se debe aplicar el limitador de costo de Shopify.
  * @param {number} [retries=MAX_RETRIES] Número de reintentos restantes.
  * @returns {Promise<object>} La data de la respuesta.
  * @throws {Error} Si la solicitud falla después de todos los reintentos.
  */
 async function fetchWithRetry(config, useShopifyLimiter = false, retries = MAX_RETRIES) {
+    const queryKey = useShopifyLimiter ? getQueryKey(config.data) : undefined;
     if (useShopifyLimiter) {
-        try {
-            await shopifyLimiter.removeTokens(1); // Esperar a que haya un token disponible
-        } catch (limitError) {
-            Logger.error("Error al consumir token del limitador de tasa de Shopify", limitError);
-            // Podrías optar por esperar un poco y reintentar la obtención del token,
-            // o simplemente lanzar el error para que el reintento de fetchWithRetry lo maneje.
-            throw limitError; // Esto hará que fetchWithRetry lo catalogue como un error y reintente si es aplicable.
-        }
+        await shopifyThrottle.acquire(queryKey); // Esperar a que haya puntos suficientes para esta consulta
     }
 
     try {
         const response = await axios({ ...config, timeout: API_TIMEOUT });
-        // Si hay errores de GraphQL en una respuesta exitosa (status 200), registrarlos.
-        if (useShopifyLimiter && response.data && response.data.errors) {
-            Logger.warn(`Errores GraphQL en la respuesta de ${config.url}: ${JSON.stringify(response.data.errors)}`);
+        if (useShopifyLimiter && response.data) {
+            const cost = response.data.extensions?.cost;
+            if (isThrottledResponse(response.data)) {
+                const waitMs = shopifyThrottle.onThrottled(queryKey, cost);
+                if (retries > 0) {
+                    metrics.countRetry('throttled');
+                    Logger.warn(`Shopify respondió THROTTLED para ${config.url}. Reintentando en ${(waitMs / 1000).toFixed(1)}s... (${retries} reintentos restantes)`);
+                    await new Promise(resolve => setTimeout(resolve, waitMs));
+                    return fetchWithRetry(config, useShopifyLimiter, retries - 1);
+                }
+                Logger.error(`Shopify respondió THROTTLED para ${config.url} y no quedan reintentos.`);
+            } else {
+                shopifyThrottle.update(queryKey, cost);
+            }
+            // Si hay errores de GraphQL en una respuesta exitosa (status 200), registrarlos.
+            if (response.data.errors) {
+                Logger.warn(`Errores GraphQL en la respuesta de ${config.url}: ${JSON.stringify(response.data.errors)}`);
+            }
         }
         return response.data;
     } catch (error) {
@@ -68,6 +81,7 @@ async function fetchWithRetry(config, useShopifyLimiter = false, retries = MAX_R
         // Condiciones para reintentar
         if (retries > 0 && (statusCode === 429 || statusCode >= 500 || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.code === 'ENOTFOUND' || error.code === 'ECONNRESET')) {
             const delay = Math.pow(2, (MAX_RETRIES || 3) - retries) * 1000 + Math.random() * 1000; // Backoff exponencial
+            metrics.countRetry('error');
             Logger.log(`Reintentando en ${(delay / 1000).toFixed(1)}s... (${retries} reintentos restantes)`);
             await new Promise(resolve => setTimeout(resolve, delay));
             return fetchWithRetry(config, useShopifyLimiter, retries - 1);
@@ -80,13 +94,24 @@ async function fetchWithRetry(config, useShopifyLimiter = false, retries = MAX_R
 
 /**
  * Carga los descuentos desde un archivo CSV, ya sea local o desde una URL.
+ * Las columnas opcionales `start` y `end` limitan la vigencia de cada descuento (ver common/discountSchedule.js):
+ * solo se devuelven los vigentes ahora, así que los SKUs programados o vencidos vuelven al precio regular.
  * @param {string} csvPath Ruta local o URL al archivo CSV.
  * @returns {Promise<Map<string, number>>} Un mapa con SKU como clave y porcentaje de descuento como valor.
  * Retorna un mapa vacío si hay errores o el archivo no se encuentra.
+ * @throws {Error} Si DISCOUNT_TIMEZONE no es una zona horaria válida.
  */
 async function loadDiscounts(csvPath) {
     return new Promise(async (resolve, reject) => {
         const discounts = new Map();
+        const now = new Date();
+        const outOfWindow = { scheduled: 0, expired: 0 };
+        let timeZone;
+        try {
+            timeZone = getDiscountTimeZone();
+        } catch (error) {
+            return reject(error);
+        }
         if (!csvPath) {
             Logger.warn("No se proporcionó DISCOUNT_CSV_PATH. Continuando sin descuentos.");
             return resolve(discounts);
@@ -129,6 +154,8 @@ async function loadDiscounts(csvPath) {
                 // Intentar encontrar las columnas 'sku' y 'discount' (insensible a mayúsculas/minúsculas)
                 const skuKey = Object.keys(row).find(k => k.toLowerCase() === 'sku');
                 const discountKey = Object.keys(row).find(k => k.toLowerCase() === 'discount');
+                const startKey = Object.keys(row).find(k => k.toLowerCase() === 'start');
+                const endKey = Object.keys(row).find(k => k.toLowerCase() === 'end');
 
                 const skuValue = skuKey ? row[skuKey] : undefined;
                 const discountValue = discountKey ? row[discountKey] : undefined;
@@ -139,6 +166,20 @@ async function loadDiscounts(csvPath) {
                 const pct = parseFloat(pctString);
 
                 if (cleanedSku && !isNaN(pct) && pct >= 0 && pct <= 100) {
+                    let window;
+                    try {
+                        window = parseDiscountWindow(startKey ? row[startKey] : null, endKey ? row[endKey] : null, timeZone);
+                    } catch (error) {
+                        Logger.warn(`Saltando descuento del SKU ${cleanedSku} con vigencia inválida: ${error.message}`);
+                        return;
+                    }
+                    const status = getWindowStatus(window, now);
+                    if (status !== 'active') {
+                        // Fuera de su vigencia: el SKU se sincroniza sin descuento (precio regular, sin precio de comparación)
+                        outOfWindow[status]++;
+                        Logger.debug(`Descuento de ${pct}% del SKU ${cleanedSku} ${status === 'scheduled' ? 'aún no comienza' : 'ya venció'} (${describeWindow(window)})`);
+                        return;
+                    }
                     if (discounts.has(cleanedSku)) {
                         Logger.warn(`SKU duplicado en archivo de descuentos: ${cleanedSku}. Se usará la última entrada encontrada.`);
                     }
@@ -151,6 +192,9 @@ async function loadDiscounts(csvPath) {
             })
             .on('end', () => {
                 Logger.log(`🗒️ Cargados ${discounts.size} descuentos válidos desde ${isUrl ? csvPath : path.basename(csvPath)}`);
+                if (outOfWindow.scheduled > 0 || outOfWindow.expired > 0) {
+                    Logger.log(`⏳ Descuentos fuera de vigencia (se usa el precio regular): ${outOfWindow.scheduled} programados, ${outOfWindow.expired} vencidos (zona horaria: ${timeZone || 'la del servidor'})`);
+                }
                 resolve(discounts);
             })
             .on('error', (err) => {
@@ -179,4 +223,6 @@ module.exports = {
     cleanSku,
     fetchWithRetry,
     loadDiscounts,
+    toMoneyString,
+    shopifyThrottle,
 };
@@ -1,15 +1,23 @@
 const {
-    SHOPIFY_SHOP_NAME,
-    SHOPIFY_ACCESS_TOKEN,
     INVENTORY_API_URL,
-    SHOPIFY_API_VERSION,
+    SHOPIFY_FETCH_MODE,
+    INVENTORY_BATCH_SIZE,
+    ONLINE_COMMITMENTS_PATH,
+    ONLINE_COMMITMENT_TTL_HOURS,
 } = require('./common/config');                                                    // :contentReference[oaicite:0]{index=0}
 
 const Logger = require('./common/logger');
-const { cleanSku, fetchWithRetry } = require('./common/utils'); // Importar de utils
-
-const SHOPIFY_GRAPHQL_URL =
-    `https://${SHOPIFY_SHOP_NAME}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+const journal = require('./common/journal');
+const runLock = require('./common/runLock');
+const runState = require('./common/runState');
+const metrics = require('./common/metrics');
+const { notifyRunFinished } = require('./common/notifier');
+const runReport = require('./common/runReport');
+const snapshotStore = require('./common/snapshotStore');
+const { cleanSku, fetchWithRetry, shopifyThrottle } = require('./common/utils'); // Importar de utils
+const { runBulkQuery } = require('./common/bulkOperation');
+const { getShopifyStore, getShopifyGraphqlUrl } = require('./common/shopifyStore');
+const { reconcileWithDelfin } = require('./common/onlineCommitments');
 
 
 async function getLocalInventory() {
@@ -31,6 +39,7 @@ async function getLocalInventory() {
         map[sku] = Math.max(0, initial + inRec - out);
     }
     Logger.log(`✅ Procesados ${Object.keys(map).length} SKUs del inventario local`);
+    snapshotStore.save('delfin-inventory', Object.entries(map).map(([sku, quantity]) => ({ sku, quantity })));
     return map;
 }
 
@@ -40,10 +49,10 @@ async function getActiveLocationId() {
     const query = `query { locations(first:1, query:"status:active") { edges { node { id name } } }}`; // Incluir nombre para logs
     const responseData = await fetchWithRetry({ // Usa el fetchWithRetry de utils
         method: 'POST',
-        url: SHOPIFY_GRAPHQL_URL,
+        url: getShopifyGraphqlUrl(),
         headers: {
             'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
+            'X-Shopify-Access-Token': getShopifyStore().accessToken
         },
         data: JSON.stringify({ query })
     }, true); // Indicar que use el rate limiter de Shopify
@@ -58,7 +67,15 @@ async function getActiveLocationId() {
     return null;
 }
 
-async function getAllShopifyVariantsForInventory() {
+/**
+ * Obtiene las variantes de Shopify con los campos de inventario.
+ * @param {string|null} [searchQuery] Filtro de búsqueda de Shopify (modo incremental), ej. "sku:1 OR sku:2".
+ * @returns {Promise<Array<Object>>} Variantes de Shopify.
+ */
+async function getAllShopifyVariantsForInventory(searchQuery = null) {
+    if (SHOPIFY_FETCH_MODE === 'bulk') {
+        return getAllShopifyVariantsForInventoryBulk(searchQuery);
+    }
     // (Lógica sin cambios, pero usa fetchWithRetry de utils y pide 'quantities')
     Logger.log('🔎 Obteniendo variantes de Shopify (para inventario)...');
     let variants = [], hasNext = true, cursor = null;
@@ -68,11 +85,12 @@ async function getAllShopifyVariantsForInventory() {
     while (hasNext && pageCount < MAX_PAGES) {
         pageCount++;
         const query = `
-          query GetVariantsForInventory($limit: Int!, $cursor: String) {
-            productVariants(first: $limit, after: $cursor) {
+          query GetVariantsForInventory($limit: Int!, $cursor: String, $search: String) {
+            productVariants(first: $limit, after: $cursor, query: $search) {
               pageInfo { hasNextPage endCursor }
               edges {
                 node {
+                  id
                   sku
                   displayName # Para logs
                   inventoryItem {
@@ -86,13 +104,13 @@ async function getAllShopifyVariantsForInventory() {
               }
             }
           }`;
-        const variables = { limit: 100, cursor };
+        const variables = { limit: 100, cursor, search: searchQuery };
         const responseData = await fetchWithRetry({ // Usa el fetchWithRetry de utils
             method: 'POST',
-            url: SHOPIFY_GRAPHQL_URL,
+            url: getShopifyGraphqlUrl(),
             headers: {
                 'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
+                'X-Shopify-Access-Token': getShopifyStore().accessToken
             },
             data: JSON.stringify({ query, variables })
         }, true); // Indicar que use el rate limiter de Shopify
@@ -112,8 +130,131 @@ async function getAllShopifyVariantsForInventory() {
     return variants;
 }
 
-async function updateShopifyInventory(inventoryItemId, locationId, quantity) {
-    Logger.log(`🔢 Actualizando inventario para Item ${inventoryItemId} en Location ${locationId} → ${quantity}`);
+/**
+ * Obtiene todas las variantes de Shopify (campos de inventario) mediante una operación masiva.
+ * Los niveles de inventario llegan en el JSONL como líneas separadas con `__parentId`; aquí se
+ * vuelven a anidar en `inventoryItem.inventoryLevels.edges` para obtener la misma forma que la versión paginada.
+ * @param {string|null} [searchQuery] Filtro de búsqueda de Shopify (modo incremental).
+ * @returns {Promise<Array<Object>>} Variantes de Shopify.
+ */
+async function getAllShopifyVariantsForInventoryBulk(searchQuery = null) {
+    Logger.log('🔎 Obteniendo variantes de Shopify (para inventario) mediante operación masiva...');
+    const bulkQuery = `
+      {
+        productVariants${searchQuery ? `(query: ${JSON.stringify(searchQuery)})` : ''} {
+          edges {
+            node {
+              id
+              sku
+              displayName
+              inventoryItem {
+                id
+                tracked
+                inventoryLevels {
+                  edges { node { id location { id } quantities(names: "available") { name quantity } } }
+                }
+              }
+            }
+          }
+        }
+      }`;
+
+    const variants = [];
+    const parentById = new Map(); // GID de variante o inventory item -> variante
+    const orphanLevels = new Map(); // __parentId -> niveles recibidos antes que su padre
+
+    const attachLevel = (variant, level) => {
+        variant.inventoryItem.inventoryLevels.edges.push({ node: level });
+    };
+
+    await runBulkQuery(getShopifyGraphqlUrl(), getShopifyStore().accessToken, bulkQuery, record => {
+        if (record.__parentId) {
+            const { __parentId, ...level } = record;
+            const parent = parentById.get(__parentId);
+            if (parent) {
+                attachLevel(parent, level);
+            } else {
+                if (!orphanLevels.has(__parentId)) orphanLevels.set(__parentId, []);
+                orphanLevels.get(__parentId).push(level);
+            }
+            return;
+        }
+        if (record.inventoryItem) {
+            record.inventoryItem.inventoryLevels = { edges: [] };
+            parentById.set(record.inventoryItem.id, record);
+        }
+        parentById.set(record.id, record);
+        variants.push(record);
+    });
+
+    for (const [parentId, levels] of orphanLevels) {
+        const parent = parentById.get(parentId);
+        if (parent?.inventoryItem) {
+            levels.forEach(level => attachLevel(parent, level));
+        } else {
+            Logger.warn(`Se recibieron ${levels.length} niveles de inventario sin variante padre (${parentId}).`);
+        }
+    }
+
+    Logger.log(`✅ Obtenidas ${variants.length} variantes de Shopify (para inventario, operación masiva)`);
+    return variants;
+}
+
+/**
+ * Obtiene la cantidad "available" actual de varios inventory items en una ubicación.
+ * @param {Array<string>} inventoryItemIds GIDs de los inventory items.
+ * @param {string} locationId GID de la ubicación.
+ * @returns {Promise<Map<string, number|null>>} Mapa de GID -> cantidad disponible (null si no hay nivel en la ubicación).
+ * Los inventory items que ya no existen en Shopify no aparecen en el mapa.
+ */
+async function getInventoryQuantitiesByItemIds(inventoryItemIds, locationId) {
+    const result = new Map();
+    const CHUNK_SIZE = 100; // Máximo de IDs por consulta `nodes`
+    const query = `
+      query GetInventoryByItemIds($ids: [ID!]!, $locationId: ID!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            id
+            inventoryLevel(locationId: $locationId) {
+              quantities(names: "available") { name quantity }
+            }
+          }
+        }
+      }`;
+
+    for (let i = 0; i < inventoryItemIds.length; i += CHUNK_SIZE) {
+        const ids = inventoryItemIds.slice(i, i + CHUNK_SIZE);
+        const responseData = await fetchWithRetry({
+            method: 'POST',
+            url: getShopifyGraphqlUrl(),
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': getShopifyStore().accessToken
+            },
+            data: JSON.stringify({ query, variables: { ids, locationId } })
+        }, true); // Indicar que use el rate limiter de Shopify
+
+        if (responseData.errors) { throw new Error(`Error GraphQL obteniendo inventario por ID: ${JSON.stringify(responseData.errors)}`); }
+        (responseData?.data?.nodes || []).forEach(node => {
+            if (!node?.id) return;
+            const availableObj = node.inventoryLevel?.quantities?.find(q => q.name === 'available');
+            result.set(node.id, availableObj?.quantity !== undefined ? Number(availableObj.quantity) : null);
+        });
+    }
+    return result;
+}
+
+/**
+ * Envía un lote de cambios de inventario en una sola mutación inventorySetOnHandQuantities.
+ * La mutación es atómica: si Shopify devuelve userErrors no se aplica ninguna entrada del lote.
+ * Los errores se asocian a su entrada por el índice incluido en `field` (ej. ["input", "setQuantities", "3", "quantity"]);
+ * si todos los errores tienen índice, el lote se reenvía una vez sin las entradas rechazadas.
+ * @param {Array<Object>} changes Cambios de tipo 'inventory'.
+ * @param {boolean} [retryWithoutRejected=true] Reenviar el resto del lote tras descartar las entradas con error.
+ * @returns {Promise<Array<{change: Object, success: boolean, errors?: Array}>>} Resultado por cambio.
+ */
+async function updateShopifyInventoryBatch(changes, retryWithoutRejected = true) {
+    Logger.log(`🔢 Actualizando inventario en lote (${changes.length} items): ${changes.map(c => `${c.sku}→${c.after.quantity}`).join(', ')}`);
     const mutation = `
       mutation inventorySetOnHandQuantities($input: InventorySetOnHandQuantitiesInput!) {
         inventorySetOnHandQuantities(input: $input) {
@@ -124,121 +265,374 @@ async function updateShopifyInventory(inventoryItemId, locationId, quantity) {
     const variables = {
         input: {
             reason: 'correction',
-            setQuantities: [{ inventoryItemId, locationId, quantity }]
+            setQuantities: changes.map(c => ({ inventoryItemId: c.inventoryItemId, locationId: c.locationId, quantity: c.after.quantity }))
         }
     };
-    const responseData = await fetchWithRetry({ // Usa el fetchWithRetry de utils
-        method: 'POST',
-        url: SHOPIFY_GRAPHQL_URL,
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-        },
-        data: JSON.stringify({ query: mutation, variables })
-    }, true); // Indicar que use el rate limiter de Shopify
 
-    const userErrors = responseData?.data?.inventorySetOnHandQuantities?.userErrors;
-    if (userErrors && userErrors.length > 0) {
-        Logger.error(`❌ Error al actualizar inventario para Item ${inventoryItemId}: ${JSON.stringify(userErrors)}`);
-        return { success: false, errors: userErrors };
+    let responseData;
+    try {
+        responseData = await fetchWithRetry({ // Usa el fetchWithRetry de utils
+            method: 'POST',
+            url: getShopifyGraphqlUrl(),
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': getShopifyStore().accessToken
+            },
+            data: JSON.stringify({ query: mutation, variables })
+        }, true); // Indicar que use el rate limiter de Shopify
+    } catch (error) {
+        Logger.error(`❌ Falló la actualización de inventario en lote (${changes.length} items)`, error);
+        return changes.map(change => ({ change, success: false, errors: [{ message: error.message }] }));
+    }
+
+    if (responseData.errors) {
+        Logger.error(`❌ Error GraphQL raíz al actualizar inventario en lote: ${JSON.stringify(responseData.errors)}`);
+        return changes.map(change => ({ change, success: false, errors: responseData.errors }));
+    }
+
+    const userErrors = responseData?.data?.inventorySetOnHandQuantities?.userErrors || [];
+    if (userErrors.length > 0) {
+        const errorsByIndex = new Map();
+        const batchErrors = [];
+        userErrors.forEach(userError => {
+            const fieldIndex = Array.isArray(userError.field) ? userError.field.indexOf('setQuantities') : -1;
+            const index = fieldIndex >= 0 ? parseInt(userError.field[fieldIndex + 1], 10) : NaN;
+            if (isNaN(index)) {
+                batchErrors.push(userError);
+            } else {
+                if (!errorsByIndex.has(index)) errorsByIndex.set(index, []);
+                errorsByIndex.get(index).push(userError);
+            }
+        });
+
+        const rejected = [];
+        const remaining = [];
+        changes.forEach((change, index) => {
+            const errors = [...(errorsByIndex.get(index) || []), ...batchErrors];
+            if (errors.length > 0) {
+                Logger.error(`❌ Error al actualizar inventario para SKU ${change.sku} (Item ${change.inventoryItemId}): ${JSON.stringify(errors)}`);
+                rejected.push({ change, success: false, errors });
+            } else {
+                remaining.push(change);
+            }
+        });
+
+        if (remaining.length === 0) return rejected;
+        if (!retryWithoutRejected) {
+            // Las entradas sin error tampoco se aplicaron porque la mutación es atómica
+            return [...rejected, ...remaining.map(change => ({ change, success: false, errors: [{ message: "Lote rechazado por errores en otras entradas" }] }))];
+        }
+        Logger.warn(`Reenviando ${remaining.length} item(s) del lote sin las ${rejected.length} entrada(s) rechazadas.`);
+        return [...rejected, ...await updateShopifyInventoryBatch(remaining, false)];
     }
+
     if (responseData?.data?.inventorySetOnHandQuantities?.inventoryAdjustmentGroup) {
-        Logger.log(`✅ Inventario actualizado para Item ${inventoryItemId}`);
-        return { success: true };
+        Logger.log(`✅ Inventario actualizado para ${changes.length} item(s)`);
+        return changes.map(change => ({ change, success: true }));
     }
-    Logger.warn(`Respuesta desconocida al actualizar inventario para Item ${inventoryItemId}: ${JSON.stringify(responseData)}`);
-    return { success: false, errors: [{ message: "Respuesta desconocida de Shopify" }] };
+    Logger.warn(`Respuesta desconocida al actualizar inventario en lote: ${JSON.stringify(responseData)}`);
+    return changes.map(change => ({ change, success: false, errors: [{ message: "Respuesta desconocida de Shopify" }] }));
 }
 
-async function runInventoryUpdate(sharedShopifyVariants = null, locationId = null) {
-    Logger.log('🚀 Iniciando actualización de inventario...');
-    let stats = { updated: 0, noChange: 0, notFoundInShopify: 0, notTracked:0, errors: 0, totalLocal: 0 };
-
+/**
+ * Lee las ventas online aún no facturadas en Delfin (registradas por webhook-server.js), descartando antes las que
+ * el inventario de Delfin ya refleja. Si el archivo no se puede leer se sigue sin restarlas, como si el receptor
+ * no estuviera en uso.
+ * @param {Object<string, number>} localInventoryMap Inventario de Delfin por SKU limpio.
+ * @returns {Map<string, number>} SKU limpio -> unidades comprometidas.
+ */
+function loadOnlineCommitments(localInventoryMap) {
     try {
-        const localInventoryMap = await getLocalInventory();
-        stats.totalLocal = Object.keys(localInventoryMap).length;
+        const { committed, reflected } = reconcileWithDelfin(ONLINE_COMMITMENTS_PATH, localInventoryMap, ONLINE_COMMITMENT_TTL_HOURS);
+        reflected.forEach(({ orderId, name, sku, quantity }) => {
+            Logger.log(`🧾 Pedido online ${name || orderId}: Delfin ya descontó ${quantity} u. de ${sku}, se deja de restar.`);
+        });
+        if (committed.size > 0) {
+            Logger.log(`🛒 ${committed.size} SKUs con ventas online aún no facturadas en Delfin (se restan del inventario local).`);
+        }
+        return committed;
+    } catch (error) {
+        Logger.error(`No se pudieron leer las ventas online comprometidas (${ONLINE_COMMITMENTS_PATH}); se usa el inventario de Delfin sin ajustar`, error);
+        return new Map();
+    }
+}
+
+/**
+ * Obtiene la cantidad "available" actual de una variante de Shopify.
+ * Si la variante tiene niveles en varias ubicaciones, se usa el de `locationId` (o el primero si no se encuentra).
+ * @param {Object} shopifyVariant Variante con inventoryItem.inventoryLevels.
+ * @param {string|null} [locationId] Ubicación de interés.
+ * @returns {number|null} La cantidad disponible o null si no se pudo determinar.
+ */
+function getCurrentAvailableQuantity(shopifyVariant, locationId = null) {
+    const levelEdges = shopifyVariant.inventoryItem?.inventoryLevels?.edges || [];
+    const matchingEdge = locationId ? levelEdges.find(e => e.node?.location?.id === locationId) : null;
+    const invLevelNode = (matchingEdge || levelEdges[0])?.node;
+    if (invLevelNode?.quantities?.length > 0) {
+        const availableObj = invLevelNode.quantities.find(q => q.name === "available");
+        if (availableObj?.quantity !== undefined) {
+            return Number(availableObj.quantity);
+        }
+    }
+    return null;
+}
+
+/**
+ * Construye el plan de cambios de inventario sin realizar ninguna mutación en Shopify.
+ * @param {Array<Object>|null} sharedShopifyVariants Variantes de Shopify ya cargadas (opcional).
+ * @param {string|null} locationId Location ID de Shopify (opcional, se obtiene si no se pasa).
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.localInventory] Inventario de Delfin ya cargado (si no, se consulta).
+ * @param {Set<string>} [options.skuFilter] Procesar solo estos SKUs (modo incremental); el resto cuenta como sin cambios en origen.
+ * @returns {Promise<{changes: Array<Object>, stats: Object, locationId: string, notFoundSkus: Array<string>}>} Cambios pendientes,
+ * estadísticas y SKUs de Delfin que no existen en Shopify.
+ */
+async function buildInventoryPlan(sharedShopifyVariants = null, locationId = null, { localInventory = null, skuFilter = null } = {}) {
+    const stats = { updated: 0, noChange: 0, notFoundInShopify: 0, notTracked: 0, errors: 0, totalLocal: 0, unchangedSource: 0, committedOnline: 0 };
+    const changes = [];
+    const notFoundSkus = [];
+
+    const localInventoryMap = localInventory || await getLocalInventory();
+    stats.totalLocal = Object.keys(localInventoryMap).length;
+    const onlineCommitments = loadOnlineCommitments(localInventoryMap);
+
+    if (!locationId) { // Obtener solo si no se pasó como argumento
+        locationId = await getActiveLocationId();
+    }
+    if (!locationId) {
+        throw new Error('No se pudo obtener un Location ID activo para la actualización de inventario.');
+    }
+
+    const shopifyVariants = sharedShopifyVariants || await getAllShopifyVariantsForInventory();
+    const shopifyVariantMap = new Map();
+    shopifyVariants.forEach(v => {
+        const sku = cleanSku(v.sku);
+        if (sku && v.inventoryItem) { // Asegurar que inventoryItem existe
+            shopifyVariantMap.set(sku, v);
+        }
+    });
 
-        if (!locationId) { // Obtener solo si no se pasó como argumento
-            locationId = await getActiveLocationId();
+    for (const [sku, localQuantity] of Object.entries(localInventoryMap)) {
+        if (skuFilter && !skuFilter.has(sku)) {
+            stats.unchangedSource++;
+            continue;
         }
-        if (!locationId) {
-            throw new Error('No se pudo obtener un Location ID activo para la actualización de inventario.');
+        const shopifyVariant = shopifyVariantMap.get(sku);
+        if (!shopifyVariant) {
+            Logger.warn(`️SKU ${sku} (local) no encontrado en Shopify para inventario.`);
+            stats.notFoundInShopify++;
+            notFoundSkus.push(sku);
+            continue;
+        }
+        if (!shopifyVariant.inventoryItem.tracked) {
+            Logger.warn(`️SKU ${sku} (${shopifyVariant.displayName}) no tiene seguimiento de inventario en Shopify. Saltando.`);
+            stats.notTracked++;
+            continue;
         }
 
-        const shopifyVariants = sharedShopifyVariants || await getAllShopifyVariantsForInventory();
-        const shopifyVariantMap = new Map();
-        shopifyVariants.forEach(v => {
-            const sku = cleanSku(v.sku);
-            if (sku && v.inventoryItem) { // Asegurar que inventoryItem existe
-                shopifyVariantMap.set(sku, v);
-            }
-        });
+        // Obtener inventario actual de Shopify
+        const currentShopifyQuantity = getCurrentAvailableQuantity(shopifyVariant, locationId);
+        if (currentShopifyQuantity === null) {
+            // Por ahora, actualizaremos si localQuantity es un número.
+            Logger.warn(`No se pudo determinar la cantidad actual para SKU ${sku} (${shopifyVariant.displayName}). Saltando comparación.`);
+        }
 
-        for (const [sku, localQuantity] of Object.entries(localInventoryMap)) {
-            const shopifyVariant = shopifyVariantMap.get(sku);
-            if (!shopifyVariant) {
-                Logger.warn(`️SKU ${sku} (local) no encontrado en Shopify para inventario.`);
-                stats.notFoundInShopify++;
-                continue;
-            }
-            if (!shopifyVariant.inventoryItem.tracked) {
-                Logger.warn(`️SKU ${sku} (${shopifyVariant.displayName}) no tiene seguimiento de inventario en Shopify. Saltando.`);
-                stats.notTracked++;
-                continue;
-            }
+        // Las ventas online aún no facturadas siguen contadas en Delfin: se restan para no volver a publicarlas
+        const committedQuantity = onlineCommitments.get(sku) || 0;
+        const newQuantity = Math.max(0, Math.floor(localQuantity) - committedQuantity); // Asegurar que es entero
+        if (committedQuantity > 0) {
+            stats.committedOnline++;
+            Logger.log(`🛒 SKU ${sku}: Delfin ${Math.floor(localQuantity)} - ${committedQuantity} vendidas online sin facturar = ${newQuantity}.`);
+        }
 
-            // Obtener inventario actual de Shopify
-            let currentShopifyQuantity = null;
-            const invLevelNode = shopifyVariant.inventoryItem.inventoryLevels?.edges?.[0]?.node;
-            if (invLevelNode?.quantities?.length > 0) {
-                 const availableObj = invLevelNode.quantities.find(q => q.name === "available");
-                 if (availableObj?.quantity !== undefined) {
-                    currentShopifyQuantity = Number(availableObj.quantity);
-                 }
-            }
-            
-            if (currentShopifyQuantity === null) {
-                Logger.warn(`No se pudo determinar la cantidad actual para SKU ${sku} (${shopifyVariant.displayName}). Saltando comparación.`);
-                // Podrías decidir actualizar de todas formas o manejarlo como error.
-                // Por ahora, actualizaremos si localQuantity es un número.
-            }
+        if (currentShopifyQuantity === null || newQuantity !== currentShopifyQuantity) {
+            changes.push({
+                type: 'inventory',
+                sku,
+                variantId: shopifyVariant.id || null,
+                inventoryItemId: shopifyVariant.inventoryItem.id,
+                locationId,
+                displayName: shopifyVariant.displayName || null,
+                before: { quantity: currentShopifyQuantity },
+                after: { quantity: newQuantity },
+                reason: currentShopifyQuantity === null ? 'QUANTITY_UNKNOWN' : 'QUANTITY_CHANGED',
+            });
+        } else {
+            Logger.log(`ℹ️ SKU ${sku} (${shopifyVariant.displayName}) - Inventario ya correcto (${newQuantity}).`);
+            stats.noChange++;
+        }
+    }
 
-            const newQuantity = Math.floor(localQuantity); // Asegurar que es entero
+    return { changes, stats, locationId, notFoundSkus };
+}
 
-            if (currentShopifyQuantity === null || newQuantity !== currentShopifyQuantity) {
-                const updateResult = await updateShopifyInventory(shopifyVariant.inventoryItem.id, locationId, newQuantity);
-                if (updateResult.success) {
+/**
+ * Aplica en Shopify una lista de cambios de inventario (generados por buildInventoryPlan o leídos de un plan),
+ * acumulándolos en lotes de INVENTORY_BATCH_SIZE entradas por mutación. Cada cambio aplicado con éxito
+ * se registra en el diario de mutaciones de la ejecución (common/journal.js).
+ * @param {Array<Object>} changes Cambios de tipo 'inventory' con `inventoryItemId`, `locationId` y `after`.
+ * @param {function(Array<Object>): void} [onBatchDone] Callback con los resultados de cada lote enviado.
+ * @returns {Promise<Array<{change: Object, success: boolean, errors?: Array}>>} Resultado por cambio.
+ */
+async function applyInventoryChanges(changes, onBatchDone = null) {
+    const results = [];
+    for (let i = 0; i < changes.length; i += INVENTORY_BATCH_SIZE) {
+        const batchResults = await updateShopifyInventoryBatch(changes.slice(i, i + INVENTORY_BATCH_SIZE));
+        batchResults.forEach(r => r.success && journal.record(r.change));
+        results.push(...batchResults);
+        if (onBatchDone) onBatchDone(batchResults);
+    }
+    return results;
+}
+
+/**
+ * Líneas del resumen de la actualización de inventario (las usan el log y las notificaciones).
+ * @param {Object} stats Estadísticas de la ejecución.
+ * @returns {Array<string>}
+ */
+function formatInventorySummary(stats) {
+    const lines = [`SKUs en inventario local: ${stats.totalLocal}`,
+        `Inventarios actualizados en Shopify: ${stats.updated}`,
+        `Sin cambios necesarios: ${stats.noChange}`];
+    if (stats.alreadyProcessed) lines.push(`Ya actualizados en la ejecución interrumpida (checkpoint): ${stats.alreadyProcessed}`);
+    if (stats.unchangedSource) lines.push(`Omitidos por no cambiar desde la última ejecución (incremental): ${stats.unchangedSource}`);
+    if (stats.committedOnline) lines.push(`SKUs ajustados por ventas online sin facturar: ${stats.committedOnline}`);
+    lines.push(`SKUs locales no encontrados en Shopify: ${stats.notFoundInShopify}`,
+        `SKUs no rastreados en Shopify: ${stats.notTracked}`,
+        `Errores durante el proceso: ${stats.errors}`);
+    if (stats.generalError) lines.push(`Error general: ${stats.generalError}`);
+    return lines;
+}
+
+/**
+ * Imprime el resumen de la actualización de inventario.
+ * @param {Object} stats Estadísticas de la ejecución.
+ */
+function logInventorySummary(stats) {
+    Logger.log("\n📦 ===== RESUMEN ACTUALIZACIÓN DE INVENTARIO =====");
+    formatInventorySummary(stats).forEach(line => Logger.log(line));
+    (stats.failedSkus || []).forEach(f => {
+        Logger.log(`  ❌ SKU ${f.sku} (${f.inventoryItemId}): ${(f.errors || []).map(e => e.message).join('; ')}`);
+    });
+    Logger.log("================================================\n");
+}
+
+/**
+ * Sección de inventario del reporte de common/notifier.js.
+ * @param {Object} stats Estadísticas de runInventoryUpdate.
+ * @returns {{title: string, errors: number, lines: Array<string>, failures: Array<{sku: string, message: string}>}}
+ */
+function getInventoryReportSection(stats) {
+    return {
+        title: 'Actualización de inventario',
+        errors: stats.errors,
+        lines: formatInventorySummary(stats),
+        failures: (stats.failedSkus || []).map(f => ({
+            sku: f.sku,
+            message: `${f.inventoryItemId}: ${(f.errors || []).map(e => e.message).join('; ')}`,
+        })),
+    };
+}
+
+/**
+ * Ejecuta el proceso completo de actualización de inventario.
+ * @param {Array<Object>|null} sharedShopifyVariants Variantes de Shopify ya cargadas (opcional).
+ * @param {string|null} locationId Location ID de Shopify (opcional).
+ * @param {Object} [options]
+ * @param {import('./common/checkpoint')} [options.checkpoint] Checkpoint de la ejecución: se omiten los SKUs
+ * ya procesados y se registran los actualizados con éxito.
+ * @param {Object<string, number>} [options.localInventory] Inventario de Delfin ya cargado.
+ * @param {Set<string>} [options.skuFilter] Procesar solo estos SKUs (modo incremental).
+ * @returns {Promise<Object>} Estadísticas de la ejecución.
+ */
+async function runInventoryUpdate(sharedShopifyVariants = null, locationId = null, { checkpoint = null, localInventory = null, skuFilter = null } = {}) {
+    Logger.log('🚀 Iniciando actualización de inventario...');
+    let stats = { updated: 0, noChange: 0, notFoundInShopify: 0, notTracked: 0, errors: 0, totalLocal: 0, unchangedSource: 0, committedOnline: 0, alreadyProcessed: 0, failedSkus: [] };
+
+    try {
+        const plan = await buildInventoryPlan(sharedShopifyVariants, locationId, { localInventory, skuFilter });
+        stats = { ...plan.stats, alreadyProcessed: 0, failedSkus: [] };
+        runState.trackStats('inventory', stats); // Contadores en vivo para admin-server.js
+        plan.notFoundSkus.forEach(sku => runReport.recordNotFound(sku, 'inventario de Delfin'));
+
+        const pendingChanges = checkpoint ? plan.changes.filter(c => !checkpoint.isProcessed('inventory', c.sku)) : plan.changes;
+        stats.alreadyProcessed = plan.changes.length - pendingChanges.length;
+        if (stats.alreadyProcessed > 0) {
+            Logger.log(`⏭️ Omitiendo ${stats.alreadyProcessed} SKUs ya actualizados según el checkpoint.`);
+        }
+
+        await applyInventoryChanges(pendingChanges, batchResults => {
+            batchResults.forEach(r => {
+                if (r.success) {
                     stats.updated++;
+                    runReport.recordChange(r.change);
                 } else {
                     stats.errors++;
+                    stats.failedSkus.push({ sku: r.change.sku, inventoryItemId: r.change.inventoryItemId, errors: r.errors });
+                    runReport.recordError(r.change.sku, `Inventario: ${(r.errors || []).map(e => e.message).join('; ')}`, r.change.displayName);
                 }
-            } else {
-                Logger.log(`ℹ️ SKU ${sku} (${shopifyVariant.displayName}) - Inventario ya correcto (${newQuantity}).`);
-                stats.noChange++;
-            }
-        }
+            });
+            if (checkpoint) checkpoint.markProcessed('inventory', batchResults.filter(r => r.success).map(r => r.change.sku));
+        });
+        if (checkpoint) checkpoint.completePhase('inventory');
     } catch (error) {
         Logger.error('Error general en la actualización de inventario', error);
         stats.errors++;
+        stats.generalError = error.message;
+        runReport.recordError(null, `Actualización de inventario: ${error.message}`);
     }
 
-    Logger.log("\n📦 ===== RESUMEN ACTUALIZACIÓN DE INVENTARIO =====");
-    Logger.log(`SKUs en inventario local: ${stats.totalLocal}`);
-    Logger.log(`Inventarios actualizados en Shopify: ${stats.updated}`);
-    Logger.log(`Sin cambios necesarios: ${stats.noChange}`);
-    Logger.log(`SKUs locales no encontrados en Shopify: ${stats.notFoundInShopify}`);
-    Logger.log(`SKUs no rastreados en Shopify: ${stats.notTracked}`);
-    Logger.log(`Errores durante el proceso: ${stats.errors}`);
-    Logger.log("================================================\n");
+    logInventorySummary(stats);
+    return stats;
 }
 
 // Si este script se ejecuta directamente:
 if (require.main === module) {
-    Logger.init(); // Asegurar que el logger se inicialice
-    runInventoryUpdate().catch(err => {
+    const startTime = new Date();
+    Logger.init(startTime); // Asegurar que el logger se inicialice
+    const runId = `inventory_${Logger.formatDateForFilename(startTime)}`;
+    try {
+        runLock.acquire(runId, 'inventory-update'); // Falla si otro script está modificando Shopify
+    } catch (err) {
+        if (err.code === 'RUN_LOCKED') {
+            Logger.warn(`⏭️ Ejecución omitida. ${err.message}`);
+            process.exit(runLock.LOCKED_EXIT_CODE);
+        }
+        Logger.error('No se puede ejecutar inventory-update.js', err);
+        process.exit(1);
+    }
+    journal.init(runId, 'inventory-update', getShopifyStore().shopName);
+    runReport.start(runId, 'inventory-update');
+    runInventoryUpdate().then(async stats => {
+        const status = stats.errors > 0 ? 'failed' : 'success';
+        const durationSeconds = Math.round((Date.now() - startTime.getTime()) / 1000);
+        metrics.recordRun('inventory-update', {
+            status,
+            durationSeconds,
+            phases: { inventory: metrics.phaseResults('inventory', stats) },
+            throttleStats: shopifyThrottle.stats,
+        });
+        const report = runReport.write(Logger.logPath, { status, durationSeconds, sections: [getInventoryReportSection(stats)] });
+        Logger.log(`📄 Reporte de cambios: ${report.htmlPath} (CSV: ${report.csvPath})`);
+        const notification = await notifyRunFinished({
+            source: 'inventory-update', runId, status, durationSeconds, startedAt: startTime.toISOString(),
+            sections: [getInventoryReportSection(stats)],
+        });
+        if (notification.sent.length > 0) Logger.log(`📨 Resumen enviado por ${notification.sent.join(', ')}.`);
+        notification.failed.forEach(f => Logger.warn(`No se pudo enviar la notificación (${f.channel}): ${f.error}`));
+    }).catch(err => {
         Logger.error('Error fatal ejecutando inventory-update.js', err);
         process.exit(1);
     });
 }
 
-module.exports = { runInventoryUpdate, getLocalInventory, getActiveLocationId, getAllShopifyVariantsForInventory };
\ No newline at end of file
+module.exports = {
+    runInventoryUpdate,
+    getInventoryReportSection,
+    buildInventoryPlan,
+    applyInventoryChanges,
+    getLocalInventory,
+    getActiveLocationId,
+    getAllShopifyVariantsForInventory,
+    getInventoryQuantitiesByItemIds,
+};
\ No newline at end of file
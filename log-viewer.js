@@ -0,0 +1,187 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Logger = require('./common/logger');
+const { LOG_VIEWER_HOST, LOG_VIEWER_PORT } = require('./common/config');
+const LogReader = require('./shopify-actualizador-log');
+
+// Visor web de logs: lista los logs de las sincronizaciones, los muestra por páginas, filtra por nivel y SKU
+// y resalta errores y advertencias, para revisar una ejecución fallida sin abrir archivos de varios MB.
+// Uso: node log-viewer.js  y abrir http://127.0.0.1:3003 (no tiene autenticación: no exponerlo fuera del equipo)
+//   GET /                                        -> logs de LOG_DIR y de sus subdirectorios (scheduler, admin, webhooks)
+//   GET /log?file=<ruta>&page=&pageSize=&level=&sku= -> página de un log
+
+const LOG_ROOT = path.resolve(process.env.LOG_DIR || path.join(__dirname, 'logs'));
+const DEFAULT_PAGE_SIZE = 500;
+const PAGE_SIZES = [100, 500, 1000, 5000];
+const LEVELS = ['ERROR', 'WARN', 'SUCCESS', 'INFO', 'DEBUG'];
+
+const STYLES = `
+    body { font-family: sans-serif; margin: 1.5em; color: #222; }
+    table { border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.3em 0.8em; border-bottom: 1px solid #ddd; }
+    form { margin: 1em 0; }
+    form > * { margin-right: 0.5em; }
+    .nav a, .nav span { margin-right: 1em; }
+    pre { margin: 0; font-size: 0.85em; white-space: pre-wrap; word-break: break-all; }
+    .line { display: flex; }
+    .line .n { color: #999; min-width: 6em; text-align: right; padding-right: 1em; user-select: none; }
+    .level-ERROR { background: #fde2e1; color: #8b0000; }
+    .level-WARN { background: #fff4d6; }
+    .level-SUCCESS { color: #1b6e20; }
+    .muted { color: #777; }
+`;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function sendHtml(res, statusCode, title, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html lang="es"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${STYLES}</style></head><body>${body}</body></html>`);
+}
+
+/**
+ * Lista los logs de LOG_DIR y de sus subdirectorios inmediatos, del más reciente al más antiguo.
+ * @returns {Array<Object>} Archivos de LogReader.getLogFiles con `id`: ruta relativa a LOG_DIR.
+ */
+function listLogFiles() {
+    if (!fs.existsSync(LOG_ROOT)) {
+        return [];
+    }
+    const dirs = [LOG_ROOT, ...fs.readdirSync(LOG_ROOT, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(LOG_ROOT, entry.name))];
+    return dirs
+        .flatMap(dir => LogReader.getLogFiles(dir))
+        .map(file => ({ ...file, id: path.relative(LOG_ROOT, file.path).split(path.sep).join('/') }))
+        .sort((a, b) => b.modifiedAt.getTime() - a.modifiedAt.getTime());
+}
+
+/**
+ * Arma la URL de una página del log conservando los filtros.
+ * @param {Object} params Parámetros de la consulta (file, page, pageSize, level, sku).
+ * @returns {string}
+ */
+function logUrl(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    return `/log?${query.toString()}`;
+}
+
+function renderFileList(res) {
+    const files = listLogFiles();
+    const rows = files.map(file => `<tr>
+        <td><a href="${escapeHtml(logUrl({ file: file.id }))}">${escapeHtml(file.id)}</a></td>
+        <td>${escapeHtml(file.sizeFormatted)}</td>
+        <td>${escapeHtml(file.modifiedAt.toLocaleString())}</td>
+        <td><a href="${escapeHtml(logUrl({ file: file.id, level: 'ERROR' }))}">solo errores</a></td>
+    </tr>`).join('');
+    sendHtml(res, 200, 'Logs de sincronización', `
+        <h1>Logs de sincronización</h1>
+        <p class="muted">${files.length} archivo(s) en ${escapeHtml(LOG_ROOT)}</p>
+        ${files.length > 0
+            ? `<table><tr><th>Archivo</th><th>Tamaño</th><th>Modificado</th><th></th></tr>${rows}</table>`
+            : '<p>No hay logs todavía.</p>'}`);
+}
+
+async function renderLogPage(res, url) {
+    const fileId = url.searchParams.get('file') || '';
+    // Solo se abren archivos de la lista (evita leer rutas arbitrarias)
+    const file = listLogFiles().find(f => f.id === fileId);
+    if (!file) {
+        sendHtml(res, 404, 'Log no encontrado', `<p>No existe el log <code>${escapeHtml(fileId)}</code>.</p><p><a href="/">Volver a la lista</a></p>`);
+        return;
+    }
+
+    const level = url.searchParams.get('level') || '';
+    const sku = (url.searchParams.get('sku') || '').trim();
+    const pageSize = parseInt(url.searchParams.get('pageSize'), 10) || DEFAULT_PAGE_SIZE;
+    const result = await LogReader.readLogPaginated(file.path, url.searchParams.get('page') || 1, pageSize, { level, sku });
+    const filtered = !!(level || sku);
+    const params = { file: file.id, pageSize, level, sku };
+
+    let entryLevel = null; // Las líneas de continuación (trazas) heredan el nivel de su entrada
+    const lines = result.content.map((line, i) => {
+        if (LogReader.isEntryStart(line)) {
+            entryLevel = LogReader.getLineLevel(line);
+        }
+        return `<div class="line${entryLevel ? ` level-${entryLevel}` : ''}"><span class="n">${result.lineNumbers[i]}</span><pre>${escapeHtml(line) || ' '}</pre></div>`;
+    }).join('');
+
+    const nav = [
+        result.page > 1 ? `<a href="${escapeHtml(logUrl({ ...params, page: 1 }))}">« primera</a><a href="${escapeHtml(logUrl({ ...params, page: result.page - 1 }))}">‹ anterior</a>` : '',
+        `<span>Página ${result.page} de ${Math.max(result.totalPages, 1)} (${result.totalLines} líneas${filtered ? ' que coinciden' : ''})</span>`,
+        result.hasMore ? `<a href="${escapeHtml(logUrl({ ...params, page: result.page + 1 }))}">siguiente ›</a><a href="${escapeHtml(logUrl({ ...params, page: result.totalPages }))}">última »</a>` : '',
+    ].join('');
+
+    sendHtml(res, 200, file.id, `
+        <p><a href="/">« Todos los logs</a></p>
+        <h1>${escapeHtml(file.id)}</h1>
+        <p class="muted">${escapeHtml(file.sizeFormatted)} · modificado ${escapeHtml(file.modifiedAt.toLocaleString())}</p>
+        <form method="get" action="/log">
+            <input type="hidden" name="file" value="${escapeHtml(file.id)}">
+            <label>Nivel <select name="level">
+                <option value="">todos</option>
+                <option value="ERROR,WARN"${level === 'ERROR,WARN' ? ' selected' : ''}>errores y advertencias</option>
+                ${LEVELS.map(l => `<option value="${l}"${level === l ? ' selected' : ''}>${l}</option>`).join('')}
+            </select></label>
+            <label>SKU <input type="text" name="sku" value="${escapeHtml(sku)}" size="14"></label>
+            <label>Líneas por página <select name="pageSize">
+                ${PAGE_SIZES.map(size => `<option value="${size}"${size === pageSize ? ' selected' : ''}>${size}</option>`).join('')}
+            </select></label>
+            <button type="submit">Filtrar</button>
+            ${filtered ? `<a href="${escapeHtml(logUrl({ file: file.id, pageSize }))}">quitar filtros</a>` : ''}
+        </form>
+        <p class="nav">${nav}</p>
+        ${lines || `<p>${filtered ? 'Ninguna línea coincide con los filtros.' : 'El log está vacío.'}</p>`}
+        ${result.totalPages > 1 ? `<p class="nav">${nav}</p>` : ''}`);
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+        sendHtml(res, 405, 'Método no permitido', '<p>Solo se admiten consultas GET.</p>');
+        return;
+    }
+    if (url.pathname === '/') {
+        renderFileList(res);
+        return;
+    }
+    if (url.pathname === '/log') {
+        await renderLogPage(res, url);
+        return;
+    }
+    sendHtml(res, 404, 'No encontrado', '<p>Página no encontrada. <a href="/">Ver los logs</a></p>');
+}
+
+function main() {
+    Logger.init(new Date(), path.join(LOG_ROOT, 'viewer'));
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            Logger.error('Error mostrando el log', error);
+            if (!res.headersSent) sendHtml(res, 500, 'Error', `<p>${escapeHtml(error.message)}</p>`);
+        });
+    });
+    server.listen(LOG_VIEWER_PORT, LOG_VIEWER_HOST, () => {
+        Logger.log(`🔎 Visor de logs en http://${LOG_VIEWER_HOST}:${LOG_VIEWER_PORT} (logs de ${LOG_ROOT})`);
+    });
+
+    const shutdown = async signal => {
+        Logger.warn(`Recibido ${signal}. Cerrando el visor de logs...`);
+        server.close();
+        await Logger.flush();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main();
@@ -4,86 +4,613 @@ const {
     DISCOUNT_CSV_PATH, 
     SYNC_TYPE = 'both', 
     LOG_DIR, // Opcional, si quieres configurar el directorio de logs desde config.js
-    LOG_MAX_SIZE_MB // Opcional, para el tamaño máximo del log
+    LOG_MAX_SIZE_MB, // Opcional, para el tamaño máximo del log
+    PLAN_DIR,
+    CHECKPOINT_DIR,
+    INCREMENTAL_STATE_PATH,
+    INCREMENTAL_MAX_SKU_LOOKUPS,
+    RUN_HISTORY_PATH,
 } = require('./common/config');
-const { loadDiscounts } = require('./common/utils');
+const { cleanSku, loadDiscounts, shopifyThrottle } = require('./common/utils');
+const { writePlan } = require('./common/plan');
+const Checkpoint = require('./common/checkpoint');
+const journal = require('./common/journal');
+const snapshotStore = require('./common/snapshotStore');
+const runLock = require('./common/runLock');
+const runState = require('./common/runState');
+const { appendRun } = require('./common/runHistory');
+const metrics = require('./common/metrics');
+const { notifyRunFinished } = require('./common/notifier');
+const runReport = require('./common/runReport');
+const { getDiscountTimeZone } = require('./common/discountSchedule');
+const { getShopifyStore } = require('./common/shopifyStore');
+const {
+    hashPriceSources,
+    hashInventorySources,
+    diffHashes,
+    buildSkuSearchQueries,
+    loadIncrementalState,
+    saveIncrementalState,
+} = require('./common/incrementalState');
 
-const { runPriceUpdate, getAllShopifyVariantsForPricing } = require('./price-update');
-const { runInventoryUpdate, getActiveLocationId, getAllShopifyVariantsForInventory } = require('./inventory-update');
+const { runPriceUpdate, getPriceReportSection, buildPricePlan, getLocalProducts, getAllShopifyVariantsForPricing } = require('./price-update');
+const { runInventoryUpdate, getInventoryReportSection, buildInventoryPlan, getLocalInventory, getActiveLocationId, getAllShopifyVariantsForInventory } = require('./inventory-update');
+const { runPlanApply } = require('./apply-plan');
+const { runRollback } = require('./rollback');
 
-async function main() {
-    const executionStartTime = new Date();
-    // Inicializar el logger con la hora de inicio de esta ejecución.
-    // Puedes pasar LOG_DIR y LOG_MAX_SIZE_MB desde tu config si están definidos allí.
-    Logger.init(executionStartTime, LOG_DIR, LOG_MAX_SIZE_MB); 
+// Comando a ejecutar:
+//   node main-sync.js [--resume]                       -> sincroniza (--resume continúa desde el checkpoint)
+//   node main-sync.js [plan] --incremental             -> solo procesa los SKUs que cambiaron desde la última ejecución correcta
+//   node main-sync.js plan                             -> solo genera el plan de cambios
+//   node main-sync.js apply <plan.json> [--allow-drift] -> ejecuta un plan generado previamente
+//   node main-sync.js rollback <runId> [--sku=A,B] [--allow-drift] -> revierte las mutaciones de una ejecución
+//   node main-sync.js history <sku>                    -> valores del SKU en las instantáneas de ejecuciones anteriores
+const CLI_ARGS = process.argv.slice(2);
+const CLI_FLAGS = new Set(CLI_ARGS.filter(arg => arg.startsWith('--')));
+const [COMMAND = 'sync', ...CLI_POSITIONAL] = CLI_ARGS.filter(arg => !arg.startsWith('--'));
+const VALID_COMMANDS = ['sync', 'plan', 'apply', 'rollback', 'history'];
+// Comandos que modifican Shopify y por lo tanto toman el bloqueo compartido entre scripts
+const MUTATING_COMMANDS = ['sync', 'apply', 'rollback'];
 
-    Logger.log(`🚀 INICIANDO SINCRONIZACIÓN GENERAL (Tipo: ${SYNC_TYPE.toUpperCase()}) - ${executionStartTime.toLocaleString()}`);
-    
-    let discountMap = new Map();
+/**
+ * Devuelve el valor de una opción `--nombre=valor` de la línea de comandos.
+ * @param {string} name Nombre de la opción, sin guiones.
+ * @returns {string|null}
+ */
+function getCliOption(name) {
+    const prefix = `--${name}=`;
+    const flag = [...CLI_FLAGS].find(arg => arg.startsWith(prefix));
+    return flag ? flag.slice(prefix.length) : null;
+}
+
+// Checkpoint de la sincronización en curso; se guarda al recibir SIGINT/SIGTERM
+let activeCheckpoint = null;
+
+/**
+ * Genera el plan de cambios (precios y/o inventario) sin mutar Shopify y lo guarda en PLAN_DIR.
+ * @param {Date} executionStartTime Hora de inicio, usada para el identificador del plan.
+ * @param {Object} inputs Datos obtenidos por fetchSyncInputs.
+ */
+async function generatePlan(executionStartTime, { allShopifyVariants, discountMap, activeLocationId, localProducts, localInventory, skuFilters }) {
+    const plan = {
+        planId: `plan_${Logger.formatDateForFilename(executionStartTime)}`,
+        createdAt: executionStartTime.toISOString(),
+        shopName: getShopifyStore().shopName,
+        syncType: SYNC_TYPE,
+        incremental: !!skuFilters,
+        locationId: activeLocationId,
+        discountsLoaded: discountMap.size,
+        stats: {},
+        changes: [],
+    };
+
+    if (SYNC_TYPE === 'price' || SYNC_TYPE === 'both') {
+        Logger.log("\n--- Plan: Cambios de Precios ---");
+        const pricePlan = await buildPricePlan(allShopifyVariants, discountMap, { localProducts, skuFilter: skuFilters?.price || null });
+        plan.stats.price = pricePlan.stats;
+        plan.changes.push(...pricePlan.changes);
+        const costChanges = pricePlan.changes.filter(c => c.type === 'cost').length;
+        Logger.log(`📝 Cambios de precio planeados: ${pricePlan.changes.length - costChanges}${costChanges > 0 ? ` (más ${costChanges} de costo unitario)` : ''}`);
+        if (pricePlan.quarantined.length > 0) {
+            Logger.warn(`⛔ ${pricePlan.quarantined.length} cambios de precio incumplen los límites de precio y no se incluyen en el plan.`);
+        }
+    }
+
+    if ((SYNC_TYPE === 'inventory' || SYNC_TYPE === 'both') && activeLocationId) {
+        Logger.log("\n--- Plan: Cambios de Inventario ---");
+        const inventoryPlan = await buildInventoryPlan(allShopifyVariants, activeLocationId, { localInventory, skuFilter: skuFilters?.inventory || null });
+        plan.stats.inventory = inventoryPlan.stats;
+        plan.changes.push(...inventoryPlan.changes);
+        Logger.log(`📝 Cambios de inventario planeados: ${inventoryPlan.changes.length}`);
+    }
+
+    const { jsonPath, csvPath } = writePlan(plan, PLAN_DIR);
+    Logger.log(`🗂️ Plan con ${plan.changes.length} cambios guardado en:\n  ${jsonPath}\n  ${csvPath}`);
+    Logger.log("ℹ️ Modo plan: no se realizó ninguna modificación en Shopify.");
+}
+
+/**
+ * Modo incremental: obtiene solo las variantes de Shopify modificadas desde la última ejecución correcta
+ * y las de los SKUs cuyos datos de Delfin cambiaron, y arma el filtro de SKUs de cada fase.
+ * @param {function(string=): Promise<Array<Object>>} fetchVariants Consulta de variantes con filtro de búsqueda opcional.
+ * @param {Object} state Estado incremental guardado (con todas las fases de sourceHashes).
+ * @param {Object<string, Object<string, string>>} sourceHashes Hashes actuales de Delfin por fase.
+ * @param {Array<Object>|null} localProducts Productos de Delfin (para buscar también por el código original).
+ * @returns {Promise<{skuFilters: Object<string, Set<string>>, allShopifyVariants: Array<Object>}>}
+ */
+async function fetchIncrementalVariants(fetchVariants, state, sourceHashes, localProducts) {
+    const phases = Object.keys(sourceHashes);
+    const changedBySource = {};
+    phases.forEach(phase => {
+        changedBySource[phase] = diffHashes(state.phases[phase].hashes, sourceHashes[phase]);
+    });
+    const since = phases.map(phase => state.phases[phase].lastSuccessfulRunAt).sort()[0];
+    Logger.log(`Modo incremental: SKUs cambiados en Delfin (${phases.map(phase => `${phase}: ${changedBySource[phase].size}`).join(', ')}); variantes modificadas en Shopify desde ${since}.`);
+
+    const variantsById = new Map();
+    const addVariants = variants => variants.forEach(v => variantsById.set(v.id, v));
+
+    const updatedVariants = await fetchVariants(`updated_at:>'${since}'`);
+    addVariants(updatedVariants);
+    const shopifyChangedSkus = new Set(updatedVariants.map(v => cleanSku(v.sku)).filter(Boolean));
+
+    const sourceChangedSkus = new Set(phases.flatMap(phase => [...changedBySource[phase]]));
+    if (sourceChangedSkus.size > INCREMENTAL_MAX_SKU_LOOKUPS) {
+        Logger.log(`${sourceChangedSkus.size} SKUs cambiaron en Delfin (límite INCREMENTAL_MAX_SKU_LOOKUPS=${INCREMENTAL_MAX_SKU_LOOKUPS}); se obtiene el catálogo completo de Shopify.`);
+        addVariants(await fetchVariants());
+    } else if (sourceChangedSkus.size > 0) {
+        // Buscar por el SKU limpio y por el código tal como viene de Delfin (puede conservar ceros a la izquierda)
+        const rawCodes = (localProducts || [])
+            .filter(p => sourceChangedSkus.has(cleanSku(p.CodigoProducto)))
+            .map(p => p.CodigoProducto);
+        for (const searchQuery of buildSkuSearchQueries([...sourceChangedSkus, ...rawCodes])) {
+            addVariants(await fetchVariants(searchQuery));
+        }
+    }
+
+    const skuFilters = {};
+    phases.forEach(phase => {
+        skuFilters[phase] = new Set([...changedBySource[phase], ...shopifyChangedSkus]);
+        Logger.log(`Modo incremental: ${skuFilters[phase].size} SKUs a comparar en la fase ${phase}.`);
+    });
+    return { skuFilters, allShopifyVariants: [...variantsById.values()] };
+}
+
+/**
+ * Carga los descuentos vigentes desde DISCOUNT_CSV_PATH. Si el CSV no se puede leer se continúa sin descuentos.
+ * @returns {Promise<Map<string, number>>} Mapa de descuentos por SKU limpio.
+ * @throws {Error} Si DISCOUNT_TIMEZONE no es válida.
+ */
+async function loadSyncDiscounts() {
+    // Una zona horaria inválida es un error de configuración: sin descuentos se quitarían todos los vigentes
+    getDiscountTimeZone();
+    try {
+        return await loadDiscounts(DISCOUNT_CSV_PATH);
+    } catch (e) {
+        Logger.warn(`No se pudieron cargar los descuentos desde ${DISCOUNT_CSV_PATH}. Continuando sin ellos. Error: ${e.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Pasos 1 a 4 de la sincronización: descuentos, Location ID, datos de Delfin y variantes de Shopify.
+ * @param {Object} [options]
+ * @param {string} [options.syncType=SYNC_TYPE] Qué se sincroniza: 'price', 'inventory' o 'both'.
+ * @param {boolean} [options.incremental=false] Obtener solo lo que cambió desde la última ejecución correcta.
+ * @returns {Promise<{discountMap: Map<string, number>, activeLocationId: string|null, allShopifyVariants: Array<Object>,
+ * localProducts: Array<Object>|null, localInventory: Object<string, number>|null,
+ * sourceHashes: Object<string, Object<string, string>>, skuFilters: Object<string, Set<string>>|null}>}
+ */
+async function fetchSyncInputs({ syncType = SYNC_TYPE, incremental = false } = {}) {
     let activeLocationId = null;
     let allShopifyVariants = null;
+    let skuFilters = null;
 
-    try {
-        Logger.log("--- Paso 1: Cargando Descuentos ---");
-        try {
-            discountMap = await loadDiscounts(DISCOUNT_CSV_PATH);
-        } catch (e) {
-            Logger.warn(`No se pudieron cargar los descuentos desde ${DISCOUNT_CSV_PATH}. Continuando sin ellos. Error: ${e.message}`);
-        }
+    Logger.log("--- Paso 1: Cargando Descuentos ---");
+    const discountMap = await loadSyncDiscounts();
 
-        if (SYNC_TYPE === 'inventory' || SYNC_TYPE === 'both') {
-            Logger.log("--- Paso 2: Obteniendo Location ID de Shopify ---");
-            activeLocationId = await getActiveLocationId();
-            if (!activeLocationId) {
-                Logger.error("No se pudo obtener un Location ID activo. La actualización de inventario no procederá.");
-                if (SYNC_TYPE === 'inventory') {
-                    throw new Error("Location ID es requerido para la sincronización de inventario y no se pudo obtener.");
-                }
+    if (syncType === 'inventory' || syncType === 'both') {
+        Logger.log("--- Paso 2: Obteniendo Location ID de Shopify ---");
+        activeLocationId = await getActiveLocationId();
+        if (!activeLocationId) {
+            Logger.error("No se pudo obtener un Location ID activo. La actualización de inventario no procederá.");
+            if (syncType === 'inventory') {
+                throw new Error("Location ID es requerido para la sincronización de inventario y no se pudo obtener.");
             }
         }
+    }
 
-        Logger.log("--- Paso 3: Obteniendo Variantes de Shopify ---");
-        if (SYNC_TYPE === 'both') {
+    Logger.log("--- Paso 3: Obteniendo datos de Delfin ---");
+    const localProducts = (syncType === 'price' || syncType === 'both') ? await getLocalProducts() : null;
+    const localInventory = activeLocationId ? await getLocalInventory() : null;
+    const sourceHashes = {};
+    if (localProducts) sourceHashes.price = hashPriceSources(localProducts, discountMap);
+    if (localInventory) sourceHashes.inventory = hashInventorySources(localInventory);
+
+    Logger.log("--- Paso 4: Obteniendo Variantes de Shopify ---");
+    // Idealmente, getAllShopifyVariantsForPricing pediría todos los campos necesarios para ambos.
+    // Si getAllShopifyVariantsForInventory pide campos muy diferentes, considera una función combinada
+    // o llamar a ambas si es necesario y fusionar resultados (complejo).
+    const fetchVariants = syncType === 'inventory' ? getAllShopifyVariantsForInventory : getAllShopifyVariantsForPricing;
+    const phases = Object.keys(sourceHashes);
+    if (incremental && phases.length > 0) {
+        const state = loadIncrementalState(INCREMENTAL_STATE_PATH);
+        const missingPhases = phases.filter(phase => !state.phases[phase]);
+        if (missingPhases.length > 0) {
+            Logger.warn(`Modo incremental: no hay una ejecución completa previa para ${missingPhases.join(', ')} en ${INCREMENTAL_STATE_PATH}. Se hará una sincronización completa.`);
+        } else {
+            ({ skuFilters, allShopifyVariants } = await fetchIncrementalVariants(fetchVariants, state, sourceHashes, localProducts));
+        }
+    }
+    if (!allShopifyVariants) { // En modo incremental ya se obtuvieron
+        if (syncType === 'both') {
             Logger.log("(Usando consulta de variantes para precios y potencialmente inventario)");
-            // Idealmente, getAllShopifyVariantsForPricing pediría todos los campos necesarios para ambos.
-            // Si getAllShopifyVariantsForInventory pide campos muy diferentes, considera una función combinada
-            // o llamar a ambas si es necesario y fusionar resultados (complejo).
-            allShopifyVariants = await getAllShopifyVariantsForPricing(); // Asume que esta es suficiente
-        } else if (SYNC_TYPE === 'price') {
-            allShopifyVariants = await getAllShopifyVariantsForPricing();
-        } else if (SYNC_TYPE === 'inventory' && activeLocationId) {
-            allShopifyVariants = await getAllShopifyVariantsForInventory();
+            allShopifyVariants = await fetchVariants(); // Asume que esta es suficiente
+        } else if (syncType === 'price' || (syncType === 'inventory' && activeLocationId)) {
+            allShopifyVariants = await fetchVariants();
         } else {
             Logger.log("No se obtendrán variantes de Shopify (no se actualizará precio/inventario, o falta Location ID).");
             allShopifyVariants = [];
         }
-        Logger.log(`Total de variantes de Shopify obtenidas para procesar: ${allShopifyVariants.length}`);
+    }
+    Logger.log(`Total de variantes de Shopify obtenidas para procesar: ${allShopifyVariants.length}`);
+    snapshotStore.save('shopify-variants', allShopifyVariants
+        .map(v => snapshotStore.variantToRow(v, cleanSku(v.sku)))
+        .filter(row => row.sku));
+
+    return { discountMap, activeLocationId, allShopifyVariants, localProducts, localInventory, sourceHashes, skuFilters };
+}
+
+/**
+ * Guarda el estado del modo incremental tras una sincronización completada: hora de inicio y hashes de Delfin
+ * de cada fase ejecutada. Los SKUs que fallaron se quitan del estado para que se vuelvan a procesar.
+ * @param {Date} executionStartTime Hora de inicio de la ejecución.
+ * @param {Object<string, Object<string, string>>} sourceHashes Hashes de Delfin por fase.
+ * @param {Object<string, Object>} statsByPhase Estadísticas de cada fase (con `failedSkus`).
+ */
+function saveIncrementalBaseline(executionStartTime, sourceHashes, statsByPhase) {
+    try {
+        const state = loadIncrementalState(INCREMENTAL_STATE_PATH);
+        Object.entries(sourceHashes).forEach(([phase, hashes]) => {
+            const nextHashes = { ...hashes };
+            // Los SKUs fallidos o en cuarentena se vuelven a evaluar en la próxima ejecución incremental
+            [...(statsByPhase[phase]?.failedSkus || []), ...(statsByPhase[phase]?.quarantinedSkus || [])].forEach(({ sku }) => delete nextHashes[sku]);
+            state.phases[phase] = { lastSuccessfulRunAt: executionStartTime.toISOString(), hashes: nextHashes };
+        });
+        saveIncrementalState(INCREMENTAL_STATE_PATH, state);
+        Logger.log(`💾 Estado incremental actualizado (${Object.keys(sourceHashes).join(', ')}) en ${INCREMENTAL_STATE_PATH}`);
+    } catch (e) {
+        Logger.error('No se pudo guardar el estado incremental; la próxima ejecución incremental procesará más SKUs de los necesarios', e);
+    }
+}
+
+/**
+ * Toma el bloqueo compartido por los scripts que modifican Shopify. Lanza un error que identifica
+ * a la otra ejecución si ya lo tiene.
+ * @param {string} runId Identificador de la ejecución.
+ * @param {string} [command=COMMAND] Comando que se ejecuta.
+ */
+function acquireRunLock(runId, command = COMMAND) {
+    const { staleHolder, staleReason } = runLock.acquire(runId, `main-sync ${command}`);
+    if (staleHolder) {
+        Logger.warn(`🔓 Se reemplazó un bloqueo abandonado (${staleReason}): ${runLock.describe(staleHolder)}`);
+    }
+    Logger.log(`🔒 Bloqueo de ejecución tomado: ${runLock.lockPath}`);
+}
+
+/**
+ * Activa el diario de mutaciones de la ejecución e indica cómo revertirla.
+ * @param {string} runId Identificador de la ejecución.
+ * @param {string} [command=COMMAND] Comando que se ejecuta.
+ */
+function startJournal(runId, command = COMMAND) {
+    journal.init(runId, `main-sync ${command}`, getShopifyStore().shopName);
+    Logger.log(`📓 Diario de mutaciones: ${journal.journalPath} (revertir con: node main-sync.js rollback ${runId})`);
+}
+
+/**
+ * Muestra los valores de un SKU en todas las instantáneas guardadas (Shopify y Delfin), en orden cronológico.
+ * @param {string} sku SKU a consultar (se normaliza igual que en la sincronización).
+ */
+function printSkuHistory(sku) {
+    const normalizedSku = cleanSku(sku) || String(sku).trim();
+    const history = snapshotStore.findSku(normalizedSku);
+    Logger.log(`📚 Historial del SKU ${normalizedSku}: aparece en ${history.length} ejecuciones (${snapshotStore.snapshotDir})`);
+    history.forEach(({ runId, source, createdAt, shopify, delfinPrice, delfinInventory }) => {
+        const delfin = [
+            delfinPrice ? `precio=${delfinPrice.price}` : null,
+            delfinInventory ? `cantidad=${delfinInventory.quantity}` : null,
+        ].filter(Boolean).join(', ') || 'sin datos';
+        Logger.log(`${new Date(createdAt).toLocaleString()} | ${runId} (${source}) | Delfin: ${delfin}`);
+        shopify.forEach(v => {
+            Logger.log(`    Shopify ${v.variantId}: precio=${v.price ?? 'N/A'}, comparación=${v.compareAtPrice ?? 'ninguno'}, cantidad=${v.quantity ?? 'N/A'}`);
+        });
+    });
+}
+
+/**
+ * Suma la ejecución a las métricas de Prometheus (common/metrics.js). Un error al escribirlas no afecta la sincronización.
+ * @param {string} job Trabajo por defecto (METRICS_JOB lo reemplaza).
+ * @param {'success'|'incomplete'|'failed'} status Estado final.
+ * @param {number} durationSeconds Duración de la ejecución.
+ * @param {Object<string, Object>} statsByPhase Estadísticas de cada fase ejecutada.
+ */
+function recordRunMetrics(job, status, durationSeconds, statsByPhase) {
+    try {
+        const phases = {};
+        Object.entries(statsByPhase).forEach(([phase, stats]) => {
+            phases[phase] = metrics.phaseResults(phase, stats);
+        });
+        metrics.recordRun(job, { status, durationSeconds, phases, throttleStats: shopifyThrottle.stats });
+    } catch (e) {
+        Logger.error(`No se pudieron actualizar las métricas en ${metrics.statePath}`, e);
+    }
+}
+
+/**
+ * Resumen de cada fase ejecutada, para el reporte de cambios y las notificaciones.
+ * @param {Object} summary Resumen de runSync.
+ * @returns {Array<Object>}
+ */
+function getReportSections(summary) {
+    const sections = [];
+    if (summary.stats.price) sections.push(getPriceReportSection(summary.stats.price));
+    if (summary.stats.inventory) sections.push(getInventoryReportSection(summary.stats.inventory));
+    return sections;
+}
+
+/**
+ * Escribe el reporte de cambios (common/runReport.js) junto al log. Un error al escribirlo no afecta la sincronización.
+ * @param {Object} summary Resumen de runSync.
+ */
+function writeRunReport(summary) {
+    try {
+        const report = runReport.write(Logger.logPath, {
+            status: summary.status,
+            durationSeconds: summary.durationSeconds,
+            error: summary.error,
+            sections: getReportSections(summary),
+        });
+        if (report) Logger.log(`📄 Reporte de cambios: ${report.htmlPath} (CSV: ${report.csvPath})`);
+    } catch (e) {
+        Logger.error('No se pudo escribir el reporte de cambios', e);
+    }
+}
+
+/**
+ * Envía el resumen de la ejecución a los canales de common/notifier.js. Un error al notificar no afecta la sincronización.
+ * @param {Object} summary Resumen de runSync.
+ */
+async function notifyRunSummary(summary) {
+    const sections = getReportSections(summary);
+    const notification = await notifyRunFinished({
+        source: `main-sync ${summary.syncType}${summary.incremental ? ' (incremental)' : ''}`,
+        runId: summary.runId,
+        status: summary.status,
+        durationSeconds: summary.durationSeconds,
+        startedAt: summary.startedAt,
+        error: summary.error || (summary.incompletePhases.length > 0 ? `Fases sin completar: ${summary.incompletePhases.join(', ')}` : null),
+        sections,
+    });
+    if (notification.sent.length > 0) Logger.log(`📨 Resumen enviado por ${notification.sent.join(', ')}.`);
+    notification.failed.forEach(f => Logger.warn(`No se pudo enviar la notificación (${f.channel}): ${f.error}`));
+}
+
+/**
+ * Sincronización de precios y/o inventario (comando 'sync'). La usan main-sync.js y admin-server.js.
+ * Toma el bloqueo de ejecución, publica el progreso en common/runState.js, agrega el resumen al historial
+ * (RUN_HISTORY_PATH), escribe el reporte de cambios junto al log y notifica el resumen (common/notifier.js),
+ * también si la ejecución falla. El logger debe estar inicializado.
+ * @param {Object} [options]
+ * @param {string} [options.syncType=SYNC_TYPE] Qué se sincroniza: 'price', 'inventory' o 'both'.
+ * @param {boolean} [options.incremental=false] Solo procesar lo que cambió desde la última ejecución correcta.
+ * @param {boolean} [options.resume=false] Continuar desde el checkpoint de una ejecución interrumpida.
+ * @param {function(string): void} [options.onStarted] Se llama con el runId cuando la ejecución ya comenzó
+ * (bloqueo tomado y checkpoint cargado).
+ * @returns {Promise<Object>} Resumen de la ejecución (ver common/runHistory.js). Si hay un error fatal se guarda
+ * el checkpoint y se lanza el error.
+ */
+async function runSync({ syncType = SYNC_TYPE, incremental = false, resume = false, onStarted = null } = {}) {
+    const executionStartTime = new Date();
+    let runId = `sync_${Logger.formatDateForFilename(executionStartTime)}`;
+    acquireRunLock(runId, 'sync');
+
+    let discountMap = new Map();
+    let activeLocationId = null;
+    let allShopifyVariants = null;
+    let localProducts = null;
+    let localInventory = null;
+    let sourceHashes = null; // Solo en ejecuciones nuevas: base para el próximo --incremental
+    let skuFilters = null;
+    const incompletePhases = []; // Fases que terminaron con un error general
+    const statsByPhase = {};
+    let status = 'failed';
+    let failure = null;
+    let summary = null;
+
+    try {
+        const checkpoint = new Checkpoint(CHECKPOINT_DIR);
+        if (resume) {
+            Logger.log("--- Reanudando desde checkpoint (se reutilizan Location ID y variantes de Shopify) ---");
+            const saved = checkpoint.load();
+            if (saved.syncType !== syncType) {
+                throw new Error(`El checkpoint corresponde a SYNC_TYPE='${saved.syncType}' pero la ejecución actual usa '${syncType}'.`);
+            }
+            ({ runId, locationId: activeLocationId, shopifyVariants: allShopifyVariants, skuFilters } = saved);
+            Logger.log(`Checkpoint cargado: ${checkpoint.describe()}`);
+            // Los descuentos se vuelven a cargar: desde que empezó la ejecución pudo iniciar o vencer una ventana
+            if (syncType === 'price' || syncType === 'both') discountMap = await loadSyncDiscounts();
+        }
+        runState.start({ runId, syncType, incremental, resumed: resume });
+        runReport.start(runId, `main-sync ${syncType}`);
+        if (onStarted) onStarted(runId);
+        // Al reanudar, Delfin se vuelve a consultar y se registra en la misma instantánea
+        snapshotStore.init(runId, 'main-sync sync');
+
+        if (!resume) {
+            runState.setStep('datos');
+            ({ discountMap, activeLocationId, allShopifyVariants, localProducts, localInventory, sourceHashes, skuFilters } = await fetchSyncInputs({ syncType, incremental }));
 
+            if (checkpoint.exists()) {
+                Logger.warn(`Se reemplaza el checkpoint de una ejecución anterior sin terminar. Usa 'node main-sync.js --resume' para continuarla en lugar de empezar de cero.`);
+            }
+            checkpoint.start({
+                runId,
+                syncType,
+                locationId: activeLocationId,
+                shopifyVariants: allShopifyVariants,
+                skuFilters,
+            });
+        }
+        activeCheckpoint = checkpoint;
+        startJournal(runId, 'sync');
 
-        if (SYNC_TYPE === 'price' || SYNC_TYPE === 'both') {
+        if (checkpoint.isPhaseCompleted('price')) {
+            Logger.log("\n--- Sub-proceso: Actualización de Precios OMITIDO (ya completado según el checkpoint) ---");
+        } else if (syncType === 'price' || syncType === 'both') {
             if (allShopifyVariants.length > 0 || discountMap.size > 0) { // Solo ejecutar si hay algo que procesar
                 Logger.log("\n--- Iniciando Sub-proceso: Actualización de Precios ---");
-                await runPriceUpdate(allShopifyVariants, discountMap);
+                runState.setStep('price');
+                statsByPhase.price = await runPriceUpdate(allShopifyVariants, discountMap, {
+                    checkpoint,
+                    localProducts,
+                    skuFilter: skuFilters?.price || null,
+                    runId,
+                });
+                if (!checkpoint.isPhaseCompleted('price')) incompletePhases.push('price');
             } else {
                 Logger.log("\n--- Sub-proceso: Actualización de Precios OMITIDO (no hay variantes de Shopify o descuentos cargados) ---");
             }
         }
 
-        if ((SYNC_TYPE === 'inventory' || SYNC_TYPE === 'both') && activeLocationId) {
+        if (checkpoint.isPhaseCompleted('inventory')) {
+            Logger.log("\n--- Sub-proceso: Actualización de Inventario OMITIDO (ya completado según el checkpoint) ---");
+        } else if ((syncType === 'inventory' || syncType === 'both') && activeLocationId) {
             if (allShopifyVariants.length > 0) { // Solo ejecutar si hay variantes
                 Logger.log("\n--- Iniciando Sub-proceso: Actualización de Inventario ---");
-                await runInventoryUpdate(allShopifyVariants, activeLocationId);
+                runState.setStep('inventory');
+                statsByPhase.inventory = await runInventoryUpdate(allShopifyVariants, activeLocationId, {
+                    checkpoint,
+                    localInventory,
+                    skuFilter: skuFilters?.inventory || null,
+                });
+                if (!checkpoint.isPhaseCompleted('inventory')) incompletePhases.push('inventory');
             } else {
                  Logger.log("\n--- Sub-proceso: Actualización de Inventario OMITIDO (no hay variantes de Shopify para procesar) ---");
             }
-        } else if ((SYNC_TYPE === 'inventory' || SYNC_TYPE === 'both') && !activeLocationId) {
+        } else if ((syncType === 'inventory' || syncType === 'both') && !activeLocationId) {
             Logger.warn("Se omitió la actualización de inventario porque no se pudo obtener un Location ID activo.");
         }
 
+        if (incompletePhases.length > 0) {
+            Logger.warn(`Fases sin completar: ${incompletePhases.join(', ')}.`);
+            saveActiveCheckpoint();
+            status = 'incomplete';
+        } else {
+            // Sincronización terminada: el checkpoint ya no es necesario
+            checkpoint.clear();
+            if (sourceHashes) {
+                saveIncrementalBaseline(executionStartTime, sourceHashes, statsByPhase);
+            }
+            status = 'success';
+        }
+        activeCheckpoint = null;
+    } catch (error) {
+        saveActiveCheckpoint();
+        activeCheckpoint = null;
+        failure = error;
+        throw error;
+    } finally {
+        runLock.release();
+        const finishedAt = new Date();
+        summary = {
+            runId,
+            syncType,
+            incremental,
+            resumed: resume,
+            status,
+            startedAt: executionStartTime.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationSeconds: Math.round((finishedAt.getTime() - executionStartTime.getTime()) / 1000),
+            stats: statsByPhase,
+            incompletePhases,
+            error: failure ? failure.message : null,
+        };
+        runState.finish();
+        try {
+            appendRun(RUN_HISTORY_PATH, summary);
+        } catch (e) {
+            Logger.error(`No se pudo registrar la ejecución en el historial ${RUN_HISTORY_PATH}`, e);
+        }
+        recordRunMetrics(`main-sync-${syncType}`, summary.status, summary.durationSeconds, statsByPhase);
+        writeRunReport(summary);
+        await notifyRunSummary(summary);
+    }
+    return summary;
+}
+
+async function main() {
+    const executionStartTime = new Date();
+    // Inicializar el logger con la hora de inicio de esta ejecución.
+    // Puedes pasar LOG_DIR y LOG_MAX_SIZE_MB desde tu config si están definidos allí.
+    Logger.init(executionStartTime, LOG_DIR, LOG_MAX_SIZE_MB); 
+
+    Logger.log(`🚀 INICIANDO SINCRONIZACIÓN GENERAL (Tipo: ${SYNC_TYPE.toUpperCase()}, Comando: ${COMMAND}) - ${executionStartTime.toLocaleString()}`);
+
+    try {
+        if (!VALID_COMMANDS.includes(COMMAND)) {
+            throw new Error(`Comando desconocido '${COMMAND}'. Comandos válidos: ${VALID_COMMANDS.join(', ')}`);
+        }
+        if (CLI_FLAGS.has('--resume') && COMMAND !== 'sync') {
+            throw new Error("--resume solo se puede usar con el comando 'sync'.");
+        }
+
+        if (COMMAND === 'sync') {
+            const summary = await runSync({
+                incremental: CLI_FLAGS.has('--incremental'),
+                resume: CLI_FLAGS.has('--resume'),
+            });
+            if (summary.status !== 'success') process.exitCode = 1;
+            return;
+        }
+
+        // Identificador de la ejecución: nombra el diario de mutaciones
+        const runId = `${COMMAND}_${Logger.formatDateForFilename(executionStartTime)}`;
+        if (MUTATING_COMMANDS.includes(COMMAND)) {
+            acquireRunLock(runId);
+        }
+
+        if (COMMAND === 'apply') {
+            const planPath = CLI_POSITIONAL[0];
+            if (!planPath) {
+                throw new Error("Uso: node main-sync.js apply <ruta/al/plan.json> [--allow-drift]");
+            }
+            startJournal(runId);
+            const applyStats = await runPlanApply(planPath, { allowDrift: CLI_FLAGS.has('--allow-drift') });
+            if (applyStats.errors > 0) process.exitCode = 1;
+            return;
+        }
+
+        if (COMMAND === 'history') {
+            if (!CLI_POSITIONAL[0]) {
+                throw new Error("Uso: node main-sync.js history <sku>");
+            }
+            printSkuHistory(CLI_POSITIONAL[0]);
+            return;
+        }
+
+        if (COMMAND === 'rollback') {
+            const rollbackRunId = CLI_POSITIONAL[0];
+            if (!rollbackRunId) {
+                const recentRuns = journal.listRuns().slice(0, 10);
+                throw new Error(`Uso: node main-sync.js rollback <runId> [--sku=SKU1,SKU2] [--allow-drift]. Ejecuciones recientes: ${recentRuns.join(', ') || 'ninguna'}`);
+            }
+            startJournal(runId);
+            const skuOption = getCliOption('sku');
+            const rollbackStats = await runRollback(rollbackRunId, {
+                skus: skuOption ? skuOption.split(',').map(sku => sku.trim()).filter(Boolean) : [],
+                allowDrift: CLI_FLAGS.has('--allow-drift'),
+            });
+            if (rollbackStats.errors > 0) process.exitCode = 1;
+            return;
+        }
+
+        // COMMAND === 'plan'
+        snapshotStore.init(runId, `main-sync ${COMMAND}`);
+        const inputs = await fetchSyncInputs({ incremental: CLI_FLAGS.has('--incremental') });
+        await generatePlan(executionStartTime, inputs);
+
     } catch (error) {
-        Logger.error('💥 ERROR FATAL en el proceso de sincronización principal', error);
-        process.exitCode = 1; // Indicar error al sistema operativo
+        if (error.code === 'RUN_LOCKED') {
+            // Otra ejecución está modificando Shopify: no es un fallo de esta
+            Logger.warn(`⏭️ Ejecución omitida. ${error.message}`);
+            process.exitCode = runLock.LOCKED_EXIT_CODE;
+        } else {
+            Logger.error('💥 ERROR FATAL en el proceso de sincronización principal', error);
+            process.exitCode = 1; // Indicar error al sistema operativo
+        }
     } finally {
+        runLock.release();
         const executionEndTime = Date.now();
         const duration = ((executionEndTime - executionStartTime.getTime()) / 1000).toFixed(2);
         Logger.log(`🏁 SINCRONIZACIÓN GENERAL FINALIZADA. Duración total: ${duration} segundos - ${new Date(executionEndTime).toLocaleString()}`);
@@ -96,16 +623,37 @@ async function main() {
     }
 }
 
-main();
+/**
+ * Guarda en disco el checkpoint de la sincronización en curso (si la hay) para poder reanudarla con --resume.
+ */
+function saveActiveCheckpoint() {
+    if (!activeCheckpoint) return;
+    try {
+        activeCheckpoint.save();
+        Logger.log(`💾 Checkpoint guardado (${activeCheckpoint.describe()}). Ejecuta 'node main-sync.js --resume' para continuar.`);
+    } catch (e) {
+        Logger.error('No se pudo guardar el checkpoint', e);
+    }
+}
 
-// Manejadores de cierre para asegurar el flush de logs
+// Manejadores de cierre para asegurar el flush de logs y guardar el checkpoint
 async function gracefulShutdown(signal) {
     Logger.warn(`Recibido ${signal}. Finalizando ordenadamente...`);
+    saveActiveCheckpoint();
     if (Logger) { // Asegurarse que Logger esté disponible
         await Logger.flush();
     }
     process.exit(0);
 }
 
-process.on('SIGINT', () => gracefulShutdown('SIGINT')); // Ctrl+C
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM')); // kill
+// Al usarse como módulo (admin-server.js) solo se exportan las funciones de ejecución
+if (require.main === module) {
+    main();
+    process.on('SIGINT', () => gracefulShutdown('SIGINT')); // Ctrl+C
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM')); // kill
+}
+
+module.exports = {
+    runSync,
+    saveActiveCheckpoint,
+};
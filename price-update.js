@@ -1,16 +1,23 @@
 const {
-    SHOPIFY_SHOP_NAME,
-    SHOPIFY_ACCESS_TOKEN,
     DATA_API_URL,
     DISCOUNT_CSV_PATH, // Aunque no se usa directamente en este archivo si se pasa discountMap
-    SHOPIFY_API_VERSION,
+    PRICE_BULK_BATCH_SIZE,
+    SHOPIFY_FETCH_MODE,
+    DELFIN_COST_FIELD,
 } = require('./common/config');
 
 const Logger = require('./common/logger');
-const { cleanSku, fetchWithRetry, loadDiscounts } = require('./common/utils');
-
-const SHOPIFY_GRAPHQL_URL =
-    `https://${SHOPIFY_SHOP_NAME}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+const journal = require('./common/journal');
+const runLock = require('./common/runLock');
+const runState = require('./common/runState');
+const metrics = require('./common/metrics');
+const { notifyRunFinished } = require('./common/notifier');
+const runReport = require('./common/runReport');
+const { getPriceGuardrails, checkPriceChange, describeViolations, writeQuarantine } = require('./common/priceGuardrails');
+const snapshotStore = require('./common/snapshotStore');
+const { cleanSku, fetchWithRetry, loadDiscounts, toMoneyString, shopifyThrottle } = require('./common/utils');
+const { runBulkQuery } = require('./common/bulkOperation');
+const { getShopifyStore, getShopifyGraphqlUrl } = require('./common/shopifyStore');
 
 /**
  * Obtiene los productos desde la API local.
@@ -30,14 +37,30 @@ async function getLocalProducts() {
         throw new Error(`Estructura de respuesta inválida desde DATA_API_URL.`);
     }
     Logger.log(`✅ Obtenidos ${products.length} productos locales`);
+    snapshotStore.save('delfin-prices', products
+        .map(p => ({ sku: cleanSku(p.CodigoProducto), codigoProducto: p.CodigoProducto, price: parseFloat(p.Venta1) }))
+        .filter(row => row.sku));
     return products;
 }
 
+/**
+ * Combina el filtro de variantes activas con un filtro de búsqueda adicional.
+ * @param {string|null} searchQuery Filtro de búsqueda de Shopify (ej. "updated_at:>'...'" o "sku:1 OR sku:2").
+ * @returns {string}
+ */
+function buildPricingSearch(searchQuery) {
+    return searchQuery ? `status:active AND (${searchQuery})` : 'status:active';
+}
+
 /**
  * Obtiene todas las variantes de producto de Shopify con campos relevantes para precios.
+ * @param {string|null} [searchQuery] Filtro de búsqueda adicional (modo incremental).
  * @returns {Promise<Array<Object>>} Una promesa que resuelve a un array de variantes de Shopify.
  */
-async function getAllShopifyVariantsForPricing() {
+async function getAllShopifyVariantsForPricing(searchQuery = null) {
+    if (SHOPIFY_FETCH_MODE === 'bulk') {
+        return getAllShopifyVariantsForPricingBulk(searchQuery);
+    }
     Logger.log('🔎 Obteniendo variantes de Shopify (para precios)...');
     let variants = [];
     let hasNext = true, cursor = null;
@@ -47,8 +70,8 @@ async function getAllShopifyVariantsForPricing() {
     while (hasNext && pageCount < MAX_PAGES) {
         pageCount++;
         const query = `
-          query GetVariantsForPricing($limit: Int!, $cursor: String) {
-            productVariants(first: $limit, after: $cursor, query:"status:active") { # Agregado query de estado activo
+          query GetVariantsForPricing($limit: Int!, $cursor: String, $search: String) {
+            productVariants(first: $limit, after: $cursor, query: $search) { # Solo variantes activas (más el filtro incremental)
               pageInfo { hasNextPage endCursor }
               edges {
                 node {
@@ -57,18 +80,19 @@ async function getAllShopifyVariantsForPricing() {
                   price
                   compareAtPrice
                   displayName # Para logs
-                  product { title } # Para logs
+                  product { id title } # id necesario para productVariantsBulkUpdate
+                  inventoryItem { id unitCost { amount } } # Costo unitario (DELFIN_COST_FIELD y margen mínimo)
                 }
               }
             }
           }`;
-        const variables = { limit: 100, cursor }; // Límite razonable por página
+        const variables = { limit: 100, cursor, search: buildPricingSearch(searchQuery) }; // Límite razonable por página
         const responseData = await fetchWithRetry({
             method: 'POST',
-            url: SHOPIFY_GRAPHQL_URL,
+            url: getShopifyGraphqlUrl(),
             headers: {
                 'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
+                'X-Shopify-Access-Token': getShopifyStore().accessToken,
             },
             data: JSON.stringify({ query, variables }),
         }, true); // Usar el limitador de tasa de Shopify
@@ -95,6 +119,83 @@ async function getAllShopifyVariantsForPricing() {
     return variants;
 }
 
+/**
+ * Obtiene todas las variantes activas de Shopify (campos de precios) mediante una operación masiva.
+ * Devuelve la misma forma que la versión paginada de getAllShopifyVariantsForPricing.
+ * @param {string|null} [searchQuery] Filtro de búsqueda adicional (modo incremental).
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve a un array de variantes de Shopify.
+ */
+async function getAllShopifyVariantsForPricingBulk(searchQuery = null) {
+    Logger.log('🔎 Obteniendo variantes de Shopify (para precios) mediante operación masiva...');
+    const bulkQuery = `
+      {
+        productVariants(query: ${JSON.stringify(buildPricingSearch(searchQuery))}) {
+          edges {
+            node {
+              id
+              sku
+              price
+              compareAtPrice
+              displayName
+              product { id title }
+              inventoryItem { id unitCost { amount } }
+            }
+          }
+        }
+      }`;
+    const variants = [];
+    await runBulkQuery(getShopifyGraphqlUrl(), getShopifyStore().accessToken, bulkQuery, record => variants.push(record));
+    Logger.log(`✅ Obtenidas ${variants.length} variantes de Shopify (para precios, operación masiva)`);
+    return variants;
+}
+
+/**
+ * Obtiene el estado actual de precios de un conjunto de variantes de Shopify por su GID.
+ * @param {Array<string>} variantIds GIDs de las variantes.
+ * @returns {Promise<Map<string, Object>>} Mapa de GID -> variante ({ id, sku, price, compareAtPrice, inventoryItem.unitCost }).
+ * Las variantes que ya no existen en Shopify no aparecen en el mapa.
+ */
+async function getVariantsByIds(variantIds) {
+    const result = new Map();
+    const CHUNK_SIZE = 100; // Máximo de IDs por consulta `nodes`
+    const query = `
+      query GetVariantsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            sku
+            price
+            compareAtPrice
+            displayName
+            product { id }
+            inventoryItem { id unitCost { amount } }
+          }
+        }
+      }`;
+
+    for (let i = 0; i < variantIds.length; i += CHUNK_SIZE) {
+        const ids = variantIds.slice(i, i + CHUNK_SIZE);
+        const responseData = await fetchWithRetry({
+            method: 'POST',
+            url: getShopifyGraphqlUrl(),
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': getShopifyStore().accessToken,
+            },
+            data: JSON.stringify({ query, variables: { ids } }),
+        }, true); // Usar el limitador de tasa de Shopify
+
+        if (responseData.errors) {
+            throw new Error(`Error GraphQL obteniendo variantes por ID: ${JSON.stringify(responseData.errors)}`);
+        }
+        (responseData?.data?.nodes || []).forEach(node => {
+            if (node?.id) result.set(node.id, node);
+        });
+    }
+    Logger.debug(`Obtenidas ${result.size} de ${variantIds.length} variantes de Shopify por ID`);
+    return result;
+}
+
 /**
  * Actualiza el precio y el precio de comparación de una variante de producto en Shopify.
  * @param {string} variantId El GID de la variante de producto.
@@ -131,10 +232,10 @@ async function updateShopifyPrice(variantId, newPrice, newCompareAtPrice) {
 
     const responseData = await fetchWithRetry({
         method: 'POST',
-        url: SHOPIFY_GRAPHQL_URL,
+        url: getShopifyGraphqlUrl(),
         headers: {
             'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
+            'X-Shopify-Access-Token': getShopifyStore().accessToken,
         },
         data: JSON.stringify({ query: mutation, variables }),
     }, true); // Usar el limitador de tasa de Shopify
@@ -160,135 +261,590 @@ async function updateShopifyPrice(variantId, newPrice, newCompareAtPrice) {
 }
 
 /**
- * Ejecuta el proceso completo de actualización de precios.
- * @param {Array<Object>|null} sharedShopifyVariants Variantes de Shopify ya cargadas (opcional).
- * @param {Map<string, number>|null} discountMap Mapa de descuentos ya cargado (opcional).
+ * Actualiza en una sola mutación `productVariantsBulkUpdate` el precio de varias variantes de un mismo producto.
+ * Con `allowPartialUpdates` las variantes válidas se actualizan aunque otras del lote fallen; los userErrors
+ * se asocian a su variante mediante el índice incluido en `field` (ej. ["variants", "2", "price"]).
+ * @param {string} productId El GID del producto.
+ * @param {Array<Object>} changes Cambios de precio de variantes de ese producto.
+ * @returns {Promise<Array<{change: Object, success: boolean, errors?: Array}>>} Resultado por cambio.
  */
-async function runPriceUpdate(sharedShopifyVariants = null, discountMap = null) {
-    Logger.log('🚀 Iniciando actualización de precios...');
-    let stats = { updated: 0, noChange: 0, notFound: 0, errors: 0, totalLocal: 0, localInvalidPrice: 0 };
+async function updateShopifyPricesBulk(productId, changes) {
+    Logger.log(`✨ Actualizando en lote ${changes.length} variante(s) del producto ${productId}: ${changes.map(c => `${c.sku}=${c.after.price}/${c.after.compareAtPrice}`).join(', ')}`);
 
+    const mutation = `
+        mutation ($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+          productVariantsBulkUpdate(productId: $productId, variants: $variants, allowPartialUpdates: true) {
+            productVariants {
+              id
+              price
+              compareAtPrice
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }`;
+
+    const variables = {
+        productId,
+        variants: changes.map(change => ({
+            id: change.variantId,
+            price: String(change.after.price), // Shopify espera precios como strings (Money)
+            compareAtPrice: change.after.compareAtPrice ? String(change.after.compareAtPrice) : null
+        }))
+    };
+
+    let responseData;
     try {
-        // Cargar descuentos solo si no se pasaron como argumento
-        if (!discountMap) {
-            Logger.debug("El mapa de descuentos no fue proporcionado, cargando desde CSV...");
-            // Asegúrate que DISCOUNT_CSV_PATH esté disponible en config si se llama así.
-            // La función loadDiscounts ya maneja si la ruta es una URL o local.
-            discountMap = await loadDiscounts(DISCOUNT_CSV_PATH);
+        responseData = await fetchWithRetry({
+            method: 'POST',
+            url: getShopifyGraphqlUrl(),
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': getShopifyStore().accessToken,
+            },
+            data: JSON.stringify({ query: mutation, variables }),
+        }, true); // Usar el limitador de tasa de Shopify
+    } catch (error) {
+        Logger.error(`❌ Falló la actualización en lote del producto ${productId}`, error);
+        return changes.map(change => ({ change, success: false, errors: [{ message: error.message }] }));
+    }
+
+    // Errores a nivel raíz: ninguna variante del lote se actualizó
+    if (responseData.errors) {
+        Logger.error(`❌ Error GraphQL raíz al actualizar en lote el producto ${productId}: ${JSON.stringify(responseData.errors)}`);
+        return changes.map(change => ({ change, success: false, errors: responseData.errors }));
+    }
+
+    const payload = responseData?.data?.productVariantsBulkUpdate;
+    if (!payload) {
+        Logger.warn(`Respuesta desconocida al actualizar en lote el producto ${productId}: ${JSON.stringify(responseData)}`);
+        return changes.map(change => ({ change, success: false, errors: [{ message: "Respuesta desconocida o sin datos de éxito de Shopify" }] }));
+    }
+
+    // Asociar cada userError a su variante por índice; los que no traen índice afectan a todo el lote
+    const errorsByIndex = new Map();
+    const batchErrors = [];
+    (payload.userErrors || []).forEach(userError => {
+        const index = Array.isArray(userError.field) && userError.field[0] === 'variants' ? parseInt(userError.field[1], 10) : NaN;
+        if (isNaN(index)) {
+            batchErrors.push(userError);
+        } else {
+            if (!errorsByIndex.has(index)) errorsByIndex.set(index, []);
+            errorsByIndex.get(index).push(userError);
         }
+    });
+    const updatedIds = new Set((payload.productVariants || []).map(v => v.id));
 
-        const localProducts = await getLocalProducts();
-        stats.totalLocal = localProducts.length;
-
-        // Cargar variantes de Shopify solo si no se pasaron como argumento
-        const shopifyVariants = sharedShopifyVariants || await getAllShopifyVariantsForPricing();
-        // Crear un mapa de SKU -> Variante para búsqueda rápida
-        const shopifyVariantMap = new Map();
-        shopifyVariants.forEach(v => {
-            const sku = cleanSku(v.sku);
-            if (sku) { // Solo añadir si el SKU es válido
-                if (shopifyVariantMap.has(sku)) {
-                    Logger.warn(`SKU duplicado en Shopify: ${sku}. Se usará la primera variante encontrada con este SKU.`);
-                } else {
-                    shopifyVariantMap.set(sku, v);
-                }
-            }
-        });
+    return changes.map((change, index) => {
+        const errors = [...(errorsByIndex.get(index) || []), ...batchErrors];
+        if (errors.length > 0 || !updatedIds.has(change.variantId)) {
+            const finalErrors = errors.length > 0 ? errors : [{ message: "La variante no fue devuelta como actualizada por Shopify" }];
+            Logger.error(`❌ Error al actualizar precio para SKU ${change.sku} (variante ${change.variantId}): ${JSON.stringify(finalErrors)}`);
+            return { change, success: false, errors: finalErrors };
+        }
+        Logger.log(`✅ Precio actualizado para SKU ${change.sku} (variante ${change.variantId})`);
+        return { change, success: true };
+    });
+}
 
-        for (const localProd of localProducts) {
-            const sku = cleanSku(localProd.CodigoProducto); // Asume que el campo SKU local es 'CodigoProducto'
-            if (!sku) {
-                Logger.warn(`SKU local inválido o vacío para producto: ${JSON.stringify(localProd)}. Saltando.`);
-                continue;
-            }
+/**
+ * Calcula el precio final y el precio de comparación de un SKU aplicando su descuento (si existe).
+ * @param {string} sku SKU limpio.
+ * @param {number} basePrice Precio base local.
+ * @param {Map<string, number>} discountMap Mapa de descuentos.
+ * @returns {{finalPrice: number, compareAtPrice: number|null, discountPct: number|null}}
+ */
+function computeTargetPrice(sku, basePrice, discountMap) {
+    let finalPrice = parseFloat(basePrice.toFixed(2));
+    let compareAtPrice = null; // Por defecto, no hay precio de comparación
+    let discountPct = null;
 
-            const shopifyVariant = shopifyVariantMap.get(sku);
-            if (!shopifyVariant) {
-                // Logger.warn(`️SKU ${sku} (local) no encontrado en Shopify. Producto local: ${localProd.NombreProducto || JSON.stringify(localProd)}`); // Log más detallado
-                stats.notFound++;
-                continue;
-            }
+    if (discountMap.has(sku)) {
+        const pct = discountMap.get(sku);
+        if (pct > 0 && pct <= 100) { // Aplicar solo si el descuento es válido y positivo
+            compareAtPrice = parseFloat(basePrice.toFixed(2)); // El precio original es el de comparación
+            finalPrice = parseFloat((basePrice * (1 - pct / 100)).toFixed(2));
+            discountPct = pct;
+            Logger.log(`💸 SKU ${sku}: Descuento ${pct}% aplicado. Original: ${compareAtPrice}, Final: ${finalPrice}`);
+        } else if (pct === 0) { // Si el descuento es 0%, no hay precio de comparación.
+            discountPct = 0;
+            Logger.log(`ℹ️ SKU ${sku}: Descuento 0% encontrado. Precio final: ${finalPrice}, sin precio de comparación.`);
+        } else {
+            Logger.warn(`Descuento inválido (fuera de rango 0-100) para SKU ${sku}: ${pct}%. Usando precio base ${basePrice.toFixed(2)} sin precio de comparación.`);
+        }
+    }
+    return { finalPrice, compareAtPrice, discountPct };
+}
+
+/**
+ * Determina los motivos de un cambio de precio comparando valores actuales y objetivo.
+ * @returns {Array<string>} Códigos de motivo (vacío si no hay cambios).
+ */
+function getPriceChangeReasons(currentPrice, targetPrice, currentCompareAt, targetCompareAt) {
+    const reasons = [];
+    if (targetPrice !== currentPrice) reasons.push('PRICE_CHANGED');
+    if (targetCompareAt !== currentCompareAt) {
+        if (currentCompareAt === null) reasons.push('COMPARE_AT_SET');
+        else if (targetCompareAt === null) reasons.push('COMPARE_AT_CLEARED');
+        else reasons.push('COMPARE_AT_CHANGED');
+    }
+    return reasons;
+}
+
+/**
+ * Construye el cambio de costo unitario de una variante si el costo de Delfin (campo DELFIN_COST_FIELD) difiere
+ * del `inventoryItem.unitCost` de Shopify. Un costo 0 o vacío se considera desconocido y no se sincroniza.
+ * @param {string} sku SKU limpio.
+ * @param {Object} localProd Producto de Delfin.
+ * @param {Object} shopifyVariant Variante de Shopify.
+ * @param {Object} stats Estadísticas del cálculo (cuenta los costos inválidos).
+ * @returns {{unitCost: string|null, change: Object|null}} Costo vigente para el margen mínimo (el de Delfin o, si no
+ * hay, el de Shopify) y el cambio de tipo 'cost', si hace falta.
+ */
+function buildCostChange(sku, localProd, shopifyVariant, stats) {
+    const currentUnitCost = toMoneyString(shopifyVariant.inventoryItem?.unitCost?.amount);
+    const rawCost = DELFIN_COST_FIELD ? localProd[DELFIN_COST_FIELD] : null;
+    if (rawCost === null || rawCost === undefined || rawCost === '') {
+        return { unitCost: currentUnitCost, change: null };
+    }
+    const localCost = parseFloat(rawCost);
+    if (isNaN(localCost) || localCost < 0) {
+        Logger.warn(`Costo inválido para SKU ${sku} (local, ${DELFIN_COST_FIELD}): '${rawCost}'. No se sincroniza el costo.`);
+        stats.localInvalidCost++;
+        return { unitCost: currentUnitCost, change: null };
+    }
+    if (localCost === 0 || !shopifyVariant.inventoryItem?.id) {
+        return { unitCost: currentUnitCost, change: null };
+    }
+
+    const unitCost = localCost.toFixed(2);
+    if (unitCost === currentUnitCost) {
+        return { unitCost, change: null };
+    }
+    return {
+        unitCost,
+        change: {
+            type: 'cost',
+            sku,
+            variantId: shopifyVariant.id,
+            productId: shopifyVariant.product?.id || null,
+            inventoryItemId: shopifyVariant.inventoryItem.id,
+            displayName: shopifyVariant.displayName || shopifyVariant.product?.title || null,
+            before: { unitCost: currentUnitCost },
+            after: { unitCost },
+            reason: currentUnitCost === null ? 'COST_SET' : 'COST_CHANGED',
+        },
+    };
+}
+
+/**
+ * Construye el plan de cambios de precio sin realizar ninguna mutación en Shopify.
+ * Aplica descuentos, calcula el precio de comparación y compara contra los valores actuales. Los cambios que
+ * incumplen los límites de common/priceGuardrails.js quedan fuera del plan, en `quarantined`. Con DELFIN_COST_FIELD
+ * el plan también incluye los cambios de costo unitario (tipo 'cost').
+ * @param {Array<Object>|null} sharedShopifyVariants Variantes de Shopify ya cargadas (opcional).
+ * @param {Map<string, number>|null} discountMap Mapa de descuentos ya cargado (opcional).
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.localProducts] Productos de Delfin ya cargados (si no, se consultan).
+ * @param {Set<string>} [options.skuFilter] Procesar solo estos SKUs (modo incremental); el resto cuenta como sin cambios en origen.
+ * @returns {Promise<{changes: Array<Object>, quarantined: Array<Object>, stats: Object, notFoundSkus: Array<string>}>}
+ * Cambios pendientes, cambios en cuarentena (con `violations`), estadísticas del cálculo y SKUs de Delfin que no existen en Shopify.
+ */
+async function buildPricePlan(sharedShopifyVariants = null, discountMap = null, { localProducts = null, skuFilter = null } = {}) {
+    const stats = { updated: 0, noChange: 0, notFound: 0, errors: 0, totalLocal: 0, localInvalidPrice: 0, unchangedSource: 0, quarantined: 0, costUpdated: 0, localInvalidCost: 0 };
+    const changes = [];
+    const quarantined = [];
+    const notFoundSkus = [];
+    const guardrails = getPriceGuardrails();
 
-            // Asume que el campo de precio local es 'Venta1'
-            const basePrice = parseFloat(localProd.Venta1);
-            if (isNaN(basePrice) || basePrice < 0) { // Validar que el precio sea un número positivo
-                Logger.warn(`Precio base inválido para SKU ${sku} (local): '${localProd.Venta1}'. Saltando.`);
-                stats.localInvalidPrice++;
-                continue;
+    // Cargar descuentos solo si no se pasaron como argumento
+    if (!discountMap) {
+        Logger.debug("El mapa de descuentos no fue proporcionado, cargando desde CSV...");
+        // La función loadDiscounts ya maneja si la ruta es una URL o local.
+        discountMap = await loadDiscounts(DISCOUNT_CSV_PATH);
+    }
+
+    if (!localProducts) {
+        localProducts = await getLocalProducts();
+    }
+    stats.totalLocal = localProducts.length;
+
+    // Cargar variantes de Shopify solo si no se pasaron como argumento
+    const shopifyVariants = sharedShopifyVariants || await getAllShopifyVariantsForPricing();
+    // Crear un mapa de SKU -> Variante para búsqueda rápida
+    const shopifyVariantMap = new Map();
+    shopifyVariants.forEach(v => {
+        const sku = cleanSku(v.sku);
+        if (sku) { // Solo añadir si el SKU es válido
+            if (shopifyVariantMap.has(sku)) {
+                Logger.warn(`SKU duplicado en Shopify: ${sku}. Se usará la primera variante encontrada con este SKU.`);
+            } else {
+                shopifyVariantMap.set(sku, v);
             }
+        }
+    });
 
-            let finalPrice = basePrice;
-            let compareAtPrice = null; // Por defecto, no hay precio de comparación
-
-            if (discountMap.has(sku)) {
-                const pct = discountMap.get(sku);
-                if (pct > 0 && pct <= 100) { // Aplicar solo si el descuento es válido y positivo
-                    compareAtPrice = parseFloat(basePrice.toFixed(2)); // El precio original es el de comparación
-                    finalPrice = parseFloat((basePrice * (1 - pct / 100)).toFixed(2));
-                    Logger.log(`💸 SKU ${sku}: Descuento ${pct}% aplicado. Original: ${compareAtPrice}, Final: ${finalPrice}`);
-                } else if (pct === 0) { // Si el descuento es 0%, no hay precio de comparación.
-                     finalPrice = parseFloat(basePrice.toFixed(2));
-                     compareAtPrice = null; // Asegurar que no haya compareAtPrice
-                     Logger.log(`ℹ️ SKU ${sku}: Descuento 0% encontrado. Precio final: ${finalPrice}, sin precio de comparación.`);
-                }
-                else {
-                    Logger.warn(`Descuento inválido (fuera de rango 0-100) para SKU ${sku}: ${pct}%. Usando precio base ${basePrice.toFixed(2)} sin precio de comparación.`);
-                    finalPrice = parseFloat(basePrice.toFixed(2));
-                }
+    for (const localProd of localProducts) {
+        const sku = cleanSku(localProd.CodigoProducto); // Asume que el campo SKU local es 'CodigoProducto'
+        if (!sku) {
+            Logger.warn(`SKU local inválido o vacío para producto: ${JSON.stringify(localProd)}. Saltando.`);
+            continue;
+        }
+
+        if (skuFilter && !skuFilter.has(sku)) {
+            stats.unchangedSource++;
+            continue;
+        }
+
+        const shopifyVariant = shopifyVariantMap.get(sku);
+        if (!shopifyVariant) {
+            stats.notFound++;
+            notFoundSkus.push(sku);
+            continue;
+        }
+
+        // El costo se sincroniza aunque el precio no cambie o sea inválido
+        const { unitCost, change: costChange } = buildCostChange(sku, localProd, shopifyVariant, stats);
+        if (costChange) changes.push(costChange);
+
+        // Asume que el campo de precio local es 'Venta1'
+        const basePrice = parseFloat(localProd.Venta1);
+        if (isNaN(basePrice) || basePrice < 0) { // Validar que el precio sea un número positivo
+            Logger.warn(`Precio base inválido para SKU ${sku} (local): '${localProd.Venta1}'. Saltando.`);
+            stats.localInvalidPrice++;
+            continue;
+        }
+
+        const { finalPrice, compareAtPrice, discountPct } = computeTargetPrice(sku, basePrice, discountMap);
+
+        // Comparar con precios actuales de Shopify, manejando posibles nulls
+        const currentShopifyPrice = toMoneyString(shopifyVariant.price);
+        const currentShopifyCompareAtPrice = toMoneyString(shopifyVariant.compareAtPrice);
+        const finalPriceStr = finalPrice.toFixed(2);
+        const compareAtPriceStr = toMoneyString(compareAtPrice);
+
+        const reasons = getPriceChangeReasons(currentShopifyPrice, finalPriceStr, currentShopifyCompareAtPrice, compareAtPriceStr);
+        if (reasons.length > 0) {
+            const change = {
+                type: 'price',
+                sku,
+                variantId: shopifyVariant.id,
+                productId: shopifyVariant.product?.id || null,
+                displayName: shopifyVariant.displayName || shopifyVariant.product?.title || null,
+                before: { price: currentShopifyPrice, compareAtPrice: currentShopifyCompareAtPrice },
+                after: { price: finalPriceStr, compareAtPrice: compareAtPriceStr },
+                basePrice: basePrice.toFixed(2),
+                discountPct,
+                reason: reasons.join(';'),
+            };
+            const violations = checkPriceChange({ currentPrice: currentShopifyPrice, currentCompareAtPrice: currentShopifyCompareAtPrice, newPrice: finalPriceStr, compareAtPrice: compareAtPriceStr, unitCost }, guardrails);
+            if (violations.length > 0) {
+                Logger.warn(`⛔ SKU ${sku} (${change.displayName}): cambio de precio en cuarentena, no se aplicará (${describeViolations(violations)}).`);
+                quarantined.push({ ...change, violations });
+                stats.quarantined++;
             } else {
-                 finalPrice = parseFloat(basePrice.toFixed(2)); // Asegurar formato y tipo
+                changes.push(change);
             }
+        } else {
+            Logger.log(`ℹ️ SKU ${sku} (${shopifyVariant.displayName || shopifyVariant.product?.title}) - Precio (${finalPriceStr}) y Precio de Comparación (${compareAtPriceStr || 'ninguno'}) ya correctos.`);
+            stats.noChange++;
+        }
+    }
+
+    return { changes, quarantined, stats, notFoundSkus };
+}
+
+/**
+ * Aplica en Shopify una lista de cambios de precio (generados por buildPricePlan o leídos de un plan).
+ * Los cambios se agrupan por producto y se envían con productVariantsBulkUpdate en lotes de
+ * PRICE_BULK_BATCH_SIZE variantes; los cambios sin `productId` (planes antiguos) usan productVariantUpdate.
+ * @param {Array<Object>} changes Cambios de tipo 'price' con `variantId`, `productId` y `after`.
+ * Cada cambio aplicado con éxito se registra en el diario de mutaciones de la ejecución (common/journal.js).
+ * @param {function(Array<Object>): void} [onBatchDone] Callback con los resultados de cada mutación enviada.
+ * @returns {Promise<Array<{change: Object, success: boolean, errors?: Array}>>} Resultado por cambio.
+ */
+async function applyPriceChanges(changes, onBatchDone = null) {
+    const results = [];
+    const collect = batchResults => {
+        batchResults.forEach(r => r.success && journal.record(r.change));
+        results.push(...batchResults);
+        if (onBatchDone) onBatchDone(batchResults);
+    };
+    const byProduct = new Map();
+    for (const change of changes) {
+        if (!change.productId) {
+            const updateResult = await updateShopifyPrice(change.variantId, change.after.price, change.after.compareAtPrice);
+            collect([{ change, ...updateResult }]);
+            continue;
+        }
+        if (!byProduct.has(change.productId)) byProduct.set(change.productId, []);
+        byProduct.get(change.productId).push(change);
+    }
+
+    for (const [productId, productChanges] of byProduct) {
+        for (let i = 0; i < productChanges.length; i += PRICE_BULK_BATCH_SIZE) {
+            collect(await updateShopifyPricesBulk(productId, productChanges.slice(i, i + PRICE_BULK_BATCH_SIZE)));
+        }
+    }
+    return results;
+}
+
+/**
+ * Actualiza el costo unitario del inventory item de una variante con `inventoryItemUpdate`.
+ * @param {Object} change Cambio de tipo 'cost' con `inventoryItemId` y `after.unitCost` (null lo quita).
+ * @returns {Promise<{change: Object, success: boolean, errors?: Array}>}
+ */
+async function updateShopifyUnitCost(change) {
+    const mutation = `
+        mutation ($id: ID!, $input: InventoryItemInput!) {
+          inventoryItemUpdate(id: $id, input: $input) {
+            inventoryItem {
+              id
+              unitCost { amount }
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }`;
+    const variables = { id: change.inventoryItemId, input: { cost: change.after.unitCost } };
+
+    let responseData;
+    try {
+        responseData = await fetchWithRetry({
+            method: 'POST',
+            url: getShopifyGraphqlUrl(),
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': getShopifyStore().accessToken,
+            },
+            data: JSON.stringify({ query: mutation, variables }),
+        }, true); // Usar el limitador de tasa de Shopify
+    } catch (error) {
+        Logger.error(`❌ Falló la actualización del costo para SKU ${change.sku} (${change.inventoryItemId})`, error);
+        return { change, success: false, errors: [{ message: error.message }] };
+    }
 
+    const errors = responseData.errors || responseData?.data?.inventoryItemUpdate?.userErrors || [];
+    if (errors.length > 0) {
+        Logger.error(`❌ Error al actualizar costo para SKU ${change.sku} (${change.inventoryItemId}): ${JSON.stringify(errors)}`);
+        return { change, success: false, errors };
+    }
+    if (!responseData?.data?.inventoryItemUpdate?.inventoryItem) {
+        Logger.warn(`Respuesta desconocida al actualizar costo para SKU ${change.sku}: ${JSON.stringify(responseData)}`);
+        return { change, success: false, errors: [{ message: "Respuesta desconocida o sin datos de éxito de Shopify" }] };
+    }
+    Logger.log(`✅ Costo actualizado para SKU ${change.sku}: ${change.before.unitCost || 'ninguno'} -> ${change.after.unitCost || 'ninguno'}`);
+    return { change, success: true };
+}
 
-            // Comparar con precios actuales de Shopify, manejando posibles nulls
-            const currentShopifyPrice = shopifyVariant.price !== null && shopifyVariant.price !== undefined ? parseFloat(shopifyVariant.price).toFixed(2) : null;
-            const currentShopifyCompareAtPrice = shopifyVariant.compareAtPrice !== null && shopifyVariant.compareAtPrice !== undefined ? parseFloat(shopifyVariant.compareAtPrice).toFixed(2) : null;
-            
-            const finalPriceStr = finalPrice.toFixed(2);
-            const compareAtPriceStr = compareAtPrice !== null ? parseFloat(compareAtPrice).toFixed(2) : null;
+/**
+ * Aplica en Shopify una lista de cambios de costo unitario (generados por buildPricePlan o leídos de un plan),
+ * una mutación por inventory item. Cada cambio aplicado con éxito se registra en el diario de mutaciones.
+ * @param {Array<Object>} changes Cambios de tipo 'cost'.
+ * @param {function(Array<Object>): void} [onBatchDone] Callback con el resultado de cada mutación enviada.
+ * @returns {Promise<Array<{change: Object, success: boolean, errors?: Array}>>} Resultado por cambio.
+ */
+async function applyCostChanges(changes, onBatchDone = null) {
+    const results = [];
+    for (const change of changes) {
+        const result = await updateShopifyUnitCost(change);
+        if (result.success) journal.record(change);
+        results.push(result);
+        if (onBatchDone) onBatchDone([result]);
+    }
+    return results;
+}
+
+/**
+ * Líneas del resumen de la actualización de precios (las usan el log y las notificaciones).
+ * @param {Object} stats Estadísticas de la ejecución.
+ * @returns {Array<string>}
+ */
+function formatPriceSummary(stats) {
+    const lines = [`Productos locales considerados: ${stats.totalLocal}`,
+        `Precios/Comparación actualizados en Shopify: ${stats.updated}`,
+        `Sin cambios necesarios: ${stats.noChange}`];
+    if (DELFIN_COST_FIELD) {
+        lines.push(`Costos unitarios actualizados en Shopify (${DELFIN_COST_FIELD}): ${stats.costUpdated || 0}`);
+        if (stats.localInvalidCost) lines.push(`Productos locales con costo inválido: ${stats.localInvalidCost}`);
+    }
+    if (stats.alreadyProcessed) lines.push(`Ya actualizados en la ejecución interrumpida (checkpoint): ${stats.alreadyProcessed}`);
+    if (stats.unchangedSource) lines.push(`Omitidos por no cambiar desde la última ejecución (incremental): ${stats.unchangedSource}`);
+    if (stats.quarantined) {
+        lines.push(`⛔ Cambios de precio en cuarentena (requieren aprobación manual): ${stats.quarantined}`);
+        if (stats.quarantineFile) lines.push(`   Para aprobarlos: node main-sync.js apply ${stats.quarantineFile}`);
+    }
+    lines.push(`SKUs locales no encontrados en Shopify: ${stats.notFound}`,
+        `Productos locales con precio base inválido: ${stats.localInvalidPrice}`,
+        `Errores durante el proceso de actualización de precios: ${stats.errors}`);
+    if (stats.generalError) lines.push(`Error general: ${stats.generalError}`);
+    return lines;
+}
 
+/**
+ * Imprime el resumen de la actualización de precios.
+ * @param {Object} stats Estadísticas de la ejecución.
+ */
+function logPriceSummary(stats) {
+    Logger.log("\n📊 ===== RESUMEN ACTUALIZACIÓN DE PRECIOS =====");
+    formatPriceSummary(stats).forEach(line => Logger.log(line));
+    (stats.quarantinedSkus || []).forEach(q => Logger.warn(`  ⛔ SKU ${q.sku} en cuarentena: ${q.message}`));
+    (stats.failedSkus || []).forEach(f => {
+        Logger.log(`  ❌ SKU ${f.sku} (${f.variantId}): ${(f.errors || []).map(e => e.message).join('; ')}`);
+    });
+    Logger.log("=============================================\n");
+}
 
-            if (finalPriceStr !== currentShopifyPrice || compareAtPriceStr !== currentShopifyCompareAtPrice) {
-                const updateResult = await updateShopifyPrice(shopifyVariant.id, finalPriceStr, compareAtPriceStr);
-                if (updateResult.success) {
-                    stats.updated++;
+/**
+ * Sección de precios del reporte de common/notifier.js.
+ * @param {Object} stats Estadísticas de runPriceUpdate.
+ * @returns {{title: string, errors: number, lines: Array<string>, failures: Array<{sku: string, message: string}>}}
+ */
+function getPriceReportSection(stats) {
+    return {
+        title: 'Actualización de precios',
+        errors: stats.errors,
+        lines: formatPriceSummary(stats),
+        failures: [
+            ...(stats.quarantinedSkus || []).map(q => ({ sku: q.sku, message: `En cuarentena: ${q.message}` })),
+            ...(stats.failedSkus || []).map(f => ({
+                sku: f.sku,
+                message: `${f.variantId}: ${(f.errors || []).map(e => e.message).join('; ')}`,
+            })),
+        ],
+    };
+}
+
+/**
+ * Guarda en cuarentena (QUARANTINE_DIR) los cambios que incumplen los límites de precio y los agrega a las
+ * estadísticas y al reporte de la ejecución. Los cambios en cuarentena no se aplican.
+ * @param {string} runId Identificador de la ejecución.
+ * @param {Array<Object>} quarantined Cambios en cuarentena de buildPricePlan.
+ * @param {Object} stats Estadísticas de la ejecución.
+ */
+function quarantinePriceChanges(runId, quarantined, stats) {
+    stats.quarantinedSkus = quarantined.map(c => ({ sku: c.sku, message: describeViolations(c.violations) }));
+    quarantined.forEach(c => runReport.recordQuarantined(c, describeViolations(c.violations)));
+    if (quarantined.length === 0) return;
+    try {
+        const { jsonPath, csvPath } = writeQuarantine(runId, 'price-update', quarantined, getShopifyStore().shopName);
+        stats.quarantineFile = jsonPath;
+        Logger.warn(`⛔ ${quarantined.length} cambios de precio en cuarentena guardados en ${jsonPath} (CSV: ${csvPath}). Revísalos y apruébalos con: node main-sync.js apply ${jsonPath}`);
+    } catch (error) {
+        Logger.error('No se pudo guardar el archivo de cuarentena de precios', error);
+    }
+}
+
+/**
+ * Ejecuta el proceso completo de actualización de precios (y de costos unitarios, con DELFIN_COST_FIELD).
+ * @param {Array<Object>|null} sharedShopifyVariants Variantes de Shopify ya cargadas (opcional).
+ * @param {Map<string, number>|null} discountMap Mapa de descuentos ya cargado (opcional).
+ * @param {Object} [options]
+ * @param {import('./common/checkpoint')} [options.checkpoint] Checkpoint de la ejecución: se omiten los SKUs
+ * ya procesados y se registran los actualizados con éxito.
+ * @param {Array<Object>} [options.localProducts] Productos de Delfin ya cargados.
+ * @param {Set<string>} [options.skuFilter] Procesar solo estos SKUs (modo incremental).
+ * @param {string} [options.runId] Ejecución, para el nombre del archivo de cuarentena.
+ * @returns {Promise<Object>} Estadísticas de la ejecución.
+ */
+async function runPriceUpdate(sharedShopifyVariants = null, discountMap = null, { checkpoint = null, localProducts = null, skuFilter = null, runId = null } = {}) {
+    Logger.log('🚀 Iniciando actualización de precios...');
+    let stats = { updated: 0, noChange: 0, notFound: 0, errors: 0, totalLocal: 0, localInvalidPrice: 0, unchangedSource: 0, quarantined: 0, costUpdated: 0, localInvalidCost: 0, alreadyProcessed: 0, failedSkus: [], quarantinedSkus: [] };
+
+    try {
+        const plan = await buildPricePlan(sharedShopifyVariants, discountMap, { localProducts, skuFilter });
+        stats = { ...plan.stats, alreadyProcessed: 0, failedSkus: [], quarantinedSkus: [] };
+        runState.trackStats('price', stats); // Contadores en vivo para admin-server.js
+        plan.notFoundSkus.forEach(sku => runReport.recordNotFound(sku, 'precios de Delfin'));
+        quarantinePriceChanges(runId || `price_${Logger.formatDateForFilename(new Date())}`, plan.quarantined, stats);
+
+        // Los cambios de costo se registran en el checkpoint aparte ('cost'), dentro de la fase de precios
+        const pendingChanges = plan.changes.filter(c => !checkpoint || !checkpoint.isProcessed(c.type, c.sku));
+        stats.alreadyProcessed = plan.changes.length - pendingChanges.length;
+        if (stats.alreadyProcessed > 0) {
+            Logger.log(`⏭️ Omitiendo ${stats.alreadyProcessed} SKUs ya actualizados según el checkpoint.`);
+        }
+
+        const onBatchDone = batchResults => {
+            batchResults.forEach(r => {
+                if (r.success) {
+                    if (r.change.type === 'cost') stats.costUpdated++;
+                    else stats.updated++;
+                    runReport.recordChange(r.change);
                 } else {
                     stats.errors++;
+                    stats.failedSkus.push({ sku: r.change.sku, variantId: r.change.variantId, errors: r.errors });
+                    runReport.recordError(r.change.sku, `${r.change.type === 'cost' ? 'Costo' : 'Precio'}: ${(r.errors || []).map(e => e.message).join('; ')}`, r.change.displayName);
                 }
-            } else {
-                Logger.log(`ℹ️ SKU ${sku} (${shopifyVariant.displayName || shopifyVariant.product?.title}) - Precio (${finalPriceStr}) y Precio de Comparación (${compareAtPriceStr || 'ninguno'}) ya correctos.`);
-                stats.noChange++;
-            }
-        }
+            });
+            if (checkpoint) batchResults.filter(r => r.success).forEach(r => checkpoint.markProcessed(r.change.type, [r.change.sku]));
+        };
+        await applyPriceChanges(pendingChanges.filter(c => c.type === 'price'), onBatchDone);
+        await applyCostChanges(pendingChanges.filter(c => c.type === 'cost'), onBatchDone);
+        if (checkpoint) checkpoint.completePhase('price');
     } catch (error) {
         Logger.error('Error general en la actualización de precios', error);
         stats.errors++; // Contar como error general
+        stats.generalError = error.message;
+        runReport.recordError(null, `Actualización de precios: ${error.message}`);
     }
 
-    Logger.log("\n📊 ===== RESUMEN ACTUALIZACIÓN DE PRECIOS =====");
-    Logger.log(`Productos locales considerados: ${stats.totalLocal}`);
-    Logger.log(`Precios/Comparación actualizados en Shopify: ${stats.updated}`);
-    Logger.log(`Sin cambios necesarios: ${stats.noChange}`);
-    Logger.log(`SKUs locales no encontrados en Shopify: ${stats.notFound}`);
-    Logger.log(`Productos locales con precio base inválido: ${stats.localInvalidPrice}`);
-    Logger.log(`Errores durante el proceso de actualización de precios: ${stats.errors}`);
-    Logger.log("=============================================\n");
+    logPriceSummary(stats);
+    return stats;
 }
 
 // Si este script se ejecuta directamente (para pruebas, por ejemplo):
 if (require.main === module) {
     (async () => {
         try {
-            Logger.init(); // Asegurar que el logger se inicialice
+            const startTime = new Date();
+            Logger.init(startTime); // Asegurar que el logger se inicialice
+            const runId = `price_${Logger.formatDateForFilename(startTime)}`;
+            runLock.acquire(runId, 'price-update'); // Falla si otro script está modificando Shopify
+            journal.init(runId, 'price-update', getShopifyStore().shopName);
+            runReport.start(runId, 'price-update');
             // Para probar, podrías cargar descuentos y luego ejecutar:
             // const discounts = await loadDiscounts(DISCOUNT_CSV_PATH);
             // await runPriceUpdate(null, discounts);
-            await runPriceUpdate();
+            const stats = await runPriceUpdate(null, null, { runId });
+            const status = stats.errors > 0 ? 'failed' : 'success';
+            const durationSeconds = Math.round((Date.now() - startTime.getTime()) / 1000);
+            metrics.recordRun('price-update', {
+                status,
+                durationSeconds,
+                phases: { price: metrics.phaseResults('price', stats) },
+                throttleStats: shopifyThrottle.stats,
+            });
+            const report = runReport.write(Logger.logPath, { status, durationSeconds, sections: [getPriceReportSection(stats)] });
+            Logger.log(`📄 Reporte de cambios: ${report.htmlPath} (CSV: ${report.csvPath})`);
+            const notification = await notifyRunFinished({
+                source: 'price-update', runId, status, durationSeconds, startedAt: startTime.toISOString(),
+                sections: [getPriceReportSection(stats)],
+            });
+            if (notification.sent.length > 0) Logger.log(`📨 Resumen enviado por ${notification.sent.join(', ')}.`);
+            notification.failed.forEach(f => Logger.warn(`No se pudo enviar la notificación (${f.channel}): ${f.error}`));
         } catch (err) {
+            if (err.code === 'RUN_LOCKED') {
+                Logger.warn(`⏭️ Ejecución omitida. ${err.message}`);
+                process.exit(runLock.LOCKED_EXIT_CODE);
+            }
             Logger.error('Error fatal ejecutando price-update.js directamente', err);
             process.exit(1);
         }
     })();
 }
 
-module.exports = { runPriceUpdate, getLocalProducts, getAllShopifyVariantsForPricing };
+module.exports = {
+    runPriceUpdate,
+    getPriceReportSection,
+    buildPricePlan,
+    applyPriceChanges,
+    applyCostChanges,
+    getLocalProducts,
+    getAllShopifyVariantsForPricing,
+    getVariantsByIds,
+};
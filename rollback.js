@@ -0,0 +1,129 @@
+const Logger = require('./common/logger');
+const journal = require('./common/journal');
+const { cleanSku, toMoneyString } = require('./common/utils');
+const { writePlan } = require('./common/plan');
+const { PLAN_DIR } = require('./common/config');
+
+const { runPlanApply } = require('./apply-plan');
+
+/**
+ * Clave que identifica el valor modificado por una entrada del diario (variante, costo o nivel de inventario).
+ * @param {Object} entry Entrada del diario.
+ * @returns {string}
+ */
+function getChangeKey(entry) {
+    if (entry.type === 'price') return `price:${entry.variantId}`;
+    if (entry.type === 'cost') return `cost:${entry.inventoryItemId}`;
+    return `inventory:${entry.inventoryItemId}:${entry.locationId}`;
+}
+
+/**
+ * Normaliza los valores de una entrada al formato del plan (montos con 2 decimales).
+ * @param {string} type 'price', 'cost' o 'inventory'.
+ * @param {Object} values Valores `before` o `after` de la entrada.
+ * @returns {Object}
+ */
+function normalizeValues(type, values = {}) {
+    if (type === 'price') {
+        return { price: toMoneyString(values.price), compareAtPrice: toMoneyString(values.compareAtPrice) };
+    }
+    if (type === 'cost') {
+        return { unitCost: toMoneyString(values.unitCost) };
+    }
+    const quantity = values.quantity;
+    return { quantity: quantity === null || quantity === undefined ? null : parseInt(quantity, 10) };
+}
+
+/**
+ * Construye los cambios que devuelven cada valor modificado en la ejecución a su valor original.
+ * Si un mismo valor se modificó varias veces, se restaura el "antes" de la primera mutación, y el
+ * "antes" del cambio de reversión es el "después" de la última (lo que Shopify debería tener ahora).
+ * @param {Array<Object>} entries Entradas del diario, en orden.
+ * @param {Set<string>|null} skuFilter SKUs a revertir (null = todos).
+ * @returns {{changes: Array<Object>, unknownQuantity: Array<Object>}} Cambios en formato de plan y
+ * entradas de inventario que no se pueden revertir porque no se conocía la cantidad anterior.
+ */
+function buildRollbackChanges(entries, skuFilter) {
+    const byKey = new Map();
+    entries.forEach(entry => {
+        if (skuFilter && !skuFilter.has(entry.sku) && !skuFilter.has(cleanSku(entry.sku))) return;
+        const key = getChangeKey(entry);
+        if (byKey.has(key)) {
+            byKey.get(key).last = entry;
+        } else {
+            byKey.set(key, { first: entry, last: entry });
+        }
+    });
+
+    const changes = [];
+    const unknownQuantity = [];
+    for (const { first, last } of byKey.values()) {
+        const target = normalizeValues(first.type, first.before);
+        if (first.type === 'inventory' && target.quantity === null) {
+            unknownQuantity.push(first);
+            continue;
+        }
+        changes.push({
+            type: first.type,
+            sku: first.sku,
+            variantId: first.variantId,
+            productId: first.productId,
+            inventoryItemId: first.inventoryItemId,
+            locationId: first.locationId,
+            displayName: first.displayName,
+            before: normalizeValues(last.type, last.after),
+            after: target,
+            reason: 'ROLLBACK',
+        });
+    }
+    return { changes, unknownQuantity };
+}
+
+/**
+ * Revierte las mutaciones registradas en el diario de una ejecución.
+ * Los cambios de reversión se guardan como un plan (`rollback_<runId>_<fecha>`) en PLAN_DIR y se ejecutan
+ * con runPlanApply, así que los valores modificados en Shopify después de esa ejecución se detectan
+ * como desviación y no se pisan (salvo con allowDrift). Se revierte en la tienda registrada en el diario.
+ * @param {string} runId Ejecución a revertir.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.skus] Revertir solo estos SKUs.
+ * @param {boolean} [options.allowDrift=false] Revertir también los valores modificados después de la ejecución.
+ * @returns {Promise<Object>} Estadísticas de la aplicación del plan de reversión.
+ */
+async function runRollback(runId, { skus = [], allowDrift = false } = {}) {
+    const entries = journal.readRun(runId);
+    // Los diarios antiguos no registran la tienda: se revierten en la tienda por defecto, como antes
+    const shopNames = [...new Set(entries.map(entry => entry.shopName).filter(Boolean))];
+    if (shopNames.length > 1) {
+        throw new Error(`El diario de ${runId} tiene mutaciones de varias tiendas (${shopNames.join(', ')}); no se puede revertir.`);
+    }
+    const skuFilter = skus.length > 0 ? new Set(skus.flatMap(sku => [sku, cleanSku(sku)]).filter(Boolean)) : null;
+    Logger.log(`⏪ Revirtiendo ejecución ${runId}: ${entries.length} mutaciones en el diario${skuFilter ? ` (SKUs: ${skus.join(', ')})` : ''}.`);
+
+    const { changes, unknownQuantity } = buildRollbackChanges(entries, skuFilter);
+    unknownQuantity.forEach(entry => {
+        Logger.warn(`SKU ${entry.sku}: no se registró la cantidad anterior del inventario; no se puede revertir.`);
+    });
+    if (changes.length === 0) {
+        Logger.log('No hay cambios que revertir.');
+        return { total: 0, applied: 0, alreadyApplied: 0, drift: 0, driftApplied: 0, missing: 0, errors: 0 };
+    }
+
+    const createdAt = new Date();
+    const plan = {
+        planId: `rollback_${runId}_${Logger.formatDateForFilename(createdAt)}`,
+        createdAt: createdAt.toISOString(),
+        syncType: 'rollback',
+        rollbackOf: runId,
+        shopName: shopNames[0] || null,
+        locationId: null,
+        stats: { journalEntries: entries.length, unknownQuantity: unknownQuantity.length },
+        changes,
+    };
+    const { jsonPath } = writePlan(plan, PLAN_DIR);
+    Logger.log(`🗂️ Plan de reversión con ${changes.length} cambios guardado en ${jsonPath}`);
+
+    return runPlanApply(jsonPath, { allowDrift });
+}
+
+module.exports = { runRollback, buildRollbackChanges };
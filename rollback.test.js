@@ -0,0 +1,59 @@
+const { buildRollbackChanges } = require('./rollback');
+
+const priceEntry = (before, after, extra = {}) => ({
+    type: 'price', sku: '001', variantId: 'gid://shopify/ProductVariant/1', productId: 'gid://shopify/Product/1',
+    inventoryItemId: 'gid://shopify/InventoryItem/1', locationId: null, displayName: 'Uno', before, after, ...extra,
+});
+
+describe('buildRollbackChanges', () => {
+    test('restaura el "antes" de la primera mutación y parte del "después" de la última', () => {
+        const { changes } = buildRollbackChanges([
+            priceEntry({ price: '100', compareAtPrice: null }, { price: '90', compareAtPrice: '100' }),
+            priceEntry({ price: '90', compareAtPrice: '100' }, { price: 80, compareAtPrice: 100 }),
+        ], null);
+
+        expect(changes).toHaveLength(1);
+        expect(changes[0]).toMatchObject({
+            type: 'price',
+            sku: '001',
+            variantId: 'gid://shopify/ProductVariant/1',
+            before: { price: '80.00', compareAtPrice: '100.00' },
+            after: { price: '100.00', compareAtPrice: null },
+            reason: 'ROLLBACK',
+        });
+    });
+
+    test('precio, costo e inventario de la misma variante se revierten por separado', () => {
+        const { changes } = buildRollbackChanges([
+            priceEntry({ price: '100', compareAtPrice: null }, { price: '90', compareAtPrice: null }),
+            { ...priceEntry({ unitCost: '40' }, { unitCost: '45' }), type: 'cost' },
+            { ...priceEntry({ quantity: 5 }, { quantity: 3 }), type: 'inventory', locationId: 'gid://shopify/Location/1' },
+            { ...priceEntry({ quantity: 7 }, { quantity: 6 }), type: 'inventory', locationId: 'gid://shopify/Location/2' },
+        ], null);
+
+        expect(changes.map(c => [c.type, c.after])).toEqual([
+            ['price', { price: '100.00', compareAtPrice: null }],
+            ['cost', { unitCost: '40.00' }],
+            ['inventory', { quantity: 5 }],
+            ['inventory', { quantity: 7 }],
+        ]);
+    });
+
+    test('el inventario sin cantidad anterior no se puede revertir', () => {
+        const entry = { ...priceEntry({ quantity: null }, { quantity: 3 }), type: 'inventory', locationId: 'gid://shopify/Location/1' };
+        const { changes, unknownQuantity } = buildRollbackChanges([entry], null);
+
+        expect(changes).toEqual([]);
+        expect(unknownQuantity).toEqual([entry]);
+    });
+
+    test('el filtro de SKUs acepta el SKU tal cual o limpio', () => {
+        const entries = [
+            priceEntry({ price: '100' }, { price: '90' }),
+            priceEntry({ price: '50' }, { price: '40' }, { sku: '2', variantId: 'gid://shopify/ProductVariant/2' }),
+        ];
+
+        expect(buildRollbackChanges(entries, new Set(['1'])).changes.map(c => c.sku)).toEqual(['001']);
+        expect(buildRollbackChanges(entries, new Set(['2'])).changes.map(c => c.sku)).toEqual(['2']);
+    });
+});
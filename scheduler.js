@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Logger = require('./common/logger');
+const runLock = require('./common/runLock');
+const { SCHEDULER_CONFIG_PATH, CHECKPOINT_DIR } = require('./common/config');
+const { parseCron, matchesCron, nextCronRun } = require('./common/cron');
+
+// Demonio de sincronización: ejecuta los scripts del proyecto según expresiones cron, sin cron externo.
+// Cada trabajo se lanza como proceso hijo (con su propio log, diario y directorio de checkpoint); si la ejecución
+// anterior del mismo trabajo sigue en curso cuando vuelve a tocar, la nueva se omite y se registra en el log del scheduler.
+// Los trabajos que modifican Shopify se ejecutan de a uno: si toca uno mientras otro está en curso, queda en cola
+// hasta que termine; si el bloqueo de Shopify (common/runLock.js) lo tiene otro proceso, la ejecución se omite.
+// Uso:
+//   node scheduler.js          -> inicia el demonio
+//   node scheduler.js --list   -> muestra los trabajos configurados y su próxima ejecución
+const CLI_FLAGS = new Set(process.argv.slice(2).filter(arg => arg.startsWith('--')));
+
+// Trabajos por defecto (se reemplazan con SCHEDULER_CONFIG_PATH), desfasados para que no les toque en el mismo minuto
+const DEFAULT_JOBS = [
+    { name: 'prices', schedule: '5 * * * *', script: 'main-sync.js', args: ['--incremental'], env: { SYNC_TYPE: 'price' } },
+    { name: 'inventory', schedule: '*/10 * * * *', script: 'main-sync.js', args: ['--incremental'], env: { SYNC_TYPE: 'inventory' } },
+    { name: 'reconcile', schedule: '35 2 * * *', script: 'main-sync.js', args: [], env: { SYNC_TYPE: 'both' } },
+];
+
+/**
+ * Lee y valida los trabajos del scheduler.
+ * El archivo es un arreglo JSON de trabajos:
+ * [{ "name": "prices", "schedule": "0 * * * *", "script": "main-sync.js", "args": ["--incremental"],
+ *    "env": { "SYNC_TYPE": "price" }, "timeoutMinutes": 55 }]
+ * `script` es relativo al directorio del proyecto; `env` se suma al entorno del scheduler y `timeoutMinutes`
+ * (opcional) termina con SIGTERM una ejecución que se alarga demasiado. `writesShopify: false` marca un trabajo
+ * que no modifica Shopify (p. ej. `main-sync.js plan`), que puede correr a la vez que los demás.
+ * @param {string|null} configPath Ruta del archivo de trabajos, o null para usar DEFAULT_JOBS.
+ * @returns {Array<Object>} Trabajos con la expresión cron ya interpretada en `cron`.
+ */
+function loadJobs(configPath) {
+    let jobs = DEFAULT_JOBS;
+    if (configPath) {
+        try {
+            jobs = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+        } catch (error) {
+            throw new Error(`No se pudo leer la configuración del scheduler (${configPath}): ${error.message}`);
+        }
+        if (!Array.isArray(jobs) || jobs.length === 0) {
+            throw new Error(`La configuración del scheduler (${configPath}) debe ser un arreglo JSON con al menos un trabajo`);
+        }
+    }
+
+    const names = new Set();
+    return jobs.map((job, index) => {
+        if (!job.name || !job.schedule || !job.script) {
+            throw new Error(`Trabajo #${index + 1} del scheduler: 'name', 'schedule' y 'script' son obligatorios`);
+        }
+        if (names.has(job.name)) {
+            throw new Error(`Trabajo '${job.name}' duplicado en la configuración del scheduler`);
+        }
+        names.add(job.name);
+
+        const scriptPath = path.resolve(__dirname, job.script);
+        if (!fs.existsSync(scriptPath)) {
+            throw new Error(`Trabajo '${job.name}': no existe el script ${scriptPath}`);
+        }
+        return {
+            name: job.name,
+            schedule: job.schedule,
+            cron: parseCron(job.schedule),
+            scriptPath,
+            args: Array.isArray(job.args) ? job.args.map(String) : [],
+            env: job.env || {},
+            timeoutMs: job.timeoutMinutes ? Number(job.timeoutMinutes) * 60 * 1000 : null,
+            writesShopify: job.writesShopify !== false,
+        };
+    });
+}
+
+/**
+ * Describe un trabajo en una línea (comando y entorno).
+ * @param {Object} job Trabajo de loadJobs.
+ * @returns {string}
+ */
+function describeJob(job) {
+    const envText = Object.entries(job.env).map(([key, value]) => `${key}=${value}`).join(' ');
+    return `${envText ? `${envText} ` : ''}node ${path.relative(__dirname, job.scriptPath)}${job.args.length ? ` ${job.args.join(' ')}` : ''}`;
+}
+
+// Ejecuciones en curso por nombre de trabajo: { job, child, startedAt, timeout }
+const runningJobs = new Map();
+// Trabajos que modifican Shopify esperando a que termine el que está en curso: [{ job, scheduledAt }]
+const shopifyQueue = [];
+// Ejecuciones omitidas (solapamiento o bloqueo de Shopify), por nombre de trabajo
+const skippedRuns = new Map();
+let tickTimer = null;
+let isShuttingDown = false;
+
+/**
+ * Registra una ejecución omitida en el log del scheduler.
+ * @param {Object} job Trabajo de loadJobs.
+ * @param {Date} scheduledAt Minuto programado de la ejecución.
+ * @param {string} reason Motivo.
+ */
+function skipRun(job, scheduledAt, reason) {
+    const skipped = (skippedRuns.get(job.name) || 0) + 1;
+    skippedRuns.set(job.name, skipped);
+    Logger.warn(`⏭️ [${job.name}] Ejecución de las ${scheduledAt.toLocaleString()} omitida: ${reason}. Omitidas hasta ahora: ${skipped}.`);
+}
+
+/**
+ * Lanza una ejecución del trabajo, salvo que la anterior siga en curso. Un trabajo que modifica Shopify queda en
+ * cola si otro trabajo de ese tipo está en curso, y se omite si el bloqueo de Shopify lo tiene otro proceso.
+ * @param {Object} job Trabajo de loadJobs.
+ * @param {Date} scheduledAt Minuto programado que dispara la ejecución.
+ */
+function startJob(job, scheduledAt) {
+    const running = runningJobs.get(job.name);
+    if (running) {
+        const minutesRunning = ((Date.now() - running.startedAt.getTime()) / 60000).toFixed(1);
+        skipRun(job, scheduledAt, `la anterior (pid ${running.child.pid}, iniciada ${running.startedAt.toLocaleString()}) sigue en curso hace ${minutesRunning} min`);
+        return;
+    }
+    if (job.writesShopify) {
+        if (shopifyQueue.some(entry => entry.job.name === job.name)) {
+            skipRun(job, scheduledAt, 'ya hay una ejecución en cola');
+            return;
+        }
+        const busy = [...runningJobs.values()].find(run => run.job.writesShopify);
+        if (busy) {
+            shopifyQueue.push({ job, scheduledAt });
+            Logger.log(`⏳ [${job.name}] Ejecución de las ${scheduledAt.toLocaleString()} en cola: [${busy.job.name}] (pid ${busy.child.pid}) está modificando Shopify.`);
+            return;
+        }
+        const holder = runLock.getActiveHolder();
+        if (holder) {
+            skipRun(job, scheduledAt, `Shopify está siendo modificado por ${runLock.describe(holder)}`);
+            return;
+        }
+    }
+
+    const startedAt = new Date();
+    const child = spawn(process.execPath, [job.scriptPath, ...job.args], {
+        cwd: __dirname,
+        env: {
+            ...process.env,
+            METRICS_JOB: job.name, // Las métricas de Prometheus se etiquetan con el trabajo
+            CHECKPOINT_DIR: path.join(CHECKPOINT_DIR, job.name), // Un trabajo no reemplaza el checkpoint de otro
+            ...job.env,
+        },
+        stdio: 'inherit',
+    });
+    const run = { job, child, startedAt, timeout: null };
+    runningJobs.set(job.name, run);
+    Logger.log(`▶️ [${job.name}] Iniciado (pid ${child.pid}): ${describeJob(job)}`);
+
+    if (job.timeoutMs) {
+        run.timeout = setTimeout(() => {
+            Logger.error(`⏱️ [${job.name}] Superó ${job.timeoutMs / 60000} min; enviando SIGTERM al pid ${child.pid}.`);
+            child.kill('SIGTERM');
+        }, job.timeoutMs);
+    }
+
+    child.on('error', error => {
+        if (child.pid !== undefined && child.exitCode === null && child.signalCode === null) {
+            // Error al enviar una señal a un proceso que sigue en curso: terminará con 'exit'
+            Logger.error(`[${job.name}] Error en el proceso (pid ${child.pid})`, error);
+            return;
+        }
+        finishRun(run, () => Logger.error(`❌ [${job.name}] No se pudo iniciar el proceso`, error));
+    });
+    child.on('exit', (code, signal) => finishRun(run, () => {
+        const duration = ((Date.now() - startedAt.getTime()) / 1000).toFixed(1);
+        if (code === 0) {
+            Logger.log(`✅ [${job.name}] Finalizado correctamente en ${duration} s (pid ${child.pid}).`);
+        } else if (code === runLock.LOCKED_EXIT_CODE) {
+            // Otro proceso tomó el bloqueo entre la verificación y el inicio del script
+            skipRun(job, startedAt, `otra ejecución tenía el bloqueo de Shopify (pid ${child.pid}, ver su log)`);
+        } else {
+            Logger.error(`❌ [${job.name}] Finalizó con ${signal ? `la señal ${signal}` : `código ${code}`} tras ${duration} s (pid ${child.pid}).`);
+        }
+    }));
+}
+
+/**
+ * Da por terminada una ejecución: la quita de las en curso, cancela su límite de tiempo, registra el resultado y
+ * lanza los trabajos en cola. Se llama desde 'error' y 'exit', ya que Node no garantiza que 'exit' llegue tras un
+ * error al lanzar el proceso; solo cuenta el primero.
+ * @param {Object} run Ejecución de runningJobs.
+ * @param {Function} logResult Registra cómo terminó la ejecución.
+ */
+function finishRun(run, logResult) {
+    if (runningJobs.get(run.job.name) !== run) return;
+    clearTimeout(run.timeout);
+    runningJobs.delete(run.job.name);
+    logResult();
+    if (run.job.writesShopify) startQueuedJobs();
+}
+
+/**
+ * Lanza los trabajos en cola mientras ningún trabajo que modifica Shopify esté en curso.
+ */
+function startQueuedJobs() {
+    while (!isShuttingDown && shopifyQueue.length > 0 && ![...runningJobs.values()].some(run => run.job.writesShopify)) {
+        const { job, scheduledAt } = shopifyQueue.shift();
+        startJob(job, scheduledAt);
+    }
+}
+
+/**
+ * Programa la próxima evaluación al inicio del siguiente minuto y lanza los trabajos que correspondan.
+ * @param {Array<Object>} jobs Trabajos de loadJobs.
+ */
+function scheduleNextTick(jobs) {
+    const now = new Date();
+    const nextMinute = new Date(now.getTime());
+    nextMinute.setSeconds(0, 0);
+    nextMinute.setMinutes(nextMinute.getMinutes() + 1);
+    tickTimer = setTimeout(() => {
+        if (isShuttingDown) return;
+        jobs.filter(job => matchesCron(job.cron, nextMinute)).forEach(job => startJob(job, nextMinute));
+        scheduleNextTick(jobs);
+    }, nextMinute.getTime() - now.getTime());
+}
+
+async function main() {
+    let jobs;
+    try {
+        jobs = loadJobs(SCHEDULER_CONFIG_PATH);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (CLI_FLAGS.has('--list')) {
+        jobs.forEach(job => {
+            const next = nextCronRun(job.cron);
+            console.log(`${job.name.padEnd(12)} ${job.schedule.padEnd(16)} próxima: ${next ? next.toLocaleString() : 'nunca'}  ->  ${describeJob(job)}${job.timeoutMs ? ` (límite ${job.timeoutMs / 60000} min)` : ''}`);
+        });
+        return;
+    }
+
+    Logger.init(new Date(), path.join(process.env.LOG_DIR || path.join(__dirname, 'logs'), 'scheduler'));
+    Logger.log(`🕒 SCHEDULER INICIADO con ${jobs.length} trabajo(s)${SCHEDULER_CONFIG_PATH ? ` (${SCHEDULER_CONFIG_PATH})` : ' (trabajos por defecto)'}`);
+    jobs.forEach(job => {
+        const next = nextCronRun(job.cron);
+        Logger.log(`   • ${job.name} [${job.schedule}] ${describeJob(job)} - próxima: ${next ? next.toLocaleString() : 'nunca'}`);
+    });
+    scheduleNextTick(jobs);
+}
+
+// Al detener el demonio se deja de programar y se envía SIGTERM a las ejecuciones en curso
+// (main-sync.js guarda su checkpoint al recibirla) antes de salir.
+async function gracefulShutdown(signal) {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    clearTimeout(tickTimer);
+    Logger.warn(`Recibido ${signal}. Deteniendo el scheduler...`);
+    if (shopifyQueue.length > 0) {
+        Logger.warn(`Se descartan ${shopifyQueue.length} ejecución(es) en cola: ${shopifyQueue.map(entry => entry.job.name).join(', ')}`);
+        shopifyQueue.length = 0;
+    }
+
+    const running = [...runningJobs.entries()];
+    if (running.length > 0) {
+        Logger.warn(`Esperando a ${running.length} ejecución(es) en curso: ${running.map(([name, run]) => `${name} (pid ${run.child.pid})`).join(', ')}`);
+        await Promise.all(running.map(([, run]) => new Promise(resolve => {
+            run.child.once('exit', resolve);
+            run.child.kill('SIGTERM');
+        })));
+    }
+    [...skippedRuns.entries()].forEach(([name, count]) => {
+        Logger.log(`   ${name}: ${count} ejecución(es) omitida(s) por solapamiento o bloqueo de Shopify`);
+    });
+    await Logger.flush();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+main();
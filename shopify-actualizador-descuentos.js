@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { RateLimiter } = require('limiter');
+const runLock = require('./common/runLock');
 const csv = require('csv-parser');
 const stream = require('stream');
 
@@ -1073,6 +1074,15 @@ async function syncShopifyData() {
 // --- Main Execution ---
 (async () => {
     Logger.log(`Script started at ${new Date().toLocaleString()}`);
+    try {
+        runLock.acquire(`actualizador_descuentos_${Date.now()}`, 'shopify-actualizador-descuentos');
+    } catch (error) {
+        if (error.code !== 'RUN_LOCKED') throw error;
+        Logger.warn(`Run skipped. ${error.message}`);
+        await Logger.processQueue();
+        process.exitCode = runLock.LOCKED_EXIT_CODE;
+        return;
+    }
     await syncShopifyData();
 })();
 
@@ -256,16 +256,24 @@ const Logger = {
    * @param {String} filePath - Ruta del archivo a leer
    * @param {Number} page - Número de página (empezando desde 1)
    * @param {Number} pageSize - Tamaño de la página en líneas
-   * @returns {Promise<Object>} - Objeto con el contenido de la página y metadatos
+   * @param {Object} [filters] - Filtros opcionales; si se indican, solo se paginan las entradas que coinciden
+   * @param {String|Array<String>} [filters.level] - Nivel o niveles (ERROR, WARN, INFO...)
+   * @param {String} [filters.sku] - SKU que debe aparecer en la entrada
+   * @returns {Promise<Object>} - Objeto con el contenido de la página y metadatos (lineNumbers: número de línea
+   * en el archivo de cada elemento de content)
    */
-  async readLogPaginated(filePath = null, page = 1, pageSize = 1000) {
+  async readLogPaginated(filePath = null, page = 1, pageSize = 1000, filters = {}) {
     const targetPath = filePath || this.logPath;
+    if (filters.level || filters.sku) {
+      return this.readFilteredLogPaginated(targetPath, page, pageSize, filters);
+    }
     
     return new Promise((resolve, reject) => {
       try {
         if (!fs.existsSync(targetPath)) {
           return resolve({
             content: [],
+            lineNumbers: [],
             page: 1,
             totalPages: 0,
             totalLines: 0,
@@ -301,6 +309,7 @@ const Logger = {
             // Definir variables para la lectura
             let currentLine = 0;
             let content = [];
+            let lineNumbers = [];
             let linesRead = 0;
             
             // Leer el archivo usando streams
@@ -315,6 +324,7 @@ const Logger = {
               // Si estamos en el rango de la página actual
               if (currentLine > linesToSkip && linesRead < pageSize) {
                 content.push(line);
+                lineNumbers.push(currentLine);
                 linesRead++;
               }
               
@@ -327,6 +337,7 @@ const Logger = {
             lineReader.on('close', () => {
               resolve({
                 content,
+                lineNumbers,
                 page: validPage,
                 totalPages,
                 totalLines,
@@ -343,21 +354,141 @@ const Logger = {
     });
   },
   
+  /**
+   * Indica si una línea inicia una entrada de log: `[fecha] [NIVEL] ...` o un objeto JSON (logs de winston).
+   * Las demás líneas (trazas de error, datos de respuesta) pertenecen a la entrada anterior.
+   * @param {String} line - Línea del archivo
+   * @returns {Boolean}
+   */
+  isEntryStart(line) {
+    return /^\[\d{4}-\d{2}-\d{2}T[^\]]*\]/.test(line) || line.startsWith('{');
+  },
+
+  /**
+   * Obtiene el nivel de una línea de log, en mayúsculas
+   * @param {String} line - Primera línea de la entrada
+   * @returns {String|null} - Nivel, o null si la línea no lo indica
+   */
+  getLineLevel(line) {
+    const match = /^\[[^\]]*\] \[([A-Z]+)\]/.exec(line) || /"level"\s*:\s*"(\w+)"/.exec(line);
+    return match ? match[1].toUpperCase() : null;
+  },
+
+  /**
+   * Indica si una entrada de log cumple los filtros de nivel y SKU.
+   * El SKU se busca como palabra completa, tal cual y sin ceros a la izquierda (como lo registran los scripts).
+   * @param {Array<String>} entryLines - Líneas de la entrada
+   * @param {Object} filters - Filtros de readLogPaginated
+   * @returns {Boolean}
+   */
+  matchesFilters(entryLines, filters) {
+    if (filters.level) {
+      const levels = (Array.isArray(filters.level) ? filters.level : String(filters.level).split(','))
+        .map(level => level.trim().toUpperCase())
+        .filter(Boolean);
+      if (levels.length > 0 && !levels.includes(this.getLineLevel(entryLines[0]))) {
+        return false;
+      }
+    }
+    if (filters.sku) {
+      const sku = String(filters.sku).trim();
+      const variants = [...new Set([sku, sku.replace(/^0+(?=.)/, '')])]
+        .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const skuRegex = new RegExp(`(^|[^0-9A-Za-z])(${variants.join('|')})(?![0-9A-Za-z])`, 'i');
+      if (!entryLines.some(line => skuRegex.test(line))) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  /**
+   * Lee de forma paginada solo las entradas de log que cumplen los filtros (ver readLogPaginated).
+   * Una entrada con varias líneas (p. ej. un error con su traza) se incluye completa.
+   * @param {String} targetPath - Ruta del archivo a leer
+   * @param {Number} page - Número de página (empezando desde 1)
+   * @param {Number} pageSize - Tamaño de la página en líneas
+   * @param {Object} filters - Filtros de nivel y SKU
+   * @returns {Promise<Object>} - Objeto con el contenido de la página y metadatos
+   */
+  readFilteredLogPaginated(targetPath, page, pageSize, filters) {
+    return new Promise((resolve, reject) => {
+      if (!fs.existsSync(targetPath)) {
+        return resolve({ content: [], lineNumbers: [], page: 1, totalPages: 0, totalLines: 0, hasMore: false });
+      }
+
+      page = Math.max(1, parseInt(page, 10) || 1);
+      pageSize = Math.max(10, Math.min(10000, parseInt(pageSize, 10) || 1000));
+      const firstMatch = (page - 1) * pageSize;
+
+      // Se recorre el archivo completo para contar las coincidencias; solo se guardan las de la página pedida
+      let matchedLines = 0;
+      let content = [];
+      let lineNumbers = [];
+      let entryLines = [];
+      let entryStart = 0;
+      let currentLine = 0;
+
+      const flushEntry = () => {
+        if (entryLines.length > 0 && this.matchesFilters(entryLines, filters)) {
+          entryLines.forEach((entryLine, i) => {
+            if (matchedLines >= firstMatch && content.length < pageSize) {
+              content.push(entryLine);
+              lineNumbers.push(entryStart + i);
+            }
+            matchedLines++;
+          });
+        }
+        entryLines = [];
+      };
+
+      const lineReader = readline.createInterface({
+        input: fs.createReadStream(targetPath).on('error', err => {
+          reject(new Error(`Error al leer archivo de log: ${err.message}`));
+        }),
+        crlfDelay: Infinity
+      });
+
+      lineReader.on('line', (line) => {
+        currentLine++;
+        if (this.isEntryStart(line) || entryLines.length === 0) {
+          flushEntry();
+          entryStart = currentLine;
+        }
+        entryLines.push(line);
+      });
+
+      lineReader.on('close', () => {
+        flushEntry();
+        const totalPages = Math.ceil(matchedLines / pageSize);
+        resolve({
+          content,
+          lineNumbers,
+          page,
+          totalPages,
+          totalLines: matchedLines,
+          hasMore: page < totalPages
+        });
+      });
+    });
+  },
+  
   /**
    * Obtiene la lista de archivos de log disponibles
+   * @param {String} [logDir] - Directorio a listar (por defecto, el de este logger)
    * @returns {Array} - Array de objetos con información de los archivos
    */
-  getLogFiles() {
+  getLogFiles(logDir = this.logDir) {
     try {
-      if (!fs.existsSync(this.logDir)) {
+      if (!fs.existsSync(logDir)) {
         return [];
       }
       
-      // Obtener todos los archivos de log
-      const logFiles = fs.readdirSync(this.logDir)
-        .filter(file => file.startsWith('shopify-sync.') && file.endsWith('.log'))
+      // Obtener todos los archivos de log (de este logger, de common/logger.js y del actualizador directo)
+      const logFiles = fs.readdirSync(logDir)
+        .filter(file => file.endsWith('.log'))
         .map(file => {
-          const filePath = path.join(this.logDir, file);
+          const filePath = path.join(logDir, file);
           const stats = fs.statSync(filePath);
           return {
             name: file,
@@ -3,6 +3,7 @@ const axios = require('axios');
 const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const runLock = require('./common/runLock');
 
 // Variables de entorno en tu archivo .env
 // SHOPIFY_SHOP_NAME=tu-tienda
@@ -321,6 +322,13 @@ Logger.init();
 
 // Ejecutar la función principal
 Logger.log(`Iniciando sincronización con Shopify (${new Date().toLocaleString()})`);
-updatePricesFromLocalAPI()
-  .then(() => Logger.log(`Sincronización finalizada (${new Date().toLocaleString()})`))
-  .catch(err => Logger.error("Error fatal:", err));
+try {
+  runLock.acquire(`actualizador_${Date.now()}`, 'shopify-actualizador');
+  updatePricesFromLocalAPI()
+    .then(() => Logger.log(`Sincronización finalizada (${new Date().toLocaleString()})`))
+    .catch(err => Logger.error("Error fatal:", err));
+} catch (error) {
+  if (error.code !== 'RUN_LOCKED') throw error;
+  Logger.log(`Ejecución omitida. ${error.message}`, 'WARN');
+  process.exitCode = runLock.LOCKED_EXIT_CODE;
+}
@@ -8,6 +8,9 @@
  * - Switched from productVariantsBulkUpdate to productVariantUpdate mutation for better reliability
  * - Added better error handling and validation for variant data
  * - Added debug logging for inventory enforcement actions
+ * - Stock is synced per Shopify location from the Delfin warehouses mapped in WAREHOUSE_LOCATION_MAP
+ * - Several stores (STORES_CONFIG) can be synced in one run, sharing one Delfin fetch
+ * - Unit cost is synced from the Delfin field in DELFIN_COST_FIELD, and prices below cost plus PRICE_MIN_MARGIN_PCT are quarantined
  */
 
 require('dotenv').config();
@@ -15,6 +18,15 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { RateLimiter } = require('limiter');
+const journal = require('./common/journal');
+const snapshotStore = require('./common/snapshotStore');
+const runLock = require('./common/runLock');
+const metrics = require('./common/metrics');
+const { notifyRunFinished } = require('./common/notifier');
+const runReport = require('./common/runReport');
+const { toMoneyString } = require('./common/money');
+const { getPriceGuardrails, checkPriceChange, describeViolations, writeQuarantine } = require('./common/priceGuardrails');
+const { getDiscountTimeZone, parseDiscountWindow, getWindowStatus, describeWindow } = require('./common/discountSchedule');
 
 // --- Environment Variables ---
 const {
@@ -27,25 +39,138 @@ const {
     USE_REST_API = 'false',
     MAX_RETRIES = '3',
     SHOPIFY_RATE_LIMIT = '2',
-    SAFETY_STOCK = '5'  // Units to reserve for physical store
+    SAFETY_STOCK = '5',  // Units to reserve for physical store
+    WAREHOUSE_LOCATION_MAP,  // JSON: Shopify location name -> Delfin warehouse codes (CodigoCentroCosto)
+    STORES_CONFIG,  // Path to a JSON file with several store configurations (see loadStoreConfigs)
+    DELFIN_COST_FIELD  // Delfin field with the unit cost, synced to the inventory item's cost
 } = process.env;
 
 // --- Validation ---
-if (!SHOPIFY_SHOP_NAME || !SHOPIFY_ACCESS_TOKEN || !DATA_API_URL || !DISCOUNT_CSV_PATH || !INVENTORY_API_URL) {
+if (!DATA_API_URL || !INVENTORY_API_URL || (!STORES_CONFIG && (!SHOPIFY_SHOP_NAME || !SHOPIFY_ACCESS_TOKEN || !DISCOUNT_CSV_PATH))) {
     console.error(`
 Error: Missing required environment variables!
 Required variables:
-- SHOPIFY_SHOP_NAME
-- SHOPIFY_ACCESS_TOKEN
+- SHOPIFY_SHOP_NAME (unless STORES_CONFIG is set)
+- SHOPIFY_ACCESS_TOKEN (unless STORES_CONFIG is set)
 - DATA_API_URL (for compare-at prices)
-- DISCOUNT_CSV_PATH (Google Sheets URL)
+- DISCOUNT_CSV_PATH (Google Sheets URL, unless STORES_CONFIG is set)
 - INVENTORY_API_URL (for inventory data)
 `);
     process.exit(1);
 }
 
+// Warehouses synced when no location mapping is configured (Bodega 1, to the first active location)
+const DEFAULT_WAREHOUSES = ['0101'];
+// Delfin field used as the regular (compare-at) price when a store does not set priceColumn
+const DEFAULT_PRICE_COLUMN = 'Venta1';
+// Delfin field used as unit cost when a store does not set costColumn (unset: the cost is not synced)
+const DEFAULT_COST_COLUMN = DELFIN_COST_FIELD || null;
+
+// Parses a warehouse mapping, e.g. '{"Sucursal Centro": ["0101"], "Sucursal Norte": "0201,0202"}'
+// (JSON string or already-parsed object). Returns [{ locationName, warehouses }] or null when unset.
+// A warehouse can only feed one location.
+function parseWarehouseLocationMap(value, label = 'WAREHOUSE_LOCATION_MAP') {
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) return null;
+
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`${label} is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || Object.keys(parsed).length === 0) {
+        throw new Error(`${label} must be a JSON object mapping Shopify location names to warehouse codes`);
+    }
+
+    const locationByWarehouse = new Map();
+    return Object.entries(parsed).map(([locationName, codes]) => {
+        const warehouses = (Array.isArray(codes) ? codes : String(codes).split(','))
+            .map(code => String(code).trim())
+            .filter(Boolean);
+        if (warehouses.length === 0) {
+            throw new Error(`${label}: location "${locationName}" has no warehouse codes`);
+        }
+        warehouses.forEach(code => {
+            if (locationByWarehouse.has(code)) {
+                throw new Error(`${label}: warehouse ${code} is mapped to both "${locationByWarehouse.get(code)}" and "${locationName}"`);
+            }
+            locationByWarehouse.set(code, locationName);
+        });
+        return { locationName: locationName.trim(), warehouses };
+    });
+}
+
+// Loads the stores to sync. STORES_CONFIG points to a JSON array such as:
+// [{ "name": "retail", "shopName": "my-retail", "accessTokenEnv": "RETAIL_SHOPIFY_TOKEN", "apiVersion": "2024-01",
+//    "warehouseLocationMap": { "Sucursal Centro": ["0101"] }, "discountCsvPath": "https://...", "priceColumn": "Venta1",
+//    "costColumn": "Costo" }]
+// accessToken can be given inline or read from the environment variable named in accessTokenEnv; apiVersion,
+// discountCsvPath and costColumn default to the SHOPIFY_API_VERSION / DISCOUNT_CSV_PATH / DELFIN_COST_FIELD variables. Without STORES_CONFIG a single
+// store is built from the SHOPIFY_* variables, as before.
+function loadStoreConfigs() {
+    if (!STORES_CONFIG) {
+        return [{
+            name: SHOPIFY_SHOP_NAME,
+            shopName: SHOPIFY_SHOP_NAME,
+            accessToken: SHOPIFY_ACCESS_TOKEN,
+            apiVersion: SHOPIFY_API_VERSION,
+            warehouseLocations: parseWarehouseLocationMap(WAREHOUSE_LOCATION_MAP),
+            discountCsvPath: DISCOUNT_CSV_PATH,
+            priceColumn: DEFAULT_PRICE_COLUMN,
+            costColumn: DEFAULT_COST_COLUMN
+        }];
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(path.resolve(STORES_CONFIG), 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read STORES_CONFIG (${STORES_CONFIG}): ${error.message}`);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`STORES_CONFIG (${STORES_CONFIG}) must contain a non-empty JSON array of stores`);
+    }
+
+    const names = new Set();
+    return entries.map((entry, index) => {
+        const label = `STORES_CONFIG[${index}]`;
+        const name = String(entry.name || entry.shopName || '').trim();
+        const accessToken = entry.accessToken || (entry.accessTokenEnv ? process.env[entry.accessTokenEnv] : undefined);
+        const discountCsvPath = entry.discountCsvPath || DISCOUNT_CSV_PATH;
+        if (!entry.shopName) throw new Error(`${label}: shopName is required`);
+        if (!accessToken) throw new Error(`${label} (${name}): accessToken or accessTokenEnv (set in the environment) is required`);
+        if (!discountCsvPath) throw new Error(`${label} (${name}): discountCsvPath is required when DISCOUNT_CSV_PATH is not set`);
+        if (names.has(name)) throw new Error(`${label}: duplicate store name "${name}"`);
+        names.add(name);
+
+        return {
+            name,
+            shopName: entry.shopName,
+            accessToken,
+            apiVersion: entry.apiVersion || SHOPIFY_API_VERSION,
+            warehouseLocations: parseWarehouseLocationMap(entry.warehouseLocationMap, `${label}.warehouseLocationMap`),
+            discountCsvPath,
+            priceColumn: entry.priceColumn || DEFAULT_PRICE_COLUMN,
+            costColumn: entry.costColumn || DEFAULT_COST_COLUMN
+        };
+    });
+}
+
+let STORE_CONFIGS;
+let PRICE_GUARDRAILS; // Price change limits (PRICE_MAX_CHANGE_PCT, PRICE_MIN, PRICE_MAX, PRICE_MIN_MARGIN_PCT)
+let DISCOUNT_TIME_ZONE; // Time zone of discount start/end dates without an explicit offset (null = server time)
+try {
+    STORE_CONFIGS = loadStoreConfigs();
+    PRICE_GUARDRAILS = getPriceGuardrails();
+    DISCOUNT_TIME_ZONE = getDiscountTimeZone();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
 // --- Constants ---
-const GRAPHQL_URL = `https://${SHOPIFY_SHOP_NAME}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
 const RETRY_DELAY = 1000; // 1 second
 const SAFETY_STOCK_UNITS = parseInt(SAFETY_STOCK, 10); // Convert to integer
 
@@ -73,6 +198,9 @@ const Timer = {
 // --- Enhanced Logger with file logging and graceful shutdown ---
 const Logger = {
     logFile: null,
+    storeName: null,
+    storeLogFile: null,
+    storeLogPath: null,
     logPath: path.join(__dirname, 'logs', `shopify-sync-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.log`),
 
     init() {
@@ -87,17 +215,42 @@ const Logger = {
         this.info(`Log file created: ${this.logPath}`);
     },
 
+    // Opens a separate log file for one store (STORES_CONFIG runs); until closeStoreLog() every line
+    // is prefixed with the store name and also written to that file
+    openStoreLog(storeName) {
+        this.storeName = storeName;
+        this.storeLogPath = this.logPath.replace(/\.log$/, `-${storeName.replace(/[^a-zA-Z0-9-_]/g, '_')}.log`);
+        this.storeLogFile = fs.createWriteStream(this.storeLogPath, { flags: 'a' });
+        this.info(`Store log file created: ${this.storeLogPath}`);
+    },
+
+    async closeStoreLog() {
+        const storeLogFile = this.storeLogFile;
+        this.storeName = null;
+        this.storeLogFile = null;
+        if (storeLogFile) {
+            await new Promise(resolve => storeLogFile.end(resolve));
+        }
+    },
+
+    write(line) {
+        if (this.logFile) {
+            this.logFile.write(line + '\n');
+        }
+        if (this.storeLogFile) {
+            this.storeLogFile.write(line + '\n');
+        }
+    },
+
     log(message, level = 'INFO') {
         const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] [${level}] ${message}`;
+        const logMessage = `[${timestamp}] [${level}] ${this.storeName ? `[${this.storeName}] ` : ''}${message}`;
 
         // Log to console
         console.log(logMessage);
 
-        // Log to file if available
-        if (this.logFile) {
-            this.logFile.write(logMessage + '\n');
-        }
+        // Log to file(s) if available
+        this.write(logMessage);
     },
 
     info(message) { this.log(message, 'INFO'); },
@@ -105,11 +258,10 @@ const Logger = {
     error(message) { this.log(message, 'ERROR'); },
     success(message) { this.log(message, 'SUCCESS'); },
     section(title) {
-        const sectionLine = '\n' + '='.repeat(20) + ' ' + title + ' ' + '='.repeat(20);
+        const sectionTitle = this.storeName ? `${title} [${this.storeName}]` : title;
+        const sectionLine = '\n' + '='.repeat(20) + ' ' + sectionTitle + ' ' + '='.repeat(20);
         console.log(sectionLine);
-        if (this.logFile) {
-            this.logFile.write(sectionLine + '\n');
-        }
+        this.write(sectionLine);
     },
 
     async close() {
@@ -198,11 +350,6 @@ process.on('unhandledRejection', async (reason, promise) => {
 });
 
 // --- API Setup ---
-const shopifyLimiter = new RateLimiter({
-    tokensPerInterval: parseInt(SHOPIFY_RATE_LIMIT, 10),
-    interval: 'second'
-});
-
 // Create a separate axios instance for local API with timeout
 const localApiClient = axios.create({
     timeout: 5000, // 5 seconds timeout for general API calls
@@ -220,13 +367,25 @@ const inventoryApiClient = axios.create({
     }
 });
 
-const shopifyClient = axios.create({
-    baseURL: `https://${SHOPIFY_SHOP_NAME}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}`,
-    headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-    }
-});
+// Each store gets its own Shopify client and rate limiter (API rate limits are per store)
+function createStoreContext(config) {
+    return {
+        ...config,
+        limiter: new RateLimiter({
+            tokensPerInterval: parseInt(SHOPIFY_RATE_LIMIT, 10),
+            interval: 'second'
+        }),
+        client: axios.create({
+            baseURL: `https://${config.shopName}.myshopify.com/admin/api/${config.apiVersion}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Access-Token': config.accessToken
+            }
+        })
+    };
+}
+
+const stores = STORE_CONFIGS.map(createStoreContext);
 
 // --- Helper Functions ---
 function cleanSku(sku) {
@@ -271,6 +430,7 @@ async function fetchWithRetry(operation, retries = parseInt(MAX_RETRIES, 10)) {
             return await operation();
         } catch (error) {
             if (attempt === retries) throw error;
+            metrics.countRetry('error');
             Logger.warn(`Attempt ${attempt} failed, retrying in ${RETRY_DELAY}ms...`);
             await delay(RETRY_DELAY);
         }
@@ -285,10 +445,8 @@ function getCurrentMonthEndpointName() {
     return months[new Date().getMonth()];
 }
 
-// Fetches the daily inventory movements for the current month from Delfin.
-// Returns a Map<skuKey, totalSalesQty> representing the sum of CantidadSalidas
-// (exits/sales) recorded so far this month per SKU.
-// If the endpoint is unavailable or returns no data, returns an empty Map so
+// Fetches the daily inventory movements for the current month from Delfin (once per run, shared by all stores).
+// If the endpoint is unavailable or returns no data, returns an empty array so
 // the caller can fall back to the monthly snapshot without crashing.
 async function getDailyInventoryMovements() {
     const monthName = getCurrentMonthEndpointName();
@@ -306,52 +464,126 @@ async function getDailyInventoryMovements() {
 
         if (!Array.isArray(records) || records.length === 0) {
             Logger.warn('Daily inventory endpoint returned no records - falling back to monthly snapshot only.');
-            return new Map();
+            return [];
         }
 
         Logger.info(`Received ${records.length} daily inventory records for ${monthName}`);
-
-        // Aggregate total exits (sales) per SKU for the current month
-        const salesMap = new Map(); // skuKey -> totalSalesQty
         if (records.length > 0) {
             Logger.info(`DEBUG: First daily record keys: ${Object.keys(records[0]).join(', ')}`);
             Logger.info(`DEBUG: First daily record sample: ${JSON.stringify(records[0])}`);
         }
-        for (const item of records) {
-            if (!item.CodigoProducto) continue;
-            
-            // CRITICAL: Filter by Warehouse 0101 (Main warehouse)
-            // The daily movements API usually uses CodigoCentroCosto for locations
-            if (String(item.CodigoCentroCosto || '').trim() !== '0101') continue;
-
-            const normalized = normalizeSkuForMatching(item.CodigoProducto);
-            if (!normalized.isValid) continue;
-
-            const sales = parseFloat(item.CantidadSalidas || 0);
-            if (isNaN(sales)) continue;
-
-            const key = normalized.cleaned;
-            salesMap.set(key, (salesMap.get(key) || 0) + sales);
-            // Also store under padded key for consistent lookup
-            if (normalized.padded !== normalized.cleaned) {
-                salesMap.set(normalized.padded, (salesMap.get(normalized.padded) || 0) + sales);
-            }
-        }
-
-        Logger.info(`Processed daily sales for ${Math.ceil(salesMap.size / 2)} unique SKUs in Bodega 1`);
-        return salesMap;
+        return records;
 
     } catch (error) {
         // Non-fatal: if this endpoint fails, log a warning and continue with monthly data only
         Logger.warn(`Could not fetch daily inventory (${error.message}). Using monthly snapshot only.`);
-        return new Map();
+        return [];
     }
 }
 
+// Returns a Map<locationId, Map<skuKey, totalSalesQty>> with the sum of CantidadSalidas
+// (exits/sales) recorded so far this month per SKU in the warehouses mapped to each location.
+function aggregateDailySales(records, locations) {
+    // Aggregate total exits (sales) per location and SKU for the current month
+    const locationByWarehouse = new Map();
+    locations.forEach(location => location.warehouses.forEach(code => locationByWarehouse.set(code, location)));
+    const salesByLocation = new Map(locations.map(location => [location.id, new Map()])); // locationId -> skuKey -> totalSalesQty
+    for (const item of records) {
+        if (!item.CodigoProducto) continue;
+        
+        // CRITICAL: Only warehouses mapped to a Shopify location count
+        // The daily movements API usually uses CodigoCentroCosto for locations
+        const location = locationByWarehouse.get(String(item.CodigoCentroCosto || '').trim());
+        if (!location) continue;
+
+        const normalized = normalizeSkuForMatching(item.CodigoProducto);
+        if (!normalized.isValid) continue;
+
+        const sales = parseFloat(item.CantidadSalidas || 0);
+        if (isNaN(sales)) continue;
+
+        const salesMap = salesByLocation.get(location.id);
+        const key = normalized.cleaned;
+        salesMap.set(key, (salesMap.get(key) || 0) + sales);
+        // Also store under padded key for consistent lookup
+        if (normalized.padded !== normalized.cleaned) {
+            salesMap.set(normalized.padded, (salesMap.get(normalized.padded) || 0) + sales);
+        }
+    }
+
+    for (const location of locations) {
+        Logger.info(`Processed daily sales for ${Math.ceil(salesByLocation.get(location.id).size / 2)} unique SKUs in ${location.name} (warehouses ${[...location.warehouses].join(', ')})`);
+    }
+    return salesByLocation;
+}
+
 // --- Shopify API Functions ---
-async function getAllShopifyVariants() {
+
+// Resolves the store's warehouse mapping against its locations, failing if a mapped location
+// does not exist or is not active. Without a mapping the default warehouses go to
+// the first active location. Returns [{ id, name, warehouses: Set<string> }].
+async function resolveShopifyLocations(store) {
+    await store.limiter.removeTokens(1);
+    const response = await fetchWithRetry(() =>
+        store.client.post('/graphql.json', {
+            query: `query GetLocations { locations(first: 250, includeInactive: true) { edges { node { id name isActive } } } }`
+        })
+    );
+    if (response.data.errors) {
+        throw new Error(`GraphQL Errors: ${JSON.stringify(response.data.errors)}`);
+    }
+
+    const shopifyLocations = (response.data.data?.locations?.edges || []).map(edge => edge.node);
+    if (!store.warehouseLocations) {
+        const location = shopifyLocations.find(l => l.isActive);
+        if (!location) {
+            throw new Error('No active locations found in Shopify');
+        }
+        Logger.info(`Found Shopify location: ${location.name} (${location.id}) <- warehouses ${DEFAULT_WAREHOUSES.join(', ')} (no warehouse location map set)`);
+        return [{ id: location.id, name: location.name, warehouses: new Set(DEFAULT_WAREHOUSES) }];
+    }
+
+    const locations = [];
+    const problems = [];
+    for (const { locationName, warehouses } of store.warehouseLocations) {
+        const location = shopifyLocations.find(l => l.name.trim().toLowerCase() === locationName.toLowerCase());
+        if (!location) {
+            problems.push(`location "${locationName}" does not exist`);
+        } else if (!location.isActive) {
+            problems.push(`location "${locationName}" is not active`);
+        } else if (locations.some(l => l.id === location.id)) {
+            problems.push(`location "${locationName}" is mapped more than once`);
+        } else {
+            locations.push({ id: location.id, name: location.name, warehouses: new Set(warehouses) });
+            Logger.info(`Mapped Shopify location: ${location.name} (${location.id}) <- warehouses ${warehouses.join(', ')}`);
+        }
+    }
+    if (problems.length > 0) {
+        const available = shopifyLocations.map(l => `${l.name}${l.isActive ? '' : ' (inactive)'}`).join(', ');
+        const message = `Invalid warehouse location map for store ${store.name}: ${problems.join('; ')}. Shopify locations: ${available}`;
+        Logger.error(message);
+        throw new Error(message);
+    }
+    return locations;
+}
+
+async function getAllShopifyVariants(store, locations) {
     Logger.info("Fetching all product variants from Shopify...");
 
+    // One aliased inventoryLevel per mapped location, so only those locations are requested
+    const locationLevelFields = locations.map((location, index) => `
+                            level${index}: inventoryLevel(locationId: "${location.id}") {
+                                quantities(names: "available") {
+                                    name
+                                    quantity
+                                }
+                                location {
+                                    id
+                                }
+                            }`).join('');
+    // Keep the query cost per page roughly constant as locations are added
+    const pageSize = Math.max(50, Math.floor(250 / locations.length));
+
     const query = `
         query GetVariants($limit: Int!, $cursor: String) {
             productVariants(first: $limit, after: $cursor) {
@@ -368,19 +600,9 @@ async function getAllShopifyVariants() {
                         inventoryItem {
                             id
                             tracked
-                            inventoryLevels(first: 1) {
-                                edges {
-                                    node {
-                                        quantities(names: "available") {
-                                            name
-                                            quantity
-                                        }
-                                        location {
-                                            id
-                                        }
-                                    }
-                                }
-                            }
+                            unitCost {
+                                amount
+                            }${locationLevelFields}
                         }
                         product {
                             id
@@ -389,33 +611,10 @@ async function getAllShopifyVariants() {
                     }
                 }
             }
-            locations(first: 1) {
-                edges {
-                    node {
-                        id
-                        name
-                    }
-                }
-            }
         }
     `;
 
     try {
-        // Extract location ID first
-        await shopifyLimiter.removeTokens(1);
-        const locationResponse = await fetchWithRetry(() =>
-            shopifyClient.post('/graphql.json', {
-                query: `query GetLocations { locations(first: 1) { edges { node { id name } } } }`
-            })
-        );
-
-        const locations = locationResponse.data.data.locations?.edges || [];
-        if (locations.length === 0) {
-            throw new Error('No locations found in Shopify');
-        }
-        const locationId = locations[0].node.id;
-        Logger.info(`Found Shopify location: ${locations[0].node.name} (${locationId})`);
-
         // Fetch all variants with pagination
         const variantsMap = new Map();
         const allVariants = [];
@@ -427,16 +626,16 @@ async function getAllShopifyVariants() {
 
         while (hasNextPage && pageCount < MAX_PAGES_LIMIT) {
             pageCount++;
-            const variables = { limit: 250 };
+            const variables = { limit: pageSize };
             if (cursor) {
                 variables.cursor = cursor;
             }
 
             Logger.info(`Fetching page ${pageCount}${cursor ? ` (cursor: ${cursor.substring(0, 20)}...)` : ''}...`);
 
-            await shopifyLimiter.removeTokens(1);
+            await store.limiter.removeTokens(1);
             const response = await fetchWithRetry(() =>
-                shopifyClient.post('/graphql.json', {
+                store.client.post('/graphql.json', {
                     query,
                     variables
                 })
@@ -475,21 +674,30 @@ async function getAllShopifyVariants() {
                             return; // Skip this variant
                         }
 
-                        // Extract inventory using the new quantities structure
-                        let currentInventory = 0;
-                        const inventoryLevelEdge = node.inventoryItem?.inventoryLevels?.edges?.[0]?.node;
-                        if (inventoryLevelEdge?.quantities?.length > 0) {
-                            const availableObj = inventoryLevelEdge.quantities.find(q => q.name === 'available');
-                            currentInventory = availableObj?.quantity || 0;
-                        }
+                        // Extract the available quantity at each mapped location (null when the item is not stocked there)
+                        const inventoryByLocation = new Map();
+                        const inventoryLevelEdges = [];
+                        locations.forEach((location, index) => {
+                            const level = node.inventoryItem?.[`level${index}`];
+                            const availableObj = level?.quantities?.find(q => q.name === 'available');
+                            inventoryByLocation.set(location.id, level ? (availableObj?.quantity || 0) : null);
+                            if (level) inventoryLevelEdges.push({ node: level });
+                        });
+                        const inventoryItem = node.inventoryItem ? {
+                            id: node.inventoryItem.id,
+                            tracked: node.inventoryItem.tracked,
+                            unitCost: node.inventoryItem.unitCost?.amount ?? null,
+                            inventoryLevels: { edges: inventoryLevelEdges }
+                        } : null;
 
                         const variantData = {
                             id: node.id,
                             sku: node.sku,
                             price: node.price,
                             compareAtPrice: node.compareAtPrice,
-                            inventoryItem: node.inventoryItem,
-                            currentInventory: currentInventory,
+                            inventoryItem,
+                            inventoryByLocation,
+                            currentInventory: inventoryByLocation.get(locations[0].id) || 0, // First mapped location
                             product: {
                                 id: node.product.id,
                                 title: node.product.title
@@ -536,7 +744,7 @@ async function getAllShopifyVariants() {
         }
 
         Logger.info(`Successfully fetched ${totalFetched} total variants from Shopify`);
-        return { variants: variantsMap, allVariants, locationId };
+        return { variants: variantsMap, allVariants };
 
     } catch (error) {
         // Enhanced error logging
@@ -553,7 +761,36 @@ async function getAllShopifyVariants() {
     }
 }
 
-async function updateVariantPrice(variant, newPrice, compareAtPrice, newInventory, locationId) {
+// Returns the locations whose Shopify quantity differs from the Delfin stock of the variant's SKU:
+// [{ locationId, locationName, quantity, current }]. Items not stocked at a location are only
+// connected to it when there is stock to sell there.
+function getInventoryTargets(variant, skuKeys, inventoryByLocation, locations) {
+    const targets = [];
+    for (const location of locations) {
+        const locationInventory = inventoryByLocation.get(location.id) || new Map();
+        const inventoryInfo = skuKeys.map(key => locationInventory.get(key)).find(Boolean);
+        const quantity = inventoryInfo?.quantity;
+        if (quantity === null || quantity === undefined || isNaN(quantity)) continue;
+
+        const current = variant.inventoryByLocation.get(location.id);
+        if (quantity === (current ?? 0)) continue;
+        // Units kept for the physical store when the stock is at or below the safety stock
+        const reserved = inventoryInfo.actualQuantity <= SAFETY_STOCK_UNITS ? inventoryInfo.actualQuantity : 0;
+        targets.push({ locationId: location.id, locationName: location.name, quantity, current, reserved });
+    }
+    return targets;
+}
+
+// Returns the unit cost change of a variant ({ current, cost } as money strings) when the Delfin cost
+// differs from the inventory item's cost in Shopify, or null
+function getCostTarget(variant, originalData) {
+    if (originalData?.unitCost === null || originalData?.unitCost === undefined || !variant.inventoryItem) return null;
+    const current = toMoneyString(variant.inventoryItem.unitCost);
+    const cost = toMoneyString(originalData.unitCost);
+    return current === cost ? null : { current, cost };
+}
+
+async function updateVariantPrice(store, variant, newPrice, compareAtPrice, inventoryTargets = [], costTarget = null) {
     // Validate that we have the necessary data
     if (!variant || !variant.id) {
         throw new Error(`Invalid variant data: missing variant ID`);
@@ -573,9 +810,9 @@ async function updateVariantPrice(variant, newPrice, compareAtPrice, newInventor
 
     try {
         // Update price using REST API
-        await shopifyLimiter.removeTokens(1);
+        await store.limiter.removeTokens(1);
         const response = await fetchWithRetry(() =>
-            shopifyClient.put(`/variants/${variantNumericId}.json`, updateData)
+            store.client.put(`/variants/${variantNumericId}.json`, updateData)
         );
 
         // Enhanced error handling
@@ -587,40 +824,93 @@ async function updateVariantPrice(variant, newPrice, compareAtPrice, newInventor
             throw new Error(`REST API Errors: ${JSON.stringify(response.data.errors)}`);
         }
 
-        // Update inventory if needed and tracked
-        if (newInventory !== null &&
-            newInventory !== undefined &&
-            !isNaN(newInventory) &&
-            newInventory !== variant.currentInventory &&
-            variant.inventoryItem &&
-            variant.inventoryItem.tracked) {
+        // Record the price change in the run journal so it can be rolled back
+        const beforePrice = { price: toMoneyString(variant.price), compareAtPrice: toMoneyString(variant.compareAtPrice) };
+        const afterPrice = { price: toMoneyString(newPrice), compareAtPrice: toMoneyString(compareAtPrice || null) };
+        if (beforePrice.price !== afterPrice.price || beforePrice.compareAtPrice !== afterPrice.compareAtPrice) {
+            journal.record({
+                type: 'price',
+                sku: variant.sku,
+                displayName: variant.product?.title,
+                variantId: variant.id,
+                productId: variant.product?.id,
+                before: beforePrice,
+                after: afterPrice
+            });
+        }
 
-            // Extract numeric inventory item ID
+        // Update the inventory item's unit cost (DELFIN_COST_FIELD)
+        if (costTarget) {
             const inventoryItemNumericId = variant.inventoryItem.id.split('/').pop();
-            const locationNumericId = locationId.split('/').pop();
-
-            // Use REST API for inventory updates
-            const inventoryUpdateData = {
-                location_id: locationNumericId,
-                inventory_item_id: inventoryItemNumericId,
-                available: newInventory
-            };
-
-            await shopifyLimiter.removeTokens(1);
-            const inventoryResponse = await fetchWithRetry(() =>
-                shopifyClient.post('/inventory_levels/set.json', inventoryUpdateData)
+            await store.limiter.removeTokens(1);
+            const costResponse = await fetchWithRetry(() =>
+                store.client.put(`/inventory_items/${inventoryItemNumericId}.json`, {
+                    inventory_item: { id: inventoryItemNumericId, cost: costTarget.cost }
+                })
             );
 
-            // Enhanced error handling for inventory update
-            if (!inventoryResponse.data) {
-                throw new Error(`No response data received for inventory update of variant ${variant.id}`);
+            if (!costResponse.data) {
+                throw new Error(`No response data received for unit cost update of variant ${variant.id}`);
             }
 
-            if (inventoryResponse.data.errors) {
-                throw new Error(`REST API Errors in inventory update: ${JSON.stringify(inventoryResponse.data.errors)}`);
+            if (costResponse.data.errors) {
+                throw new Error(`REST API Errors in unit cost update: ${JSON.stringify(costResponse.data.errors)}`);
             }
 
-            Logger.info(`Updated inventory for SKU ${variant.sku}: ${variant.currentInventory} -> ${newInventory}`);
+            journal.record({
+                type: 'cost',
+                sku: variant.sku,
+                displayName: variant.product?.title,
+                variantId: variant.id,
+                productId: variant.product?.id,
+                inventoryItemId: variant.inventoryItem.id,
+                before: { unitCost: costTarget.current },
+                after: { unitCost: costTarget.cost }
+            });
+
+            Logger.info(`Updated unit cost for SKU ${variant.sku}: ${costTarget.current ?? 'none'} -> ${costTarget.cost}`);
+        }
+
+        // Update inventory at each location that needs it (tracked items only)
+        if (inventoryTargets.length > 0 && variant.inventoryItem && variant.inventoryItem.tracked) {
+            // Extract numeric inventory item ID
+            const inventoryItemNumericId = variant.inventoryItem.id.split('/').pop();
+
+            for (const { locationId, locationName, quantity, current } of inventoryTargets) {
+                // Use REST API for inventory updates
+                const inventoryUpdateData = {
+                    location_id: locationId.split('/').pop(),
+                    inventory_item_id: inventoryItemNumericId,
+                    available: quantity
+                };
+
+                await store.limiter.removeTokens(1);
+                const inventoryResponse = await fetchWithRetry(() =>
+                    store.client.post('/inventory_levels/set.json', inventoryUpdateData)
+                );
+
+                // Enhanced error handling for inventory update
+                if (!inventoryResponse.data) {
+                    throw new Error(`No response data received for inventory update of variant ${variant.id} at ${locationName}`);
+                }
+
+                if (inventoryResponse.data.errors) {
+                    throw new Error(`REST API Errors in inventory update at ${locationName}: ${JSON.stringify(inventoryResponse.data.errors)}`);
+                }
+
+                journal.record({
+                    type: 'inventory',
+                    sku: variant.sku,
+                    displayName: variant.product?.title,
+                    variantId: variant.id,
+                    inventoryItemId: variant.inventoryItem.id,
+                    locationId,
+                    before: { quantity: current ?? null },
+                    after: { quantity }
+                });
+
+                Logger.info(`Updated inventory for SKU ${variant.sku} at ${locationName}: ${current ?? 'not stocked'} -> ${quantity}`);
+            }
         }
 
         return response.data.variant;
@@ -632,7 +922,8 @@ async function updateVariantPrice(variant, newPrice, compareAtPrice, newInventor
 }
 
 // --- Data Loading Functions ---
-async function getOriginalPrices() {
+// Fetches the Delfin product records (once per run, shared by all stores)
+async function getDelfinProducts() {
     try {
         Logger.info(`Fetching original prices from ${DATA_API_URL}`);
         const response = await fetchWithRetry(async () => {
@@ -699,6 +990,7 @@ async function getOriginalPrices() {
                             Logger.info(`Found alternative SKU field: ${foundSkuField}`);
                             // Remap the data structure
                             products = products.map(p => ({
+                                ...p,
                                 CodigoProducto: p[foundSkuField],
                                 Venta1: p.price || p.venta || p.precio || p.value || p.Venta1
                             }));
@@ -734,80 +1026,124 @@ async function getOriginalPrices() {
             throw new Error(`Expected array of products but got ${typeof products}: ${JSON.stringify(products).substring(0, 100)}...`);
         }
 
-        const priceMap = new Map();
-        let processedCount = 0;
-        let invalidCount = 0;
-        let skuFormats = new Set();
+        Logger.info(`Received ${products.length} product records from Delfin`);
+        return products;
 
-        products.forEach(product => {
-            if (!product.CodigoProducto) {
+    } catch (error) {
+        Logger.error('Error fetching original prices:');
+        Logger.error(`URL: ${DATA_API_URL}`);
+        Logger.error(`Error: ${error.message}`);
+        if (error.stack) {
+            Logger.error(`Stack: ${error.stack}`);
+        }
+        throw error;
+    }
+}
+
+// Builds the regular (compare-at) price map of a store from the Delfin records, reading its price column and,
+// when configured, its unit cost column (a 0 or empty cost is treated as unknown)
+function buildOriginalPrices(products, priceColumn = DEFAULT_PRICE_COLUMN, costColumn = null) {
+    const priceMap = new Map();
+    let processedCount = 0;
+    let invalidCount = 0;
+    let skuFormats = new Set();
+
+    products.forEach(product => {
+        if (!product.CodigoProducto) {
+            invalidCount++;
+            return;
+        }
+
+        const normalized = normalizeSkuForMatching(product.CodigoProducto);
+        if (normalized.isValid) {
+            const price = parseFloat(product[priceColumn]);
+            if (isNaN(price)) {
+                Logger.warn(`Invalid price for SKU ${product.CodigoProducto}: ${product[priceColumn]} (${priceColumn})`);
                 invalidCount++;
                 return;
             }
 
-            const normalized = normalizeSkuForMatching(product.CodigoProducto);
-            if (normalized.isValid) {
-                const price = parseFloat(product.Venta1);
-                if (isNaN(price)) {
-                    Logger.warn(`Invalid price for SKU ${product.CodigoProducto}: ${product.Venta1}`);
-                    invalidCount++;
-                    return;
+            let unitCost = null;
+            if (costColumn && product[costColumn] !== undefined && product[costColumn] !== null && product[costColumn] !== '') {
+                unitCost = parseFloat(product[costColumn]);
+                if (isNaN(unitCost) || unitCost < 0) {
+                    Logger.warn(`Invalid cost for SKU ${product.CodigoProducto}: ${product[costColumn]} (${costColumn}), cost not synced`);
+                    unitCost = null;
+                } else if (unitCost === 0) {
+                    unitCost = null;
                 }
+            }
 
-                const productData = {
-                    originalPrice: price,
-                    rawSku: product.CodigoProducto
-                };
-
-                priceMap.set(normalized.cleaned, productData);
-                if (normalized.padded !== normalized.cleaned) {
-                    priceMap.set(normalized.padded, productData);
-                }
+            const productData = {
+                originalPrice: price,
+                unitCost,
+                rawSku: product.CodigoProducto
+            };
 
-                skuFormats.add(`${product.CodigoProducto} -> ${normalized.cleaned} (padded: ${normalized.padded})`);
-                processedCount++;
-            } else {
-                invalidCount++;
+            priceMap.set(normalized.cleaned, productData);
+            if (normalized.padded !== normalized.cleaned) {
+                priceMap.set(normalized.padded, productData);
             }
-        });
 
-        // Log SKU format examples
-        Logger.info('SKU format examples (first 5):');
-        [...skuFormats].slice(0, 5).forEach(format => {
-            Logger.info(`  ${format}`);
-        });
+            skuFormats.add(`${product.CodigoProducto} -> ${normalized.cleaned} (padded: ${normalized.padded})`);
+            processedCount++;
+        } else {
+            invalidCount++;
+        }
+    });
 
-        Logger.info(`Successfully processed ${processedCount} products (${invalidCount} invalid entries skipped)`);
-        return priceMap;
+    // Log SKU format examples
+    Logger.info('SKU format examples (first 5):');
+    [...skuFormats].slice(0, 5).forEach(format => {
+        Logger.info(`  ${format}`);
+    });
 
-    } catch (error) {
-        Logger.error('Error fetching original prices:');
-        Logger.error(`URL: ${DATA_API_URL}`);
-        Logger.error(`Error: ${error.message}`);
-        if (error.stack) {
-            Logger.error(`Stack: ${error.stack}`);
-        }
-        throw error;
-    }
+    Logger.info(`Successfully processed ${processedCount} products (${invalidCount} invalid entries skipped)`);
+    return priceMap;
 }
 
-async function getDiscountPrices() {
+// Loads the discount sheet (sku,price[,start,end]). Rows with start/end dates only count inside their window:
+// SKUs whose discount has not started or has ended are left out, so they get the regular price and no compare-at.
+async function getDiscountPrices(discountCsvPath) {
     try {
-        const response = await axios.get(DISCOUNT_CSV_PATH);
+        Logger.info(`Fetching discount prices from ${discountCsvPath}`);
+        const response = await axios.get(discountCsvPath);
         const lines = response.data.split('\n');
         const priceMap = new Map();
         let skuFormats = new Set();
         let uniqueSkuCount = 0;  // Track actual number of SKUs
+        const outOfWindow = { scheduled: 0, expired: 0 };
+        const now = new Date();
+
+        // Optional schedule columns, located by header name
+        const header = (lines[0] || '').replace(/^\uFEFF/, '').split(',').map(column => column.trim().toLowerCase());
+        const startIndex = header.indexOf('start');
+        const endIndex = header.indexOf('end');
 
         // Skip header row
         for (let i = 1; i < lines.length; i++) {
             const line = lines[i].trim();
             if (!line) continue;
 
-            const [sku, price] = line.split(',');
+            const columns = line.split(',');
+            const [sku, price] = columns;
             if (sku && price) {
                 const normalized = normalizeSkuForMatching(sku);
                 if (normalized.isValid) {
+                    let window;
+                    try {
+                        window = parseDiscountWindow(columns[startIndex], columns[endIndex], DISCOUNT_TIME_ZONE);
+                    } catch (error) {
+                        Logger.warn(`Skipping discount for SKU ${sku}: invalid schedule (${error.message})`);
+                        continue;
+                    }
+                    const status = getWindowStatus(window, now);
+                    if (status !== 'active') {
+                        outOfWindow[status]++;
+                        Logger.info(`Discount for SKU ${sku} is ${status} (${describeWindow(window)}), using regular price`);
+                        continue;
+                    }
+
                     // Fix: Remove dots (thousands separators) before parsing
                     // Example: "22.270" -> "22270"
                     const sanitizedPrice = price.replace(/\./g, '');
@@ -832,6 +1168,10 @@ async function getDiscountPrices() {
             }
         }
 
+        if (outOfWindow.scheduled > 0 || outOfWindow.expired > 0) {
+            Logger.info(`Discounts outside their schedule (regular price applies): ${outOfWindow.scheduled} scheduled, ${outOfWindow.expired} expired (time zone: ${DISCOUNT_TIME_ZONE || 'server'})`);
+        }
+
         // Log SKU format examples
         Logger.info('Discount SKU format examples (first 5):');
         [...skuFormats].slice(0, 5).forEach(format => {
@@ -848,10 +1188,210 @@ async function getDiscountPrices() {
     }
 }
 
-// Fetches monthly inventory snapshot from InventarioMensual and adjusts it
-// with real-time sales from InventarioDiario[CurrentMonth] for accuracy.
-// The dailySalesMap parameter is the result of getDailyInventoryMovements().
-async function getLocalInventory(dailySalesMap = new Map()) {
+// Computes the stock of one Shopify location from the monthly snapshot records of its mapped warehouses,
+// adjusted with the location's current-month daily sales. Returns Map<skuKey, inventoryData>.
+function buildLocationInventory(records, dailySalesMap, location) {
+    const inventoryMap = new Map();
+    let processedCount = 0;
+    let invalidCount = 0;
+    let duplicateSkus = 0;
+
+    // First pass: Find the latest timestamp for each SKU
+    const maxTimestamps = new Map(); // SKU -> Timestamp
+
+    for (const item of records) {
+        if (!item.CodigoProducto) {
+            invalidCount++;
+            continue;
+        }
+
+        const normalized = normalizeSkuForMatching(item.CodigoProducto);
+        if (!normalized.isValid) {
+            invalidCount++;
+            continue;
+        }
+
+        // CRITICAL: Only the warehouses mapped to this location
+        if (!location.warehouses.has(String(item.CodigoCentroCosto || '').trim())) {
+            continue;
+        }
+
+        // Use Fecha field for timestamp (matches your API structure)
+        let timestamp = null;
+        if (item.Fecha) {
+            timestamp = new Date(item.Fecha);
+            if (isNaN(timestamp.getTime())) {
+                Logger.warn(`Invalid date format for SKU ${item.CodigoProducto}: ${item.Fecha}`);
+                timestamp = new Date(); // Fallback to current time
+            }
+        } else {
+            // Fallback to other timestamp fields if Fecha is not available
+            const possibleTimestampFields = [
+                'FechaCreacion', 'FechaModificacion', 'Timestamp',
+                'CreatedAt', 'UpdatedAt', 'Date', 'Time', 'FechaHora'
+            ];
+
+            for (const field of possibleTimestampFields) {
+                if (item[field]) {
+                    timestamp = new Date(item[field]);
+                    if (!isNaN(timestamp.getTime())) {
+                        break;
+                    }
+                }
+            }
+        }
+
+        // If no timestamp found, use current time (this will be the "latest" by default)
+        if (!timestamp) {
+            timestamp = new Date();
+            Logger.warn(`No timestamp field found for SKU ${item.CodigoProducto}, using current time`);
+        }
+
+        const skuKey = normalized.cleaned;
+        if (!maxTimestamps.has(skuKey) || timestamp > maxTimestamps.get(skuKey)) {
+            maxTimestamps.set(skuKey, timestamp);
+        }
+    }
+
+    // Second pass: Sum all records that match the latest timestamp
+    const aggregatedInventory = new Map(); // SKU -> { total, item, timestamp, normalized }
+
+    for (const item of records) {
+        if (!item.CodigoProducto) continue;
+        
+        // CRITICAL: Only the warehouses mapped to this location
+        if (!location.warehouses.has(String(item.CodigoCentroCosto || '').trim())) continue;
+
+        const normalized = normalizeSkuForMatching(item.CodigoProducto);
+        if (!normalized.isValid) continue;
+
+        const skuKey = normalized.cleaned;
+        const maxTs = maxTimestamps.get(skuKey);
+
+        // Re-parse timestamp to compare
+        let timestamp = item.Fecha ? new Date(item.Fecha) : new Date();
+        if (item.Fecha) {
+            timestamp = new Date(item.Fecha);
+        } else {
+            const possibleTimestampFields = [
+                'FechaCreacion', 'FechaModificacion', 'Timestamp',
+                'CreatedAt', 'UpdatedAt', 'Date', 'Time', 'FechaHora'
+            ];
+            for (const field of possibleTimestampFields) {
+                if (item[field]) {
+                    timestamp = new Date(item[field]);
+                    if (!isNaN(timestamp.getTime())) break;
+                }
+            }
+        }
+        if (isNaN(timestamp.getTime())) timestamp = new Date();
+
+        // Allow a small tolerance or direct exact match
+        if (maxTs && timestamp.getTime() === maxTs.getTime()) {
+            // NEW FORMULA: (Initial + Entries) - Current Month Sales
+            // We ignore CantidadSalidas from the monthly report ONLY if it's the current month,
+            // because dailySalesMap has more fresh data for the current month.
+            // But for past months, CantidadSalidas represents real sales we must subtract.
+            const initial = parseFloat(item.CantidadInicial || 0);
+            const entries = parseFloat(item.CantidadEntradas || 0);
+            const exitsInRecord = parseFloat(item.CantidadSalidas || 0);
+            
+            const now = new Date();
+            const recordDate = new Date(item.Fecha);
+            const isCurrentMonth = recordDate.getMonth() === now.getMonth() && recordDate.getFullYear() === now.getFullYear();
+
+            let totalBase;
+            if (isCurrentMonth) {
+                totalBase = initial + entries;
+                Logger.info(`[DAILY ADJ] SKU ${item.CodigoProducto}: Current month record (${recordDate.toISOString().substring(0,7)}). Base (Init+Entries)=${totalBase}`);
+            } else {
+                totalBase = initial + entries - exitsInRecord;
+                Logger.info(`[DAILY ADJ] SKU ${item.CodigoProducto}: Past month record (${recordDate.toISOString().substring(0,7)}). Base (Init+Entries-Exits)=${totalBase}`);
+            }
+
+            if (isNaN(totalBase)) {
+                Logger.warn(`Invalid stock calculation for SKU ${item.CodigoProducto}: Base=${totalBase}`);
+                continue;
+            }
+
+            if (!aggregatedInventory.has(skuKey)) {
+                aggregatedInventory.set(skuKey, {
+                    base: 0, // Sum of the bases of every warehouse record of the location
+                    item: item, // Keep one item for reference (metadata)
+                    timestamp: maxTs,
+                    normalized: normalized
+                });
+            }
+
+            const currentData = aggregatedInventory.get(skuKey);
+            currentData.base += totalBase; // Sum up the base stock for this SKU
+        }
+    }
+
+    // Process aggregated results
+    for (const [skuKey, data] of aggregatedInventory) {
+        const { base, item, timestamp, normalized } = data;
+
+        // Daily sales are already summed across the location's warehouses, so subtract them once per SKU
+        const dailySales = dailySalesMap.get(skuKey) || 0; // Get daily sales for the current month
+        const calculated = base - dailySales;
+
+        Logger.info(`[DAILY ADJ] SKU ${item.CodigoProducto} @ ${location.name}: Total daily exits this month=${dailySales}, Final Real stock=${calculated}`);
+
+        // The 'calculated' value now already includes the daily sales adjustment
+        // and represents the real stock.
+        const finalQuantity = Math.max(0, calculated);
+
+        // DEBUG: Log specific SKUs
+        if (['1154', '001154', '01154'].includes(normalized.cleaned) || item.CodigoProducto.includes('1154')) {
+            Logger.info(`[DEBUG SKU ${item.CodigoProducto}] Aggregated Total: ${calculated} (Clamped: ${finalQuantity}) - Timestamp: ${timestamp.toISOString()}`);
+        }
+
+        // Safety stock logic: If inventory is 5 or less, don't sell online (keep all for store)
+        let shopifyQuantity;
+        if (finalQuantity <= SAFETY_STOCK_UNITS) {
+            shopifyQuantity = 0; // Don't sell online, keep all units for physical store
+        } else {
+            shopifyQuantity = Math.floor(finalQuantity); // Sell full amount online (enough for store)
+        }
+
+        const inventoryData = {
+            quantity: shopifyQuantity,
+            actualQuantity: Math.floor(finalQuantity), // Keep track of actual inventory
+            rawSku: item.CodigoProducto,
+            timestamp: timestamp,
+            fecha: item.Fecha, // Store the original date for reference
+            calculation: {
+                initial: 0, // Not applicable in aggregated view
+                received: 0,
+                shipped: 0,
+                calculated: finalQuantity
+            }
+        };
+
+        inventoryMap.set(normalized.cleaned, inventoryData);
+        if (normalized.padded !== normalized.cleaned) {
+            inventoryMap.set(normalized.padded, inventoryData);
+        }
+        processedCount++;
+    }
+
+    Logger.info(`${location.name}: successfully processed ${processedCount} inventory items (${invalidCount} invalid entries skipped)`);
+
+    // Count how many SKUs had multiple records (for informational purposes)
+    const totalRecords = records.filter(item => location.warehouses.has(String(item.CodigoCentroCosto || '').trim())).length;
+    const uniqueSkus = aggregatedInventory.size;
+    if (totalRecords > uniqueSkus) {
+        duplicateSkus = totalRecords - uniqueSkus;
+        Logger.info(`Found ${duplicateSkus} duplicate records across ${uniqueSkus} unique SKUs (efficiency: ${((uniqueSkus / totalRecords) * 100).toFixed(1)}%)`);
+    }
+
+    return inventoryMap;
+}
+
+// Fetches the monthly inventory snapshot records from InventarioMensual (once per run, shared by all stores).
+// Returns an empty array when the snapshot is not available yet, so every location gets an empty inventory.
+async function getLocalInventory() {
     try {
         Logger.info(`Fetching inventory from ${INVENTORY_API_URL}`);
         const response = await fetchWithRetry(async () => {
@@ -896,7 +1436,7 @@ async function getLocalInventory(dailySalesMap = new Map()) {
         if (!response || !response.data) {
             Logger.warn(`Inventory API returned invalid response structure. Response: ${JSON.stringify(response)}`);
             Logger.warn(`Returning empty inventory map. This may happen at the start of a new month when inventory data is not yet available.`);
-            return new Map();
+            return [];
         }
 
         // FIX: Handle cases where value might be undefined, null, or missing
@@ -907,7 +1447,7 @@ async function getLocalInventory(dailySalesMap = new Map()) {
             Logger.warn(`Inventory API returned non-array data. Response structure: ${JSON.stringify(response.data)}`);
             Logger.warn(`This may happen at the start of a new month when inventory data is not yet available.`);
             Logger.warn(`Returning empty inventory map as fallback.`);
-            return new Map(); // Return empty map if data structure is invalid
+            return []; // Return empty maps if data structure is invalid
         }
 
         Logger.info(`Received ${inventoryData.length} inventory records from API`);
@@ -916,201 +1456,7 @@ async function getLocalInventory(dailySalesMap = new Map()) {
             Logger.info(`DEBUG: First monthly record sample: ${JSON.stringify(inventoryData[0])}`);
         }
 
-        const inventoryMap = new Map();
-        let processedCount = 0;
-        let invalidCount = 0;
-        let duplicateSkus = 0;
-
-        // First pass: Find the latest timestamp for each SKU
-        const maxTimestamps = new Map(); // SKU -> Timestamp
-
-        for (const item of inventoryData) {
-            if (!item.CodigoProducto) {
-                invalidCount++;
-                continue;
-            }
-
-            const normalized = normalizeSkuForMatching(item.CodigoProducto);
-            if (!normalized.isValid) {
-                invalidCount++;
-                continue;
-            }
-
-            // CRITICAL: Filter by Warehouse 0101 (Main warehouse)
-            if (String(item.CodigoCentroCosto || '').trim() !== '0101') {
-                continue;
-            }
-
-            // Use Fecha field for timestamp (matches your API structure)
-            let timestamp = null;
-            if (item.Fecha) {
-                timestamp = new Date(item.Fecha);
-                if (isNaN(timestamp.getTime())) {
-                    Logger.warn(`Invalid date format for SKU ${item.CodigoProducto}: ${item.Fecha}`);
-                    timestamp = new Date(); // Fallback to current time
-                }
-            } else {
-                // Fallback to other timestamp fields if Fecha is not available
-                const possibleTimestampFields = [
-                    'FechaCreacion', 'FechaModificacion', 'Timestamp',
-                    'CreatedAt', 'UpdatedAt', 'Date', 'Time', 'FechaHora'
-                ];
-
-                for (const field of possibleTimestampFields) {
-                    if (item[field]) {
-                        timestamp = new Date(item[field]);
-                        if (!isNaN(timestamp.getTime())) {
-                            break;
-                        }
-                    }
-                }
-            }
-
-            // If no timestamp found, use current time (this will be the "latest" by default)
-            if (!timestamp) {
-                timestamp = new Date();
-                Logger.warn(`No timestamp field found for SKU ${item.CodigoProducto}, using current time`);
-            }
-
-            const skuKey = normalized.cleaned;
-            if (!maxTimestamps.has(skuKey) || timestamp > maxTimestamps.get(skuKey)) {
-                maxTimestamps.set(skuKey, timestamp);
-            }
-        }
-
-        // Second pass: Sum all records that match the latest timestamp
-        const aggregatedInventory = new Map(); // SKU -> { total, item, timestamp, normalized }
-
-        for (const item of inventoryData) {
-            if (!item.CodigoProducto) continue;
-            
-            // CRITICAL: Filter by Warehouse 0101 (Main warehouse)
-            if (String(item.CodigoCentroCosto || '').trim() !== '0101') continue;
-
-            const normalized = normalizeSkuForMatching(item.CodigoProducto);
-            if (!normalized.isValid) continue;
-
-            const skuKey = normalized.cleaned;
-            const maxTs = maxTimestamps.get(skuKey);
-
-            // Re-parse timestamp to compare
-            let timestamp = item.Fecha ? new Date(item.Fecha) : new Date();
-            if (item.Fecha) {
-                timestamp = new Date(item.Fecha);
-            } else {
-                const possibleTimestampFields = [
-                    'FechaCreacion', 'FechaModificacion', 'Timestamp',
-                    'CreatedAt', 'UpdatedAt', 'Date', 'Time', 'FechaHora'
-                ];
-                for (const field of possibleTimestampFields) {
-                    if (item[field]) {
-                        timestamp = new Date(item[field]);
-                        if (!isNaN(timestamp.getTime())) break;
-                    }
-                }
-            }
-            if (isNaN(timestamp.getTime())) timestamp = new Date();
-
-            // Allow a small tolerance or direct exact match
-            if (maxTs && timestamp.getTime() === maxTs.getTime()) {
-                // NEW FORMULA: (Initial + Entries) - Current Month Sales
-                // We ignore CantidadSalidas from the monthly report ONLY if it's the current month,
-                // because dailySalesMap has more fresh data for the current month.
-                // But for past months, CantidadSalidas represents real sales we must subtract.
-                const initial = parseFloat(item.CantidadInicial || 0);
-                const entries = parseFloat(item.CantidadEntradas || 0);
-                const exitsInRecord = parseFloat(item.CantidadSalidas || 0);
-                
-                const now = new Date();
-                const recordDate = new Date(item.Fecha);
-                const isCurrentMonth = recordDate.getMonth() === now.getMonth() && recordDate.getFullYear() === now.getFullYear();
-
-                let totalBase;
-                if (isCurrentMonth) {
-                    totalBase = initial + entries;
-                    Logger.info(`[DAILY ADJ] SKU ${item.CodigoProducto}: Current month record (${recordDate.toISOString().substring(0,7)}). Base (Init+Entries)=${totalBase}`);
-                } else {
-                    totalBase = initial + entries - exitsInRecord;
-                    Logger.info(`[DAILY ADJ] SKU ${item.CodigoProducto}: Past month record (${recordDate.toISOString().substring(0,7)}). Base (Init+Entries-Exits)=${totalBase}`);
-                }
-
-                const dailySales = dailySalesMap.get(skuKey) || 0; // Get daily sales for the current month
-                const realStock = totalBase - dailySales;
-
-                Logger.info(`[DAILY ADJ] SKU ${item.CodigoProducto}: Total daily exits this month=${dailySales}, Final Real stock=${realStock}`);
-
-                if (isNaN(realStock)) {
-                    Logger.warn(`Invalid stock calculation for SKU ${item.CodigoProducto}: Base=${totalBase}, Sales=${dailySales}`);
-                    continue;
-                }
-
-                if (!aggregatedInventory.has(skuKey)) {
-                    aggregatedInventory.set(skuKey, {
-                        calculated: 0, // This will now store the realStock
-                        item: item, // Keep one item for reference (metadata)
-                        timestamp: maxTs,
-                        normalized: normalized
-                    });
-                }
-
-                const currentData = aggregatedInventory.get(skuKey);
-                currentData.calculated += realStock; // Sum up the realStock for this SKU
-            }
-        }
-
-        // Process aggregated results
-        for (const [skuKey, data] of aggregatedInventory) {
-            const { calculated, item, timestamp, normalized } = data;
-
-            // The 'calculated' value now already includes the daily sales adjustment
-            // and represents the real stock.
-            const finalQuantity = Math.max(0, calculated);
-
-            // DEBUG: Log specific SKUs
-            if (['1154', '001154', '01154'].includes(normalized.cleaned) || item.CodigoProducto.includes('1154')) {
-                Logger.info(`[DEBUG SKU ${item.CodigoProducto}] Aggregated Total: ${calculated} (Clamped: ${finalQuantity}) - Timestamp: ${timestamp.toISOString()}`);
-            }
-
-            // Safety stock logic: If inventory is 5 or less, don't sell online (keep all for store)
-            let shopifyQuantity;
-            if (finalQuantity <= SAFETY_STOCK_UNITS) {
-                shopifyQuantity = 0; // Don't sell online, keep all units for physical store
-            } else {
-                shopifyQuantity = Math.floor(finalQuantity); // Sell full amount online (enough for store)
-            }
-
-            const inventoryData = {
-                quantity: shopifyQuantity,
-                actualQuantity: Math.floor(finalQuantity), // Keep track of actual inventory
-                rawSku: item.CodigoProducto,
-                timestamp: timestamp,
-                fecha: item.Fecha, // Store the original date for reference
-                calculation: {
-                    initial: 0, // Not applicable in aggregated view
-                    received: 0,
-                    shipped: 0,
-                    calculated: finalQuantity
-                }
-            };
-
-            inventoryMap.set(normalized.cleaned, inventoryData);
-            if (normalized.padded !== normalized.cleaned) {
-                inventoryMap.set(normalized.padded, inventoryData);
-            }
-            processedCount++;
-        }
-
-        Logger.info(`Successfully processed ${processedCount} inventory items (${invalidCount} invalid entries skipped)`);
-
-        // Count how many SKUs had multiple records (for informational purposes)
-        const totalRecords = inventoryData.length;
-        const uniqueSkus = aggregatedInventory.size;
-        if (totalRecords > uniqueSkus) {
-            duplicateSkus = totalRecords - uniqueSkus;
-            Logger.info(`Found ${duplicateSkus} duplicate records across ${uniqueSkus} unique SKUs (efficiency: ${((uniqueSkus / totalRecords) * 100).toFixed(1)}%)`);
-        }
-
-        return inventoryMap;
+        return inventoryData;
     } catch (error) {
         // FIX: Enhanced error logging for better debugging
         // Handle cases where error.message might be undefined
@@ -1197,275 +1543,445 @@ async function getLocalInventory(dailySalesMap = new Map()) {
     }
 }
 
-// --- Main Function ---
-async function updatePrices() {
-    Timer.startTimer();
-    Logger.section('Initialization');
-    Logger.info('Starting Shopify Price Updater (Direct Price Version)');
-    Logger.info(`API Mode: ${USE_REST_API === 'true' ? 'REST' : 'GraphQL'}`);
-    Logger.info(`Safety Stock: ${SAFETY_STOCK_UNITS} units reserved for physical store`);
+// Adjusts the monthly snapshot with real-time sales from InventarioDiario[CurrentMonth] for accuracy.
+// The dailySalesByLocation parameter is the result of aggregateDailySales().
+// Returns Map<locationId, Map<skuKey, inventoryData>>, one entry per mapped location.
+function buildInventoryByLocation(records, dailySalesByLocation, locations) {
+    const inventoryByLocation = new Map();
+    for (const location of locations) {
+        inventoryByLocation.set(location.id, buildLocationInventory(records, dailySalesByLocation.get(location.id) || new Map(), location));
+    }
+    return inventoryByLocation;
+}
+
+function logZeroInventoryEnforcement(sku, inventoryTargets) {
+    inventoryTargets
+        .filter(target => target.quantity === 0 && target.current)
+        .forEach(target => {
+            Logger.info(`SKU ${sku}: Forcing zero inventory update at ${target.locationName} (Local: 0, Shopify: ${target.current}) - Safety stock enforcement`);
+        });
+}
+
+// Checks a variant's price change against the guardrails (common/priceGuardrails.js). A violating change is not
+// applied: it is added to the store's quarantine list and false is returned, so the caller keeps the current price.
+// The margin floor uses the Delfin cost, or the cost already in Shopify when Delfin has none
+function passesPriceGuardrails(stats, quarantine, sku, variant, newPrice, compareAtPrice, originalData) {
+    const unitCost = originalData?.unitCost ?? variant.inventoryItem?.unitCost ?? null;
+    const violations = checkPriceChange({ currentPrice: variant.price, currentCompareAtPrice: variant.compareAtPrice, newPrice, compareAtPrice, unitCost }, PRICE_GUARDRAILS);
+    if (violations.length === 0) return true;
+
+    const message = describeViolations(violations);
+    const change = {
+        type: 'price',
+        sku,
+        variantId: variant.id,
+        productId: variant.product?.id || null,
+        displayName: variant.product?.title || null,
+        before: { price: toMoneyString(variant.price), compareAtPrice: toMoneyString(variant.compareAtPrice) },
+        after: { price: toMoneyString(newPrice), compareAtPrice: toMoneyString(compareAtPrice) },
+        reason: 'PRICE_CHANGED',
+        violations
+    };
+    Logger.warn(`SKU ${sku} (${variant.product.title}): price change QUARANTINED, keeping current price - ${message}`);
+    quarantine.push(change);
+    stats.quarantined++;
+    stats.quarantinedSkus.push({ sku, message });
+    runReport.recordQuarantined(change, message);
+    return false;
+}
+
+// Adds an updated variant to the run's change report (common/runReport.js)
+function recordReportChanges(sku, variant, priceChange, inventoryTargets, costTarget) {
+    const base = { sku, variantId: variant.id, displayName: variant.product?.title };
+    if (costTarget) {
+        runReport.recordChange({ ...base, type: 'cost', before: { unitCost: costTarget.current }, after: { unitCost: costTarget.cost } });
+    }
+    if (priceChange) {
+        const { newPrice, compareAtPrice } = priceChange;
+        runReport.recordChange({
+            ...base,
+            type: 'price',
+            before: { price: variant.price, compareAtPrice: variant.compareAtPrice },
+            after: { price: newPrice, compareAtPrice },
+            discountPct: compareAtPrice > newPrice ? Math.round((1 - newPrice / compareAtPrice) * 10000) / 100 : null
+        });
+    }
+    inventoryTargets.forEach(target => runReport.recordChange({
+        ...base,
+        type: 'inventory',
+        locationId: target.locationId,
+        locationName: target.locationName,
+        before: { quantity: target.current ?? null },
+        after: { quantity: target.quantity },
+        reserved: target.reserved
+    }));
+}
+
+function countInventoryUpdates(stats, inventoryTargets) {
+    if (inventoryTargets.length === 0) return;
+    stats.inventoryUpdates++;
+    inventoryTargets.forEach(target => {
+        stats.inventoryUpdatesByLocation.set(target.locationId, stats.inventoryUpdatesByLocation.get(target.locationId) + 1);
+    });
+}
+
+// --- Snapshot Store ---
+// Price and inventory maps hold each record under both its cleaned and padded SKU, so keep one row per raw SKU
+function uniqueByRawSku(dataMap) {
+    const rows = new Map();
+    for (const data of dataMap.values()) {
+        const normalized = normalizeSkuForMatching(data.rawSku);
+        if (normalized.isValid && !rows.has(normalized.cleaned)) {
+            rows.set(normalized.cleaned, data);
+        }
+    }
+    return rows;
+}
 
+function saveRunSnapshot(allShopifyVariants, originalPrices, inventoryByLocation, locations) {
     try {
-        // Fetch all data in parallel
-        currentOperation = 'Data Fetching';
-        Logger.section('Data Fetching');
-        // Step 1: Fetch all independent data sources in parallel (daily sales + others)
-        const [shopifyData, originalPrices, discountPricesResult, dailySalesMap] = await Promise.all([
-            getAllShopifyVariants(),
-            getOriginalPrices(),
-            getDiscountPrices(),
-            getDailyInventoryMovements()
-        ]);
+        snapshotStore.save('shopify-variants', allShopifyVariants
+            .map(variant => snapshotStore.variantToRow(variant, normalizeSkuForMatching(variant.sku).cleaned))
+            .filter(row => row.sku));
+        snapshotStore.save('delfin-prices', [...uniqueByRawSku(originalPrices)]
+            .map(([sku, data]) => ({ sku, codigoProducto: data.rawSku, price: data.originalPrice })));
+        snapshotStore.save('delfin-inventory', locations.flatMap(location => [...uniqueByRawSku(inventoryByLocation.get(location.id))]
+            .map(([sku, data]) => ({ sku, codigoProducto: data.rawSku, locationId: location.id, locationName: location.name, quantity: data.quantity, actualQuantity: data.actualQuantity }))));
+        Logger.info(`Run snapshot saved to ${snapshotStore.runDir}`);
+    } catch (error) {
+        Logger.warn(`Could not save run snapshot: ${error.message}`);
+    }
+}
 
-        // Step 2: Calculate real-time inventory using the daily sales adjustments
-        const inventoryData = await getLocalInventory(dailySalesMap);
+// Summary lines of a store's run, shared by the log and the end-of-run notification
+function formatStoreSummary(stats, locations) {
+    return [
+        `Total processed: ${stats.total}`,
+        `Successfully updated: ${stats.updated}`,
+        `- Price updates: ${stats.priceUpdates}`,
+        `  • Discount products: ${stats.discountProducts}`,
+        `  • Regular products: ${stats.regularProducts}`,
+        `- Inventory updates: ${stats.inventoryUpdates}`,
+        ...locations.map(location => `  • ${location.name}: ${stats.inventoryUpdatesByLocation.get(location.id)}`),
+        `- Unit cost updates: ${stats.costUpdates}`,
+        `Skipped: ${stats.skipped}`,
+        `Discount SKUs not found in Shopify: ${stats.notFound}`,
+        ...(stats.quarantined ? [`⛔ Quarantined price changes (need manual approval): ${stats.quarantined}`] : []),
+        ...(stats.quarantineFile ? [`   Approve with: node main-sync.js apply ${stats.quarantineFile}`] : []),
+        `Errors: ${stats.errors}`
+    ];
+}
 
-        const { variants: shopifyVariants, allVariants: allShopifyVariants, locationId } = shopifyData;
-        const discountPrices = discountPricesResult.priceMap;
+// --- Store Sync ---
+// Runs the price/inventory diff and mutations for one store, using the Delfin data fetched once per run.
+// Returns the store's stats.
+async function syncStore(store, locations, delfinData, runId) {
+    currentOperation = `Data Fetching (${store.name})`;
+    Logger.section('Data Fetching');
+    // Stores sharing a discount sheet download it only once
+    if (!delfinData.discountsByPath.has(store.discountCsvPath)) {
+        delfinData.discountsByPath.set(store.discountCsvPath, getDiscountPrices(store.discountCsvPath));
+    }
+    const [shopifyData, discountPricesResult] = await Promise.all([
+        getAllShopifyVariants(store, locations),
+        delfinData.discountsByPath.get(store.discountCsvPath)
+    ]);
+    const originalPrices = buildOriginalPrices(delfinData.products, store.priceColumn, store.costColumn);
+
+    // Calculate real-time inventory per location using the daily sales adjustments
+    const dailySalesByLocation = aggregateDailySales(delfinData.dailyRecords, locations);
+    const inventoryByLocation = buildInventoryByLocation(delfinData.inventoryRecords, dailySalesByLocation, locations);
+
+    const { variants: shopifyVariants, allVariants: allShopifyVariants } = shopifyData;
+    const discountPrices = discountPricesResult.priceMap;
+
+    Logger.info(`Found ${shopifyVariants.size} unique SKUs in Shopify (${allShopifyVariants.length} total variants)`);
+    Logger.info(`Loaded ${originalPrices.size} original prices`);
+    Logger.info(`Loaded ${discountPricesResult.uniqueCount} discount prices`);
+    for (const location of locations) {
+        Logger.info(`Loaded ${inventoryByLocation.get(location.id).size} inventory records for ${location.name} (adjusted with current-month daily sales)`);
+    }
 
-        Logger.info(`Found ${shopifyVariants.size} unique SKUs in Shopify (${allShopifyVariants.length} total variants)`);
-        Logger.info(`Loaded ${originalPrices.size} original prices`);
-        Logger.info(`Loaded ${discountPricesResult.uniqueCount} discount prices`);
-        Logger.info(`Loaded ${inventoryData.size} inventory records (adjusted with current-month daily sales)`);
+    saveRunSnapshot(allShopifyVariants, originalPrices, inventoryByLocation, locations);
 
-        // Add this debug section after loading all data
-        Logger.section('DEBUG INFO');
+    // Add this debug section after loading all data
+    Logger.section('DEBUG INFO');
 
-        // Show first 10 Shopify variants with product names
-        Logger.info('First 10 Shopify variants found:');
-        let count = 0;
-        for (const variant of allShopifyVariants) {
-            if (count < 10) {
-                Logger.info(`  ${variant.sku} (${variant.product.title}) -> Price: ${variant.price}, Compare-at: ${variant.compareAtPrice || 'null'}`);
-                count++;
-            } else {
-                break;
-            }
+    // Show first 10 Shopify variants with product names
+    Logger.info('First 10 Shopify variants found:');
+    let count = 0;
+    for (const variant of allShopifyVariants) {
+        if (count < 10) {
+            Logger.info(`  ${variant.sku} (${variant.product.title}) -> Price: ${variant.price}, Compare-at: ${variant.compareAtPrice || 'null'}`);
+            count++;
+        } else {
+            break;
         }
+    }
 
-        // Show all discount SKUs and whether they exist
-        Logger.info('Discount SKUs check:');
-        for (const [sku, discountData] of discountPrices) {
-            const matchingVariants = shopifyVariants.get(sku) || [];
-            const exists = matchingVariants.length > 0;
-            const originalData = originalPrices.get(sku);
+    // Show all discount SKUs and whether they exist
+    Logger.info('Discount SKUs check:');
+    for (const [sku, discountData] of discountPrices) {
+        const matchingVariants = shopifyVariants.get(sku) || [];
+        const exists = matchingVariants.length > 0;
+        const originalData = originalPrices.get(sku);
 
-            Logger.info(`  ${sku} -> Exists: ${exists}, Discount Price: ${discountData.newPrice}`);
+        Logger.info(`  ${sku} -> Exists: ${exists}, Discount Price: ${discountData.newPrice}`);
 
-            if (exists) {
-                const variant = matchingVariants[0];
-                const inventoryInfo = inventoryData.get(sku);
+        if (exists) {
+            const variant = matchingVariants[0];
 
-                Logger.info(`    Product: "${variant.product.title}"`);
-                Logger.info(`    Current Shopify Price: ${variant.price}`);
-                Logger.info(`    Current Shopify Compare-at: ${variant.compareAtPrice || 'null'}`);
-                Logger.info(`    Current Shopify Inventory: ${variant.currentInventory}`);
+            Logger.info(`    Product: "${variant.product.title}"`);
+            Logger.info(`    Current Shopify Price: ${variant.price}`);
+            Logger.info(`    Current Shopify Compare-at: ${variant.compareAtPrice || 'null'}`);
 
+            for (const location of locations) {
+                const inventoryInfo = inventoryByLocation.get(location.id).get(sku);
+                Logger.info(`    [${location.name}] Current Shopify Inventory: ${variant.inventoryByLocation.get(location.id) ?? 'not stocked'}`);
                 if (inventoryInfo) {
                     const reserveLogic = inventoryInfo.actualQuantity <= SAFETY_STOCK_UNITS ?
                         `all ${inventoryInfo.actualQuantity} units reserved for store` :
                         `${inventoryInfo.actualQuantity} units available, selling all online`;
-                    Logger.info(`    Actual Inventory: ${inventoryInfo.actualQuantity}, Shopify Inventory: ${inventoryInfo.quantity} (${reserveLogic})`);
-                }
-
-                Logger.info(`    NEW Discount Price (from CSV): ${discountData.newPrice}`);
-                Logger.info(`    NEW Compare-at Price (from Local API): ${originalData?.originalPrice || 'N/A'}`);
-
-                // Show if update is needed
-                const currentPrice = parseFloat(variant.price);
-                const newPrice = discountData.newPrice;
-                const compareAtPrice = originalData?.originalPrice;
-                const currentCompareAt = parseFloat(variant.compareAtPrice || 0);
-
-                const priceNeedsUpdate = currentPrice !== newPrice || currentCompareAt !== compareAtPrice;
-                const inventoryNeedsUpdate = inventoryInfo && inventoryInfo.quantity !== variant.currentInventory;
-
-                Logger.info(`    Update needed: ${priceNeedsUpdate || inventoryNeedsUpdate ? 'YES' : 'NO'}`);
-
-                if (priceNeedsUpdate) {
-                    Logger.info(`    Price Changes: ${currentPrice} -> ${newPrice}, Compare-at ${currentCompareAt} -> ${compareAtPrice}`);
+                    Logger.info(`    [${location.name}] Actual Inventory: ${inventoryInfo.actualQuantity}, Shopify Inventory: ${inventoryInfo.quantity} (${reserveLogic})`);
                 }
-                if (inventoryNeedsUpdate) {
-                    const changeLogic = inventoryInfo.actualQuantity <= SAFETY_STOCK_UNITS ?
-                        `reserving all ${inventoryInfo.actualQuantity} units for store` :
-                        `selling all ${inventoryInfo.actualQuantity} units online`;
-                    Logger.info(`    Inventory Changes: ${variant.currentInventory} -> ${inventoryInfo.quantity} (${changeLogic})`);
-                }
-            } else {
-                Logger.info(`    Product: NOT FOUND IN SHOPIFY`);
             }
-            Logger.info(''); // Empty line for readability
-        }
-
-        // Add duplicate tracking before processing
-        Logger.section('Processing Updates');
-        const stats = {
-            total: 0,
-            updated: 0,
-            skipped: 0,
-            errors: 0,
-            priceUpdates: 0,
-            inventoryUpdates: 0,
-            discountProducts: 0,
-            regularProducts: 0
-        };
-
-        // Track processed variant IDs to avoid duplicates
-        const processedVariants = new Set();
 
-        // First, process discount products from CSV
-        Logger.section('Processing Discount Products');
-        for (const [sku, discountData] of discountPrices) {
-            try {
-                const matchingVariants = shopifyVariants.get(sku) || [];
-                
-                if (matchingVariants.length === 0) {
-                    Logger.warn(`SKU ${sku} (Discount) not found in Shopify`);
-                    stats.skipped++;
-                    continue;
-                }
+            Logger.info(`    NEW Discount Price (from CSV): ${discountData.newPrice}`);
+            Logger.info(`    NEW Compare-at Price (from Local API): ${originalData?.originalPrice || 'N/A'}`);
 
-                const originalData = originalPrices.get(sku);
-                const inventoryItem = inventoryData.get(sku);
+            // Show if update is needed
+            const currentPrice = parseFloat(variant.price);
+            const newPrice = discountData.newPrice;
+            const compareAtPrice = originalData?.originalPrice;
+            const currentCompareAt = parseFloat(variant.compareAtPrice || 0);
 
-                for (const variant of matchingVariants) {
-                    stats.total++;
+            const priceNeedsUpdate = currentPrice !== newPrice || currentCompareAt !== compareAtPrice;
+            const inventoryTargets = getInventoryTargets(variant, [sku], inventoryByLocation, locations);
 
-                    // Check if we've already processed this variant ID
-                    if (processedVariants.has(variant.id)) {
-                        Logger.info(`SKU ${sku}: Skipping variant ${variant.id} (already processed via different SKU format)`);
-                        stats.skipped++;
-                        continue;
-                    }
-
-                    if (!originalData) {
-                        Logger.warn(`SKU ${sku}: Original price not found in local API, skipping price update but checking inventory`);
-                    }
+            Logger.info(`    Update needed: ${priceNeedsUpdate || inventoryTargets.length > 0 ? 'YES' : 'NO'}`);
 
-                    const currentPrice = parseFloat(variant.price);
-                    const newPrice = discountData.newPrice;
-                    const compareAtPrice = originalData ? originalData.originalPrice : currentPrice;
-                    const newInventory = inventoryItem?.quantity;
-
-                    // Skip if no changes needed
-                    const priceNeedsUpdate = currentPrice !== newPrice || parseFloat(variant.compareAtPrice || 0) !== compareAtPrice;
-                    const inventoryNeedsUpdate = newInventory !== null && newInventory !== undefined && (
-                        newInventory !== variant.currentInventory ||
-                        (newInventory === 0 && variant.currentInventory !== 0)
-                    );
-
-                    // Log zero inventory enforcement for debugging
-                    if (newInventory === 0 && variant.currentInventory !== 0) {
-                        Logger.info(`SKU ${sku}: Forcing zero inventory update (Local: 0, Shopify: ${variant.currentInventory}) - Safety stock enforcement`);
-                    }
-
-                    if (!priceNeedsUpdate && !inventoryNeedsUpdate) {
-                        Logger.info(`SKU ${sku} (${variant.product.title}): No updates needed (Discount Product)`);
-                        stats.skipped++;
-                        processedVariants.add(variant.id);
-                        continue;
-                    }
-
-                    // Update variant
-                    await updateVariantPrice(variant, newPrice, compareAtPrice, newInventory, locationId);
-
-                    Logger.info(`SKU ${sku} (${variant.product.title}): Updated successfully`);
+            if (priceNeedsUpdate) {
+                Logger.info(`    Price Changes: ${currentPrice} -> ${newPrice}, Compare-at ${currentCompareAt} -> ${compareAtPrice}`);
+            }
+            for (const target of inventoryTargets) {
+                const inventoryInfo = inventoryByLocation.get(target.locationId).get(sku);
+                const changeLogic = inventoryInfo.actualQuantity <= SAFETY_STOCK_UNITS ?
+                    `reserving all ${inventoryInfo.actualQuantity} units for store` :
+                    `selling all ${inventoryInfo.actualQuantity} units online`;
+                Logger.info(`    [${target.locationName}] Inventory Changes: ${target.current ?? 'not stocked'} -> ${target.quantity} (${changeLogic})`);
+            }
+        } else {
+            Logger.info(`    Product: NOT FOUND IN SHOPIFY`);
+        }
+        Logger.info(''); // Empty line for readability
+    }
 
-                    if (priceNeedsUpdate) {
-                        stats.priceUpdates++;
-                        stats.discountProducts++;
-                    }
-                    if (inventoryNeedsUpdate) stats.inventoryUpdates++;
-                    stats.updated++;
+    // Add duplicate tracking before processing
+    Logger.section('Processing Updates');
+    const stats = {
+        total: 0,
+        updated: 0,
+        skipped: 0,
+        errors: 0,
+        priceUpdates: 0,
+        inventoryUpdates: 0,
+        inventoryUpdatesByLocation: new Map(locations.map(location => [location.id, 0])),
+        costUpdates: 0,
+        discountProducts: 0,
+        regularProducts: 0,
+        notFound: 0,
+        quarantined: 0,
+        quarantinedSkus: [], // { sku, message }
+        quarantineFile: null,
+        failedSkus: [] // { sku, message } for the end-of-run notification
+    };
+    const quarantine = []; // Price changes held back by the guardrails, in plan format
 
-                    processedVariants.add(variant.id);
-                }
+    // Track processed variant IDs to avoid duplicates
+    const processedVariants = new Set();
 
-            } catch (error) {
-                Logger.error(`Error processing discount SKU ${sku}: ${error.message}`);
-                stats.errors++;
+    // First, process discount products from CSV
+    Logger.section('Processing Discount Products');
+    for (const [sku, discountData] of discountPrices) {
+        try {
+            const matchingVariants = shopifyVariants.get(sku) || [];
+            
+            if (matchingVariants.length === 0) {
+                Logger.warn(`SKU ${sku} (Discount) not found in Shopify`);
+                stats.skipped++;
+                stats.notFound++;
+                runReport.recordNotFound(sku, 'CSV de descuentos');
+                continue;
             }
-        }
 
-        // Then, process regular products (not in CSV)
-        Logger.section('Processing Regular Products');
-        for (const variant of allShopifyVariants) {
-            try {
-                const sku = variant.sku;
-                const normalized = normalizeSkuForMatching(sku);
-                const skuKey = normalized.isValid ? normalized.cleaned : sku;
+            const originalData = originalPrices.get(sku);
 
-                // Skip if this is a discount product (already processed)
-                if (discountPrices.has(skuKey) || (normalized.isValid && discountPrices.has(normalized.padded))) {
-                    continue;
-                }
+            for (const variant of matchingVariants) {
+                stats.total++;
 
-                // Check if we've already processed this variant
+                // Check if we've already processed this variant ID
                 if (processedVariants.has(variant.id)) {
-                    continue; // Skip silently
+                    Logger.info(`SKU ${sku}: Skipping variant ${variant.id} (already processed via different SKU format)`);
+                    stats.skipped++;
+                    continue;
                 }
 
-                stats.total++;
-                const originalData = originalPrices.get(skuKey) || (normalized.isValid ? originalPrices.get(normalized.padded) : null);
-                const inventoryItem = inventoryData.get(skuKey) || (normalized.isValid ? inventoryData.get(normalized.padded) : null);
-
-                const currentPrice = parseFloat(variant.price);
-                let newPrice = originalData ? originalData.originalPrice : currentPrice;
-                const compareAtPrice = null; // No compare-at price for regular products
-                const newInventory = inventoryItem?.quantity;
-
-                // If originalData is missing, log it but don't skip if inventory needs update
                 if (!originalData) {
-                    if (newInventory !== undefined) {
-                        // Logger.info(`SKU ${sku}: Original price not found, keeping current price ${currentPrice} but checking inventory`);
-                    } else {
-                        // Logger.warn(`SKU ${sku}: No price or inventory data found, skipping`);
-                        stats.skipped++;
-                        continue;
-                    }
+                    Logger.warn(`SKU ${sku}: Original price not found in local API, skipping price update but checking inventory`);
                 }
 
+                const currentPrice = parseFloat(variant.price);
+                let newPrice = discountData.newPrice;
+                let compareAtPrice = originalData ? originalData.originalPrice : currentPrice;
+                const inventoryTargets = getInventoryTargets(variant, [sku], inventoryByLocation, locations);
+                const costTarget = getCostTarget(variant, originalData);
+
                 // Skip if no changes needed
-                const priceNeedsUpdate = currentPrice !== newPrice || variant.compareAtPrice !== null;
-                const inventoryNeedsUpdate = newInventory !== null && newInventory !== undefined && (
-                    newInventory !== variant.currentInventory ||
-                    (newInventory === 0 && variant.currentInventory !== 0)
-                );
+                let priceNeedsUpdate = currentPrice !== newPrice || parseFloat(variant.compareAtPrice || 0) !== compareAtPrice;
+                const inventoryNeedsUpdate = inventoryTargets.length > 0;
+                if (priceNeedsUpdate && !passesPriceGuardrails(stats, quarantine, sku, variant, newPrice, compareAtPrice, originalData)) {
+                    priceNeedsUpdate = false;
+                    newPrice = currentPrice;
+                    compareAtPrice = variant.compareAtPrice;
+                }
 
                 // Log zero inventory enforcement for debugging
-                if (newInventory === 0 && variant.currentInventory !== 0) {
-                    Logger.info(`SKU ${sku}: Forcing zero inventory update (Local: 0, Shopify: ${variant.currentInventory}) - Safety stock enforcement`);
-                }
+                logZeroInventoryEnforcement(sku, inventoryTargets);
 
-                if (!priceNeedsUpdate && !inventoryNeedsUpdate) {
-                    // Logger.info(`SKU ${sku} (${variant.product.title}): No updates needed (Regular Product)`);
+                if (!priceNeedsUpdate && !inventoryNeedsUpdate && !costTarget) {
+                    Logger.info(`SKU ${sku} (${variant.product.title}): No updates needed (Discount Product)`);
                     stats.skipped++;
                     processedVariants.add(variant.id);
                     continue;
                 }
 
                 // Update variant
-                await updateVariantPrice(variant, newPrice, compareAtPrice, newInventory, locationId);
+                await updateVariantPrice(store, variant, newPrice, compareAtPrice, inventoryTargets, costTarget);
 
                 Logger.info(`SKU ${sku} (${variant.product.title}): Updated successfully`);
+                recordReportChanges(sku, variant, priceNeedsUpdate && { newPrice, compareAtPrice }, inventoryTargets, costTarget);
 
                 if (priceNeedsUpdate) {
                     stats.priceUpdates++;
-                    stats.regularProducts++;
+                    stats.discountProducts++;
                 }
-                if (inventoryNeedsUpdate) stats.inventoryUpdates++;
+                if (costTarget) stats.costUpdates++;
+                countInventoryUpdates(stats, inventoryTargets);
                 stats.updated++;
 
                 processedVariants.add(variant.id);
+            }
 
-            } catch (error) {
-                Logger.error(`Error processing variant ID ${variant.id} (SKU: ${variant.sku}): ${error.message}`);
-                stats.errors++;
+        } catch (error) {
+            Logger.error(`Error processing discount SKU ${sku}: ${error.message}`);
+            stats.errors++;
+            stats.failedSkus.push({ sku, message: error.message });
+            runReport.recordError(sku, error.message);
+        }
+    }
+
+    // Then, process regular products (not in CSV)
+    Logger.section('Processing Regular Products');
+    for (const variant of allShopifyVariants) {
+        try {
+            const sku = variant.sku;
+            const normalized = normalizeSkuForMatching(sku);
+            const skuKey = normalized.isValid ? normalized.cleaned : sku;
+
+            // Skip if this is a discount product (already processed)
+            if (discountPrices.has(skuKey) || (normalized.isValid && discountPrices.has(normalized.padded))) {
+                continue;
+            }
+
+            // Check if we've already processed this variant
+            if (processedVariants.has(variant.id)) {
+                continue; // Skip silently
+            }
+
+            stats.total++;
+            const originalData = originalPrices.get(skuKey) || (normalized.isValid ? originalPrices.get(normalized.padded) : null);
+            const skuKeys = normalized.isValid ? [skuKey, normalized.padded] : [skuKey];
+            const hasInventoryData = locations.some(location => skuKeys.some(key => inventoryByLocation.get(location.id).has(key)));
+
+            const currentPrice = parseFloat(variant.price);
+            let newPrice = originalData ? originalData.originalPrice : currentPrice;
+            let compareAtPrice = null; // No compare-at price for regular products
+            const inventoryTargets = getInventoryTargets(variant, skuKeys, inventoryByLocation, locations);
+            const costTarget = getCostTarget(variant, originalData);
+
+            // If originalData is missing, log it but don't skip if inventory needs update
+            if (!originalData) {
+                if (hasInventoryData) {
+                    // Logger.info(`SKU ${sku}: Original price not found, keeping current price ${currentPrice} but checking inventory`);
+                } else {
+                    // Logger.warn(`SKU ${sku}: No price or inventory data found, skipping`);
+                    stats.skipped++;
+                    continue;
+                }
             }
+
+            // Skip if no changes needed
+            let priceNeedsUpdate = currentPrice !== newPrice || variant.compareAtPrice !== null;
+            const inventoryNeedsUpdate = inventoryTargets.length > 0;
+            if (priceNeedsUpdate && !passesPriceGuardrails(stats, quarantine, sku, variant, newPrice, compareAtPrice, originalData)) {
+                priceNeedsUpdate = false;
+                newPrice = currentPrice;
+                compareAtPrice = variant.compareAtPrice;
+            }
+
+            // Log zero inventory enforcement for debugging
+            logZeroInventoryEnforcement(sku, inventoryTargets);
+
+            if (!priceNeedsUpdate && !inventoryNeedsUpdate && !costTarget) {
+                // Logger.info(`SKU ${sku} (${variant.product.title}): No updates needed (Regular Product)`);
+                stats.skipped++;
+                processedVariants.add(variant.id);
+                continue;
+            }
+
+            // Update variant
+            await updateVariantPrice(store, variant, newPrice, compareAtPrice, inventoryTargets, costTarget);
+
+            Logger.info(`SKU ${sku} (${variant.product.title}): Updated successfully`);
+            recordReportChanges(sku, variant, priceNeedsUpdate && { newPrice, compareAtPrice }, inventoryTargets, costTarget);
+
+            if (priceNeedsUpdate) {
+                stats.priceUpdates++;
+                stats.regularProducts++;
+            }
+            if (costTarget) stats.costUpdates++;
+            countInventoryUpdates(stats, inventoryTargets);
+            stats.updated++;
+
+            processedVariants.add(variant.id);
+
+        } catch (error) {
+            Logger.error(`Error processing variant ID ${variant.id} (SKU: ${variant.sku}): ${error.message}`);
+            stats.errors++;
+            stats.failedSkus.push({ sku: variant.sku, message: `${variant.id}: ${error.message}` });
+            runReport.recordError(variant.sku, `${variant.id}: ${error.message}`, variant.product?.title);
         }
+    }
 
-        currentOperation = null; // Clear current operation when done
+    if (quarantine.length > 0) {
+        try {
+            const { jsonPath, csvPath } = writeQuarantine(runId, 'shopify-price-updater-direct', quarantine, store.shopName);
+            stats.quarantineFile = jsonPath;
+            Logger.warn(`${quarantine.length} quarantined price changes saved to ${jsonPath} (CSV: ${csvPath}). Review them and approve with: node main-sync.js apply ${jsonPath}`);
+        } catch (error) {
+            Logger.error(`Could not save the price quarantine file: ${error.message}`);
+        }
+    }
 
+    // Final statistics
+    Logger.section('Summary');
+    const duration = Timer.endTimer();
+    Logger.info(`Execution time: ${duration}`);
+    formatStoreSummary(stats, locations).forEach(line => Logger.info(line));
+
+    Logger.section('Inventory Management');
+    Logger.info(`Safety stock threshold: ${SAFETY_STOCK_UNITS} units`);
+    for (const location of locations) {
         // Calculate reserved products statistics
         let reservedProducts = 0;
         let onlineProducts = 0;
@@ -1474,7 +1990,7 @@ async function updatePrices() {
         const onlineProductsList = [];
 
         const processedSummarySkus = new Set();
-        for (const [sku, inventoryInfo] of inventoryData) {
+        for (const [sku, inventoryInfo] of inventoryByLocation.get(location.id)) {
             // Avoid double-counting (cleaned vs padded)
             if (processedSummarySkus.has(inventoryInfo.rawSku)) continue;
             processedSummarySkus.add(inventoryInfo.rawSku);
@@ -1502,21 +2018,7 @@ async function updatePrices() {
             }
         }
 
-        // Final statistics
-        Logger.section('Summary');
-        const duration = Timer.endTimer();
-        Logger.info(`Execution time: ${duration}`);
-        Logger.info(`Total processed: ${stats.total}`);
-        Logger.info(`Successfully updated: ${stats.updated}`);
-        Logger.info(`- Price updates: ${stats.priceUpdates}`);
-        Logger.info(`  • Discount products: ${stats.discountProducts}`);
-        Logger.info(`  • Regular products: ${stats.regularProducts}`);
-        Logger.info(`- Inventory updates: ${stats.inventoryUpdates}`);
-        Logger.info(`Skipped: ${stats.skipped}`);
-        Logger.info(`Errors: ${stats.errors}`);
-
-        Logger.section('Inventory Management');
-        Logger.info(`Safety stock threshold: ${SAFETY_STOCK_UNITS} units`);
+        Logger.info(`\n=== ${location.name} (warehouses ${[...location.warehouses].join(', ')}) ===`);
         Logger.info(`Products reserved for store (≤${SAFETY_STOCK_UNITS} units): ${reservedProducts}`);
         Logger.info(`Products available online (>${SAFETY_STOCK_UNITS} units): ${onlineProducts}`);
         Logger.info(`Total units reserved for physical store: ${totalReservedUnits}`);
@@ -1537,138 +2039,307 @@ async function updatePrices() {
             .forEach(product => {
                 Logger.info(`  SKU: ${product.sku} | Qty: ${product.quantity} | "${product.name}"`);
             });
+    }
 
-        // Add this new debug section after the existing DEBUG INFO
-        Logger.section('MISSING SKU ANALYSIS');
-
-        // Collect all missing SKUs from discount CSV
-        const missingSkus = [];
-        for (const [sku, discountData] of discountPrices) {
-            if (!shopifyVariants.has(sku)) {
-                missingSkus.push({
-                    sku,
-                    discountPrice: discountData.newPrice,
-                    rawSku: discountData.rawSku
-                });
-            }
+    // Add this new debug section after the existing DEBUG INFO
+    Logger.section('MISSING SKU ANALYSIS');
+
+    // Collect all missing SKUs from discount CSV
+    const missingSkus = [];
+    for (const [sku, discountData] of discountPrices) {
+        if (!shopifyVariants.has(sku)) {
+            missingSkus.push({
+                sku,
+                discountPrice: discountData.newPrice,
+                rawSku: discountData.rawSku
+            });
         }
+    }
 
-        Logger.info(`Found ${missingSkus.length} missing SKUs in discount CSV:`);
-        missingSkus.forEach(item => {
-            Logger.info(`  SKU: ${item.sku} | Discount Price: $${item.discountPrice}`);
-        });
+    Logger.info(`Found ${missingSkus.length} missing SKUs in discount CSV:`);
+    missingSkus.forEach(item => {
+        Logger.info(`  SKU: ${item.sku} | Discount Price: $${item.discountPrice}`);
+    });
 
-        // Group existing products by similar names to find variants
-        Logger.info('\nExisting products grouped by brand/type (first 15 groups):');
-        const productGroups = new Map();
-        let groupCount = 0;
+    // Group existing products by similar names to find variants
+    Logger.info('\nExisting products grouped by brand/type (first 15 groups):');
+    const productGroups = new Map();
+    let groupCount = 0;
 
-        for (const variant of allShopifyVariants) {
-            const name = variant.product.title.toLowerCase();
-            // Extract brand/product type (first 3-4 words)
-            const nameKey = name.split(' ').slice(0, 4).join(' ');
+    for (const variant of allShopifyVariants) {
+        const name = variant.product.title.toLowerCase();
+        // Extract brand/product type (first 3-4 words)
+        const nameKey = name.split(' ').slice(0, 4).join(' ');
 
-            if (!productGroups.has(nameKey)) {
-                productGroups.set(nameKey, []);
-            }
-            productGroups.get(nameKey).push({
-                sku: variant.sku,
-                name: variant.product.title,
-                price: parseFloat(variant.price),
-                compareAt: variant.compareAtPrice
+        if (!productGroups.has(nameKey)) {
+            productGroups.set(nameKey, []);
+        }
+        productGroups.get(nameKey).push({
+            sku: variant.sku,
+            name: variant.product.title,
+            price: parseFloat(variant.price),
+            compareAt: variant.compareAtPrice
+        });
+    }
+
+    // Sort groups by number of variants (most variants first)
+    const sortedGroups = Array.from(productGroups.entries())
+        .sort((a, b) => b[1].length - a[1].length);
+
+    for (const [groupName, products] of sortedGroups) {
+        if (groupCount < 15 && products.length > 1) {
+            Logger.info(`\nGroup: "${groupName}..." (${products.length} variants)`);
+            products.forEach(p => {
+                Logger.info(`  SKU: ${p.sku} | "${p.name}" | $${p.price}`);
             });
+            groupCount++;
         }
+    }
 
-        // Sort groups by number of variants (most variants first)
-        const sortedGroups = Array.from(productGroups.entries())
-            .sort((a, b) => b[1].length - a[1].length);
+    // Suggest possible matches for missing SKUs
+    Logger.info('\nMISSING SKU MATCH SUGGESTIONS:');
+    for (const missingItem of missingSkus) {
+        Logger.info(`\nMissing SKU: ${missingItem.sku} (Target price: $${missingItem.discountPrice})`);
 
-        for (const [groupName, products] of sortedGroups) {
-            if (groupCount < 15 && products.length > 1) {
-                Logger.info(`\nGroup: "${groupName}..." (${products.length} variants)`);
-                products.forEach(p => {
-                    Logger.info(`  SKU: ${p.sku} | "${p.name}" | $${p.price}`);
+        // Find products with similar prices (within 30% range)
+        const priceMatches = [];
+        for (const variant of allShopifyVariants) {
+            const currentPrice = parseFloat(variant.price);
+            const priceDiff = Math.abs(currentPrice - missingItem.discountPrice);
+            const pricePercent = (priceDiff / missingItem.discountPrice) * 100;
+
+            if (pricePercent <= 30) { // Within 30% of target price
+                priceMatches.push({
+                    sku: variant.sku,
+                    name: variant.product.title,
+                    price: currentPrice,
+                    priceDiff,
+                    pricePercent: pricePercent.toFixed(1)
                 });
-                groupCount++;
             }
         }
 
-        // Suggest possible matches for missing SKUs
-        Logger.info('\nMISSING SKU MATCH SUGGESTIONS:');
-        for (const missingItem of missingSkus) {
-            Logger.info(`\nMissing SKU: ${missingItem.sku} (Target price: $${missingItem.discountPrice})`);
+        // Sort by price difference (closest matches first)
+        priceMatches.sort((a, b) => a.priceDiff - b.priceDiff);
+
+        if (priceMatches.length > 0) {
+            Logger.info(`  Found ${priceMatches.length} possible matches by price:`);
+            priceMatches.slice(0, 5).forEach(match => {
+                Logger.info(`    SKU ${match.sku}: "${match.name.substring(0, 50)}..." ($${match.price}, ${match.pricePercent}% diff)`);
+            });
+        } else {
+            Logger.info(`  No products found with similar price (±30%)`);
+        }
+
+        // Also look for SKU pattern matches (numeric similarity)
+        if (/^\d+$/.test(missingItem.sku)) {
+            const numericSku = parseInt(missingItem.sku);
+            const nearbySkus = [];
 
-            // Find products with similar prices (within 30% range)
-            const priceMatches = [];
             for (const variant of allShopifyVariants) {
-                const currentPrice = parseFloat(variant.price);
-                const priceDiff = Math.abs(currentPrice - missingItem.discountPrice);
-                const pricePercent = (priceDiff / missingItem.discountPrice) * 100;
-
-                if (pricePercent <= 30) { // Within 30% of target price
-                    priceMatches.push({
-                        sku: variant.sku,
-                        name: variant.product.title,
-                        price: currentPrice,
-                        priceDiff,
-                        pricePercent: pricePercent.toFixed(1)
-                    });
+                const sku = variant.sku;
+                if (/^\d+$/.test(sku)) {
+                    const existingSku = parseInt(sku);
+                    const skuDiff = Math.abs(existingSku - numericSku);
+                    if (skuDiff <= 10 && skuDiff > 0) { // Within 10 numbers
+                        nearbySkus.push({
+                            sku,
+                            name: variant.product.title,
+                            price: parseFloat(variant.price),
+                            skuDiff
+                        });
+                    }
                 }
             }
 
-            // Sort by price difference (closest matches first)
-            priceMatches.sort((a, b) => a.priceDiff - b.priceDiff);
-
-            if (priceMatches.length > 0) {
-                Logger.info(`  Found ${priceMatches.length} possible matches by price:`);
-                priceMatches.slice(0, 5).forEach(match => {
-                    Logger.info(`    SKU ${match.sku}: "${match.name.substring(0, 50)}..." ($${match.price}, ${match.pricePercent}% diff)`);
+            if (nearbySkus.length > 0) {
+                nearbySkus.sort((a, b) => a.skuDiff - b.skuDiff);
+                Logger.info(`  Nearby SKUs (numeric pattern):`);
+                nearbySkus.slice(0, 3).forEach(nearby => {
+                    Logger.info(`    SKU ${nearby.sku}: "${nearby.name.substring(0, 50)}..." ($${nearby.price})`);
                 });
-            } else {
-                Logger.info(`  No products found with similar price (±30%)`);
             }
+        }
+    }
 
-            // Also look for SKU pattern matches (numeric similarity)
-            if (/^\d+$/.test(missingItem.sku)) {
-                const numericSku = parseInt(missingItem.sku);
-                const nearbySkus = [];
-
-                for (const variant of allShopifyVariants) {
-                    const sku = variant.sku;
-                    if (/^\d+$/.test(sku)) {
-                        const existingSku = parseInt(sku);
-                        const skuDiff = Math.abs(existingSku - numericSku);
-                        if (skuDiff <= 10 && skuDiff > 0) { // Within 10 numbers
-                            nearbySkus.push({
-                                sku,
-                                name: variant.product.title,
-                                price: parseFloat(variant.price),
-                                skuDiff
-                            });
-                        }
-                    }
-                }
+    // Summary of actionable recommendations
+    Logger.info('\nRECOMMENDATIONS:');
+    Logger.info(`1. Review ${missingSkus.length} missing SKUs above for potential matches`);
+    Logger.info(`2. Check if missing SKUs are different product variants (sizes, quantities, etc.)`);
+    Logger.info(`3. Update discount CSV with correct SKUs for existing products`);
+    Logger.info(`4. Remove truly non-existent products from discount CSV`);
 
-                if (nearbySkus.length > 0) {
-                    nearbySkus.sort((a, b) => a.skuDiff - b.skuDiff);
-                    Logger.info(`  Nearby SKUs (numeric pattern):`);
-                    nearbySkus.slice(0, 3).forEach(nearby => {
-                        Logger.info(`    SKU ${nearby.sku}: "${nearby.name.substring(0, 50)}..." ($${nearby.price})`);
-                    });
+    return stats;
+}
+
+// Adds a store's run to the Prometheus metrics (common/metrics.js); a metrics failure never fails the sync
+function recordStoreMetrics(store, { stats = null, error = null }, durationSeconds) {
+    const job = STORES_CONFIG ? `direct-${store.name}` : 'direct';
+    try {
+        metrics.recordRun(job, {
+            status: error ? 'failed' : 'success',
+            durationSeconds: Math.round(durationSeconds),
+            phases: stats ? {
+                variant: { updated: stats.updated, skipped: stats.skipped, errors: stats.errors, notFound: stats.notFound },
+                price: { updated: stats.priceUpdates },
+                inventory: { updated: stats.inventoryUpdates }
+            } : {}
+        });
+    } catch (metricsError) {
+        Logger.warn(`Could not update metrics in ${metrics.statePath}: ${metricsError.message}`);
+    }
+}
+
+// Heading of a store's summary in the change report and the notification
+function storeSectionTitle(store) {
+    return STORES_CONFIG ? `Store ${store.name}` : 'Direct update';
+}
+
+// Writes the store's change report (HTML and CSV) next to its log; a report failure never fails the sync
+function writeStoreReport(store, { stats = null, error = null }, locations, durationSeconds) {
+    try {
+        const report = runReport.write(Logger.storeLogPath || Logger.logPath, {
+            status: error ? 'failed' : 'success',
+            durationSeconds: Math.round(durationSeconds),
+            error: error ? error.message : null,
+            sections: stats ? [{ title: storeSectionTitle(store), lines: formatStoreSummary(stats, locations) }] : []
+        });
+        Logger.info(`Change report: ${report.htmlPath} (CSV: ${report.csvPath})`);
+    } catch (reportError) {
+        Logger.warn(`Could not write change report: ${reportError.message}`);
+    }
+}
+
+// Sends one summary for the whole run (a section per store, with its failed SKUs) through common/notifier.js;
+// a notification failure never fails the sync
+async function notifyRun(runId, startedAt, results, locationsByStore, fatalError) {
+    const sections = results.map(({ store, stats, error }) => ({
+        title: storeSectionTitle(store),
+        errors: error ? Math.max(stats?.errors || 0, 1) : stats.errors,
+        lines: error ? [`FAILED: ${error.message}`] : formatStoreSummary(stats, locationsByStore.get(store.name)),
+        failures: [
+            ...(stats?.quarantinedSkus || []).map(q => ({ sku: q.sku, message: `Quarantined: ${q.message}` })),
+            ...(stats?.failedSkus || [])
+        ]
+    }));
+    const notification = await notifyRunFinished({
+        source: 'shopify-price-updater-direct',
+        runId,
+        status: fatalError ? 'failed' : 'success',
+        durationSeconds: Math.round((Date.now() - startedAt) / 1000),
+        startedAt: new Date(startedAt).toISOString(),
+        error: fatalError ? fatalError.message : null,
+        sections
+    });
+    if (notification.sent.length > 0) {
+        Logger.info(`Run summary sent via ${notification.sent.join(', ')}`);
+    }
+    notification.failed.forEach(f => Logger.warn(`Could not send notification (${f.channel}): ${f.error}`));
+}
+
+// --- Main Function ---
+async function updatePrices() {
+    Timer.startTimer();
+    Logger.section('Initialization');
+    Logger.info('Starting Shopify Price Updater (Direct Price Version)');
+    Logger.info(`API Mode: ${USE_REST_API === 'true' ? 'REST' : 'GraphQL'}`);
+    Logger.info(`Safety Stock: ${SAFETY_STOCK_UNITS} units reserved for physical store`);
+    if (STORES_CONFIG) {
+        Logger.info(`Stores (${STORES_CONFIG}): ${stores.map(store => `${store.name} (${store.shopName}, ${store.priceColumn}${store.costColumn ? `, cost ${store.costColumn}` : ''})`).join(', ')}`);
+    }
+
+    const baseRunId = `direct_${new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}`;
+    const runStartedAt = Date.now();
+    const recordedStores = new Set(); // Stores whose run was already added to the metrics
+    const locationsByStore = new Map();
+    const results = [];
+    let fatalError = null;
+
+    // Other updater scripts writing to the same variants would undo these changes. Taken before the try block:
+    // a run that finds the lock held is skipped, not counted as a failed run.
+    const { staleHolder, staleReason } = runLock.acquire(baseRunId, 'shopify-price-updater-direct');
+    if (staleHolder) {
+        Logger.warn(`Replaced abandoned run lock (${staleReason}): ${runLock.describe(staleHolder)}`);
+    }
+    Logger.info(`Run lock acquired: ${runLock.lockPath}`);
+
+    try {
+
+        // Validate every store's warehouse -> location mapping before fetching anything else
+        currentOperation = 'Location Validation';
+        Logger.section('Locations');
+        for (const store of stores) {
+            if (STORES_CONFIG) {
+                Logger.info(`Store ${store.name} (${store.shopName}.myshopify.com):`);
+            }
+            locationsByStore.set(store.name, await resolveShopifyLocations(store));
+        }
+
+        // Fetch the Delfin data once; every store computes its own prices and stock from it
+        currentOperation = 'Delfin Data Fetching';
+        Logger.section('Delfin Data Fetching');
+        const [products, dailyRecords, inventoryRecords] = await Promise.all([
+            getDelfinProducts(),
+            getDailyInventoryMovements(),
+            getLocalInventory()
+        ]);
+        const delfinData = { products, dailyRecords, inventoryRecords, discountsByPath: new Map() };
+
+        // A failing store does not stop the others; the run fails at the end
+        for (const store of stores) {
+            const runId = STORES_CONFIG ? `${baseRunId}_${store.name.replace(/[^a-zA-Z0-9-_]/g, '_')}` : baseRunId;
+            if (STORES_CONFIG) {
+                Logger.openStoreLog(store.name);
+            }
+            journal.init(runId, 'shopify-price-updater-direct', store.shopName);
+            snapshotStore.init(runId, 'shopify-price-updater-direct');
+            runReport.start(runId, 'shopify-price-updater-direct');
+            Logger.info(`Mutation journal: ${journal.journalPath} (roll back with: node main-sync.js rollback ${runId})`);
+
+            const storeStartedAt = Date.now();
+            try {
+                const stats = await syncStore(store, locationsByStore.get(store.name), delfinData, runId);
+                results.push({ store, runId, stats });
+            } catch (error) {
+                Logger.error(`Sync failed for store ${store.name}: ${error.message}`);
+                results.push({ store, runId, error });
+            } finally {
+                writeStoreReport(store, results[results.length - 1], locationsByStore.get(store.name), (Date.now() - storeStartedAt) / 1000);
+                await Logger.closeStoreLog();
+            }
+            recordStoreMetrics(store, results[results.length - 1], (Date.now() - storeStartedAt) / 1000);
+            recordedStores.add(store.name);
+        }
+
+        currentOperation = null; // Clear current operation when done
+
+        if (STORES_CONFIG) {
+            Logger.section('Stores Summary');
+            Logger.info(`Execution time: ${Timer.endTimer()}`);
+            for (const { store, runId, stats, error } of results) {
+                if (error) {
+                    Logger.error(`${store.name}: FAILED - ${error.message} (run ${runId})`);
+                } else {
+                    Logger.info(`${store.name}: ${stats.updated} updated (${stats.priceUpdates} prices, ${stats.inventoryUpdates} inventory), ${stats.skipped} skipped, ${stats.errors} errors (run ${runId})`);
                 }
             }
         }
 
-        // Summary of actionable recommendations
-        Logger.info('\nRECOMMENDATIONS:');
-        Logger.info(`1. Review ${missingSkus.length} missing SKUs above for potential matches`);
-        Logger.info(`2. Check if missing SKUs are different product variants (sizes, quantities, etc.)`);
-        Logger.info(`3. Update discount CSV with correct SKUs for existing products`);
-        Logger.info(`4. Remove truly non-existent products from discount CSV`);
+        const failedStores = results.filter(result => result.error);
+        if (failedStores.length > 0) {
+            throw new Error(`Sync failed for ${failedStores.map(result => result.store.name).join(', ')}`);
+        }
 
     } catch (error) {
-        Logger.error('Fatal error:', error);
+        Logger.error(`Fatal error: ${error.message}`);
+        fatalError = error;
+        // Stores that never started (e.g. a location or Delfin error) also count as failed runs
+        stores.filter(store => !recordedStores.has(store.name))
+            .forEach(store => recordStoreMetrics(store, { error }, (Date.now() - runStartedAt) / 1000));
         throw error;
+    } finally {
+        runLock.release();
+        await notifyRun(baseRunId, runStartedAt, results, locationsByStore, fatalError);
     }
 }
 
@@ -1680,6 +2351,11 @@ updatePrices()
         // process.exit(0) is implied, but good to be explicit if using async
     })
     .catch(async error => {
+        if (error.code === 'RUN_LOCKED') {
+            Logger.warn(`Run skipped: ${error.message}`);
+            await Logger.close();
+            process.exit(runLock.LOCKED_EXIT_CODE);
+        }
         Logger.error('Script failed:', error);
         // Final flush of logs
         await Logger.close();
@@ -25,6 +25,7 @@ const csv = require('csv-parser');
 const { RateLimiter } = require('limiter');
 const path = require('path');
 const { Readable } = require('stream');
+const runLock = require('./common/runLock');
 
 // Environment variables with defaults
 const {
@@ -366,8 +367,14 @@ async function updatePricesFromCSV() {
 (async () => {
     try {
         console.log('Script started at', new Date().toLocaleString());
+        // Fails with the holder's details if another updater script is writing to Shopify
+        runLock.acquire(`single_${Date.now()}`, 'shopify-price-updater-single');
         await updatePricesFromCSV();
     } catch (error) {
+        if (error.code === 'RUN_LOCKED') {
+            console.warn('Script skipped:', error.message);
+            process.exit(runLock.LOCKED_EXIT_CODE);
+        }
         console.error('Script failed:', error);
         process.exit(1);
     }
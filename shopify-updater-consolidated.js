@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { RateLimiter } = require('limiter');
+const runLock = require('./common/runLock');
 
 // --- Configuration from Environment Variables ---
 const {
@@ -1005,6 +1006,15 @@ async function syncShopifyData() {
 // --- Main Execution ---
 (async () => {
     Logger.log(`Script started at ${new Date().toLocaleString()}`);
+    try {
+        runLock.acquire(`updater_consolidated_${Date.now()}`, 'shopify-updater-consolidated');
+    } catch (error) {
+        if (error.code !== 'RUN_LOCKED') throw error;
+        Logger.warn(`Run skipped. ${error.message}`);
+        await Logger.processQueue();
+        process.exitCode = runLock.LOCKED_EXIT_CODE;
+        return;
+    }
     await syncShopifyData();
 })();
 
@@ -1,11 +1,13 @@
 require('dotenv').config();
 
+const shopifyRateLimit = parseInt(process.env.SHOPIFY_RATE_LIMIT || '2', 10);
+
 const config = {
   shopify: {
     shopName: process.env.SHOPIFY_SHOP_NAME,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
     apiVersion: '2024-01',
-    rateLimit: parseInt(process.env.SHOPIFY_RATE_LIMIT || '2', 10),
+    rateLimit: shopifyRateLimit,
     batchSize: parseInt(process.env.SHOPIFY_BATCH_SIZE || '250', 10),
     maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
     timeout: parseInt(process.env.API_TIMEOUT || '30000', 10),
@@ -18,6 +20,8 @@ const config = {
     mode: process.env.SYNC_MODE || 'shopify_first',
     type: process.env.SYNC_TYPE || 'both',
     locationId: process.env.LOCATION_ID,
+    // SKUs processed in parallel; defaults to twice the request limit so the limiter always has work queued
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY || String(shopifyRateLimit * 2), 10),
   },
   discounts: {
     csvPath: process.env.DISCOUNT_CSV_PATH || 'discounts.csv',
@@ -30,7 +34,10 @@ const config = {
   },
   cache: {
     ttl: parseInt(process.env.CACHE_TTL || '3600', 10), // 1 hour default
-  }
+  },
+  shutdown: {
+    timeout: parseInt(process.env.SHUTDOWN_TIMEOUT || '30000', 10), // Max wait for in-flight SKUs on SIGINT/SIGTERM
+  },
 };
 
 // Validation
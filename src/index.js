@@ -1,7 +1,10 @@
+const os = require('os');
 const shopifyService = require('./services/shopifyService');
 const dataService = require('./services/dataService');
 const logger = require('./utils/logger');
 const config = require('./config/config');
+const { runWorkerPool } = require('./utils/workerPool');
+const runLock = require('../common/runLock');
 
 class ShopifyUpdater {
   constructor() {
@@ -12,6 +15,27 @@ class ShopifyUpdater {
       inventoryUpdates: { success: 0, failed: 0 },
       errors: [],
     };
+    this.shuttingDown = false;
+    this.inFlight = new Set();
+    this.phases = [];
+  }
+
+  // Stop picking up new SKUs; the ones already started are allowed to finish
+  stop() {
+    this.shuttingDown = true;
+    logger.warn('Shutdown requested, no more SKUs will be scheduled');
+  }
+
+  track(task) {
+    this.inFlight.add(task);
+    task.finally(() => this.inFlight.delete(task));
+    return task;
+  }
+
+  logPhaseSummary() {
+    this.phases.forEach(({ operation, totalItems, stats }) => {
+      logger.logBatchOperation(operation, totalItems, stats.success, stats.failed, this.stats.errors);
+    });
   }
 
   async initialize() {
@@ -90,88 +114,137 @@ class ShopifyUpdater {
     }
   }
 
-  async syncProducts() {
-    try {
-      const products = await dataService.getLocalProducts();
-      logger.info('Starting price sync', { totalProducts: products.length });
-
-      for (const product of products) {
-        await this.processProduct(product);
-      }
+  // One job per SKU so price and inventory for the same SKU run in order within a worker
+  buildSkuJobs(products, inventory) {
+    const jobs = new Map();
+    products.forEach(product => jobs.set(product.sku, { sku: product.sku, product }));
+    inventory.forEach(item => {
+      const job = jobs.get(item.sku) || { sku: item.sku };
+      job.inventory = item;
+      jobs.set(item.sku, job);
+    });
+    return [...jobs.values()];
+  }
 
-      logger.logBatchOperation(
-        'price_sync',
-        products.length,
-        this.stats.priceUpdates.success,
-        this.stats.priceUpdates.failed,
-        this.stats.errors
-      );
-    } catch (error) {
-      logger.error('Failed to sync products', { error: error.message, stack: error.stack });
-      throw error;
+  async processSku(job) {
+    if (job.product) {
+      await this.processProduct(job.product);
+    }
+    if (job.inventory) {
+      await this.processInventory(job.inventory);
     }
   }
 
-  async syncInventory() {
+  async syncSkus() {
+    const syncPrices = config.sync.type === 'price' || config.sync.type === 'both';
+    const syncInventory = config.sync.type === 'inventory' || config.sync.type === 'both';
+
     try {
-      const inventory = await dataService.getLocalInventory();
-      logger.info('Starting inventory sync', { totalItems: inventory.length });
+      const products = syncPrices ? await dataService.getLocalProducts() : [];
+      const inventory = syncInventory ? await dataService.getLocalInventory() : [];
+      const jobs = this.buildSkuJobs(products, inventory);
 
-      for (const item of inventory) {
-        await this.processInventory(item);
+      if (syncPrices) {
+        this.phases.push({ operation: 'price_sync', totalItems: products.length, stats: this.stats.priceUpdates });
       }
+      if (syncInventory) {
+        this.phases.push({ operation: 'inventory_sync', totalItems: inventory.length, stats: this.stats.inventoryUpdates });
+      }
+      logger.info('Starting SKU sync', {
+        totalProducts: products.length,
+        totalInventoryItems: inventory.length,
+        totalSkus: jobs.length,
+        concurrency: config.sync.concurrency,
+      });
 
-      logger.logBatchOperation(
-        'inventory_sync',
-        inventory.length,
-        this.stats.inventoryUpdates.success,
-        this.stats.inventoryUpdates.failed,
-        this.stats.errors
+      await runWorkerPool(
+        jobs,
+        config.sync.concurrency,
+        job => this.track(this.processSku(job)),
+        () => this.shuttingDown
       );
+
+      this.logPhaseSummary();
     } catch (error) {
-      logger.error('Failed to sync inventory', { error: error.message, stack: error.stack });
+      logger.error('Failed to sync SKUs', { error: error.message, stack: error.stack });
       throw error;
     }
   }
 
   async run() {
     try {
-      await this.initialize();
-
-      if (config.sync.type === 'price' || config.sync.type === 'both') {
-        await this.syncProducts();
+      // Shared with the other updater scripts so two runs never write to the same variants at once
+      const runId = `index_${new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}`;
+      const { staleHolder, staleReason } = runLock.acquire(runId, 'src/index.js');
+      if (staleHolder) {
+        logger.warn('Replaced abandoned run lock', { reason: staleReason, holder: staleHolder });
       }
 
-      if (config.sync.type === 'inventory' || config.sync.type === 'both') {
-        await this.syncInventory();
-      }
+      await this.initialize();
 
-      logger.info('Sync completed', {
+      await this.syncSkus();
+
+      logger.info(this.shuttingDown ? 'Sync interrupted' : 'Sync completed', {
         priceUpdates: this.stats.priceUpdates,
         inventoryUpdates: this.stats.inventoryUpdates,
         totalErrors: this.stats.errors.length,
       });
     } catch (error) {
+      if (error.code === 'RUN_LOCKED') {
+        logger.warn('Sync skipped', { reason: error.message });
+        process.exit(runLock.LOCKED_EXIT_CODE);
+      }
       logger.error('Sync failed', { error: error.message, stack: error.stack });
       process.exit(1);
     }
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT. Graceful shutdown initiated.');
-  process.exit(0);
-});
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM. Graceful shutdown initiated.');
-  process.exit(0);
-});
+// Wait for winston transports to write pending entries before exiting
+const flushLogs = () => Promise.race([
+  new Promise(resolve => {
+    logger.on('finish', resolve);
+    logger.end();
+  }),
+  sleep(5000),
+]);
 
 // Run the updater
 const updater = new ShopifyUpdater();
-updater.run().catch(error => {
+const running = updater.run().catch(error => {
   logger.error('Fatal error', { error: error.message, stack: error.stack });
   process.exit(1);
-}); 
\ No newline at end of file
+});
+
+// Handle graceful shutdown: stop scheduling SKUs, let in-flight ones finish, then exit 128 + signal number
+async function shutdown(signal) {
+  const exitCode = 128 + os.constants.signals[signal];
+  if (updater.shuttingDown) {
+    logger.warn(`Received ${signal} again. Exiting without waiting for in-flight requests.`);
+    process.exit(exitCode);
+  }
+
+  logger.info(`Received ${signal}. Graceful shutdown initiated.`, {
+    inFlightSkus: updater.inFlight.size,
+    ...shopifyService.getQueueStats(),
+  });
+  updater.stop();
+
+  const finished = await Promise.race([running.then(() => true), sleep(config.shutdown.timeout).then(() => false)]);
+  if (!finished) {
+    logger.warn('Shutdown timeout reached with requests still in flight', {
+      timeoutMs: config.shutdown.timeout,
+      inFlightSkus: updater.inFlight.size,
+      ...shopifyService.getQueueStats(),
+    });
+    updater.logPhaseSummary();
+  }
+
+  await flushLogs();
+  process.exit(exitCode);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -3,6 +3,7 @@ const pLimit = require('p-limit');
 const NodeCache = require('node-cache');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { ShopifyCostThrottle, isThrottledResponse, getQueryKey } = require('../../common/shopifyThrottle');
 
 class ShopifyService {
   constructor() {
@@ -16,8 +17,10 @@ class ShopifyService {
       },
     });
 
-    // Rate limiting setup
+    // Concurrency cap for in-flight requests
     this.limiter = pLimit(config.shopify.rateLimit);
+    // Pacing by GraphQL query cost (extensions.cost.throttleStatus)
+    this.throttle = new ShopifyCostThrottle();
     
     // Cache setup for variant data
     this.cache = new NodeCache({
@@ -31,20 +34,44 @@ class ShopifyService {
     this.updateInventoryLevel = this.updateInventoryLevel.bind(this);
   }
 
-  async makeRequest(config, retries = config.shopify.maxRetries) {
-    return this.limiter(async () => {
-      try {
-        const response = await this.axiosInstance(config);
+  async makeRequest(requestConfig, retries = config.shopify.maxRetries) {
+    const queryKey = getQueryKey(requestConfig.data);
+    let data;
+    try {
+      // Only the attempt itself holds a limiter slot, so retries never wait on their own slot
+      data = await this.limiter(async () => {
+        await this.throttle.acquire(queryKey);
+        const response = await this.axiosInstance(requestConfig);
         return response.data;
-      } catch (error) {
-        if (retries > 0 && this.isRetryableError(error)) {
-          const delay = Math.pow(2, config.shopify.maxRetries - retries) * 1000;
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return this.makeRequest(config, retries - 1);
-        }
-        throw this.enhanceError(error);
+      });
+    } catch (error) {
+      if (retries > 0 && this.isRetryableError(error)) {
+        const delay = Math.pow(2, config.shopify.maxRetries - retries) * 1000;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.makeRequest(requestConfig, retries - 1);
       }
-    });
+      throw this.enhanceError(error);
+    }
+
+    const cost = data?.extensions?.cost;
+    if (isThrottledResponse(data)) {
+      const waitMs = this.throttle.onThrottled(queryKey, cost);
+      if (retries > 0) {
+        logger.warn('Shopify request throttled, retrying', { waitMs, retriesLeft: retries });
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        return this.makeRequest(requestConfig, retries - 1);
+      }
+      throw new Error(`Shopify API throttled: ${JSON.stringify(data.errors)}`);
+    }
+    this.throttle.update(queryKey, cost);
+    return data;
+  }
+
+  getQueueStats() {
+    return {
+      activeRequests: this.limiter.activeCount,
+      queuedRequests: this.limiter.pendingCount,
+    };
   }
 
   isRetryableError(error) {
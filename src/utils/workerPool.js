@@ -0,0 +1,19 @@
+/**
+ * Runs `worker` over `items` with at most `concurrency` items in progress at a time.
+ * Items are started in order; `shouldStop` is checked before each new item is picked up,
+ * so stopping lets the items already started finish. `worker` is expected to handle its own errors.
+ */
+async function runWorkerPool(items, concurrency, worker, shouldStop = () => false) {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next++];
+      await worker(item);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+module.exports = { runWorkerPool };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const Logger = require('./common/logger');
+const {
+    SHOPIFY_WEBHOOK_SECRET,
+    WEBHOOK_HOST,
+    WEBHOOK_PORT,
+    ONLINE_COMMITMENTS_PATH,
+    ONLINE_COMMITMENT_TTL_HOURS,
+} = require('./common/config');
+const { recordOrder, cancelOrder, getCommittedQuantities, loadCommitments } = require('./common/onlineCommitments');
+const { readBody, sendJson } = require('./common/http');
+
+// Receptor de webhooks de pedidos de Shopify (opcional).
+// Registra las unidades de cada pedido online (`orders/create`) y las libera si se cancela (`orders/cancelled`),
+// para que inventory-update.js las reste del inventario de Delfin mientras aún no están facturadas.
+// Uso: node webhook-server.js  (Shopify exige HTTPS: publicar detrás de un proxy inverso o túnel)
+//   POST /webhooks/shopify -> webhooks firmados con SHOPIFY_WEBHOOK_SECRET (tema en X-Shopify-Topic)
+//   GET  /health           -> estado y total de pedidos/SKUs comprometidos
+
+const MAX_BODY_BYTES = 1024 * 1024; // Un pedido con cientos de líneas ocupa bastante menos
+
+/**
+ * Verifica la firma HMAC-SHA256 (base64) que Shopify envía en X-Shopify-Hmac-Sha256.
+ * @param {Buffer} rawBody Cuerpo tal como llegó, sin parsear.
+ * @param {string|undefined} signature Valor del encabezado.
+ * @returns {boolean}
+ */
+function isValidShopifyHmac(rawBody, signature) {
+    if (!signature) return false;
+    const expected = crypto.createHmac('sha256', SHOPIFY_WEBHOOK_SECRET).update(rawBody).digest();
+    const received = Buffer.from(String(signature), 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Procesa un webhook ya verificado según su tema.
+ * @param {string} topic Valor de X-Shopify-Topic.
+ * @param {Object} order Pedido (payload REST de Shopify).
+ * @returns {Object} Resultado que se devuelve a Shopify.
+ */
+function handleOrderWebhook(topic, order) {
+    const label = order.name || order.id;
+    if (topic === 'orders/create') {
+        const { recorded, lines } = recordOrder(ONLINE_COMMITMENTS_PATH, order, ONLINE_COMMITMENT_TTL_HOURS);
+        if (recorded) {
+            Logger.log(`🛒 Pedido ${label} registrado: ${lines} SKU(s) comprometido(s) hasta su facturación en Delfin.`);
+        } else {
+            Logger.log(`ℹ️ Pedido ${label} ignorado (${lines > 0 ? 'ya registrado' : 'sin líneas con SKU'}).`);
+        }
+        return { topic, recorded };
+    }
+    if (topic === 'orders/cancelled') {
+        const removed = cancelOrder(ONLINE_COMMITMENTS_PATH, order);
+        Logger.log(removed ? `↩️ Pedido ${label} cancelado: sus unidades dejan de restarse.` : `ℹ️ Pedido cancelado ${label} no estaba registrado.`);
+        return { topic, removed };
+    }
+    Logger.warn(`Webhook con tema no soportado '${topic}' ignorado.`);
+    return { topic, ignored: true };
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        const orders = Object.keys(loadCommitments(ONLINE_COMMITMENTS_PATH).orders).length;
+        const committedSkus = getCommittedQuantities(ONLINE_COMMITMENTS_PATH, ONLINE_COMMITMENT_TTL_HOURS).size;
+        sendJson(res, 200, { status: 'ok', orders, committedSkus, ttlHours: ONLINE_COMMITMENT_TTL_HOURS });
+        return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/webhooks/shopify') {
+        sendJson(res, 404, { error: 'No encontrado' });
+        return;
+    }
+
+    const rawBody = await readBody(req, MAX_BODY_BYTES);
+    if (!isValidShopifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'])) {
+        Logger.warn(`Webhook rechazado: firma HMAC inválida (tema ${req.headers['x-shopify-topic'] || 'desconocido'}, origen ${req.socket.remoteAddress}).`);
+        sendJson(res, 401, { error: 'Firma HMAC inválida' });
+        return;
+    }
+
+    let order;
+    try {
+        order = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+        sendJson(res, 400, { error: 'JSON inválido' });
+        return;
+    }
+    sendJson(res, 200, handleOrderWebhook(String(req.headers['x-shopify-topic'] || ''), order));
+}
+
+function main() {
+    Logger.init(new Date(), path.join(process.env.LOG_DIR || path.join(__dirname, 'logs'), 'webhooks'));
+    if (!SHOPIFY_WEBHOOK_SECRET) {
+        Logger.error('Falta SHOPIFY_WEBHOOK_SECRET: sin él no se pueden verificar los webhooks.');
+        Logger.flush().then(() => process.exit(1));
+        return;
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            Logger.error('Error procesando webhook', error);
+            // Un 5xx hace que Shopify reintente el webhook más tarde
+            if (!res.headersSent) sendJson(res, error.statusCode || 500, { error: error.message });
+        });
+    });
+    server.listen(WEBHOOK_PORT, WEBHOOK_HOST, () => {
+        Logger.log(`📬 Receptor de webhooks escuchando en http://${WEBHOOK_HOST}:${WEBHOOK_PORT}/webhooks/shopify (compromisos en ${ONLINE_COMMITMENTS_PATH}, vigencia ${ONLINE_COMMITMENT_TTL_HOURS} h)`);
+    });
+
+    const shutdown = async signal => {
+        Logger.warn(`Recibido ${signal}. Cerrando el receptor de webhooks...`);
+        server.close();
+        await Logger.flush();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main();